@@ -13,6 +13,15 @@
 
 import GameState from './GameState.js';
 import GameLoop from './GameLoop.js';
+import SeededRandom from '../utils/random.js';
+import ReplayRecorder from '../features/replay/ReplayRecorder.js';
+import SaveManager from '../features/save/SaveManager.js';
+import { SAVE_CONFIG } from '../features/save/saveConfig.js';
+import { applyOnHitEffects } from '../features/projectiles/onHitEffects.js';
+import { calculateSplashDamage } from '../features/projectiles/projectileConfig.js';
+import { GAME_MODES } from '../features/waves/waveConfig.js';
+import { TRANSACTION_TYPES } from '../features/economy/economyConfig.js';
+import { KILL_EXPERIENCE_PER_BOUNTY } from '../features/towers/towerConfig.js';
 
 // Import all managers
 import TowerManager from '../features/towers/towerManager.js';
@@ -22,6 +31,7 @@ import WaveManager from '../features/waves/WaveManager.js';
 import MoneyManager from '../features/economy/MoneyManager.js';
 import UIManager from '../features/ui/UIManager.js';
 import MapManager from '../maps/mapManager.js';
+import AssetManager from '../rendering/AssetManager.js';
 
 // Import all renderers
 import TowerRenderer from '../features/towers/towerRenderer.js';
@@ -40,8 +50,16 @@ class GameEngine {
   /**
    * Create the game engine
    * @param {RenderSurface} renderSurface - Abstract rendering surface (injected)
+   * @param {Object} options - Engine options
+   * @param {boolean} options.useAnimationFrame - Drive the loop with requestAnimationFrame (default: when available)
+   * @param {number|null} options.fixedTimeStep - Simulation step in seconds, null for variable delta (default: GAME_CONFIG.fixedTimeStep)
+   * @param {number} options.seed - Seed for all gameplay randomness (default: current time)
+   * @param {string} options.mode - Game mode, GAME_MODES value (default: classic)
+   * @param {string} options.difficulty - DIFFICULTY_PRESETS key (default: 'normal')
+   * @param {Array<string>} options.mutators - ENEMY_MUTATORS keys applied to every enemy (default: none)
+   * @param {string} options.map - MAP_CONFIGS id (default: the first map)
    */
-  constructor(renderSurface) {
+  constructor(renderSurface, options = {}) {
     if (!renderSurface) {
       throw new Error('❌ GameEngine requires a RenderSurface instance');
     }
@@ -51,7 +69,37 @@ class GameEngine {
 
     // Core systems
     this.gameState = new GameState();
-    this.gameLoop = new GameLoop(this.update.bind(this), this.render.bind(this));
+    this.gameLoop = new GameLoop(this.update.bind(this), this.render.bind(this), {
+      useAnimationFrame: options.useAnimationFrame,
+      fixedTimeStep: options.fixedTimeStep !== undefined ? options.fixedTimeStep : GAME_CONFIG.fixedTimeStep,
+      maxStepsPerFrame: GAME_CONFIG.maxStepsPerFrame,
+    });
+
+    // Single source of gameplay randomness (same seed + same inputs = same game)
+    this.seed = options.seed ?? Date.now();
+    this.rng = new SeededRandom(this.seed);
+
+    // Game mode (classic or endless), applied by the wave manager
+    this.initialMode = options.mode ?? GAME_MODES.CLASSIC;
+
+    // Difficulty and mutators, applied by the enemy and money managers
+    this.initialScaling = {
+      difficulty: options.difficulty ?? 'normal',
+      mutators: options.mutators ?? [],
+    };
+
+    // Game time in simulation ticks (only counts unpaused, running updates)
+    this.tick = 0;
+
+    // Game time in seconds, drives sprite animations (stops while paused)
+    this.animationTime = 0;
+
+    // Input recording (see startRecording)
+    this.recorder = null;
+
+    // Save games (slots, JSON export/import)
+    this.saves = new SaveManager(this);
+    this.autosavePending = false;
 
     // Initialize all managers
     this.managers = {
@@ -64,18 +112,26 @@ class GameEngine {
       map: new MapManager(),
     };
 
-    // Initialize all renderers (each receives renderSurface)
+    if (options.map && !this.managers.map.selectMap(options.map)) {
+      throw new Error(`❌ Unknown map: ${options.map}`);
+    }
+
+    // Sprites (loaded in initialize, entities without one are drawn as shapes)
+    this.assets = new AssetManager(this.renderSurface);
+
+    // Initialize all renderers (each receives renderSurface, entity renderers the sprites too)
     this.renderers = {
       grid: new GridRenderer(this.renderSurface),
       path: new PathRenderer(this.renderSurface),
-      tower: new TowerRenderer(this.renderSurface),
-      enemy: new EnemyRenderer(this.renderSurface),
-      projectile: new ProjectileRenderer(this.renderSurface),
+      tower: new TowerRenderer(this.renderSurface, this.assets),
+      enemy: new EnemyRenderer(this.renderSurface, this.assets),
+      projectile: new ProjectileRenderer(this.renderSurface, this.assets),
       ui: new UIRenderer(this.renderSurface),
     };
 
     // State
     this.isInitialized = false;
+    this.isStepping = false; // step() runs even while paused
 
     console.log('✅ GameEngine created (renderSurface injected)');
   }
@@ -93,26 +149,30 @@ class GameEngine {
 
       // Initialize all managers (order matters - dependencies first)
       await this.managers.map.initialize();
-      await this.managers.money.initialize();
-      await this.managers.tower.initialize(this.renderSurface, this.managers.map);
+      await this.managers.money.initialize(() => this.tick);
+      await this.managers.tower.initialize(this.renderSurface, this.managers.map, this.rng, this.managers.money);
+      // Open fields: towers can't go on ground enemies or wall them in
+      this.managers.map.setWalkerSource(() => this.managers.enemy.getEnemies()
+        .filter(enemy => !enemy.isFlying && !enemy.isDead && !enemy.hasReachedEnd()));
       await this.managers.enemy.initialize();
+      this.managers.enemy.setScaling(this.initialScaling);
+      this.managers.money.setDifficulty(this.initialScaling.difficulty);
       await this.managers.projectile.initialize();
-      await this.managers.wave.initialize();
-      await this.managers.ui.initialize();
-
-      // Set enemy path from current map (convert grid to world coordinates)
-      const currentMap = this.managers.map.getCurrentMap();
-      const tileSize = currentMap.tileSize;
-      const worldPath = currentMap.path.map(point => ({
-        x: point.x * tileSize + tileSize / 2,
-        y: point.y * tileSize + tileSize / 2,
-      }));
-      const worldSpawn = {
-        x: currentMap.spawn.x * tileSize + tileSize / 2,
-        y: currentMap.spawn.y * tileSize + tileSize / 2,
-      };
-      this.managers.enemy.setPath(worldPath);
-      this.managers.enemy.setSpawnPoint(worldSpawn);
+      await this.managers.wave.initialize({
+        mode: this.initialMode,
+        seed: this.seed,
+        lanes: this.managers.map.getLaneIds(),
+      });
+      await this.managers.ui.initialize(this.getPricing());
+
+      // Set enemy path from current map
+      this.applyMapPath();
+
+      // Load sprites behind a progress screen
+      await this.assets.load(progress => {
+        this.renderSurface.clear(GAME_CONFIG.backgroundColor);
+        this.renderers.ui.renderLoadingScreen(progress);
+      });
 
       // Initialize all renderers
       await this.renderers.grid.initialize();
@@ -138,10 +198,91 @@ class GameEngine {
     }
   }
 
+  /**
+   * Give the enemy manager the current map's lanes (ground and air paths)
+   * (converts grid to world coordinates)
+   */
+  applyMapPath() {
+    const tileSize = this.managers.map.getCurrentMap().tileSize;
+    const toWorld = path => path.map(point => ({
+      x: point.x * tileSize + tileSize / 2,
+      y: point.y * tileSize + tileSize / 2,
+    }));
+
+    const worldLanes = {};
+    Object.values(this.managers.map.getLanes()).forEach(lane => {
+      worldLanes[lane.id] = { path: toWorld(lane.path), airPath: toWorld(lane.airPath) };
+    });
+    this.managers.enemy.setLanes(worldLanes);
+  }
+
+  /**
+   * Send ground enemies on the field along the current routes (open field maps)
+   */
+  rerouteEnemies() {
+    const map = this.managers.map;
+    const { tileSize } = map.getGridSize();
+    const routes = new Map(); // tile and lane -> route, shared by the enemies on it
+
+    this.managers.enemy.rerouteEnemies((x, y, lane) => {
+      const cell = { x: Math.floor(x / tileSize), y: Math.floor(y / tileSize) };
+      const key = `${cell.x},${cell.y},${lane}`;
+
+      if (!routes.has(key)) {
+        const route = map.findRouteFrom(cell, lane);
+        routes.set(key, route && route.map(point => ({
+          x: point.x * tileSize + tileSize / 2,
+          y: point.y * tileSize + tileSize / 2,
+        })));
+      }
+      return routes.get(key);
+    });
+  }
+
   /**
    * Subscribe to game state changes for reactive updates
    */
   subscribeToStateChanges() {
+    // MoneyManager is the wallet; game state mirrors its balance
+    this.managers.money.subscribe((eventType, data) => {
+      switch (eventType) {
+        case 'moneyChanged':
+          this.gameState.setMoney(data);
+          break;
+
+        case 'killStreak':
+          this.managers.ui.showNotification(
+            data.bonus > 0 ? `x${data.streak} streak! +💰${data.bonus}` : `x${data.streak} streak!`,
+            'success',
+            1.5
+          );
+          break;
+
+        default:
+          break;
+      }
+    });
+    this.gameState.setMoney(this.managers.money.getMoney());
+
+    // Open fields: towers placed or sold change the routes
+    this.managers.map.subscribe((eventType) => {
+      if (eventType === 'routeChanged') {
+        this.applyMapPath();
+
+        // A save being loaded brings the routes its enemies were on
+        if (!this.saves.isApplying) {
+          this.rerouteEnemies();
+        }
+      }
+    });
+
+    // Killed enemies leave a death animation behind
+    this.managers.enemy.subscribe((eventType, data) => {
+      if (eventType === 'enemyKilled') {
+        this.renderers.enemy.addDeath(data, this.animationTime);
+      }
+    });
+
     this.gameState.subscribe((eventType, data) => {
       switch (eventType) {
         case 'gameRunningChanged':
@@ -172,6 +313,11 @@ class GameEngine {
           // Update UI with new lives
           break;
 
+        case 'waveCompleted':
+          // Saved at the end of the update, once the next wave is set up
+          this.autosavePending = SAVE_CONFIG.autosaveOnWaveComplete;
+          break;
+
         default:
           break;
       }
@@ -196,6 +342,31 @@ class GameEngine {
     console.log('🎮 Game started');
   }
 
+  /**
+   * Start the next wave now (build phase or, with overlap, once the current
+   * wave has spawned) and pay the early call bonus
+   * @returns {boolean} True if a wave was started
+   */
+  callNextWave() {
+    if (!this.gameState.getGameRunning() || this.gameState.getGameOver() || this.gameState.getGameWon()) {
+      return false;
+    }
+
+    const bonus = this.managers.wave.callNextWave(this.managers.enemy, this.gameState);
+    if (bonus === null) return false;
+
+    const waveNumber = this.managers.wave.getCurrentWave();
+    if (bonus > 0) {
+      this.managers.money.addMoney(bonus, TRANSACTION_TYPES.EARLY_CALL, { wave: waveNumber });
+    }
+
+    this.managers.ui.showNotification(
+      bonus > 0 ? `Wave ${waveNumber} called early! +💰${bonus}` : `Wave ${waveNumber} called early!`,
+      'info'
+    );
+    return true;
+  }
+
   /**
    * Stop the game loop
    */
@@ -205,6 +376,175 @@ class GameEngine {
     console.log('⏹️ Game stopped');
   }
 
+  /**
+   * Advance a manually driven loop by one frame (headless runs)
+   * @param {number} deltaTime - Frame time in seconds
+   * @param {boolean} shouldRender - Render this frame too (default: true)
+   */
+  advance(deltaTime, shouldRender = true) {
+    this.gameLoop.tick(deltaTime, shouldRender);
+  }
+
+  /**
+   * Advance the simulation by exactly n fixed steps, then render once
+   * Runs even while paused, so it doubles as a frame-by-frame debugger
+   * @param {number} n - Number of steps (default: 1)
+   * @param {boolean} shouldRender - Render after stepping (default: true)
+   */
+  step(n = 1, shouldRender = true) {
+    this.isStepping = true;
+    try {
+      this.gameLoop.step(n, shouldRender);
+    } finally {
+      this.isStepping = false;
+    }
+  }
+
+  /**
+   * Get the seed used for gameplay randomness
+   * @returns {number}
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Reseed gameplay randomness (takes effect immediately)
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.rng.setSeed(seed);
+    this.managers.wave.setSeed(seed);
+  }
+
+  /**
+   * Get the game mode (classic or endless)
+   * @returns {string} GAME_MODES value
+   */
+  getMode() {
+    return this.managers.wave.getMode();
+  }
+
+  /**
+   * Get the difficulty (DIFFICULTY_PRESETS key)
+   * @returns {string}
+   */
+  getDifficulty() {
+    return this.managers.enemy.getScaling().difficulty;
+  }
+
+  /**
+   * Get the active mutators (ENEMY_MUTATORS keys)
+   * @returns {Array<string>}
+   */
+  getMutators() {
+    return this.managers.enemy.getScaling().mutators;
+  }
+
+  /**
+   * Get the engine RNG
+   * @returns {SeededRandom}
+   */
+  getRandom() {
+    return this.rng;
+  }
+
+  /**
+   * Get the wallet (every money transaction goes through it)
+   * @returns {MoneyManager}
+   */
+  getMoneyManager() {
+    return this.managers.money;
+  }
+
+  /**
+   * Get the pricing service (every tower price shown or charged)
+   * @returns {PricingService}
+   */
+  getPricing() {
+    return this.managers.money.getPricing();
+  }
+
+  /**
+   * Get game time in simulation ticks (replay timestamps)
+   * @returns {number}
+   */
+  getTick() {
+    return this.tick;
+  }
+
+  // ============================================
+  // SAVE GAMES
+  // ============================================
+
+  /**
+   * Save the current game into a slot
+   * @param {string|number} slot - Slot id (default: quicksave)
+   * @param {string} name - Display name (optional)
+   * @returns {boolean} Success
+   */
+  saveGame(slot = SAVE_CONFIG.quicksaveSlot, name = null) {
+    return this.saves.save(slot, name);
+  }
+
+  /**
+   * Load a slot into the running game (comes back paused)
+   * @param {string|number} slot - Slot id (default: quicksave)
+   * @returns {boolean} Success
+   */
+  loadGame(slot = SAVE_CONFIG.quicksaveSlot) {
+    if (!this.isInitialized) {
+      console.error('❌ GameEngine not initialized. Call initialize() first.');
+      return false;
+    }
+
+    return this.saves.load(slot);
+  }
+
+  /**
+   * Get the save manager (slots, JSON export/import)
+   * @returns {SaveManager}
+   */
+  getSaveManager() {
+    return this.saves;
+  }
+
+  // ============================================
+  // REPLAYS
+  // ============================================
+
+  /**
+   * Start recording player actions into a replay
+   * Call before the game starts; a reset starts a fresh recording
+   * @returns {ReplayRecorder}
+   */
+  startRecording() {
+    if (!this.recorder) {
+      this.recorder = new ReplayRecorder(this);
+    }
+
+    this.recorder.start();
+    return this.recorder;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The finished replay
+   */
+  stopRecording() {
+    if (!this.recorder) return null;
+    return this.recorder.stop();
+  }
+
+  /**
+   * Get the replay recorded so far (recording continues)
+   * @returns {Object|null}
+   */
+  getReplay() {
+    return this.recorder ? this.recorder.getReplay() : null;
+  }
+
   /**
    * Toggle pause state
    */
@@ -222,22 +562,45 @@ class GameEngine {
     if (!this.gameState.getGameRunning()) return;
 
     // Don't update logic if paused (but keep rendering)
-    if (this.gameState.getGamePaused()) return;
+    if (this.gameState.getGamePaused() && !this.isStepping) return;
 
     try {
+      this.tick++;
+      this.animationTime += deltaTime;
+
+      // Remember where entities were, for interpolated rendering
+      this.capturePreviousPositions();
+
       // Update game state performance metrics
       this.gameState.setDeltaTime(deltaTime);
       this.gameState.setFPS(this.gameLoop.getFPS());
 
       // Update systems in dependency order
-      // 1. Wave manager (spawns enemies)
-      this.managers.wave.update(deltaTime, this.managers.enemy, this.gameState);
+      // 1. Wave manager (spawns enemies), bosses get an intro banner
+      const spawned = this.managers.wave.update(deltaTime, this.managers.enemy, this.gameState);
+      spawned.filter(enemy => enemy.isBoss).forEach(boss => this.managers.ui.showBossIntro(boss));
 
-      // 2. Enemy manager (moves enemies)
-      this.managers.enemy.update(deltaTime);
+      // 1b. Economy clock (kill streak window, passive income)
+      this.managers.money.update(deltaTime);
+
+      // 2. Enemy manager (moves enemies, ticks status effects, abilities - some attack towers)
+      const killedByEffects = this.managers.enemy.update(deltaTime, {
+        queryTowers: (x, y, radius) => this.managers.tower.getTowersInArea(x, y, radius),
+        damageTower: (tower, amount) => this.damageTower(tower, amount),
+        creditDamage: (enemy, amount, sourceTowerId) => this.creditTowerDamage(sourceTowerId, amount),
+      });
+      killedByEffects.forEach(enemy => this.handleEnemyKilled(enemy));
+
+      // 2b. Bosses (phases, abilities)
+      this.updateBosses(deltaTime);
 
       // 3. Tower manager (finds targets)
-      this.managers.tower.update(deltaTime, this.managers.enemy.getEnemies(), this.managers.projectile);
+      this.managers.tower.update(
+        deltaTime,
+        this.managers.enemy.getEnemies(),
+        this.managers.projectile,
+        this.managers.enemy.getSpatialIndex()
+      );
 
       // 4. Projectile manager (moves projectiles)
       this.managers.projectile.update(deltaTime);
@@ -254,6 +617,14 @@ class GameEngine {
       // 8. UI updates (last, so it has latest state)
       this.managers.ui.update(deltaTime);
 
+      // 9. Autosave between waves
+      if (this.autosavePending) {
+        this.autosavePending = false;
+        if (!this.gameState.getGameOver() && !this.gameState.getGameWon()) {
+          this.saves.save(SAVE_CONFIG.autosaveSlot);
+        }
+      }
+
     } catch (error) {
       console.error('❌ Error during game update:', error);
       this.gameState.setGameError(true);
@@ -264,8 +635,11 @@ class GameEngine {
   /**
    * Render the game (called every frame by GameLoop)
    * Uses RenderSurface for all drawing (platform-agnostic)
+   * @param {number} alpha - Interpolation between previous and current step (0-1, default: 1)
    */
-  render() {
+  render(alpha = 1) {
+    const interpolated = alpha < 1 ? this.applyInterpolation(alpha) : null;
+
     try {
       // Clear canvas with background color
       this.renderSurface.clear(GAME_CONFIG.backgroundColor);
@@ -284,12 +658,16 @@ class GameEngine {
 
       // 2. Game map background
       this.renderers.grid.render(this.managers.map.getCurrentMap());
-      this.renderers.path.render(this.managers.map.getCurrentMap());
+      const waves = this.managers.wave;
+      this.renderers.path.render(
+        this.managers.map.getCurrentMap(),
+        waves.canCallNextWave() ? waves.getUpcomingLanes() : []
+      );
 
       // 3. Game entities
-      this.renderers.tower.render(this.managers.tower.getTowers());
-      this.renderers.enemy.render(this.managers.enemy.getEnemies());
-      this.renderers.projectile.render(this.managers.projectile.getProjectiles());
+      this.renderers.tower.render(this.managers.tower.getTowers(), this.animationTime);
+      this.renderers.enemy.render(this.managers.enemy.getEnemies(), this.animationTime);
+      this.renderers.projectile.render(this.managers.projectile.getProjectiles(), this.animationTime);
 
       // Restore camera transform
       this.renderSurface.restoreCameraTransform?.();
@@ -305,6 +683,124 @@ class GameEngine {
     } catch (error) {
       console.error('❌ Error during render:', error);
       // Continue rendering next frame
+    } finally {
+      if (interpolated) {
+        this.restoreInterpolation(interpolated);
+      }
+    }
+  }
+
+  // ============================================
+  // INTERPOLATION
+  // ============================================
+
+  /**
+   * Store each moving entity's position before the simulation step
+   * @private
+   */
+  capturePreviousPositions() {
+    for (const enemy of this.managers.enemy.getEnemies()) {
+      enemy.prevX = enemy.x;
+      enemy.prevY = enemy.y;
+    }
+
+    for (const projectile of this.managers.projectile.getProjectiles()) {
+      projectile.prevX = projectile.x;
+      projectile.prevY = projectile.y;
+    }
+  }
+
+  /**
+   * Move entities to their interpolated positions for this render only
+   * Renderers keep reading x/y; the simulated positions are restored right after
+   * @private
+   * @param {number} alpha - 0 = previous step, 1 = current step
+   * @returns {Array} Saved simulated positions
+   */
+  applyInterpolation(alpha) {
+    const saved = [];
+    const entities = [
+      ...this.managers.enemy.getEnemies(),
+      ...this.managers.projectile.getProjectiles(),
+    ];
+
+    for (const entity of entities) {
+      if (entity.prevX === undefined) continue;
+
+      saved.push({ entity, x: entity.x, y: entity.y });
+      entity.x = entity.prevX + (entity.x - entity.prevX) * alpha;
+      entity.y = entity.prevY + (entity.y - entity.prevY) * alpha;
+    }
+
+    return saved;
+  }
+
+  /**
+   * Put simulated positions back after rendering
+   * @private
+   */
+  restoreInterpolation(saved) {
+    for (const { entity, x, y } of saved) {
+      entity.x = x;
+      entity.y = y;
+    }
+  }
+
+  // ============================================
+  // BOSSES
+  // ============================================
+
+  /**
+   * Run every boss's script (phase changes, abilities) and tell the player
+   * @private
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateBosses(deltaTime) {
+    const enemyManager = this.managers.enemy;
+    const context = {
+      spawnMinion: (enemyType, boss) => enemyManager.spawnMinion(enemyType, boss),
+      getTowers: () => this.managers.tower.getTowers(),
+    };
+
+    for (const boss of enemyManager.getBosses()) {
+      for (const event of boss.updateBoss(deltaTime, context)) {
+        this.announceBossEvent(boss, event);
+      }
+    }
+  }
+
+  /**
+   * Show a boss event as a notification
+   * @private
+   * @param {Boss} boss - Boss the event comes from
+   * @param {Object} event - Event from Boss.updateBoss()
+   */
+  announceBossEvent(boss, event) {
+    const ui = this.managers.ui;
+
+    if (event.type === 'phase') {
+      // The intro banner covers the first phase
+      if (event.phaseIndex > 0) {
+        ui.showNotification(`🐉 ${boss.name}: ${event.phase}!`, 'warning');
+      }
+      return;
+    }
+
+    switch (event.ability) {
+      case 'summon':
+        ui.showNotification(`🐉 ${boss.name} summons ${event.summoned} ${event.minionType}`, 'warning', 2);
+        break;
+
+      case 'fireBreath':
+        ui.showNotification(`🔥 ${boss.name} scorches ${event.towers} tower(s)!`, 'error', 2);
+        break;
+
+      case 'shield':
+        ui.showNotification(`🛡️ ${boss.name} raises a shield`, 'info', 2);
+        break;
+
+      default:
+        break;
     }
   }
 
@@ -314,42 +810,171 @@ class GameEngine {
 
   /**
    * Check for collisions between projectiles and enemies
-   * Applies damage and removes projectiles on hit
+   * Applies damage (single target or splash), then the projectile's on-hit
+   * effects. Piercing projectiles hit each enemy at most once, up to their pierce count.
    */
   checkProjectileEnemyCollisions() {
     const projectiles = this.managers.projectile.getProjectiles();
-    const enemies = this.managers.enemy.getEnemies();
+    const enemyIndex = this.managers.enemy.getSpatialIndex();
 
     for (const projectile of projectiles) {
-      if (projectile.hasHit) continue; // Already hit
+      if (projectile.hasHit) continue; // Already spent
+
+      // Broadphase: only enemies sharing a spatial cell with the projectile
+      const nearbyEnemies = enemyIndex.queryRect(projectile.x, projectile.y, projectile.width, projectile.height);
 
-      for (const enemy of enemies) {
+      for (const enemy of nearbyEnemies) {
         if (enemy.isDead) continue; // Dead enemies don't collide
+        if (!projectile.canHit(enemy)) continue; // Already pierced this one
 
         // Simple AABB collision detection
         if (this.checkCollision(projectile, enemy)) {
-          // Apply damage
-          const damage = projectile.damage;
-          const damageType = projectile.damageType || 'normal';
-          enemy.takeDamage(damage, damageType);
-
-          // Mark projectile as hit
-          projectile.hit();
-
-          // Award money if enemy died
-          if (enemy.isDead) {
-            this.managers.money.addMoney(enemy.bounty);
-            this.gameState.incrementEnemiesKilled(1);
-            this.gameState.addScore(enemy.bounty);
-          }
+          this.resolveProjectileHit(projectile, enemy);
 
-          // Only one hit per projectile
-          break;
+          // Mark projectile as hit (spent unless it can pierce further)
+          projectile.hit(enemy);
+
+          if (projectile.hasHit) break;
         }
       }
     }
   }
 
+  /**
+   * Apply a projectile's damage and effects to the enemy it hit
+   * @private
+   * @param {Projectile} projectile - Projectile that hit
+   * @param {Enemy} enemy - Enemy that was hit
+   */
+  resolveProjectileHit(projectile, enemy) {
+    const enemyManager = this.managers.enemy;
+    const damage = projectile.damage;
+    const damageType = projectile.damageType || 'normal';
+    const sourceTowerId = projectile.sourceTowerId;
+
+    if (projectile.areaOfEffect > 0) {
+      // Splash around the impact, weaker towards the edge when falloff is set
+      // (only the layers the tower can target: a ground blast misses flyers overhead)
+      const splashTargets = enemyManager.getEnemiesInArea(enemy.x, enemy.y, projectile.areaOfEffect)
+        .filter(target => projectile.canAffect(target));
+
+      for (const target of splashTargets) {
+        const dx = target.x - enemy.x;
+        const dy = target.y - enemy.y;
+        const splashDamage = calculateSplashDamage(
+          damage,
+          Math.sqrt(dx * dx + dy * dy),
+          projectile.areaOfEffect,
+          projectile.splashFalloff
+        );
+        this.damageEnemy(target, splashDamage, damageType, sourceTowerId);
+      }
+    } else {
+      this.damageEnemy(enemy, damage, damageType, sourceTowerId);
+    }
+
+    // Slow, poison, chain lightning... (on the enemy that was hit)
+    applyOnHitEffects(projectile.effects, enemy, {
+      damage,
+      damageType,
+      sourceTowerId,
+      queryEnemies: (x, y, radius) => enemyManager.getSpatialIndex().queryRadius(x, y, radius)
+        .filter(target => projectile.canAffect(target)),
+      dealDamage: (target, amount, type) => this.damageEnemy(target, amount, type, sourceTowerId),
+    });
+  }
+
+  /**
+   * Damage an enemy and award the kill if it dies
+   * @param {Enemy} enemy - Enemy to damage
+   * @param {number} amount - Damage amount
+   * @param {string} damageType - Damage type
+   * @param {number|null} sourceTowerId - Tower credited with the damage and the kill (optional)
+   * @returns {number} Health actually removed from the enemy
+   */
+  damageEnemy(enemy, amount, damageType = 'normal', sourceTowerId = null) {
+    if (enemy.isDead) return 0;
+
+    const dealt = enemy.takeDamage(amount, damageType, sourceTowerId);
+    this.creditTowerDamage(sourceTowerId, dealt);
+
+    if (enemy.isDead) {
+      // Death abilities (splitter) - effect kills run them in the enemy update
+      this.managers.enemy.handleEnemyDeath(enemy);
+      this.handleEnemyKilled(enemy);
+    }
+
+    return dealt;
+  }
+
+  /**
+   * Damage a tower (enemy attacks) and tell the player when it falls
+   * @param {Tower} tower - Tower to damage
+   * @param {number} amount - Damage amount
+   * @returns {boolean} True if the tower was destroyed (it is now a ruin)
+   */
+  damageTower(tower, amount) {
+    const destroyed = this.managers.tower.damageTower(tower, amount, this.gameState);
+
+    if (destroyed) {
+      this.managers.ui.showNotification(`🏚️ ${tower.config.name} destroyed! Rebuild it from the ruins`, 'error', 2);
+    }
+
+    return destroyed;
+  }
+
+  /**
+   * Award money and score for a killed enemy, and the kill to the tower
+   * that dealt the killing blow
+   * @param {Enemy} enemy - Enemy that just died
+   */
+  handleEnemyKilled(enemy) {
+    const bounty = this.managers.money.awardEnemyBounty(enemy);
+    this.gameState.incrementEnemiesKilled(1);
+    this.gameState.addScore(enemy.bounty);
+    this.creditTowerKill(enemy.killedBy, enemy, bounty);
+  }
+
+  /**
+   * Add damage to a tower's statistics
+   * @param {number|null} towerId - Tower that dealt the damage (none or sold: nobody is credited)
+   * @param {number} amount - Damage dealt
+   */
+  creditTowerDamage(towerId, amount) {
+    if (amount <= 0) return;
+
+    this.managers.tower.getTowerById(towerId)?.recordDamage(amount);
+  }
+
+  /**
+   * Give a tower the kill: statistics and experience (level ups are automatic,
+   * splits of the upgrade tree wait for the player's pick)
+   * @param {number|null} towerId - Tower that dealt the killing blow
+   * @param {Enemy} enemy - Enemy that died
+   * @param {number} bounty - Money the kill paid
+   */
+  creditTowerKill(towerId, enemy, bounty) {
+    const tower = this.managers.tower.getTowerById(towerId);
+    if (!tower) return;
+
+    tower.recordKill(bounty);
+
+    // Ruins (hit by shots still in flight) keep their level
+    if (tower.isDead) return;
+
+    const wasReady = tower.hasLevelUpReady();
+    const newLevel = tower.addExperience(enemy.bounty * KILL_EXPERIENCE_PER_BOUNTY);
+
+    if (newLevel > 0) {
+      this.gameState.notifyListeners('towerLeveledUp', { gridX: tower.gridX, gridY: tower.gridY, level: newLevel });
+      this.managers.ui.showNotification(`⭐ ${tower.config.name} reached level ${newLevel}!`, 'success', 2);
+    }
+
+    if (!wasReady && tower.hasLevelUpReady()) {
+      this.managers.ui.showNotification(`⭐ ${tower.config.name} is ready to specialize: pick in the tower panel`, 'info', 3);
+    }
+  }
+
   /**
    * AABB (Axis-Aligned Bounding Box) collision detection
    * Simple rectangular collision check
@@ -396,27 +1021,24 @@ class GameEngine {
     const waves = this.managers.wave;
     const enemies = this.managers.enemy.getEnemies();
 
-    // Check lose condition
-    if (lives <= 0 && !this.gameState.getGameOver()) {
-      this.endGame(false, 'No lives remaining');
+    // Check lose condition (losing the last life may already have ended the
+    // game: no wave completes after that)
+    if (lives <= 0) {
+      if (!this.gameState.getGameOver()) {
+        this.endGame(false, 'No lives remaining');
+      }
       return;
     }
 
-    // Check if current wave is complete (all enemies spawned AND all dead)
-    if (
-      waves.isCurrentWaveActive() &&
-      waves.allEnemiesSpawned &&
-      enemies.length === 0
-    ) {
-      // Complete the wave and get reward
-      const reward = waves.completeWave(this.gameState);
-      this.managers.money.addMoney(reward);
-      
-      // Check if there are more waves
-      if (waves.getCurrentWave() <= waves.getTotalWaves()) {
-        // Auto-start next wave after a short delay (or wait for player input)
-        console.log(`🌊 Starting wave ${waves.getCurrentWave()}...`);
-        waves.startWave(this.managers.enemy, this.gameState);
+    // Complete every wave that has spawned everything and has no enemy left
+    // (waves overlap when called early). The build phase starts the next one.
+    for (const waveNumber of waves.getOpenWaves()) {
+      if (
+        waves.isWaveFinishedSpawning(waveNumber) &&
+        !this.managers.enemy.hasEnemiesFromWave(waveNumber)
+      ) {
+        const reward = waves.completeWave(this.gameState, waveNumber);
+        this.managers.money.awardWaveCompletion(waveNumber, reward);
       }
     }
 
@@ -458,11 +1080,18 @@ class GameEngine {
     console.log('🔄 Resetting game...');
 
     this.gameState.reset();
+    this.gameLoop.resetSimulation();
+    this.rng.setSeed(this.seed);
+    this.tick = 0;
+    this.animationTime = 0;
+    this.autosavePending = false;
+    this.renderers.enemy.clearDeaths();
     this.managers.tower.clear();
     this.managers.enemy.clear();
     this.managers.projectile.clear();
     this.managers.wave.reset();
     this.managers.money.reset();
+    this.managers.ui.reset();
   }
 
   // ============================================
@@ -495,6 +1124,14 @@ class GameEngine {
     return this.renderers[rendererName] || null;
   }
 
+  /**
+   * Get the sprite asset manager
+   * @returns {AssetManager}
+   */
+  getAssets() {
+    return this.assets;
+  }
+
   /**
    * Get render surface
    * @returns {RenderSurface}
@@ -518,6 +1155,11 @@ class GameEngine {
   getSnapshot() {
     return {
       initialized: this.isInitialized,
+      seed: this.seed,
+      mode: this.getMode(),
+      difficulty: this.getDifficulty(),
+      mutators: this.getMutators(),
+      tick: this.tick,
       gameState: this.gameState.getSnapshot(),
       gameLoop: this.gameLoop.getPerformanceReport(),
       renderSurface: this.renderSurface.getSnapshot(),
@@ -527,6 +1169,8 @@ class GameEngine {
         projectiles: this.managers.projectile.getProjectiles().length,
         currentWave: this.managers.wave.getCurrentWave(),
         money: this.gameState.getMoney(),
+        // Stats enemies of the current wave spawn with
+        enemyStats: this.managers.enemy.getScaledStats(this.managers.wave.getCurrentWave()),
       },
     };
   }
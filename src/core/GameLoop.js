@@ -2,12 +2,41 @@
  * GameLoop
  * Manages the main game loop using requestAnimationFrame.
  * Handles frame timing, delta time calculation, and FPS tracking.
+ *
+ * Without requestAnimationFrame (Node, headless runs) the loop is driven
+ * manually: start() only marks it running and each tick(deltaTime) runs one frame.
+ *
+ * Fixed-timestep mode (options.fixedTimeStep): frame time is added to an
+ * accumulator and the simulation always advances in whole fixed steps, so
+ * results never depend on frame rate. Render receives an interpolation
+ * alpha (0-1) for the leftover fraction of a step. step(n) advances exactly
+ * n simulation steps on demand.
  */
 class GameLoop {
-    constructor (updateCallback, renderCallback){
+    /**
+     * @param {Function} updateCallback - Called with deltaTime (seconds) every frame
+     * @param {Function} renderCallback - Called after update every frame
+     * @param {Object} options - Loop options
+     * @param {boolean} options.useAnimationFrame - Drive the loop with requestAnimationFrame (default: when available)
+     * @param {number|null} options.fixedTimeStep - Simulation step in seconds, null for variable delta (default: null)
+     * @param {number} options.maxStepsPerFrame - Cap on fixed steps per frame before backlog is dropped (default: 5)
+     */
+    constructor (updateCallback, renderCallback, options = {}){
         this.updateCallback = updateCallback;
         this.renderCallback = renderCallback;
 
+        //frame source
+        this.useAnimationFrame = options.useAnimationFrame ?? (typeof requestAnimationFrame === 'function');
+        this.simulatedTime = 0; //ms, clock for manually ticked frames
+
+        //fixed timestep
+        this.fixedTimeStep = options.fixedTimeStep ?? null; //seconds per simulation step
+        this.maxStepsPerFrame = options.maxStepsPerFrame ?? 5;
+        this.accumulator = 0; //unsimulated frame time in seconds
+        this.interpolationAlpha = 1; //fraction of a step left in the accumulator
+        this.simulationFrame = 0; //simulation steps run since reset
+        this.simulationTime = 0; //simulated seconds since reset
+
         //timing
         this.lastFrameTime = 0;
         this.deltaTime = 0;
@@ -43,12 +72,16 @@ class GameLoop {
         }
 
         this.isRunning = true;
-        this.lastFrameTime = performance.now();
+        this.lastFrameTime = this.useAnimationFrame ? performance.now() : this.simulatedTime;
         this.frameCount = 0;
         this.fpsUpdateTime = this.lastFrameTime;
 
         console.log(' Gameloop started')
-        this.loop();
+
+        //manual loops wait for tick() calls
+        if (this.useAnimationFrame) {
+            this.loop();
+        }
     }
 
     /**
@@ -62,7 +95,7 @@ class GameLoop {
 
         this.isRunning = false;
 
-        if(this.animationFrameId !== null) {
+        if(this.animationFrameId !== null && this.useAnimationFrame) {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
@@ -88,30 +121,145 @@ class GameLoop {
 
             this.lastFrameTime = currentTime;
 
-            //update FPS counter
-            this.updateFPS(currentTime);
+            this.runFrame(currentTime, this.deltaTime, true);
+        } catch (error) {
+            console.error('Error in game loop: ', error);
+            //continue to llop even if there is an error
+        }
 
-            //record frame timing for performance monitoring
-            this.recordFrameTiming(this.deltaTime);
+        //request next frame
+        this.animationFrameId = requestAnimationFrame(this.loop);
+    }
 
-            //call update callback with delta time
-            if(this.updateCallback) {
-                this.updateCallback(this.deltaTime);
-            } 
+    /**
+     * Run a single frame with an explicit delta time (manual / headless loops)
+     * @param {number} deltaTime - Frame time in seconds (not capped)
+     * @param {boolean} shouldRender - Call the render callback too (default: true)
+     */
+    tick(deltaTime, shouldRender = true){
+        if(!this.isRunning) return;
 
-            //call render callback
-            if (this.renderCallback) {
-                this.renderCallback();
-            }
+        try {
+            this.simulatedTime += deltaTime * 1000;
+            this.lastFrameTime = this.simulatedTime;
 
-            this.frameCount++;
+            this.runFrame(this.simulatedTime, deltaTime, shouldRender);
         } catch (error) {
             console.error('Error in game loop: ', error);
-            //continue to llop even if there is an error
         }
+    }
 
-        //request next frame
-        this.animationFrameId = requestAnimationFrame(this.loop);
+    /**
+     * Advance the simulation by exactly n steps, then render once
+     * Works whether or not the loop is running (frame-by-frame debugging, replays, CI)
+     * @param {number} n - Number of simulation steps (default: 1)
+     * @param {boolean} shouldRender - Render after stepping (default: true)
+     */
+    step(n = 1, shouldRender = true){
+        const stepTime = this.getStepTime();
+
+        for (let i = 0; i < n; i++) {
+            this.simulate(stepTime);
+        }
+
+        if (shouldRender && this.renderCallback) {
+            this.interpolationAlpha = 1;
+            this.renderCallback(1);
+        }
+    }
+
+    /**
+     * Run update(s) + render for one frame of real (or ticked) time
+     * @private
+     * @param {number} currentTime - Frame timestamp in ms
+     * @param {number} frameTime - Frame time in seconds
+     * @param {boolean} shouldRender - Call the render callback
+     */
+    runFrame(currentTime, frameTime, shouldRender){
+        //update FPS counter
+        this.updateFPS(currentTime);
+
+        //record frame timing for performance monitoring
+        this.recordFrameTiming(frameTime);
+
+        if (this.fixedTimeStep) {
+            //consume the accumulator in whole fixed steps
+            this.accumulator += frameTime;
+            let steps = 0;
+
+            while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+                this.simulate(this.fixedTimeStep);
+                this.accumulator -= this.fixedTimeStep;
+                steps++;
+            }
+
+            //too far behind, drop the backlog instead of spiralling
+            if (this.accumulator >= this.fixedTimeStep) {
+                this.accumulator = this.accumulator % this.fixedTimeStep;
+            }
+
+            this.interpolationAlpha = this.accumulator / this.fixedTimeStep;
+        } else {
+            this.simulate(frameTime);
+            this.interpolationAlpha = 1;
+        }
+
+        //call render callback
+        if (shouldRender && this.renderCallback) {
+            this.renderCallback(this.interpolationAlpha);
+        }
+
+        this.frameCount++;
+    }
+
+    /**
+     * Run one simulation update
+     * @private
+     * @param {number} deltaTime - Step time in seconds
+     */
+    simulate(deltaTime){
+        this.deltaTime = deltaTime;
+        this.simulationFrame++;
+        this.simulationTime += deltaTime;
+
+        //call update callback with delta time
+        if(this.updateCallback) {
+            this.updateCallback(deltaTime);
+        }
+    }
+
+    /**
+     * Get the time one step() advances by
+     * @returns {number} Seconds (fixed step, or target frame time in variable mode)
+     */
+    getStepTime(){
+        return this.fixedTimeStep || this.targetFrameTime / 1000;
+    }
+
+    /**
+     * Reset the simulation clock (new game)
+     */
+    resetSimulation(){
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;
+        this.simulationFrame = 0;
+        this.simulationTime = 0;
+    }
+
+    /**
+     * Get number of simulation steps run since reset
+     * @returns {number}
+     */
+    getSimulationFrame(){
+        return this.simulationFrame;
+    }
+
+    /**
+     * Get simulated seconds since reset
+     * @returns {number}
+     */
+    getSimulationTime(){
+        return this.simulationTime;
     }
 
     /**
@@ -220,6 +368,8 @@ class GameLoop {
         maxFrameTime: this.getMaxFrameTime().toFixed(2),
         minFrameTime: this.getMinFrameTime().toFixed(2),
         frameCount: this.frameCount,
+        fixedTimeStep: this.fixedTimeStep,
+        simulationFrame: this.simulationFrame,
         isRunning: this.isRunning,
         isPaused: this.isPaused,
     };
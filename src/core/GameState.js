@@ -16,7 +16,7 @@ class GameState {
         this.hasError = false;
 
         //player Resources
-        this.money = 500; //starting budget
+        this.money = 500; //mirror of MoneyManager (the wallet), kept in sync by GameEngine
         this.lives = 20; //.. lives
         this.score = 0;
 
@@ -30,8 +30,6 @@ class GameState {
         this.stats = {
             totalEnemiesKilled: 0,
             totalTowersPlaced: 0,
-            totalMoneyEarned: 0,
-            totalMoneySpent: 0,
             highScore: this.loadHighScore(),
         };
 
@@ -78,8 +76,6 @@ class GameState {
         //game stats
         this.stats.totalEnemiesKilled = 0;
         this.stats.totalTowersPlaced = 0;
-        this.stats.totalMoneyEarned = 0;
-        this.stats.totalMoneySpent = 0;
         
         // UI State
         this.selectedTowerType = null;
@@ -204,40 +200,16 @@ class GameState {
    // ===========================
 
    /**
-    * Add money to the player
-    * @param {number} amount - money to be added
-    * @returns {boolean} success
+    * Set the mirrored balance
+    * Money is earned and spent through MoneyManager only; GameEngine copies
+    * its balance here so the UI and snapshots can read it from game state
+    * @param {number} amount - current balance
     */
-   addMoney(amount){
-    if(amount < 0) {
-        console.warn('Cannot add negative money');
-        return false;
-    }
-    this.money += amount;
-    this.stats.totalMoneyEarned += amount;
-    this.notifyListeners('moneyChanged', this.money);
-    return true;
-   }
-
-
-   /**
-    * Spend money
-    * @param {number} amount - amount to be spent
-    * @returns { boolean } success if player has enough money
-    */
-   spendMoney(amount){
-    if(amount < 0) {
-        console.warn('Cannot spend negative money');
-        return false;
+   setMoney(amount){
+    if(this.money !== amount) {
+        this.money = amount;
+        this.notifyListeners('moneyChanged', this.money);
     }
-    if(this.money < amount){
-        console.warn( `Insufficient funds. Have: ${this.money}, Need: ${this.amount}`);
-        return false;
-    }
-    this.money -= amount;
-    this.stats.totalMoneySpent += amount;
-    this.notifyListeners('moneyChanged', this.money);
-    return true;
    }
 
 
@@ -395,10 +367,11 @@ class GameState {
 
     /**
      * complete a wave
+     * @param {number} waveNumber - Completed wave (default: current wave; older when waves overlap)
      */
-    completeWave () {
+    completeWave (waveNumber = this.currentWave) {
         this.waveCompleted = true;
-        this.notifyListeners('waveCompleted', this.currentWave)
+        this.notifyListeners('waveCompleted', waveNumber)
     }
 
 
@@ -628,6 +601,8 @@ class GameState {
      * @param {number} score - Score to save
      */
     saveHighSCore(score){
+        if (typeof localStorage === 'undefined') return;
+
         try {
             localStorage.setItem('towerDefenseHighScore', score.toString());
         } catch (error) {
@@ -640,16 +615,70 @@ class GameState {
      * @returns {number} -saved high score or 0
      */
     loadHighScore(){
+        //no storage when running headless (Node)
+        if (typeof localStorage === 'undefined') return 0;
+
         try {
             const saved = localStorage.getItem('towerDefenseHighScore');
             return saved ? parseInt(saved, 10) : 0;
         } catch (error) {
-            onsole.warn('Could no load high score from high Local storage: ', error);
+            console.warn('Could no load high score from high Local storage: ', error);
             return 0;
         }
     }
 
 
+    // ===================
+    // SAVE GAME METHODS
+    // ===================
+
+    /**
+     * Get persistent state for save games (resources, progress, stats)
+     * UI state and the high score are not part of a save
+     * @returns {Object} serializable state
+     */
+    serialize(){
+        return {
+            money: this.money,
+            lives: this.lives,
+            score: this.score,
+            currentWave: this.currentWave,
+            totalWaves: this.totalWaves,
+            waveStarted: this.waveStarted,
+            waveCompleted: this.waveCompleted,
+            stats: {
+                totalEnemiesKilled: this.stats.totalEnemiesKilled,
+                totalTowersPlaced: this.stats.totalTowersPlaced,
+            },
+        };
+    }
+
+    /**
+     * Restore state saved with serialize()
+     * @param {Object} data - saved state
+     */
+    restore(data){
+        this.money = data.money;
+        this.lives = data.lives;
+        this.score = data.score;
+        this.currentWave = data.currentWave;
+        this.totalWaves = data.totalWaves;
+        this.waveStarted = data.waveStarted;
+        this.waveCompleted = data.waveCompleted;
+        Object.assign(this.stats, data.stats);
+
+        this.isGameOver = false;
+        this.isGameWon = false;
+        this.hasError = false;
+
+        this.notifyListeners('stateRestored', data);
+        this.notifyListeners('moneyChanged', this.money);
+        this.notifyListeners('livesChanged', this.lives);
+        this.notifyListeners('scoreChanged', this.score);
+        this.notifyListeners('waveChanged', this.currentWave);
+    }
+
+
    // ========================
    // OBSERVER PATTERN METHODS
    // ========================
@@ -678,7 +707,7 @@ class GameState {
     this.listeners.forEach(callback => {
         try {
             callback(eventType, data);
-        } catch {
+        } catch (error) {
             console.error("Error in state listner callback", error);
         }
     });
@@ -0,0 +1,204 @@
+/**
+ * HeadlessRunner
+ * Builds and drives a GameEngine with no DOM and no requestAnimationFrame.
+ *
+ * Architecture:
+ * HeadlessRunner → HeadlessSurface (records draw calls) → GameEngine → Game logic
+ *
+ * Used for CI and simulations: place towers, run N waves in simulated
+ * time, then check the outcome (lives, kills, money, wave reached).
+ *
+ * @example
+ * const runner = new HeadlessRunner();
+ * await runner.initialize();
+ * runner.placeTower('archer', 3, 5);
+ * runner.start();
+ * runner.runUntilWave(3);
+ * console.log(runner.getOutcome());
+ */
+
+import GameEngine from './GameEngine.js';
+import HeadlessSurface from '../rendering/HeadlessSurface.js';
+import { CANVAS_CONFIG } from '../utils/constants.js';
+
+class HeadlessRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {number} options.frameTime - Simulated seconds per frame (default: 1/60)
+   * @param {boolean} options.render - Render every frame into the surface (default: true)
+   * @param {number} options.maxSeconds - Default simulated time limit for run* methods (default: 3600)
+   * @param {number} options.seed - Gameplay seed; same seed + same inputs = same outcome (default: current time)
+   * @param {string} options.mode - Game mode, 'classic' or 'endless' (default: classic)
+   * @param {string} options.difficulty - 'easy', 'normal' or 'hard' (default: normal)
+   * @param {Array<string>} options.mutators - Enemy mutators (default: none)
+   * @param {string} options.map - Map id (default: the first map)
+   * @param {Object} options.surface - Options passed to HeadlessSurface
+   */
+  constructor(options = {}) {
+    this.options = {
+      frameTime: options.frameTime ?? 1 / 60,
+      render: options.render ?? true,
+      maxSeconds: options.maxSeconds ?? 3600,
+    };
+
+    this.surface = new HeadlessSurface({
+      width: CANVAS_CONFIG.width,
+      height: CANVAS_CONFIG.height,
+      ...options.surface,
+    });
+    this.engine = new GameEngine(this.surface, {
+      useAnimationFrame: false,
+      fixedTimeStep: this.options.frameTime,
+      seed: options.seed,
+      mode: options.mode,
+      difficulty: options.difficulty,
+      mutators: options.mutators,
+      map: options.map,
+    });
+
+    // Simulation clock
+    this.elapsedTime = 0;
+    this.framesRun = 0;
+  }
+
+  /**
+   * Initialize the engine and all systems
+   */
+  async initialize() {
+    await this.engine.initialize();
+  }
+
+  /**
+   * Start the game (first wave begins immediately)
+   */
+  start() {
+    this.engine.start();
+  }
+
+  /**
+   * Place a tower on a grid cell
+   * @param {string} towerType - Tower type (archer, mage, ...)
+   * @param {number} gridX - Grid X coordinate
+   * @param {number} gridY - Grid Y coordinate
+   * @returns {Tower|null} Placed tower or null
+   */
+  placeTower(towerType, gridX, gridY) {
+    const tileSize = CANVAS_CONFIG.tileSize;
+    return this.engine.getManager('tower').placeTower(
+      towerType,
+      gridX * tileSize + tileSize / 2,
+      gridY * tileSize + tileSize / 2,
+      this.engine.getGameState()
+    );
+  }
+
+  /**
+   * Run a single frame (exactly one fixed simulation step)
+   */
+  runFrame() {
+    this.engine.step(1, this.options.render);
+    this.elapsedTime += this.options.frameTime;
+    this.framesRun++;
+  }
+
+  /**
+   * Run for a fixed amount of simulated time (stops early if the game ends)
+   * @param {number} seconds - Simulated seconds
+   */
+  advance(seconds) {
+    const frames = Math.round(seconds / this.options.frameTime);
+
+    for (let i = 0; i < frames && !this.isFinished(); i++) {
+      this.runFrame();
+    }
+  }
+
+  /**
+   * Run until a predicate holds, the game ends, or the time limit is hit
+   * @param {Function} predicate - Called with the engine after every frame
+   * @param {number} maxSeconds - Simulated time limit
+   * @returns {boolean} True if the predicate was met
+   */
+  runUntil(predicate, maxSeconds = this.options.maxSeconds) {
+    const limit = this.elapsedTime + maxSeconds;
+
+    while (this.elapsedTime < limit) {
+      if (predicate(this.engine)) return true;
+      if (this.isFinished()) return false;
+      this.runFrame();
+    }
+
+    return predicate(this.engine);
+  }
+
+  /**
+   * Run until wave N has been completed (or the game ends)
+   * @param {number} waveNumber - Wave to complete
+   * @param {number} maxSeconds - Simulated time limit
+   * @returns {boolean} True if the wave was completed
+   */
+  runUntilWave(waveNumber, maxSeconds = this.options.maxSeconds) {
+    const waves = this.engine.getManager('wave');
+    return this.runUntil(() => waves.waveCompletedCount >= waveNumber, maxSeconds);
+  }
+
+  /**
+   * Run until the game is won or lost
+   * @param {number} maxSeconds - Simulated time limit
+   * @returns {boolean} True if the game finished within the limit
+   */
+  runToEnd(maxSeconds = this.options.maxSeconds) {
+    return this.runUntil(() => this.isFinished(), maxSeconds);
+  }
+
+  /**
+   * Has the game been won or lost?
+   * @returns {boolean}
+   */
+  isFinished() {
+    const gameState = this.engine.getGameState();
+    return gameState.getGameOver() || gameState.getGameWon();
+  }
+
+  /**
+   * Get the outcome of the run so far
+   * @returns {Object}
+   */
+  getOutcome() {
+    const gameState = this.engine.getGameState();
+    const waves = this.engine.getManager('wave');
+
+    return {
+      lives: gameState.getLives(),
+      money: gameState.getMoney(),
+      score: gameState.getScore(),
+      enemiesKilled: gameState.getStatistics().totalEnemiesKilled,
+      currentWave: waves.getCurrentWave(),
+      wavesCompleted: waves.waveCompletedCount,
+      isGameOver: gameState.getGameOver(),
+      isGameWon: gameState.getGameWon(),
+      towers: this.engine.getManager('tower').getTowers().length,
+      elapsedTime: this.elapsedTime,
+      frames: this.framesRun,
+      seed: this.engine.getSeed(),
+    };
+  }
+
+  /**
+   * Get the engine being driven
+   * @returns {GameEngine}
+   */
+  getEngine() {
+    return this.engine;
+  }
+
+  /**
+   * Get the headless surface (for draw call assertions)
+   * @returns {HeadlessSurface}
+   */
+  getSurface() {
+    return this.surface;
+  }
+}
+
+export default HeadlessRunner;
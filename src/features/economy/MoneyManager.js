@@ -2,19 +2,21 @@
  * MoneyManager.js
  * Manages player economy: money, transactions, scaling, and statistics.
  * Tracks income, expenses, and provides economic state queries.
+ *
+ * This is the player's only wallet. Every gain or payment is a typed
+ * transaction (TRANSACTION_TYPES) recorded in the ledger and announced to
+ * subscribers; GameState.money is just a mirror kept in sync by GameEngine.
  */
 
 import {
   ECONOMY_CONFIG,
-  getTowerCost,
-  getEnemyBounty,
-  getScaledBounty,
-  getWaveCompletionReward,
-  getUpgradeCost,
+  TRANSACTION_TYPES,
+  INCOME_TYPES,
+  EXPENSE_TYPES,
   getDifficultyMultipliers,
-  getAdjustedTowerCost,
   getAdjustedBounty,
 } from './economyConfig.js';
+import PricingService from './PricingService.js';
 
 class MoneyManager {
   /**
@@ -30,92 +32,123 @@ class MoneyManager {
     this.difficulty = difficulty;
     this.difficultyMultipliers = getDifficultyMultipliers(difficulty);
 
-    // Transactions
+    // Every tower price goes through here
+    this.pricing = new PricingService(this);
+
+    // Transaction ledger (most recent ECONOMY_CONFIG.maxLedgerEntries)
     this.transactionLog = [];
-    this.maxTransactionHistory = 100; // Keep last 100 transactions
+    this.maxTransactionHistory = ECONOMY_CONFIG.maxLedgerEntries;
+    this.nextTransactionId = 1;
+
+    // Game time source for ledger entries (set by the engine)
+    this.getTick = () => 0;
+
+    // Listeners for money events (observer pattern, like GameState)
+    this.listeners = [];
 
     // Statistics
-    this.stats = {
-      totalEarned: 0,          // Total money earned
-      totalSpent: 0,           // Total money spent on towers
-      totalBounties: 0,        // Total money from enemy kills
-      totalWaveRewards: 0,     // Total from wave completion bonuses
-      totalUpgradeCosts: 0,    // Total spent on upgrades
-      totalRepairCosts: 0,     // Total spent on repairs
-      killStreak: 0,           // Current kill streak count
-      lastKillTime: 0,         // Timestamp of last kill
-      maxMoneyReached: startingMoney,  // Highest money achieved
-      transactions: 0,         // Total transaction count
-    };
+    this.stats = this.createStats();
 
-    // Passive income
-    this.lastPassiveIncomeTime = Date.now();
+    // Game time in seconds (kill streak window)
+    this.gameTime = 0;
+
+    // Passive income (accumulates fractions of gold in game time)
     this.passiveIncomeEnabled = false;
+    this.passiveIncomeBuffer = 0;
 
     console.log(`💰 MoneyManager created (difficulty: ${difficulty}, starting: $${startingMoney})`);
   }
 
 
   /**
-     * Initialize the money manager
-     * Lifecycle hook for GameEngine
-    */
-  async initialize() {
+   * Initialize the money manager
+   * Lifecycle hook for GameEngine
+   * @param {Function} getTick - Returns the current game tick, stamped on every transaction (optional)
+   */
+  async initialize(getTick = null) {
+    if (getTick) {
+      this.getTick = getTick;
+    }
+
     console.log('💰 MoneyManager initialized');
   }
 
+  /**
+   * Fresh statistics
+   * @private
+   */
+  createStats() {
+    const totals = {};
+    [...INCOME_TYPES, ...EXPENSE_TYPES].forEach(type => {
+      totals[type] = 0;
+    });
+
+    return {
+      totalEarned: 0,          // Total money earned
+      totalSpent: 0,           // Total money spent
+      totals,                  // Transaction type -> total amount
+      killStreak: 0,           // Current kill streak count
+      lastKillTime: 0,         // Game time (seconds) of last kill
+      bestKillStreak: 0,       // Longest kill streak
+      streaksReached: 0,       // Streaks that reached killStreakMinKills
+      maxMoneyReached: this.startingMoney,  // Highest money achieved
+      transactions: 0,         // Total transaction count
+    };
+  }
+
   // ============================================
   // TRANSACTION METHODS
   // ============================================
 
   /**
-   * Add money (income from kills, bonuses, etc)
+   * Add money
    * @param {number} amount - Amount to add
-   * @param {string} source - Source description (kill, wave, bonus, etc)
+   * @param {string} type - Income type (TRANSACTION_TYPES: bounty, waveReward, sell, passive)
+   * @param {Object} details - What the money was for (enemy, tower, wave...), kept in the ledger
    * @returns {boolean} Success
    */
-  addMoney(amount, source = 'income') {
+  addMoney(amount, type, details = {}) {
+    if (!INCOME_TYPES.includes(type)) {
+      console.warn(`⚠️ Unknown income type: ${type}`);
+      return false;
+    }
+
     if (amount <= 0) {
       console.warn(`⚠️ Attempted to add invalid amount: ${amount}`);
       return false;
     }
 
-    this.currentMoney += amount;
+    // Cap max money (only what fits is credited)
+    const credited = Math.min(amount, ECONOMY_CONFIG.maxMoney - this.currentMoney);
+    this.currentMoney += credited;
 
     // Track max money reached
     if (this.currentMoney > this.stats.maxMoneyReached) {
       this.stats.maxMoneyReached = this.currentMoney;
     }
 
-    // Cap max money
-    if (this.currentMoney > ECONOMY_CONFIG.maxMoney) {
-      this.currentMoney = ECONOMY_CONFIG.maxMoney;
-    }
-
     // Update statistics
-    this.stats.totalEarned += amount;
-    this.stats.transactions++;
+    this.stats.totalEarned += credited;
+    this.stats.totals[type] += credited;
 
-    // Log transaction
-    this.logTransaction({
-      type: 'income',
-      source,
-      amount,
-      balanceBefore: this.currentMoney - amount,
-      balanceAfter: this.currentMoney,
-      timestamp: Date.now(),
-    });
+    this.recordTransaction('income', type, credited, details);
 
     return true;
   }
 
   /**
-   * Spend money (towers, upgrades, repairs)
+   * Spend money
    * @param {number} amount - Amount to spend
-   * @param {string} purpose - Purpose description (tower, upgrade, repair, etc)
+   * @param {string} type - Expense type (TRANSACTION_TYPES: purchase, upgrade, repair)
+   * @param {Object} details - What the money was for (tower, level...), kept in the ledger
    * @returns {boolean} Success if sufficient funds
    */
-  spendMoney(amount, purpose = 'expense') {
+  spendMoney(amount, type, details = {}) {
+    if (!EXPENSE_TYPES.includes(type)) {
+      console.warn(`⚠️ Unknown expense type: ${type}`);
+      return false;
+    }
+
     if (amount <= 0) {
       console.warn(`⚠️ Attempted to spend invalid amount: ${amount}`);
       return false;
@@ -123,6 +156,7 @@ class MoneyManager {
 
     if (this.currentMoney < amount) {
       console.warn(`💸 Insufficient funds: have $${this.currentMoney}, need $${amount}`);
+      this.notifyListeners('insufficientFunds', { type, amount, balance: this.currentMoney, details });
       return false;
     }
 
@@ -130,96 +164,180 @@ class MoneyManager {
 
     // Update statistics
     this.stats.totalSpent += amount;
-    this.stats.transactions++;
-
-    // Category-specific stats
-    if (purpose === 'upgrade') {
-      this.stats.totalUpgradeCosts += amount;
-    } else if (purpose === 'repair') {
-      this.stats.totalRepairCosts += amount;
-    }
+    this.stats.totals[type] += amount;
 
-    // Log transaction
-    this.logTransaction({
-      type: 'expense',
-      purpose,
-      amount,
-      balanceBefore: this.currentMoney + amount,
-      balanceAfter: this.currentMoney,
-      timestamp: Date.now(),
-    });
+    this.recordTransaction('expense', type, amount, details);
 
     return true;
   }
 
   /**
    * Award money from killing an enemy
-   * @param {string} enemyType - Enemy type
-   * @param {number} waveNumber - Current wave
+   * @param {Enemy} enemy - Killed enemy (its bounty is already wave-scaled)
    * @returns {number} Money awarded
    */
-  awardEnemyBounty(enemyType, waveNumber = 1) {
-    const bounty = getAdjustedBounty(enemyType, waveNumber, this.difficulty);
-    this.addMoney(bounty, `kill:${enemyType}`);
-    this.stats.totalBounties += bounty;
-
-    // Update kill streak
-    const now = Date.now();
-    if (now - this.stats.lastKillTime < ECONOMY_CONFIG.killStreakWindow * 1000) {
-      this.stats.killStreak++;
-      
-      // Bonus for kill streaks
-      if (this.stats.killStreak >= ECONOMY_CONFIG.killStreakMinKills) {
-        const streakBonus = ECONOMY_CONFIG.killStreakBonusPerKill * (this.stats.killStreak - ECONOMY_CONFIG.killStreakMinKills + 1);
-        this.addMoney(streakBonus, `streak:${this.stats.killStreak}`);
-      }
+  awardEnemyBounty(enemy) {
+    const bounty = Math.ceil(enemy.bounty * this.difficultyMultipliers.enemyBountyMultiplier);
+    this.addMoney(bounty, TRANSACTION_TYPES.BOUNTY, { enemyId: enemy.id, enemyType: enemy.type });
+    this.registerKill();
+    return bounty;
+  }
+
+  /**
+   * Count a kill towards the current streak and pay the streak bonus
+   * Kills within killStreakWindow seconds (game time) of the previous one
+   * extend the streak; from killStreakMinKills on, every kill pays
+   * killStreakBonusPerKill per kill past the minimum (5, 10, 15...), up to
+   * killStreakMaxBonus
+   * @private
+   * @returns {number} Streak bonus paid
+   */
+  registerKill() {
+    const { killStreakWindow, killStreakMinKills, killStreakBonusPerKill, killStreakMaxBonus } = ECONOMY_CONFIG;
+    const stats = this.stats;
+
+    if (stats.killStreak > 0 && this.gameTime - stats.lastKillTime <= killStreakWindow) {
+      stats.killStreak++;
     } else {
-      this.stats.killStreak = 1; // Reset streak
+      stats.killStreak = 1;
     }
-    this.stats.lastKillTime = now;
+    stats.lastKillTime = this.gameTime;
+    stats.bestKillStreak = Math.max(stats.bestKillStreak, stats.killStreak);
 
-    return bounty;
+    if (stats.killStreak < killStreakMinKills) return 0;
+
+    if (stats.killStreak === killStreakMinKills) {
+      stats.streaksReached++;
+    }
+
+    let bonus = 0;
+    if (ECONOMY_CONFIG.killStreakBonus) {
+      bonus = Math.min(killStreakBonusPerKill * (stats.killStreak - killStreakMinKills + 1), killStreakMaxBonus);
+      this.addMoney(bonus, TRANSACTION_TYPES.STREAK, { streak: stats.killStreak });
+    }
+
+    this.notifyListeners('killStreak', { streak: stats.killStreak, bonus });
+    return bonus;
   }
 
   /**
    * Award wave completion bonus
    * @param {number} waveNumber - Wave number
-   * @param {boolean} isBossWave - Is this a boss wave?
+   * @param {number} baseReward - Reward from the wave definition
    * @returns {number} Money awarded
    */
-  awardWaveCompletion(waveNumber, isBossWave = false) {
-    const reward = getWaveCompletionReward(waveNumber, isBossWave);
-    this.addMoney(reward, `wave:${waveNumber}${isBossWave ? ':boss' : ''}`);
-    this.stats.totalWaveRewards += reward;
+  awardWaveCompletion(waveNumber, baseReward) {
+    const reward = Math.ceil(baseReward * this.difficultyMultipliers.incomeMultiplier);
+    if (reward <= 0) return 0;
+
+    this.addMoney(reward, TRANSACTION_TYPES.WAVE_REWARD, { wave: waveNumber });
     return reward;
   }
 
   /**
-   * Log a transaction (for history/debugging)
+   * Write a transaction to the ledger and tell subscribers
    * @private
    */
-  logTransaction(transaction) {
-    if (!ECONOMY_CONFIG.enableTransactionLog) return;
+  recordTransaction(direction, type, amount, details) {
+    const balanceAfter = this.currentMoney;
+    const transaction = {
+      id: this.nextTransactionId++,
+      tick: this.getTick(),
+      direction,
+      type,
+      amount,
+      balanceBefore: direction === 'income' ? balanceAfter - amount : balanceAfter + amount,
+      balanceAfter,
+      details,
+    };
+
+    this.stats.transactions++;
+    this.logTransaction(transaction);
 
+    this.notifyListeners('transaction', transaction);
+    this.notifyListeners('moneyChanged', this.currentMoney);
+  }
+
+  /**
+   * Keep a transaction in the ledger (for history/debugging)
+   * @private
+   */
+  logTransaction(transaction) {
     this.transactionLog.push(transaction);
 
     // Keep only recent transactions
     if (this.transactionLog.length > this.maxTransactionHistory) {
       this.transactionLog.shift();
     }
+
+    if (ECONOMY_CONFIG.enableTransactionLog) {
+      const sign = transaction.direction === 'income' ? '+' : '-';
+      console.log(`💰 ${sign}$${transaction.amount} ${transaction.type} (balance: $${transaction.balanceAfter})`);
+    }
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Subscribe to money events
+   * Events: 'transaction' (ledger entry), 'moneyChanged' (new balance),
+   * 'insufficientFunds' ({type, amount, balance, details}),
+   * 'killStreak' ({streak, bonus}, every kill from killStreakMinKills on)
+   * @param {Function} callback - (eventType, data) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  /**
+   * Notify all listeners of a money event
+   * @private
+   */
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        console.error('❌ Error in money listener callback', error);
+      }
+    });
   }
 
   // ============================================
   // COST CALCULATION METHODS
   // ============================================
 
+  /**
+   * Change the difficulty (multipliers apply to the next transaction and price)
+   * @param {string} difficulty - 'easy', 'normal', or 'hard'
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = difficulty;
+    this.difficultyMultipliers = getDifficultyMultipliers(difficulty);
+  }
+
+  /**
+   * Get the pricing service (tower costs with difficulty applied)
+   * @returns {PricingService}
+   */
+  getPricing() {
+    return this.pricing;
+  }
+
   /**
    * Get tower placement cost with difficulty applied
    * @param {string} towerType
    * @returns {number} Cost in gold
    */
   getTowerPlacementCost(towerType) {
-    return getAdjustedTowerCost(towerType, this.difficulty);
+    return this.pricing.getTowerCost(towerType);
   }
 
   /**
@@ -229,24 +347,17 @@ class MoneyManager {
    * @returns {number} Upgrade cost
    */
   getTowerUpgradeCost(towerType, currentLevel) {
-    const baseCost = getTowerCost(towerType);
-    const upgradeCost = getUpgradeCost(currentLevel, baseCost);
-    
-    // Apply difficulty multiplier
-    const { towerCostMultiplier } = this.difficultyMultipliers;
-    return Math.ceil(upgradeCost * towerCostMultiplier);
+    return this.pricing.getUpgradeCost(towerType, currentLevel);
   }
 
   /**
-   * Get repair cost for a tower (estimate: 20% of tower cost per missing health point)
+   * Get repair cost for a tower
    * @param {string} towerType
    * @param {number} damageTaken - Health points to restore
    * @returns {number} Repair cost
    */
   getTowerRepairCost(towerType, damageTaken) {
-    const towerCost = getTowerCost(towerType);
-    const costPerHealth = (towerCost * 0.2) / 100; // Assume 100 max health
-    return Math.ceil(costPerHealth * damageTaken);
+    return this.pricing.getRepairCost(damageTaken);
   }
 
   // ============================================
@@ -312,6 +423,25 @@ class MoneyManager {
     return Math.ceil(towerCost / bountyPerKill);
   }
 
+  // ============================================
+  // GAME TIME
+  // ============================================
+
+  /**
+   * Advance the economy clock (call once per game update)
+   * Ends a kill streak once its window runs out and pays passive income
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    this.gameTime += deltaTime;
+
+    if (this.stats.killStreak > 0 && this.gameTime - this.stats.lastKillTime > ECONOMY_CONFIG.killStreakWindow) {
+      this.stats.killStreak = 0;
+    }
+
+    this.updatePassiveIncome(deltaTime);
+  }
+
   // ============================================
   // PASSIVE INCOME
   // ============================================
@@ -321,7 +451,7 @@ class MoneyManager {
    */
   enablePassiveIncome() {
     this.passiveIncomeEnabled = true;
-    this.lastPassiveIncomeTime = Date.now();
+    this.passiveIncomeBuffer = 0;
     console.log('💰 Passive income enabled');
   }
 
@@ -335,14 +465,18 @@ class MoneyManager {
 
   /**
    * Update passive income (call from game loop)
+   * Pays whole gold once enough has built up, not a rounded-up coin every frame
    * @param {number} deltaTime - Time since last update in seconds
    */
   updatePassiveIncome(deltaTime) {
     if (!this.passiveIncomeEnabled) return;
 
-    const passivePerFrame = ECONOMY_CONFIG.passiveIncomePerSecond * deltaTime;
-    if (passivePerFrame > 0) {
-      this.addMoney(Math.ceil(passivePerFrame), 'passive');
+    this.passiveIncomeBuffer += ECONOMY_CONFIG.passiveIncomePerSecond * deltaTime;
+
+    const payout = Math.floor(this.passiveIncomeBuffer);
+    if (payout > 0) {
+      this.passiveIncomeBuffer -= payout;
+      this.addMoney(payout, TRANSACTION_TYPES.PASSIVE);
     }
   }
 
@@ -362,23 +496,68 @@ class MoneyManager {
       totalEarned: this.stats.totalEarned,
       totalSpent: this.stats.totalSpent,
       netIncome: this.stats.totalEarned - this.stats.totalSpent,
-      totalBounties: this.stats.totalBounties,
-      totalWaveRewards: this.stats.totalWaveRewards,
-      totalUpgradeCosts: this.stats.totalUpgradeCosts,
-      totalRepairCosts: this.stats.totalRepairCosts,
+      totalBounties: this.stats.totals[TRANSACTION_TYPES.BOUNTY],
+      totalWaveRewards: this.stats.totals[TRANSACTION_TYPES.WAVE_REWARD],
+      totalUpgradeCosts: this.stats.totals[TRANSACTION_TYPES.UPGRADE],
+      totalRepairCosts: this.stats.totals[TRANSACTION_TYPES.REPAIR],
       currentKillStreak: this.stats.killStreak,
+      bestKillStreak: this.stats.bestKillStreak,
       totalTransactions: this.stats.transactions,
       difficulty: this.difficulty,
     };
   }
 
+  /**
+   * Get income and expenses per transaction type (end-of-game summary)
+   * @returns {Object} { income: {type: amount}, expenses: {type: amount}, totalIncome, totalExpenses, net, startingMoney, finalMoney }
+   */
+  getBreakdown() {
+    const income = {};
+    const expenses = {};
+
+    INCOME_TYPES.forEach(type => {
+      income[type] = this.stats.totals[type];
+    });
+    EXPENSE_TYPES.forEach(type => {
+      expenses[type] = this.stats.totals[type];
+    });
+
+    return {
+      income,
+      expenses,
+      totalIncome: this.stats.totalEarned,
+      totalExpenses: this.stats.totalSpent,
+      net: this.stats.totalEarned - this.stats.totalSpent,
+      startingMoney: this.startingMoney,
+      finalMoney: this.currentMoney,
+    };
+  }
+
+  /**
+   * Get kill streak statistics (end screen)
+   * @returns {Object} { current, best, reached, bonusEarned }
+   */
+  getStreakStatistics() {
+    return {
+      current: this.stats.killStreak,
+      best: this.stats.bestKillStreak,
+      reached: this.stats.streaksReached,
+      bonusEarned: this.stats.totals[TRANSACTION_TYPES.STREAK],
+    };
+  }
+
   /**
    * Get transaction history
    * @param {number} limit - Max transactions to return
+   * @param {string} type - Only this transaction type (optional)
    * @returns {Array}
    */
-  getTransactionHistory(limit = 10) {
-    return this.transactionLog.slice(-limit);
+  getTransactionHistory(limit = 10, type = null) {
+    const transactions = type
+      ? this.transactionLog.filter(transaction => transaction.type === type)
+      : this.transactionLog;
+
+    return transactions.slice(-limit);
   }
 
   /**
@@ -409,6 +588,44 @@ class MoneyManager {
     console.log('===========================');
   }
 
+  // ============================================
+  // SAVE GAMES
+  // ============================================
+
+  /**
+   * Get persistent state for save games
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      currentMoney: this.currentMoney,
+      difficulty: this.difficulty,
+      passiveIncomeEnabled: this.passiveIncomeEnabled,
+      passiveIncomeBuffer: this.passiveIncomeBuffer,
+      gameTime: this.gameTime,
+      stats: { ...this.stats, totals: { ...this.stats.totals } },
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * @param {Object} data - Saved economy state
+   */
+  restore(data) {
+    this.currentMoney = data.currentMoney;
+    this.difficulty = data.difficulty;
+    this.difficultyMultipliers = getDifficultyMultipliers(data.difficulty);
+    this.passiveIncomeEnabled = data.passiveIncomeEnabled;
+    this.passiveIncomeBuffer = data.passiveIncomeBuffer || 0;
+    this.gameTime = data.gameTime || 0;
+
+    const stats = this.createStats();
+    this.stats = { ...stats, ...data.stats, totals: { ...stats.totals, ...data.stats.totals } };
+    this.transactionLog = [];
+
+    this.notifyListeners('moneyChanged', this.currentMoney);
+  }
+
   // ============================================
   // RESET
   // ============================================
@@ -419,18 +636,12 @@ class MoneyManager {
   reset() {
     this.currentMoney = this.startingMoney;
     this.transactionLog = [];
-    this.stats = {
-      totalEarned: 0,
-      totalSpent: 0,
-      totalBounties: 0,
-      totalWaveRewards: 0,
-      totalUpgradeCosts: 0,
-      totalRepairCosts: 0,
-      killStreak: 0,
-      lastKillTime: 0,
-      maxMoneyReached: this.startingMoney,
-      transactions: 0,
-    };
+    this.nextTransactionId = 1;
+    this.passiveIncomeBuffer = 0;
+    this.gameTime = 0;
+    this.stats = this.createStats();
+
+    this.notifyListeners('moneyChanged', this.currentMoney);
     console.log('💰 MoneyManager reset');
   }
 }
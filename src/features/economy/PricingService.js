@@ -0,0 +1,126 @@
+/**
+ * PricingService.js
+ * The single source of every price the player sees or pays.
+ *
+ * Base prices come from TOWER_CONFIG (cost, upgradeCost); the difficulty's
+ * towerCostMultiplier comes from MoneyManager. TowerManager (place, upgrade,
+ * repair, rebuild), handleTowerSell and the UI all ask this service, so the
+ * cost shown is always the cost charged.
+ */
+
+import { TOWER_CONFIG, getUpgradeCost as getBaseUpgradeCost } from '../towers/towerConfig.js';
+import { ECONOMY_CONFIG, DIFFICULTY_MULTIPLIERS } from './economyConfig.js';
+
+class PricingService {
+  /**
+   * @param {MoneyManager} moneyManager - Supplies the difficulty multipliers (optional, default: normal)
+   */
+  constructor(moneyManager = null) {
+    this.moneyManager = moneyManager;
+  }
+
+  /**
+   * Current tower cost multiplier (read live, so a difficulty change applies immediately)
+   * @returns {number}
+   */
+  getCostMultiplier() {
+    const multipliers = this.moneyManager?.difficultyMultipliers || DIFFICULTY_MULTIPLIERS.normal;
+    return multipliers.towerCostMultiplier;
+  }
+
+  /**
+   * Apply the difficulty multiplier to a base price
+   * @private
+   */
+  applyMultiplier(baseCost) {
+    return Math.ceil(baseCost * this.getCostMultiplier());
+  }
+
+  /**
+   * Cost to place a tower
+   * @param {string} towerType
+   * @returns {number} Cost in gold (0 for unknown types)
+   */
+  getTowerCost(towerType) {
+    const config = TOWER_CONFIG[towerType];
+    if (!config) return 0;
+
+    return this.applyMultiplier(config.cost);
+  }
+
+  /**
+   * Cost to upgrade a tower from its current level
+   * @param {string} towerType
+   * @param {number} currentLevel
+   * @returns {number} Cost in gold (0 at max level)
+   */
+  getUpgradeCost(towerType, currentLevel) {
+    const baseCost = getBaseUpgradeCost(towerType, currentLevel);
+    if (baseCost <= 0) return 0;
+
+    return this.applyMultiplier(baseCost);
+  }
+
+  /**
+   * Cost to restore tower health
+   * @param {number} amount - Health points to restore
+   * @returns {number} Cost in gold
+   */
+  getRepairCost(amount) {
+    return this.applyMultiplier(amount * ECONOMY_CONFIG.repairCostPerHealth);
+  }
+
+  /**
+   * Everything a tower costs to reach a level by paying for every upgrade
+   * (placement + upgrades)
+   * @param {string} towerType
+   * @param {number} level
+   * @returns {number} Total in gold
+   */
+  getTotalInvestment(towerType, level = 1) {
+    let total = this.getTowerCost(towerType);
+
+    for (let i = 1; i < level; i++) {
+      total += this.getUpgradeCost(towerType, i);
+    }
+
+    return total;
+  }
+
+  /**
+   * Cost to rebuild a destroyed tower (a share of everything paid for it)
+   * Based on the gold actually paid: levels earned with experience are free
+   * @param {Tower} tower - Ruin
+   * @returns {number} Cost in gold
+   */
+  getRebuildCost(tower) {
+    return Math.ceil(tower.goldInvested * ECONOMY_CONFIG.rebuildCostRate);
+  }
+
+  /**
+   * Refund for selling a tower (a share of the gold actually paid for it)
+   * @param {Tower} tower
+   * @returns {number} Refund in gold (nothing for ruins: selling only clears the spot)
+   */
+  getSellValue(tower) {
+    if (tower.isDead) return 0;
+
+    return Math.floor(tower.goldInvested * ECONOMY_CONFIG.sellRefundRate);
+  }
+
+  /**
+   * Prices for every tower type (for shop UIs)
+   * @returns {Object} towerType -> placement cost
+   */
+  getTowerPriceList() {
+    const prices = {};
+
+    Object.keys(TOWER_CONFIG).forEach(towerType => {
+      prices[towerType] = this.getTowerCost(towerType);
+    });
+
+    return prices;
+  }
+}
+
+export default PricingService;
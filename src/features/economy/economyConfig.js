@@ -2,20 +2,23 @@
  * economyConfig.js
  * Centralized economy configuration including costs, bounties, and scaling.
  * All monetary values tied to game balance parameters.
+ *
+ * Tower prices live in TOWER_CONFIG; charge and display them through
+ * PricingService, which applies the difficulty multipliers.
  */
 
+import { TOWER_CONFIG, getUpgradeCost } from '../towers/towerConfig.js';
+
 // ============================================
 // TOWER COSTS
 // ============================================
 
-export const TOWER_COSTS = {
-  archer: 50,      // Basic tower, low cost
-  mage: 150,       // Area damage, high cost
-  cannon: 200,     // Powerful single target, highest cost
-  frost: 120,      // Utility tower (slow), mid cost
-  alchemist: 140,  // Poison/DoT tower, mid cost
-  tesla: 180,      // Chain lightning, high cost
-};
+/**
+ * Base tower costs (read from TOWER_CONFIG, before difficulty)
+ */
+export const TOWER_COSTS = Object.fromEntries(
+  Object.entries(TOWER_CONFIG).map(([towerType, config]) => [towerType, config.cost])
+);
 
 /**
  * Get tower cost by type
@@ -31,18 +34,6 @@ export function getTowerCost(towerType) {
   return cost;
 }
 
-/**
- * Get upgrade cost for a tower (scales with level)
- * @param {number} currentLevel - Current tower level (1-10)
- * @param {number} baseCost - Base tower cost
- * @returns {number} Upgrade cost
- */
-export function getUpgradeCost(currentLevel, baseCost) {
-  if (currentLevel >= 10) return 0; // Max level
-  // Upgrade cost scales: 30% of base per level
-  return Math.ceil(baseCost * 0.3 * (currentLevel + 1));
-}
-
 // ============================================
 // ENEMY BOUNTIES
 // ============================================
@@ -159,10 +150,16 @@ export const ECONOMY_CONFIG = {
   // Income
   passiveIncomePerSecond: 1,         // Passive income (optional passive tower income)
   killStreakBonus: true,             // Bonus for rapid kills
-  killStreakWindow: 2,               // Window in seconds for kill streak
+  killStreakWindow: 2,               // Window in seconds (game time) for kill streak
   killStreakMinKills: 3,             // Min kills for bonus
   killStreakBonusPerKill: 5,         // Bonus per kill in streak
+  killStreakMaxBonus: 25,            // Max bonus for a single streak kill
   
+  // Tower pricing
+  sellRefundRate: 0.5,               // Share of everything paid for a tower refunded on sell
+  repairCostPerHealth: 2,            // Gold per health point repaired
+  rebuildCostRate: 0.4,              // Share of everything paid for a destroyed tower charged to rebuild it
+
   // Penalties
   loseLifePenalty: 0,                // Money lost per life (0 = none)
   
@@ -170,13 +167,69 @@ export const ECONOMY_CONFIG = {
   maxMoney: 99999,                   // Max money cap (prevents overflow)
   minMoney: 0,                       // Min money (can't go negative)
   
-  // Transaction logging
-  enableTransactionLog: false,       // Log every money transaction
+  // Transaction ledger
+  maxLedgerEntries: 500,             // Transactions kept in the ledger (totals are always complete)
+  enableTransactionLog: false,       // Also console.log every transaction
   
   // Scaling
   waveMoneyScaling: 1.1,            // Money rewards increase by 10% per wave
 };
 
+// ============================================
+// TRANSACTIONS
+// ============================================
+
+/**
+ * Every money movement is one of these (MoneyManager ledger)
+ */
+export const TRANSACTION_TYPES = {
+  // Income
+  BOUNTY: 'bounty',             // Enemy killed
+  STREAK: 'streak',             // Kill streak bonus
+  WAVE_REWARD: 'waveReward',    // Wave completed
+  SELL: 'sell',                 // Tower sold
+  PASSIVE: 'passive',           // Passive income over time
+  EARLY_CALL: 'earlyCall',      // Next wave called before the build phase ended
+
+  // Expenses
+  PURCHASE: 'purchase',         // Tower placed
+  UPGRADE: 'upgrade',           // Tower upgraded
+  REPAIR: 'repair',             // Tower repaired
+  REBUILD: 'rebuild',           // Destroyed tower rebuilt
+};
+
+/**
+ * Display names for transaction types
+ */
+export const TRANSACTION_LABELS = {
+  bounty: 'Bounties',
+  streak: 'Kill streaks',
+  waveReward: 'Wave rewards',
+  sell: 'Tower sales',
+  passive: 'Passive',
+  earlyCall: 'Early waves',
+  purchase: 'Towers',
+  upgrade: 'Upgrades',
+  repair: 'Repairs',
+  rebuild: 'Rebuilds',
+};
+
+export const INCOME_TYPES = [
+  TRANSACTION_TYPES.BOUNTY,
+  TRANSACTION_TYPES.STREAK,
+  TRANSACTION_TYPES.WAVE_REWARD,
+  TRANSACTION_TYPES.SELL,
+  TRANSACTION_TYPES.PASSIVE,
+  TRANSACTION_TYPES.EARLY_CALL,
+];
+
+export const EXPENSE_TYPES = [
+  TRANSACTION_TYPES.PURCHASE,
+  TRANSACTION_TYPES.UPGRADE,
+  TRANSACTION_TYPES.REPAIR,
+  TRANSACTION_TYPES.REBUILD,
+];
+
 /**
  * Calculate adjusted tower cost with difficulty
  * @param {string} towerType
@@ -212,9 +265,9 @@ export function getEconomyBalanceReport() {
     enemyBounties: ENEMY_BOUNTIES,
     waveRewards: WAVE_REWARDS,
     upgradeExamples: {
-      archerLevel1to2: getUpgradeCost(1, TOWER_COSTS.archer),
-      archerLevel5to6: getUpgradeCost(5, TOWER_COSTS.archer),
-      archerLevel10: getUpgradeCost(10, TOWER_COSTS.archer),
+      archerLevel1to2: getUpgradeCost('archer', 1),
+      archerLevel5to6: getUpgradeCost('archer', 5),
+      archerLevel10: getUpgradeCost('archer', 10),
     },
     scaledBounties: {
       goblinWave1: getScaledBounty('goblin', 1),
@@ -0,0 +1,167 @@
+/**
+ * Boss
+ * An enemy with a boss script (bossConfig.js): phases entered at health
+ * thresholds, abilities cast on cooldown and a temporary shield.
+ *
+ * Bosses move like any enemy. Their script runs in updateBoss(), which the
+ * engine calls after the enemy update with what abilities may act on.
+ * Bosses are never pooled (EnemyManager creates a fresh one every time).
+ */
+
+import Enemy from './Enemy.js';
+import { getBossConfig } from './bossConfig.js';
+import { castBossAbility } from './bossAbilities.js';
+
+class Boss extends Enemy {
+  /**
+   * Create a boss
+   * @param {Object} config - Enemy configuration (see Enemy)
+   * @param {string} bossId - BOSS_CONFIG key
+   */
+  constructor(config, bossId) {
+    super(config);
+
+    const bossConfig = getBossConfig(bossId);
+    if (!bossConfig) {
+      throw new Error(`❌ Unknown boss: ${bossId}`);
+    }
+
+    this.isBoss = true;
+    this.bossId = bossId;
+    this.name = bossConfig.name;
+    this.title = bossConfig.title;
+    this.phases = bossConfig.phases;
+
+    //script state
+    this.phaseIndex = -1; //first update enters phase 0
+    this.cooldowns = []; //seconds until each ability of the phase is ready
+    this.shieldTimer = 0; //seconds left on the temporary shield
+    this.baseSpeed = this.speed; //spawn speed, phases multiply it
+  }
+
+  /**
+   * Run the boss script: phase changes, temporary shield, abilities
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {Object} context - What abilities act on: { spawnMinion(enemyType, boss), getTowers() }
+   * @returns {Array<Object>} Events for the UI: { type: 'phase' | 'ability', ... }
+   */
+  updateBoss(deltaTime, context) {
+    if (this.isDead) return [];
+
+    const events = [];
+
+    //temporary shield runs out
+    if (this.shieldTimer > 0) {
+      this.shieldTimer -= deltaTime;
+      if (this.shieldTimer <= 0) {
+        this.shieldTimer = 0;
+        this.shield = 0;
+      }
+    }
+
+    //enter every phase whose threshold health has dropped to
+    while (
+      this.phaseIndex < this.phases.length - 1 &&
+      this.getHealthPercentage() <= this.phases[this.phaseIndex + 1].threshold
+    ) {
+      this.enterPhase(this.phaseIndex + 1);
+      events.push({ type: 'phase', phaseIndex: this.phaseIndex, phase: this.getPhase().name });
+
+      (this.getPhase().onEnter || []).forEach(ability => {
+        const result = castBossAbility(this, ability, context);
+        if (result) events.push({ type: 'ability', ability: ability.type, ...result });
+      });
+    }
+
+    //abilities on cooldown
+    this.getPhase().abilities.forEach((ability, index) => {
+      this.cooldowns[index] -= deltaTime;
+      if (this.cooldowns[index] > 0 || this.isDead) return;
+
+      const result = castBossAbility(this, ability, context);
+      if (result) {
+        this.cooldowns[index] = ability.cooldown;
+        events.push({ type: 'ability', ability: ability.type, ...result });
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Switch to a phase: speed and ability cooldowns
+   * @private
+   * @param {number} phaseIndex - Phase to enter
+   */
+  enterPhase(phaseIndex) {
+    this.phaseIndex = phaseIndex;
+
+    const phase = this.getPhase();
+    this.speed = this.baseSpeed * (phase.speed ?? 1);
+    this.cooldowns = phase.abilities.map(ability => ability.delay ?? ability.cooldown);
+  }
+
+  /**
+   * Raise a temporary shield (replaces a weaker one)
+   * @param {number} amount - Damage the shield absorbs
+   * @param {number} duration - Seconds before it disappears
+   */
+  raiseShield(amount, duration) {
+    this.shield = Math.max(this.shield, amount);
+    this.maxShield = this.shield;
+    this.shieldTimer = duration;
+  }
+
+  /**
+   * Get the current phase
+   * @returns {Object} Phase config (the first one before the boss has updated)
+   */
+  getPhase() {
+    return this.phases[Math.max(0, this.phaseIndex)];
+  }
+
+  /**
+   * Get a snapshot of boss state
+   * @returns {Object} Enemy snapshot plus boss state
+   */
+  getSnapshot() {
+    return {
+      ...super.getSnapshot(),
+      bossId: this.bossId,
+      name: this.name,
+      phaseIndex: this.phaseIndex,
+      phase: this.getPhase().name,
+      shieldTimer: this.shieldTimer,
+    };
+  }
+
+  /**
+   * Get persistent state for save games
+   * @returns {Object} Serializable boss state
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      boss: this.bossId,
+      phaseIndex: this.phaseIndex,
+      cooldowns: [...this.cooldowns],
+      shieldTimer: this.shieldTimer,
+      baseSpeed: this.baseSpeed,
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * @param {Object} data - Saved boss state
+   */
+  restore(data) {
+    super.restore(data);
+
+    this.phaseIndex = data.phaseIndex ?? -1;
+    this.cooldowns = [...(data.cooldowns || [])];
+    this.shieldTimer = data.shieldTimer || 0;
+    this.baseSpeed = data.baseSpeed ?? this.baseSpeed;
+  }
+}
+
+export default Boss;
@@ -4,6 +4,9 @@
  * Handles movement along a path, health, and collision detection.
  */
 
+import { createAbilityState } from './enemyAbilities.js';
+import { getDamageMultiplier } from './armorConfig.js';
+
 class Enemy {
     /**
    * Create an enemy
@@ -16,39 +19,57 @@ class Enemy {
    * @param {number} config.speed - Movement speed (pixels per second)
    * @param {number} config.size - Enemy size (width/height)
    * @param {number} config.bounty - Money reward for killing
+   * @param {number} config.armor - Flat damage reduction per hit
+   * @param {string} config.armorClass - ARMOR_CLASSES key (see armorConfig.js)
    * @param {string} config.image - Image path or sprite
-   * @param {Object} config.specialAbilities - Special abilities config
+   * @param {string} config.color - Body color (optional)
+   * @param {boolean} config.isFlying - Flies an air path, only air-targeting towers hit it
+   * @param {Object} config.specialAbilities - Ability name -> settings (see enemyAbilities.js)
    */
   constructor(config) {
     //identtity
     this.id = config.id;
     this.type = config.type;
     this.image = config.image;
+    this.color = config.color || null;
 
     //position and movenment
     this.path = config.path || [];
     this.pathIndex = 0; //Current way point index
     this.distanceAlongSegment = 0; //distance travelled on current segment
+    this.isRerouted = false; //true once setRoute() gave it a path of its own (open field maps)
+    this.progressOffset = 0; //path progress before the last reroute
     // Use explicit x/y if provided, otherwise use first path point
     this.x = config.x !== undefined ? config.x : (this.path[0]?.x || 0);
     this.y = config.y !== undefined ? config.y : (this.path[0]?.y || 0);
     this.width = config.size || 20;
     this.height = config.size || 20;
+    this.isFlying = config.isFlying || false; //flies the air path, ignores ground effects
 
     //movement
     this.speed = config.speed || 50; //pixels per second
+    this.speedMultiplier = 1; //ability speed bursts (sprinter)
     this.direction = {x:0, y:0}; //unit direction
     this.rotation = 0; //rotation angle in radians
 
     //health
     this.health = config.health || 100;
     this.maxHealth = config.maxHealth || 100;
+    this.shield = config.shield || 0; //absorbs damage before health (shielded modifier)
+    this.maxShield = config.maxShield ?? this.shield;
     this.isDead = false;
+    this.isActive = true; //false while sitting in the object pool
+    this.killedBy = null; //id of the tower that dealt the killing blow (set when it dies)
     
     //stats
     this.bounty = config.bounty || 10; //money reward
     this.armor = config.armor || 0; //damage reduction
-    this.resistances = config.resistances || {}; //type based resistances (fire, ice, etc.)
+    this.armorClass = config.armorClass || 'unarmored'; //how much each damage type hurts (armorConfig.js)
+    this.waveNumber = 0; //wave that spawned this enemy (set by WaveManager)
+    this.spawnGroup = null; //index of the wave's spawn group (set by WaveManager)
+    this.lane = config.lane || 'main'; //map lane whose path this enemy follows (to its exit)
+    this.scaling = config.scaling || null; //multipliers applied at spawn (wave, difficulty, mutators)
+    this.isBoss = false; //true for Boss
 
     //status effects
     this.statusEffects = {
@@ -56,10 +77,13 @@ class Enemy {
         stun: {active: false, duration: 0 },
         burn: {active: false, duration: 0, damagePerSecond: 0},
         freeze: {active: false, duration: 0},
+        poison: {active: false, duration: 0, damagePerSecond: 0, tickTimer: 0, sourceTowerId: null}, //ticks once per second
+        shock: {active: false, duration: 0}, //visual only: hit by chain lightning
     };
 
-    //special abilities
+    //special abilities (run by EnemyManager) and their timers
     this.specialAbilities = config.specialAbilities || {};
+    this.abilityState = createAbilityState(this.specialAbilities);
 
     //rendering
     this.rotation = 0;
@@ -72,15 +96,16 @@ class Enemy {
   /**
    * Update enemy position along the path
    * @param {number} deltaTime - Time since last update in seconds
+   * @param {Function} onEffectDamage - Called for damage over time: (enemy, damage, sourceTowerId) => void (optional)
    */
-  update(deltaTime){
+  update(deltaTime, onEffectDamage = null){
     if(this.isDead) return;
 
-    //apply slow effect to speed
-    const effectiveSpeed = this.speed * this.statusEffects.slow.slowFactor;
+    //apply slow effect and speed bursts to speed
+    const effectiveSpeed = this.speed * this.speedMultiplier * this.statusEffects.slow.slowFactor;
 
     //update status effects
-    this.updateStatusEffects(deltaTime);
+    this.updateStatusEffects(deltaTime, onEffectDamage);
 
     //dont move if stunned
     if(this.statusEffects.stun.active) return;
@@ -137,6 +162,25 @@ class Enemy {
     this.updatePosition();
   }
 
+  /**
+   * Follow a new route from where the enemy is now (open field maps, when
+   * towers change it). Path progress carries on from where it was.
+   * @param {Array<Object>} route - Waypoints from the enemy's tile to the end (world coordinates)
+   */
+  setRoute(route){
+    const [first, second] = route;
+
+    //already on the way from the tile center to the next waypoint: don't walk back
+    const waypoints = second && isBetween(this, first, second) ? route.slice(1) : route;
+
+    this.progressOffset = this.getPathProgress();
+    this.path = [{ x: this.x, y: this.y }, ...waypoints];
+    this.pathIndex = 0;
+    this.distanceAlongSegment = 0;
+    this.isRerouted = true;
+    this.updateDirection();
+  }
+
   /**
    * upfate the enemys actual x, y cordinates based on path progress
    */
@@ -190,8 +234,9 @@ class Enemy {
   /**
    * Update status effects
    * @param {number} deltaTime - Time since last update
+   * @param {Function} onEffectDamage - Called for damage over time (optional, see update)
    */
-  updateStatusEffects(deltaTime){
+  updateStatusEffects(deltaTime, onEffectDamage = null){
     //update slow effect
     if (this.statusEffects.slow.active) {
         this.statusEffects.slow.duration -= deltaTime;
@@ -217,7 +262,7 @@ class Enemy {
         } else {
             //apply burn damage
             const damageThisFrame = this.statusEffects.burn.damagePerSecond * deltaTime;
-            this.takeDamage(damageThisFrame);
+            this.takeDamage(damageThisFrame, 'fire');
         }
     }
 
@@ -228,34 +273,69 @@ class Enemy {
             this.statusEffects.freeze.active = false;
         }
     }
+
+    //update poison effect (whole ticks, so armor's minimum damage isn't applied every frame)
+    if(this.statusEffects.poison.active) {
+        const poison = this.statusEffects.poison;
+        const elapsed = Math.min(deltaTime, poison.duration);
+        poison.duration -= deltaTime;
+        poison.tickTimer += elapsed;
+
+        while (poison.tickTimer >= 1 && !this.isDead) {
+            poison.tickTimer -= 1;
+            const dealt = this.takeDamage(poison.damagePerSecond, 'poison', poison.sourceTowerId);
+            onEffectDamage?.(this, dealt, poison.sourceTowerId);
+        }
+
+        if(poison.duration <= 0) {
+            poison.active = false;
+            poison.damagePerSecond = 0;
+            poison.tickTimer = 0;
+            poison.sourceTowerId = null;
+        }
+    }
+
+    //update shock effect
+    if(this.statusEffects.shock.active) {
+        this.statusEffects.shock.duration -= deltaTime;
+        if(this.statusEffects.shock.duration <= 0) {
+            this.statusEffects.shock.active = false;
+        }
+    }
   }
 
   /**
    * Apply damage to the enemy
    * @param {number} damage - Damage amount
-   * @param {string} damageType - Type of damage (normal, fire, ice, etc.)
-   * @returns {number} Actual damage taken
+   * @param {string} damageType - DAMAGE_TYPES key (normal, magic, fire, ice, poison, lightning)
+   * @param {number|null} sourceTowerId - Tower that dealt the damage (credited with the kill)
+   * @returns {number} Health actually removed (no overkill, nothing the shield soaked)
    */
-  takeDamage(damage, damageType = 'normal'){
+  takeDamage(damage, damageType = 'normal', sourceTowerId = null){
     if(this.isDead) return 0;
 
+    const healthBefore = this.health;
+
     //apply armor reduction
     let actualDamage = Math.max(1, damage - this.armor);
     
-    //apply type based resistances
-    if (this.resistances[damageType]) {
-        actualDamage *= (1 - this.resistances[damageType]);
-    }
+    //apply damage type effectiveness against the armor class
+    actualDamage *= getDamageMultiplier(damageType, this.armorClass);
+
+    //shield soaks damage before health
+    const absorbed = Math.min(this.shield, actualDamage);
+    this.shield -= absorbed;
 
-    this.health -= actualDamage;
+    this.health -= actualDamage - absorbed;
 
     //check if dead
     if(this.health <= 0) {
         this.health = 0;
         this.isDead = true;
+        this.killedBy = sourceTowerId;
     }
 
-    return actualDamage;
+    return Math.min(healthBefore, actualDamage - absorbed);
   }
 
   /**
@@ -308,6 +388,32 @@ class Enemy {
     this.applySlow(0, duration); //freeze = complete slow
   }
 
+  /**
+   * Apply poison effect
+   * Reapplying refreshes the duration; the strongest poison wins (and its
+   * tower is credited with the damage)
+   * @param {number} damagePerSecond - Damage per second
+   * @param {number} duration - Poison duration in seconds
+   * @param {number|null} sourceTowerId - Tower that applied the poison
+   */
+  applyPoison(damagePerSecond, duration, sourceTowerId = null){
+    if (damagePerSecond >= this.statusEffects.poison.damagePerSecond) {
+        this.statusEffects.poison.sourceTowerId = sourceTowerId;
+    }
+    this.statusEffects.poison.active = true;
+    this.statusEffects.poison.damagePerSecond = Math.max(this.statusEffects.poison.damagePerSecond, damagePerSecond);
+    this.statusEffects.poison.duration = Math.max(this.statusEffects.poison.duration, duration);
+  }
+
+  /**
+   * Mark the enemy as hit by chain lightning (visual only)
+   * @param {number} duration - How long the shock stays visible
+   */
+  applyShock(duration){
+    this.statusEffects.shock.active = true;
+    this.statusEffects.shock.duration = Math.max(this.statusEffects.shock.duration, duration);
+  }
+
   /**
    * Check if enemy has reached the end of the path
    * @returns {boolean} true if reached end
@@ -326,11 +432,58 @@ class Enemy {
   }
 
   /**
-   * Get current waypoint index
-   * @returns {number} waypoint index
+   * Get how far along its path the enemy is
+   * Counts waypoints passed plus the share of the current segment, so
+   * flying enemies (few long segments) progress smoothly too
+   * @returns {number} Path progress (0-1)
    */
   getPathProgress(){
-    return this.pathIndex / (this.path.length - 1);
+    if (this.pathIndex >= this.path.length - 1) return 1;
+
+    const current = this.path[this.pathIndex];
+    const next = this.path[this.pathIndex + 1];
+    const segmentLength = Math.sqrt((next.x - current.x) ** 2 + (next.y - current.y) ** 2);
+    const segmentProgress = segmentLength > 0 ? Math.min(1, this.distanceAlongSegment / segmentLength) : 0;
+
+    const progress = (this.pathIndex + segmentProgress) / (this.path.length - 1);
+
+    //rerouted enemies carry on from the progress they had
+    return this.progressOffset + (1 - this.progressOffset) * progress;
+  }
+
+  /**
+   * Put the enemy on the point of its path closest to a position
+   * (minions that land from a flying parent)
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   */
+  moveToClosestPoint(x, y){
+    let closestDistance = Infinity;
+
+    for (let i = 0; i < this.path.length - 1; i++) {
+        const current = this.path[i];
+        const next = this.path[i + 1];
+        const dx = next.x - current.x;
+        const dy = next.y - current.y;
+        const segmentLength = Math.sqrt(dx * dx + dy * dy);
+        if (segmentLength === 0) continue;
+
+        //projection of the position on the segment, clamped to its ends
+        const along = Math.max(0, Math.min(segmentLength,
+            ((x - current.x) * dx + (y - current.y) * dy) / segmentLength));
+        const px = current.x + dx * along / segmentLength;
+        const py = current.y + dy * along / segmentLength;
+        const distance = (px - x) ** 2 + (py - y) ** 2;
+
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            this.pathIndex = i;
+            this.distanceAlongSegment = along;
+        }
+    }
+
+    this.updateDirection();
+    this.updatePosition();
   }
 
   /**
@@ -385,14 +538,99 @@ class Enemy {
       position: { x: this.x, y: this.y },
       health: this.health,
       maxHealth: this.maxHealth,
+      shield: this.shield,
       isDead: this.isDead,
       speed: this.speed,
       bounty: this.bounty,
+      armor: this.armor,
+      armorClass: this.armorClass,
+      waveNumber: this.waveNumber,
+      spawnGroup: this.spawnGroup,
+      lane: this.lane,
+      isFlying: this.isFlying,
+      abilities: Object.keys(this.specialAbilities),
+      scaling: this.scaling,
       pathProgress: this.getPathProgress(),
       statusEffects: { ...this.statusEffects },
     };
   }
 
+  /**
+   * Get persistent state for save games
+   * @returns {Object} Serializable enemy state
+   */
+  serialize() {
+    return {
+      id: this.id,
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      pathIndex: this.pathIndex,
+      distanceAlongSegment: this.distanceAlongSegment,
+      route: this.isRerouted ? this.path.map(({ x, y }) => ({ x, y })) : null,
+      progressOffset: this.progressOffset,
+      rotation: this.rotation,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      shield: this.shield,
+      maxShield: this.maxShield,
+      speed: this.speed,
+      bounty: this.bounty,
+      armor: this.armor,
+      waveNumber: this.waveNumber,
+      spawnGroup: this.spawnGroup,
+      lane: this.lane,
+      modifiers: this.scaling?.modifiers || [],
+      speedMultiplier: this.speedMultiplier,
+      abilityState: JSON.parse(JSON.stringify(this.abilityState)),
+      statusEffects: JSON.parse(JSON.stringify(this.statusEffects)),
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * Path must already be set (EnemyManager does this), rerouted enemies
+   * bring their own
+   * @param {Object} data - Saved enemy state
+   */
+  restore(data) {
+    this.id = data.id;
+    if (data.route) {
+      this.path = data.route;
+      this.isRerouted = true;
+    }
+    this.progressOffset = data.progressOffset || 0;
+    this.x = data.x;
+    this.y = data.y;
+    this.pathIndex = data.pathIndex;
+    this.distanceAlongSegment = data.distanceAlongSegment;
+    this.rotation = data.rotation || 0;
+    this.health = data.health;
+    this.maxHealth = data.maxHealth;
+    this.speed = data.speed;
+    this.bounty = data.bounty;
+    this.armor = data.armor;
+    this.shield = data.shield || 0;
+    this.maxShield = data.maxShield || 0;
+    this.waveNumber = data.waveNumber || 0;
+    this.spawnGroup = data.spawnGroup ?? null;
+    this.lane = data.lane || 'main';
+    this.speedMultiplier = data.speedMultiplier ?? 1;
+
+    Object.entries(data.abilityState || {}).forEach(([name, state]) => {
+      if (this.abilityState[name]) {
+        this.abilityState[name] = { ...this.abilityState[name], ...state };
+      }
+    });
+
+    //merge so effects added after the save was written keep their defaults
+    Object.entries(data.statusEffects || {}).forEach(([key, effect]) => {
+      this.statusEffects[key] = { ...this.statusEffects[key], ...effect };
+    });
+
+    this.updateDirection();
+  }
+
  
   /**
    * Reset enemy to initial state (for reuse/pooling)
@@ -400,21 +638,52 @@ class Enemy {
    */
   reset() {
     this.health = this.maxHealth;
+    this.shield = this.maxShield;
     this.isDead = false;
     this.pathIndex = 0;
     this.distanceAlongSegment = 0;
+    this.isRerouted = false;
+    this.progressOffset = 0;
     this.opacity = 1;
     this.rotation = 0;
+    this.waveNumber = 0;
+    this.spawnGroup = null;
+    this.speedMultiplier = 1;
+    this.abilityState = createAbilityState(this.specialAbilities);
 
     // Clear status effects
     Object.keys(this.statusEffects).forEach(key => {
       this.statusEffects[key].active = false;
       this.statusEffects[key].duration = 0;
     });
+    this.statusEffects.slow.slowFactor = 1;
+    this.statusEffects.poison.damagePerSecond = 0;
+    this.statusEffects.poison.tickTimer = 0;
+    this.statusEffects.poison.sourceTowerId = null;
+    // killedBy is kept: the kill is awarded after the enemy went back to the pool
 
     // Don't call updatePosition() - x/y should already be set by caller
     this.updateDirection();
   }
 }
 
+/**
+ * Is a point on the axis-aligned segment from a to b?
+ * @private
+ */
+function isBetween(point, a, b) {
+  const epsilon = 0.01;
+
+  if (Math.abs(a.x - b.x) < epsilon) {
+    return Math.abs(point.x - a.x) < epsilon &&
+      point.y >= Math.min(a.y, b.y) && point.y <= Math.max(a.y, b.y);
+  }
+  if (Math.abs(a.y - b.y) < epsilon) {
+    return Math.abs(point.y - a.y) < epsilon &&
+      point.x >= Math.min(a.x, b.x) && point.x <= Math.max(a.x, b.x);
+  }
+
+  return false;
+}
+
 export default Enemy;
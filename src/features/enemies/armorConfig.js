@@ -0,0 +1,129 @@
+/**
+ * armorConfig.js
+ * Damage types, armor classes and how well each damage type works against
+ * each armor class.
+ *
+ * Every tower deals one damage type (`damageType` in towerConfig.js) and
+ * every enemy type wears one armor class (`armorClass` in enemyConfig.js).
+ * A hit first loses the enemy's flat armor (at least 1 damage gets through),
+ * then is multiplied by DAMAGE_EFFECTIVENESS[damageType][armorClass]:
+ *   1 = normal damage, above 1 = effective, below 1 = resisted
+ *
+ * The table must have a value for every damage type × armor class pair;
+ * getDamageMultiplier() warns about a missing one and falls back to 1.
+ * The in-game chart (C key) is drawn from these tables.
+ */
+
+/**
+ * Damage types (name and color for the chart and tower panel)
+ */
+export const DAMAGE_TYPES = {
+  normal: { name: 'Normal', color: '#D3D3D3' },
+  magic: { name: 'Magic', color: '#BA55D3' },
+  fire: { name: 'Fire', color: '#FF6347' },
+  ice: { name: 'Ice', color: '#87CEFA' },
+  poison: { name: 'Poison', color: '#9ACD32' },
+  lightning: { name: 'Lightning', color: '#FFD700' },
+};
+
+/**
+ * Armor classes
+ */
+export const ARMOR_CLASSES = {
+  unarmored: { name: 'Unarmored', description: 'Cloth and skin. Nothing resists well.' },
+  light: { name: 'Light', description: 'Leather and feathers. Shrugs off the cold.' },
+  heavy: { name: 'Heavy', description: 'Plate and mail. Stops blades and arrows, conducts lightning.' },
+  magical: { name: 'Magical', description: 'Warded by spells. Resists magic, not steel.' },
+  draconic: { name: 'Draconic', description: 'Scales. Nearly immune to fire, weak to magic.' },
+};
+
+/**
+ * Effectiveness: damage type -> armor class -> damage multiplier
+ */
+export const DAMAGE_EFFECTIVENESS = {
+  normal:    { unarmored: 1.0, light: 1.1, heavy: 0.6, magical: 1.2, draconic: 0.5 },
+  magic:     { unarmored: 1.0, light: 0.9, heavy: 1.5, magical: 0.5, draconic: 1.25 },
+  fire:      { unarmored: 1.2, light: 1.1, heavy: 0.8, magical: 0.9, draconic: 0.2 },
+  ice:       { unarmored: 1.0, light: 0.7, heavy: 1.0, magical: 1.0, draconic: 0.7 },
+  poison:    { unarmored: 1.3, light: 1.1, heavy: 0.7, magical: 1.0, draconic: 0.5 },
+  lightning: { unarmored: 1.0, light: 1.0, heavy: 1.3, magical: 0.8, draconic: 0.8 },
+};
+
+//missing table entries already reported (warn once per pair)
+const reportedGaps = new Set();
+
+/**
+ * Get the damage multiplier of a damage type against an armor class
+ * @param {string} damageType - DAMAGE_TYPES key
+ * @param {string} armorClass - ARMOR_CLASSES key
+ * @returns {number} Multiplier (1 if the table has no entry)
+ */
+export function getDamageMultiplier(damageType, armorClass) {
+  const multiplier = DAMAGE_EFFECTIVENESS[damageType]?.[armorClass];
+  if (multiplier !== undefined) return multiplier;
+
+  const gap = `${damageType}/${armorClass}`;
+  if (!reportedGaps.has(gap)) {
+    reportedGaps.add(gap);
+    console.warn(`⚠️ No damage effectiveness for ${damageType} against ${armorClass} armor, using 1`);
+  }
+  return 1;
+}
+
+/**
+ * Get a damage type definition
+ * @param {string} damageType - DAMAGE_TYPES key
+ * @returns {Object|null} Damage type or null if unknown
+ */
+export function getDamageType(damageType) {
+  return DAMAGE_TYPES[damageType] || null;
+}
+
+/**
+ * Get an armor class definition
+ * @param {string} armorClass - ARMOR_CLASSES key
+ * @returns {Object|null} Armor class or null if unknown
+ */
+export function getArmorClass(armorClass) {
+  return ARMOR_CLASSES[armorClass] || null;
+}
+
+/**
+ * Get all damage types
+ * @returns {Array<string>} Damage type ids
+ */
+export function getDamageTypeIds() {
+  return Object.keys(DAMAGE_TYPES);
+}
+
+/**
+ * Get all armor classes
+ * @returns {Array<string>} Armor class ids
+ */
+export function getArmorClassIds() {
+  return Object.keys(ARMOR_CLASSES);
+}
+
+/**
+ * Find damage type × armor class pairs the effectiveness table is missing
+ * @returns {Array<string>} e.g. ['fire/draconic'], empty if the table is complete
+ */
+export function findMissingEffectiveness() {
+  return getDamageTypeIds().flatMap(damageType =>
+    getArmorClassIds()
+      .filter(armorClass => typeof DAMAGE_EFFECTIVENESS[damageType]?.[armorClass] !== 'number')
+      .map(armorClass => `${damageType}/${armorClass}`)
+  );
+}
+
+export default {
+  DAMAGE_TYPES,
+  ARMOR_CLASSES,
+  DAMAGE_EFFECTIVENESS,
+  getDamageMultiplier,
+  getDamageType,
+  getArmorClass,
+  getDamageTypeIds,
+  getArmorClassIds,
+  findMissingEffectiveness,
+};
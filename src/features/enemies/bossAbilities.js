@@ -0,0 +1,98 @@
+/**
+ * Boss Abilities
+ * What a boss does when one of its abilities comes off cooldown.
+ *
+ * Abilities are declared per boss phase in bossConfig.js; Boss.updateBoss()
+ * runs them through castBossAbility() when they are ready.
+ *
+ * Adding an ability: add a handler below and use its name as `type` in a phase.
+ */
+
+/**
+ * Ability handlers
+ * Each receives (boss, ability, context) where context is:
+ * { spawnMinion(enemyType, boss), getTowers() }
+ * and returns event data for the UI, or null if the ability found nothing
+ * to do (it is then retried on the next update instead of going on cooldown)
+ */
+export const BOSS_ABILITIES = {
+  summon(boss, ability, context) {
+    let summoned = 0;
+
+    for (let i = 0; i < ability.count; i++) {
+      if (context.spawnMinion(ability.minionType, boss)) {
+        summoned++;
+      }
+    }
+
+    return summoned > 0 ? { summoned, minionType: ability.minionType } : null;
+  },
+
+  fireBreath(boss, ability, context) {
+    const towers = context.getTowers().filter(tower => !tower.isDead);
+    const target = findClosestTower(boss, towers, ability.range);
+    if (!target) return null;
+
+    const burned = towers.filter(tower => distance(tower, target) <= ability.radius);
+    burned.forEach(tower => tower.disable(ability.disableDuration));
+
+    return { x: target.x, y: target.y, radius: ability.radius, towers: burned.length };
+  },
+
+  shield(boss, ability) {
+    const amount = Math.ceil(boss.maxHealth * ability.share);
+    boss.raiseShield(amount, ability.duration);
+
+    return { amount };
+  },
+};
+
+/**
+ * Cast a boss ability
+ * @param {Boss} boss - Casting boss
+ * @param {Object} ability - Ability from a phase (type plus its settings)
+ * @param {Object} context - { spawnMinion, getTowers }
+ * @returns {Object|null} Event data if the ability was cast
+ */
+export function castBossAbility(boss, ability, context) {
+  const handler = BOSS_ABILITIES[ability.type];
+
+  if (!handler) {
+    console.warn(`⚠️ Unknown boss ability: ${ability.type}`);
+    return null;
+  }
+
+  return handler(boss, ability, context);
+}
+
+/**
+ * Find the closest tower within range of the boss
+ * @private
+ */
+function findClosestTower(boss, towers, range) {
+  let closest = null;
+  let closestDistance = range;
+
+  for (const tower of towers) {
+    const towerDistance = distance(boss, tower);
+
+    if (towerDistance <= closestDistance) {
+      closest = tower;
+      closestDistance = towerDistance;
+    }
+  }
+
+  return closest;
+}
+
+/** @private */
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+export default {
+  BOSS_ABILITIES,
+  castBossAbility,
+};
@@ -0,0 +1,111 @@
+/**
+ * bossConfig.js
+ * Boss definitions: stats, phases and abilities.
+ *
+ * A boss is an ordinary enemy type (its base stats) with a boss script on
+ * top. Wave scripts spawn one with the group's `boss` key:
+ *   { id: 'dragon', type: 'Dragon', count: 1, boss: 'emberWyrm' }
+ *
+ * Boss:
+ * - name, title: shown on the intro banner and the boss health bar
+ * - stats: multipliers on the scaled enemy stats (health, speed, bounty, size)
+ * - phases: entered when health drops to `threshold` (share of max health),
+ *   first phase at 1. A phase may change the speed (multiplier on the spawn
+ *   speed), cast `onEnter` abilities once, and casts its `abilities` every
+ *   `cooldown` seconds (first cast after `delay`, default: the cooldown)
+ *
+ * Abilities (handlers in bossAbilities.js):
+ * - summon:     { minionType, count } — minions appear where the boss is
+ * - fireBreath: { range, radius, disableDuration } — burns the closest tower
+ *               in range; towers within radius of it stop firing for a while
+ * - shield:     { share, duration } — temporary shield worth share × max health
+ */
+
+export const BOSS_CONFIG = {
+  emberWyrm: {
+    name: 'Ember Wyrm',
+    title: 'The dragon awakens',
+    stats: { health: 2.5, bounty: 2, size: 1.25 },
+    phases: [
+      {
+        name: 'Awakened',
+        threshold: 1,
+        abilities: [
+          { type: 'summon', cooldown: 8, delay: 3, minionType: 'Goblin', count: 3 },
+        ],
+      },
+      {
+        name: 'Scorching',
+        threshold: 0.5,
+        speed: 1.2,
+        onEnter: [
+          { type: 'shield', share: 0.25, duration: 5 },
+        ],
+        abilities: [
+          { type: 'fireBreath', cooldown: 7, delay: 1, range: 120, radius: 50, disableDuration: 3 },
+        ],
+      },
+    ],
+  },
+
+  elderDragon: {
+    name: 'Elder Dragon',
+    title: 'Final boss',
+    stats: { health: 3, bounty: 2, size: 1.5 },
+    phases: [
+      {
+        name: 'Wrathful',
+        threshold: 1,
+        abilities: [
+          { type: 'fireBreath', cooldown: 9, delay: 4, range: 140, radius: 60, disableDuration: 3 },
+        ],
+      },
+      {
+        name: 'Summoner',
+        threshold: 0.66,
+        onEnter: [
+          { type: 'shield', share: 0.2, duration: 4 },
+        ],
+        abilities: [
+          { type: 'summon', cooldown: 6, delay: 0, minionType: 'Dwarve', count: 2 },
+          { type: 'fireBreath', cooldown: 8, range: 140, radius: 60, disableDuration: 3 },
+        ],
+      },
+      {
+        name: 'Desperate',
+        threshold: 0.33,
+        speed: 1.3,
+        onEnter: [
+          { type: 'shield', share: 0.3, duration: 6 },
+        ],
+        abilities: [
+          { type: 'summon', cooldown: 5, minionType: 'Hobbit', count: 4 },
+          { type: 'fireBreath', cooldown: 5, range: 160, radius: 70, disableDuration: 4 },
+        ],
+      },
+    ],
+  },
+};
+
+/**
+ * Get a boss definition
+ * @param {string} bossId - BOSS_CONFIG key
+ * @returns {Object|null} Boss config or null if unknown
+ */
+export function getBossConfig(bossId) {
+  return BOSS_CONFIG[bossId] || null;
+}
+
+/**
+ * Get all boss ids
+ * @returns {Array<string>} Boss ids
+ */
+export function getBossIds() {
+  return Object.keys(BOSS_CONFIG);
+}
+
+export default {
+  BOSS_CONFIG,
+  getBossConfig,
+  getBossIds,
+};
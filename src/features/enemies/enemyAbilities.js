@@ -0,0 +1,225 @@
+/**
+ * Enemy Abilities
+ * Special abilities enemy types declare in enemyConfig (`specialAbilities`).
+ *
+ * Abilities (keyed by name, settings as value):
+ * - healer:   { radius, amount, interval } — heals other enemies within radius
+ *             by amount every interval seconds
+ * - shield:   { amount } — a shield absorbing amount damage before health
+ *             (added at spawn by getEnemyConfig)
+ * - splitter: { into, count, spacing } — when killed, splits into count
+ *             enemies of type `into`, spacing pixels apart along the path
+ * - summoner: { minionType, count, interval, from } — once past `from`
+ *             (share of the path), summons count minions every interval seconds
+ * - sprinter: { multiplier, duration, interval } — every interval seconds,
+ *             runs multiplier times faster for duration seconds
+ * - attacker: { range, damage, interval } — every interval seconds, hits the
+ *             closest tower within range (destroyed towers become ruins)
+ *
+ * EnemyManager runs update handlers every update and death handlers when an
+ * enemy is killed (not when it escapes). Per-enemy timers live in
+ * enemy.abilityState, so saves pick abilities up where they were.
+ *
+ * Adding an ability: add a handler below and declare it on an enemy type.
+ */
+
+// How long a heal, summon or attack stays visible on the enemy (seconds)
+export const ABILITY_PULSE_DURATION = 0.4;
+
+/**
+ * Ability handlers
+ * Each may define:
+ * - createState(ability): initial per-enemy state
+ * - update(enemy, ability, state, deltaTime, context)
+ * - onDeath(enemy, ability, context)
+ * where context is { queryEnemies(x, y, radius), spawnMinion(enemyType, parent),
+ * queryTowers(x, y, radius), damageTower(tower, amount, enemy) }
+ */
+export const ENEMY_ABILITIES = {
+  healer: {
+    createState: (ability) => ({ timer: ability.interval, pulse: 0 }),
+
+    update(enemy, ability, state, deltaTime, context) {
+      state.pulse = Math.max(0, state.pulse - deltaTime);
+      state.timer -= deltaTime;
+      if (state.timer > 0) return;
+
+      state.timer += ability.interval;
+
+      const patients = context.queryEnemies(enemy.x, enemy.y, ability.radius).filter(other =>
+        other !== enemy &&
+        !other.isDead &&
+        other.health < other.maxHealth &&
+        distance(enemy, other) <= ability.radius
+      );
+
+      patients.forEach(other => other.heal(ability.amount));
+      if (patients.length > 0) {
+        state.pulse = ABILITY_PULSE_DURATION;
+      }
+    },
+  },
+
+  // Nothing to run: the shield is part of the spawn stats
+  shield: {},
+
+  splitter: {
+    onDeath(enemy, ability, context) {
+      for (let i = 0; i < ability.count; i++) {
+        const child = context.spawnMinion(ability.into, enemy);
+
+        if (child && i > 0) {
+          child.moveAlongPath(i * (ability.spacing ?? 10), 1);
+        }
+      }
+    },
+  },
+
+  summoner: {
+    createState: (ability) => ({ timer: ability.interval, pulse: 0 }),
+
+    update(enemy, ability, state, deltaTime, context) {
+      state.pulse = Math.max(0, state.pulse - deltaTime);
+      if (enemy.getPathProgress() < (ability.from ?? 0)) return;
+
+      state.timer -= deltaTime;
+      if (state.timer > 0) return;
+
+      state.timer += ability.interval;
+
+      for (let i = 0; i < ability.count; i++) {
+        context.spawnMinion(ability.minionType, enemy);
+      }
+      state.pulse = ABILITY_PULSE_DURATION;
+    },
+  },
+
+  sprinter: {
+    createState: (ability) => ({ timer: ability.interval, remaining: 0 }),
+
+    update(enemy, ability, state, deltaTime) {
+      if (state.remaining > 0) {
+        state.remaining -= deltaTime;
+        if (state.remaining <= 0) {
+          state.remaining = 0;
+          enemy.speedMultiplier = 1;
+        }
+        return;
+      }
+
+      state.timer -= deltaTime;
+      if (state.timer > 0) return;
+
+      state.timer += ability.interval;
+      state.remaining = ability.duration;
+      enemy.speedMultiplier = ability.multiplier;
+    },
+  },
+
+  attacker: {
+    createState: (ability) => ({ timer: ability.interval, pulse: 0, targetX: 0, targetY: 0 }),
+
+    update(enemy, ability, state, deltaTime, context) {
+      state.pulse = Math.max(0, state.pulse - deltaTime);
+      state.timer -= deltaTime;
+      if (state.timer > 0) return;
+
+      const target = findClosestTower(enemy, context.queryTowers(enemy.x, enemy.y, ability.range), ability.range);
+      if (!target) {
+        // Ready: fires as soon as a tower comes in range
+        state.timer = 0;
+        return;
+      }
+
+      state.timer = ability.interval;
+      state.pulse = ABILITY_PULSE_DURATION;
+      state.targetX = target.x;
+      state.targetY = target.y;
+      context.damageTower(target, ability.damage, enemy);
+    },
+  },
+};
+
+/**
+ * Create the per-enemy state of every ability an enemy has
+ * @param {Object} specialAbilities - Ability name -> settings
+ * @returns {Object} Ability name -> state
+ */
+export function createAbilityState(specialAbilities = {}) {
+  const state = {};
+
+  Object.entries(specialAbilities).forEach(([name, ability]) => {
+    const handler = ENEMY_ABILITIES[name];
+    state[name] = handler?.createState ? handler.createState(ability) : {};
+  });
+
+  return state;
+}
+
+/**
+ * Run the update handlers of an enemy's abilities
+ * @param {Enemy} enemy - Living enemy
+ * @param {number} deltaTime - Time since last update in seconds
+ * @param {Object} context - { queryEnemies, spawnMinion, queryTowers, damageTower }
+ */
+export function updateEnemyAbilities(enemy, deltaTime, context) {
+  Object.entries(enemy.specialAbilities).forEach(([name, ability]) => {
+    const handler = ENEMY_ABILITIES[name];
+
+    if (!handler) {
+      console.warn(`⚠️ Unknown enemy ability: ${name}`);
+      return;
+    }
+
+    if (handler.update) {
+      handler.update(enemy, ability, enemy.abilityState[name], deltaTime, context);
+    }
+  });
+}
+
+/**
+ * Run the death handlers of a killed enemy's abilities
+ * @param {Enemy} enemy - Enemy that was just killed (still at its death position)
+ * @param {Object} context - { queryEnemies, spawnMinion, queryTowers, damageTower }
+ */
+export function triggerDeathAbilities(enemy, context) {
+  Object.entries(enemy.specialAbilities).forEach(([name, ability]) => {
+    ENEMY_ABILITIES[name]?.onDeath?.(enemy, ability, context);
+  });
+}
+
+/**
+ * Find the closest standing tower within range of an enemy
+ * @private
+ */
+function findClosestTower(enemy, towers, range) {
+  let closest = null;
+  let closestDistance = range;
+
+  for (const tower of towers) {
+    if (tower.isDead) continue;
+
+    const towerDistance = distance(enemy, tower);
+    if (towerDistance <= closestDistance) {
+      closest = tower;
+      closestDistance = towerDistance;
+    }
+  }
+
+  return closest;
+}
+
+/** @private */
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+export default {
+  ABILITY_PULSE_DURATION,
+  ENEMY_ABILITIES,
+  createAbilityState,
+  updateEnemyAbilities,
+  triggerDeathAbilities,
+};
@@ -12,9 +12,18 @@
  * All values are declarative and easy to modify.
  */
 
+import { DIFFICULTY_PRESETS } from '../../utils/constants.js';
+import { getBossConfig } from './bossConfig.js';
+
 /**
  * Base enemy type configurations
- * Each enemy type defines its base stats
+ * Each enemy type defines its base stats, its armor class (armorClass, an
+ * ARMOR_CLASSES key in armorConfig.js: how much each damage type hurts it)
+ * and optionally:
+ * - color: body color (default: the renderer's color for the type)
+ * - specialAbilities: ability name -> settings (see enemyAbilities.js)
+ * - isFlying: flies the map's air path; only towers with canTargetAir hit it
+ *   and ground effects (ground: true in towerConfig) leave it alone
  */
 
 const ENEMY_TYPES = {
@@ -25,11 +34,7 @@ const ENEMY_TYPES = {
     size: 16,
     bounty: 10,
     armor: 0,
-    resistances: {
-      normal: 0,
-      fire: 0.1, //10% fire resistance
-      ice: 0,
-    },
+    armorClass: 'unarmored',
     image: 'goblin.png', //path to sprite
     description: 'Fast and weak, low bounty',
     difficulty: 1,
@@ -42,11 +47,7 @@ const ENEMY_TYPES = {
     size: 20,
     bounty: 20,
     armor: 2, // Takes 2 less damage
-    resistances: {
-      normal: 0,
-      fire: 0.2,
-      ice: 0.1,
-    },
+    armorClass: 'heavy',
     image: 'dwarve.png',
     description: 'Tanky with armor. Medium speed.',
     difficulty: 2,
@@ -59,14 +60,13 @@ const ENEMY_TYPES = {
     size: 18,
     bounty: 15,
     armor: 0,
-    resistances: {
-      normal: 0,
-      fire: 0,
-      ice: 0.3, // Very resistant to ice
-    },
+    armorClass: 'light',
     image: 'elve.png',
-    description: 'Swift and agile. High ice resistance.',
+    description: 'Swift and agile. High ice resistance. Shoots arrows at towers.',
     difficulty: 2,
+    specialAbilities: {
+      attacker: { range: 100, damage: 3, interval: 1.5 },
+    },
   },
 
  Hobbit: {
@@ -76,11 +76,7 @@ const ENEMY_TYPES = {
     size: 14,
     bounty: 8,
     armor: 0,
-    resistances: {
-      normal: 0,
-      fire: 0,
-      ice: 0,
-    },
+    armorClass: 'unarmored',
     image: 'hobbit.png',
     description: 'Tiny and quick. Lowest bounty.',
     difficulty: 1,
@@ -93,14 +89,112 @@ const ENEMY_TYPES = {
     size: 32,
     bounty: 100, // High reward
     armor: 5, // Heavy armor
-    resistances: {
-      normal: 0,
-      fire: 0.8, // Very resistant to fire
-      ice: 0.3,
-    },
+    armorClass: 'draconic',
     image: 'dragon.png',
-    description: 'Boss enemy. High HP, armor, and bounty.',
+    description: 'Boss enemy. High HP, armor, and bounty. Flies.',
     difficulty: 5,
+    isFlying: true,
+  },
+
+  Shaman: {
+    name: 'Shaman',
+    health: 40,
+    speed: 55,
+    size: 18,
+    bounty: 25,
+    armor: 0,
+    armorClass: 'magical',
+    image: 'shaman.png',
+    color: '#9370DB',
+    description: 'Heals nearby enemies. Kill it first.',
+    difficulty: 3,
+    specialAbilities: {
+      healer: { radius: 70, amount: 6, interval: 1.5 },
+    },
+  },
+
+  Knight: {
+    name: 'Knight',
+    health: 70,
+    speed: 45,
+    size: 22,
+    bounty: 30,
+    armor: 3,
+    armorClass: 'heavy',
+    image: 'knight.png',
+    color: '#4682B4',
+    description: 'Armored, behind a shield that soaks 40 damage. Strikes towers close to the path.',
+    difficulty: 3,
+    specialAbilities: {
+      shield: { amount: 40 },
+      attacker: { range: 60, damage: 8, interval: 2 },
+    },
+  },
+
+  Troll: {
+    name: 'Troll',
+    health: 90,
+    speed: 40,
+    size: 24,
+    bounty: 30,
+    armor: 1,
+    armorClass: 'unarmored',
+    image: 'troll.png',
+    color: '#556B2F',
+    description: 'Splits into three goblins when killed.',
+    difficulty: 3,
+    specialAbilities: {
+      splitter: { into: 'Goblin', count: 3, spacing: 12 },
+    },
+  },
+
+  Necromancer: {
+    name: 'Necromancer',
+    health: 60,
+    speed: 45,
+    size: 20,
+    bounty: 35,
+    armor: 0,
+    armorClass: 'magical',
+    image: 'necromancer.png',
+    color: '#4B0082',
+    description: 'Raises goblins once it is a quarter down the path.',
+    difficulty: 4,
+    specialAbilities: {
+      summoner: { minionType: 'Goblin', count: 2, interval: 4, from: 0.25 },
+    },
+  },
+
+  Warg: {
+    name: 'Warg',
+    health: 35,
+    speed: 70,
+    size: 18,
+    bounty: 15,
+    armor: 0,
+    armorClass: 'light',
+    image: 'warg.png',
+    color: '#A0522D',
+    description: 'Sprints in short bursts.',
+    difficulty: 2,
+    specialAbilities: {
+      sprinter: { multiplier: 2.2, duration: 0.8, interval: 3 },
+    },
+  },
+
+  Harpy: {
+    name: 'Harpy',
+    health: 35,
+    speed: 75,
+    size: 16,
+    bounty: 18,
+    armor: 0,
+    armorClass: 'light',
+    image: 'harpy.png',
+    color: '#DAA520',
+    description: 'Flies over the path. Needs towers that hit air.',
+    difficulty: 2,
+    isFlying: true,
   },
 }
 
@@ -110,40 +204,63 @@ const ENEMY_TYPES = {
  */
 const WAVE_SCALING = {
   health: (waveNumber) => 1 + (waveNumber - 1) * 0.15, // +15% per wave
-  speed: (waveNumber) => 1 + (waveNumber - 1) * 0.08, // +8% per wave
+  speed: (waveNumber) => Math.min(2.5, 1 + (waveNumber - 1) * 0.08), // +8% per wave (capped for late endless waves)
   bounty: (waveNumber) => 1 + (waveNumber - 1) * 0.2, // +20% per wave
 };
 
 /**
- * Enemy spawning templates for waves
- * Defines what enemies spawn in each wave
+ * Mutators
+ * Optional rules chosen for a game, applied to every spawned enemy
+ * (health, speed, bounty multiply; armor adds)
  */
-const WAVE_TEMPLATES = {
-  1: [
-    { type: 'Goblin', count: 5, spawnDelay: 0.5 },
-  ],
-
-  2: [
-    { type: 'Goblin', count: 8, spawnDelay: 0.4 },
-    { type: 'Hobbit', count: 3, spawnDelay: 0.3 },
-  ],
-
-  3: [
-    { type: 'Goblin', count: 5, spawnDelay: 0.5 },
-    { type: 'Dwarve', count: 3, spawnDelay: 0.6 },
-    { type: 'Elve', count: 2, spawnDelay: 0.4 },
-  ],
-
-  4: [
-    { type: 'Dwarve', count: 6, spawnDelay: 0.5 },
-    { type: 'Elve', count: 4, spawnDelay: 0.4 },
-    { type: 'Hobbit', count: 5, spawnDelay: 0.3 },
-  ],
-
-  5: [
-    { type: 'Elve', count: 8, spawnDelay: 0.35 },
-    { type: 'Dragon', count: 1, spawnDelay: 1.0 },
-  ],
+const ENEMY_MUTATORS = {
+  armored: {
+    name: 'Armored',
+    description: 'Every enemy has +3 armor',
+    armor: 3,
+  },
+  swift: {
+    name: 'Swift',
+    description: 'Enemies move 25% faster',
+    speed: 1.25,
+  },
+  juggernaut: {
+    name: 'Juggernaut',
+    description: 'Enemies have 50% more health but are 15% slower',
+    health: 1.5,
+    speed: 0.85,
+  },
+  scarcity: {
+    name: 'Scarcity',
+    description: 'Enemies drop 40% less gold',
+    bounty: 0.6,
+  },
+};
+
+/**
+ * Modifiers
+ * Per spawn group (see the wave script in waveConfig.js): health, speed,
+ * bounty and size multiply, armor adds, shield is a share of max health
+ * absorbed before health
+ */
+const ENEMY_MODIFIERS = {
+  elite: {
+    name: 'Elite',
+    description: 'Double health and bounty, bigger',
+    health: 2,
+    bounty: 2,
+    size: 1.25,
+  },
+  shielded: {
+    name: 'Shielded',
+    description: 'A shield worth half its health soaks damage first',
+    shield: 0.5,
+  },
+  hasted: {
+    name: 'Hasted',
+    description: '30% faster',
+    speed: 1.3,
+  },
 };
 
 /**
@@ -174,11 +291,19 @@ const STATUS_EFFECTS = {
 
 /**
  * Get configuration for an enemy type
+ * Stats are scaled by the wave (WAVE_SCALING), the difficulty preset
+ * (DIFFICULTY_PRESETS.enemyHealthDivisor), the active mutators, the
+ * spawn group's modifiers and, for bosses, the boss stats (bossConfig.js).
  * @param {string} enemyType - Enemy type name
  * @param {number} waveNumber - Current wave (optional, for scaling)
- * @returns {Object} Enemy configuration with stats
+ * @param {Object} scaling - Game settings and group modifiers (optional)
+ * @param {string} scaling.difficulty - DIFFICULTY_PRESETS key (default: 'normal')
+ * @param {Array<string>} scaling.mutators - ENEMY_MUTATORS keys (default: none)
+ * @param {Array<string>} scaling.modifiers - ENEMY_MODIFIERS keys (default: none)
+ * @param {string} scaling.boss - BOSS_CONFIG key (default: not a boss)
+ * @returns {Object} Enemy configuration with stats, plus the applied multipliers in `scaling`
  */
-export function getEnemyConfig(enemyType, waveNumber = 1) {
+export function getEnemyConfig(enemyType, waveNumber = 1, { difficulty = 'normal', mutators = [], modifiers = [], boss = null } = {}) {
   const baseConfig = ENEMY_TYPES[enemyType]
 
   if(!baseConfig) {
@@ -189,146 +314,113 @@ export function getEnemyConfig(enemyType, waveNumber = 1) {
   //clone config
   const config = {...baseConfig};
 
-  //apply wave scaling if wave number provided
-  if(waveNumber > 1) {
-    const healthMultiplier = WAVE_SCALING.health(waveNumber);
-
-    const speedMultiplier = WAVE_SCALING.speed(waveNumber);
-
-    const bountyMultiplier = WAVE_SCALING.bounty(waveNumber);
+  //wave scaling (wave 1 is the base)
+  const wave = Math.max(1, waveNumber);
+  let healthMultiplier = WAVE_SCALING.health(wave);
+  let speedMultiplier = WAVE_SCALING.speed(wave);
+  let bountyMultiplier = WAVE_SCALING.bounty(wave);
+  let bonusArmor = 0;
+  let sizeMultiplier = 1;
+  let shieldShare = 0;
+
+  //difficulty preset
+  const preset = DIFFICULTY_PRESETS[difficulty] || DIFFICULTY_PRESETS.normal;
+  healthMultiplier /= preset.enemyHealthDivisor;
+
+  //mutators (whole game), then modifiers (this spawn group), then boss stats
+  const effects = [
+    ...mutators.map(id => ENEMY_MUTATORS[id]),
+    ...modifiers.map(id => ENEMY_MODIFIERS[id]),
+    boss ? getBossConfig(boss)?.stats : null,
+  ];
+
+  effects.forEach(effect => {
+    if (!effect) return;
+
+    healthMultiplier *= effect.health ?? 1;
+    speedMultiplier *= effect.speed ?? 1;
+    bountyMultiplier *= effect.bounty ?? 1;
+    bonusArmor += effect.armor ?? 0;
+    sizeMultiplier *= effect.size ?? 1;
+    shieldShare += effect.shield ?? 0;
+  });
 
-    config.health = Math.ceil(baseConfig.health * healthMultiplier);
-    config.maxHealth = config.health;
-    config.speed = baseConfig.speed * speedMultiplier;
-    config.bounty = Math.ceil(baseConfig.bounty * bountyMultiplier);
-  } else {
-    config.maxHealth = config.health;
-  }
+  config.health = Math.ceil(baseConfig.health * healthMultiplier);
+  config.maxHealth = config.health;
+  config.speed = baseConfig.speed * speedMultiplier;
+  config.bounty = Math.ceil(baseConfig.bounty * bountyMultiplier);
+  config.armor = baseConfig.armor + bonusArmor;
+  config.size = Math.round(baseConfig.size * sizeMultiplier);
+  //shield: share of health from mutators and modifiers, plus the shield ability's amount
+  config.shield = Math.ceil(config.health * shieldShare) + (baseConfig.specialAbilities?.shield?.amount ?? 0);
+  config.specialAbilities = baseConfig.specialAbilities || {};
+  config.isFlying = baseConfig.isFlying === true;
+  config.armorClass = baseConfig.armorClass || 'unarmored';
+
+  config.scaling = {
+    waveNumber: wave,
+    difficulty,
+    mutators: [...mutators],
+    modifiers: [...modifiers],
+    boss,
+    health: healthMultiplier,
+    speed: speedMultiplier,
+    bounty: bountyMultiplier,
+    armor: bonusArmor,
+  };
 
   return config;
 }
 
 /**
- * Get all available enemy types
- * @returns {Array<string>} Array of enemy type names
+ * Get a mutator definition
+ * @param {string} mutatorId - ENEMY_MUTATORS key
+ * @returns {Object|null} Mutator config or null if unknown
  */
-export function getEnemyTypes() {
-  return Object.keys(ENEMY_TYPES);
-}
-
-/**
- * Get enemies for a specific wave
- * @param {number} waveNumber - Wave number (1-indexed)
- * @returns {Array<Object>} Array of enemy spawn configs
- */
-export function getWaveEnemies(waveNumber) {
-  const template = WAVE_TEMPLATES[waveNumber];
-
-  if(!template) {
-    console.warn(`No template for wave ${waveNumber}, generating random wave`);
-    return generateRandomWave(waveNumber);
-  }
-  //apply wave scaling to each enemy type
-  return template.map(spawn => ({
-    ...spawn,
-    config: getEnemyConfig(spawn.type, waveNumber),
-  }));
+export function getMutator(mutatorId) {
+  return ENEMY_MUTATORS[mutatorId] || null;
 }
 
 /**
- * Generate a random wave for unknown wave numbers
- * @private
+ * Get all available mutators
+ * @returns {Array<string>} Mutator ids
  */
-function generateRandomWave(waveNumber) {
-  const enemyTypes = getEnemyTypes();
-  const enemyCount = 3 + waveNumber;
-  const spawns = [];
-
-  for(let i = 0; i < enemyCount; i++) {
-    const randomType = enemyTypes[Math.floor(Math.random() * enemyTypes.length)];
-    spawns.push({
-      type: randomType,
-      count: 1,
-      spawnDelay: 0.5,
-      config: getEnemyConfig(randomType, waveNumber),
-    });
-  }
-
-  return spawns
+export function getMutatorIds() {
+  return Object.keys(ENEMY_MUTATORS);
 }
 
 /**
- * Get configuration for a status effect
- * @param {string} effectType - Effect name (slow, stun, burn, freeze)
- * @returns {Object} Effect configuration
+ * Get a spawn group modifier definition
+ * @param {string} modifierId - ENEMY_MODIFIERS key
+ * @returns {Object|null} Modifier config or null if unknown
  */
-export function getStatusEffectConfig(effectType) {
-  return STATUS_EFFECTS[effectType] || null;
+export function getModifier(modifierId) {
+  return ENEMY_MODIFIERS[modifierId] || null;
 }
 
 /**
- * Get total difficulty rating for a wave
- * Useful for balancing progression
- * @param {number} waveNumber - Wave number
- * @returns {number} Difficulty score
+ * Get all available spawn group modifiers
+ * @returns {Array<string>} Modifier ids
  */
-export function getWaveDifficulty(waveNumber) {
-  const enemies = getWaveEnemies(waveNumber);
-  let totalDifficulty = 0;
-
-  enemies.forEach(spawn => {
-    const baseType = ENEMY_TYPES[spawn.type];
-    totalDifficulty += (baseType.difficulty * spawn.count);
-  });
-
-  return totalDifficulty
+export function getModifierIds() {
+  return Object.keys(ENEMY_MODIFIERS);
 }
 
 /**
- * Get estimated bounty for completing a wave
- * @param {number} waveNumber - Wave number
- * @returns {number} Total bounty possible
+ * Get all available enemy types
+ * @returns {Array<string>} Array of enemy type names
  */
-export function getWaveBounty(waveNumber) {
-  const enemies = getWaveEnemies(waveNumber);
-  let totalBounty = 0;
-
-  enemies.forEach(spawn => {
-    const config = spawn.config;
-    totalBounty += (config.bounty * spawn.count);
-  });
-
-  return totalBounty;
+export function getEnemyTypes() {
+  return Object.keys(ENEMY_TYPES);
 }
 
 /**
- * Balance check - log all waves and their stats
- * Useful for difficulty tuning
+ * Get configuration for a status effect
+ * @param {string} effectType - Effect name (slow, stun, burn, freeze)
+ * @returns {Object} Effect configuration
  */
-export function logBalanceReport (waves = 5) {
-  console.log('=== GAME BALANCE REPORT ===');
-
-  for(let i = 1; i <= waves; i++) {
-    const enemies = getWaveEnemies(i);
-    const difficulty = getWaveDifficulty(i);
-    const bounty = getWaveBounty(i);
-
-    console.log(`Wave ${i}:`);
-    console.log(`  Difficulty: ${difficulty}`);
-    console.log(`  Total Bounty: ${bounty}`);
-    console.log(`  Enemy Composition:`);
-
-    const breakdown = {};
-    enemies.forEach(spawn => {
-      breakdown[spawn.type] = (breakdown[spawn.type] || 0) + spawn.count;
-    });
-
-    Object.entries(breakdown).forEach(([type, count]) => {
-      console.log(`    - ${type}: ${count}x`);
-    });
-  }
-
-  console.log('=======================');
+export function getStatusEffectConfig(effectType) {
+  return STATUS_EFFECTS[effectType] || null;
 }
 
 /**
@@ -337,13 +429,14 @@ export function logBalanceReport (waves = 5) {
 export default {
   ENEMY_TYPES,
   WAVE_SCALING,
-  WAVE_TEMPLATES,
+  ENEMY_MUTATORS,
+  ENEMY_MODIFIERS,
   STATUS_EFFECTS,
   getEnemyConfig,
   getEnemyTypes,
-  getWaveEnemies,
+  getMutator,
+  getMutatorIds,
+  getModifier,
+  getModifierIds,
   getStatusEffectConfig,
-  getWaveDifficulty,
-  getWaveBounty,
-  logBalanceReport,
 };
\ No newline at end of file
@@ -2,10 +2,23 @@
  * EnemyManager
  * Manages all enemies in the game.
  * Handles spawning, updating, removal, and queries.
+ * Runs enemy special abilities (enemyAbilities.js): update handlers every
+ * update, death handlers when an enemy is killed. Abilities reach towers
+ * only through the tower access the engine passes to update().
+ * Every enemy keeps to the lane it spawned on; flying enemies follow the
+ * lane's air path instead of its ground path.
+ * On open field maps ground enemies take new routes when towers change them.
+ * Subscribers hear about every kill ('enemyKilled'), e.g. for death animations.
  */
 
 import Enemy from "./Enemy.js";
-import { getEnemyConfig } from "./enemyConfig.js";
+import Boss from "./Boss.js";
+import { updateEnemyAbilities, triggerDeathAbilities } from "./enemyAbilities.js";
+import { getEnemyConfig, getEnemyTypes, getMutator } from "./enemyConfig.js";
+import { findMissingEffectiveness } from "./armorConfig.js";
+import { calculateSplashDamage } from "../projectiles/projectileConfig.js";
+import SpatialHash from "../../utils/spatialHash.js";
+import { GAME_CONFIG, DIFFICULTY_PRESETS } from "../../utils/constants.js";
 
 class EnemyManager {
     constructor() {
@@ -15,74 +28,185 @@ class EnemyManager {
         this.nextEnemyId = 0; //for generating unique enemy ids
 
         //configuration
-        this.path = []; //enemy path waypoints
-        this.spawnPoint = {x: 0, y:0}
+        this.lanes = { main: { path: [], airPath: [] } }; //lane id -> ground and air path (world coordinates), see setLanes
+
+        //spawn-time scaling (with the wave number, see getEnemyConfig)
+        this.difficulty = 'normal'; //DIFFICULTY_PRESETS key
+        this.mutators = []; //ENEMY_MUTATORS keys
+
+        //spatial index of active enemies, rebuilt every update (shared with towers and collisions)
+        this.spatialIndex = new SpatialHash(GAME_CONFIG.spatialCellSize);
+
+        //event subscribers (see subscribe)
+        this.listeners = [];
     }
 
     /**
      * Initialize the eemy manager
      */
     async initialize() {
+        //damage type x armor class pairs without a value deal normal damage
+        const gaps = findMissingEffectiveness();
+        if (gaps.length > 0) {
+            console.warn(`⚠️ Damage effectiveness table has no value for: ${gaps.join(', ')}`);
+        }
+
         console.log( 'EnemyManager initialized')
     }
 
     /**
-     * set the path for enemies to follow
-     * @param {Array<Object>} path - Path waypoints [{x, y}, ...]
+     * Set the map's lanes
+     * @param {Object} lanes - Lane id ('main' included) -> { path, airPath } waypoints [{x, y}, ...]
+     */
+    setLanes(lanes){
+        this.lanes = lanes;
+    }
+
+    /**
+     * Get the path enemies on a lane follow
+     * @param {string} lane - Lane id ('main' is the map's own path)
+     * @param {boolean} isFlying - Flying enemies take the lane's air path
+     * @returns {Array<Object>} Path waypoints
+     */
+    getLanePath(lane = 'main', isFlying = false){
+        const { path, airPath } = this.lanes[lane] || this.lanes.main;
+        return isFlying ? airPath : path;
+    }
+
+    /**
+     * Send ground enemies on the field along new routes (open field maps,
+     * when towers change). Enemies with no way out keep their path
+     * @param {Function} findRoute - (x, y, lane) => waypoints from that world position to the lane's exit, or null
+     */
+    rerouteEnemies(findRoute){
+        for (const enemy of this.enemies) {
+            if (enemy.isFlying || enemy.isDead || enemy.hasReachedEnd()) continue;
+
+            const route = findRoute(enemy.x, enemy.y, enemy.lane);
+            if (route) {
+                enemy.setRoute(route);
+            }
+        }
+    }
+
+    /**
+     * Set the difficulty and mutators applied to every spawned enemy
+     * @param {Object} settings
+     * @param {string} settings.difficulty - DIFFICULTY_PRESETS key (default: 'normal')
+     * @param {Array<string>} settings.mutators - ENEMY_MUTATORS keys (default: none)
+     */
+    setScaling({ difficulty = 'normal', mutators = [] } = {}){
+        if (!DIFFICULTY_PRESETS[difficulty]) {
+            throw new Error(`❌ Unknown difficulty: ${difficulty}`);
+        }
+
+        const unknown = mutators.filter(mutatorId => !getMutator(mutatorId));
+        if (unknown.length > 0) {
+            throw new Error(`❌ Unknown mutator(s): ${unknown.join(', ')}`);
+        }
+
+        this.difficulty = difficulty;
+        this.mutators = [...mutators];
+    }
+
+    /**
+     * Get the difficulty and mutators applied to spawned enemies
+     * @returns {Object} {difficulty, mutators}
      */
-    setPath(path) {
-        this.path = path;
+    getScaling(){
+        return { difficulty: this.difficulty, mutators: [...this.mutators] };
     }
 
     /**
-     * set the spawn point for enemies
-     * @param {Object} spawnPoint - Spawn Point [x, y]
+     * Get scaled stats of every enemy type for a wave (debug, balancing)
+     * @param {number} waveNumber - Wave number
+     * @returns {Object} enemyType -> {health, speed, bounty, armor, armorClass}
      */
-    setSpawnPoint(spawnPoint){
-        this.spawnPoint = spawnPoint;
+    getScaledStats(waveNumber){
+        const stats = {};
+
+        getEnemyTypes().forEach(enemyType => {
+            const config = getEnemyConfig(enemyType, waveNumber, this.getScaling());
+            stats[enemyType] = {
+                health: config.health,
+                speed: Math.round(config.speed * 10) / 10,
+                bounty: config.bounty,
+                armor: config.armor,
+                armorClass: config.armorClass,
+            };
+        });
+
+        return stats;
     }
 
     /**
      * Spawn an Enemy of a specific type
      * @param {String} enemyType - Type of enemy to be spawned (Goblin, Dwarve, etc.)
+     * @param {number} waveNumber - Wave the enemy belongs to, for stat scaling (default: 1)
+     * @param {Object} options - Spawn group settings (optional)
+     * @param {string} options.lane - Lane id (default: 'main')
+     * @param {Array<string>} options.modifiers - ENEMY_MODIFIERS keys (default: none)
+     * @param {string} options.boss - BOSS_CONFIG key, spawns a Boss (default: none)
      * @returns {Enemy|null} Spawned enemy of null if failed
      */
-    spawnEnemy(enemyType){
+    spawnEnemy(enemyType, waveNumber = 1, { lane = 'main', modifiers = [], boss = null } = {}){
         try {
-            //Get enemy configuration
-            const config = getEnemyConfig(enemyType);
+            //Get enemy configuration, scaled for the wave, difficulty, mutators, group modifiers and boss
+            const config = getEnemyConfig(enemyType, waveNumber, { ...this.getScaling(), modifiers, boss });
             if(!config) {
                 console.warn(`Unknown enemy type: ${enemyType}`)
                 return null;
             }
 
-            //creeate or reuse enemy object
+            //start of the lane's path (or air path)
+            const path = this.getLanePath(lane, config.isFlying);
+            const start = path[0];
+
+            //creeate or reuse enemy object (bosses are never pooled)
             let enemy;
-            if (this.enemyPool.length > 0) {
+            if (boss) {
+                enemy = new Boss({
+                    id: `enemy_${this.nextEnemyId++}`,
+                    type: enemyType,
+                    ...config,
+                    lane,
+                    path,
+                    x: start.x,
+                    y: start.y,
+                }, boss);
+            } else if (this.enemyPool.length > 0) {
                 enemy = this.enemyPool.pop();
                 //reset and reconfigure pooled enemy
                 Object.assign(enemy, {
                     id: `enemy_${this.nextEnemyId++}`,
                     type: enemyType,
                     ...config,
-                    path: this.path,
-                    x: this.spawnPoint.x,
-                    y: this.spawnPoint.y,
+                    maxShield: config.shield,
+                    color: config.color || null,
+                    width: config.size || 20,
+                    height: config.size || 20,
+                    lane,
+                    path,
+                    x: start.x,
+                    y: start.y,
                 });
 
                 enemy.reset();
+                enemy.isActive = true;
             } else {
                 enemy = new Enemy({
                     id: `enemy_${this.nextEnemyId++}`,
                     type: enemyType,
                     ...config,
-                    path: this.path,
-                    x: this.spawnPoint.x,
-                    y: this.spawnPoint.y,
+                    lane,
+                    path,
+                    x: start.x,
+                    y: start.y,
                 });
             }
 
             this.enemies.push(enemy);
+            this.spatialIndex.insert(enemy);
             return enemy;
 
         } catch (error) {
@@ -110,21 +234,128 @@ class EnemyManager {
         return spawnedEnemies;
     }
 
+    /**
+     * Spawn a minion where another enemy is (same path, same progress)
+     * Ground minions of a flying parent land on the closest point of their path
+     * @param {string} enemyType - Type of minion
+     * @param {Enemy} parent - Enemy the minion appears at (its wave counts the minion)
+     * @returns {Enemy|null} Spawned minion or null if failed
+     */
+    spawnMinion(enemyType, parent){
+        const minion = this.spawnEnemy(enemyType, parent.waveNumber, { lane: parent.lane });
+        if (!minion) return null;
+
+        minion.waveNumber = parent.waveNumber;
+
+        if (minion.isFlying === parent.isFlying) {
+            //rerouted parents have a path of their own
+            if (parent.isRerouted) {
+                minion.path = parent.path;
+                minion.isRerouted = true;
+                minion.progressOffset = parent.progressOffset;
+            }
+            minion.pathIndex = parent.pathIndex;
+            minion.distanceAlongSegment = parent.distanceAlongSegment;
+            minion.updateDirection();
+            minion.updatePosition();
+        } else {
+            minion.moveToClosestPoint(parent.x, parent.y);
+        }
+
+        return minion;
+    }
+
     /**
      * Update all enemies
      * @param {number} deltaTime - Time since last update in seconds  
+     * @param {Object} towerAccess - For abilities that attack towers, and to credit towers with damage over time (optional):
+     *   { queryTowers(x, y, radius), damageTower(tower, amount, enemy), creditDamage(enemy, amount, sourceTowerId) }
+     * @returns {Array<Enemy>} Enemies killed by status effects (poison) during this update
      */
-    update(deltaTime){
+    update(deltaTime, towerAccess = null){
+        const killedByEffects = [];
+        const abilityContext = this.getAbilityContext(towerAccess);
+
         //update all active enemies
         for (let i = this.enemies.length - 1; i >=0; i--) {
             const enemy = this.enemies[i];
-            enemy.update(deltaTime);
+            const wasDead = enemy.isDead;
+            enemy.update(deltaTime, towerAccess?.creditDamage);
+
+            if (!enemy.isDead) {
+                updateEnemyAbilities(enemy, deltaTime, abilityContext);
+            }
+
+            if (!wasDead && enemy.isDead) {
+                //before removal: pooling resets the enemy
+                this.handleEnemyDeath(enemy);
+                killedByEffects.push(enemy);
+            }
 
             //remove dead enemies
             if (enemy.isDead) {
                 this.removeEnemy(enemy);
             }
         }
+
+        //index enemies at their new positions
+        this.spatialIndex.rebuild(this.enemies);
+
+        return killedByEffects;
+    }
+
+    /**
+     * Run a killed enemy's death abilities (splitter)
+     * Call once per kill, while the enemy is still where it died
+     * @param {Enemy} enemy - Enemy that was just killed
+     */
+    handleEnemyDeath(enemy){
+        this.notifyListeners('enemyKilled', enemy);
+        triggerDeathAbilities(enemy, this.getAbilityContext());
+    }
+
+    /**
+     * Subscribe to enemy events
+     * Events: 'enemyKilled' (the enemy, still where it died; it goes back
+     * to the pool right after, so copy what you need)
+     * @param {Function} callback - (eventType, data) => void
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback){
+        this.listeners.push(callback);
+
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Notify all listeners of an enemy event
+     * @private
+     */
+    notifyListeners(eventType, data){
+        this.listeners.forEach(callback => {
+            try {
+                callback(eventType, data);
+            } catch (error) {
+                console.error('❌ Error in enemy listener callback', error);
+            }
+        });
+    }
+
+    /**
+     * What enemy abilities may act on
+     * @private
+     * @param {Object} towerAccess - { queryTowers, damageTower } (optional, no towers without it)
+     * @returns {Object} { queryEnemies, spawnMinion, queryTowers, damageTower }
+     */
+    getAbilityContext(towerAccess = null){
+        return {
+            queryEnemies: (x, y, radius) => this.spatialIndex.queryRadius(x, y, radius),
+            spawnMinion: (enemyType, parent) => this.spawnMinion(enemyType, parent),
+            queryTowers: towerAccess?.queryTowers || (() => []),
+            damageTower: towerAccess?.damageTower || (() => 0),
+        };
     }
 
     /**
@@ -135,9 +366,13 @@ class EnemyManager {
         const index = this.enemies.indexOf(enemy);
         if (index > -1) {
             this.enemies.splice(index, 1);
+            this.spatialIndex.remove(enemy);
+
+            //anything still holding a reference (tower targets) must let go
+            enemy.isActive = false;
 
             //return to pool if space is available
-            if(this.enemyPool.length < this.maxPoolSize) {
+            if(!enemy.isBoss && this.enemyPool.length < this.maxPoolSize) {
                 enemy.reset();
                 this.enemyPool.push(enemy);
             }
@@ -151,6 +386,16 @@ class EnemyManager {
         this.enemies = [];
         this.enemyPool = [];
         this.nextEnemyId = 0;
+        this.spatialIndex.clear();
+    }
+
+    /**
+     * Get the spatial index of active enemies
+     * Valid from the enemy update until the end of the frame
+     * @returns {SpatialHash}
+     */
+    getSpatialIndex(){
+        return this.spatialIndex;
     }
 
     /**
@@ -179,6 +424,35 @@ class EnemyManager {
         return this.enemies.filter(enemy => enemy.type === enemyType);
     }
 
+    /**
+     * Get active bosses
+     * @returns {Array<Boss>} Bosses on the field
+     */
+    getBosses(){
+        return this.enemies.filter(enemy => enemy.isBoss);
+    }
+
+    /**
+     * Check if any enemy of a wave is still on the field
+     * @param {number} waveNumber - Wave the enemies were spawned by
+     * @returns {boolean}
+     */
+    hasEnemiesFromWave(waveNumber){
+        return this.enemies.some(enemy => enemy.waveNumber === waveNumber);
+    }
+
+    /**
+     * Count enemies on the field from some spawn groups of a wave
+     * @param {number} waveNumber - Wave number
+     * @param {Array<number>} spawnGroups - Spawn group indexes
+     * @returns {number} Enemy count
+     */
+    countEnemiesFromWave(waveNumber, spawnGroups){
+        return this.enemies.filter(enemy =>
+            enemy.waveNumber === waveNumber && spawnGroups.includes(enemy.spawnGroup)
+        ).length;
+    }
+
     /**
      * Get enemies within a certain search area (circle or rectangle)
      * @param {number} x - Center X
@@ -187,7 +461,7 @@ class EnemyManager {
      * @returns {Array<Enemy>} - Enemies in search area  
      */
     getEnemiesInArea(x, y, radius){
-        return this.enemies.filter(enemy => {
+        return this.spatialIndex.queryRadius(x, y, radius).filter(enemy => {
             const dx = enemy.x - x;
             const dy = enemy.y - y;
             const distance = Math.sqrt(dx * dx + dy* dy);
@@ -195,6 +469,30 @@ class EnemyManager {
         });
     }
 
+    /**
+     * Get the enemy under a point (closest one if several overlap)
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @returns {Enemy|null}
+     */
+    getEnemyAt(x, y){
+        let closest = null;
+        let closestDistance = Infinity;
+
+        for (const enemy of this.enemies) {
+            const dx = enemy.x - x;
+            const dy = enemy.y - y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance <= enemy.width / 2 + 4 && distance < closestDistance) {
+                closest = enemy;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
     /**
      * Get the first enemy ( closest to spawn point / furthest along path)
      * @returns {Enemy|null} first enemy or null if none exists
@@ -322,11 +620,15 @@ class EnemyManager {
      * @param {number } radius - damage radius
      * @param {number } damage - damage amount
      * @param {string } damageType - type of damage
+     * @param {number } falloff - damage lost at the edge of the radius (0-1, 0 = none)
      * @returns {number} Number of enemies damaged
      */
-    damageEnemiesInArea(x, y, radius, damage, damageType = 'normal'){
+    damageEnemiesInArea(x, y, radius, damage, damageType = 'normal', falloff = 0){
         const enemies = this.getEnemiesInArea(x, y, radius);
-        enemies.forEach(enemy => enemy.takeDamage(damage, damageType));
+        enemies.forEach(enemy => {
+            const distance = Math.sqrt((enemy.x - x) ** 2 + (enemy.y - y) ** 2);
+            enemy.takeDamage(calculateSplashDamage(damage, distance, radius, falloff), damageType);
+        });
         return enemies.length
     }
 
@@ -374,6 +676,43 @@ class EnemyManager {
         return enemies.length;
     }
 
+    /**
+     * Get persistent state for save games
+     * @returns {Object} Serializable manager state
+     */
+    serialize(){
+        return {
+            nextEnemyId: this.nextEnemyId,
+            difficulty: this.difficulty,
+            mutators: [...this.mutators],
+            enemies: this.enemies.map(enemy => enemy.serialize()),
+        };
+    }
+
+    /**
+     * Restore state saved with serialize()
+     * Lanes must already be set
+     * @param {Object} data - Saved manager state
+     */
+    restore(data){
+        this.clear();
+        this.setScaling({ difficulty: data.difficulty, mutators: data.mutators });
+
+        for (const enemyData of data.enemies) {
+            const enemy = this.spawnEnemy(enemyData.type, enemyData.waveNumber, {
+                lane: enemyData.lane,
+                modifiers: enemyData.modifiers,
+                boss: enemyData.boss,
+            });
+            if (enemy) {
+                enemy.restore(enemyData);
+            }
+        }
+
+        this.spatialIndex.rebuild(this.enemies);
+        this.nextEnemyId = data.nextEnemyId;
+    }
+
     /**
      * Get manager statistics
      * @returns {Object} Statistics
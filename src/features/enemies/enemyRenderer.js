@@ -3,9 +3,12 @@
  * Renders all enemies to the RenderSurface.
  * 
  * Responsibilities:
- * - Render enemy sprites/visuals
+ * - Render enemy sprites/visuals: sprite animations (walk, attack, death)
+ *   when the enemy's image is loaded, colored shapes otherwise
  * - Render health bars
  * - Render status effect indicators
+ * - Render special ability cues
+ * - Render flying enemies above ground ones, with a shadow
  * - Render selection highlights
  * - Optimize rendering (bounds culling)
  * - Support debug visualization
@@ -14,18 +17,21 @@
  */
 
 import { GAME_CONFIG } from '../../utils/constants.js';
+import { ABILITY_PULSE_DURATION } from './enemyAbilities.js';
 
 class EnemyRenderer {
   /**
    * Create enemy renderer
    * @param {RenderSurface} renderSurface - Rendering surface (injected)
+   * @param {AssetManager} assets - Loaded sprites (optional, shapes without it)
    */
-  constructor(renderSurface) {
+  constructor(renderSurface, assets = null) {
     if (!renderSurface) {
       throw new Error('❌ EnemyRenderer requires a RenderSurface instance');
     }
 
     this.surface = renderSurface;
+    this.assets = assets;
 
     // Configuration
     this.config = {
@@ -37,25 +43,54 @@ class EnemyRenderer {
       renderDebugBounds: false,
       renderHealthBars: true,
       renderStatusEffects: true,
+      renderAbilities: true,
+      spriteScale: 1.5, // Sprites are drawn bigger than the hit box
+      deathLinger: 0.5, // Seconds the last death frame stays
+      maxDeaths: 50, // Death animations playing at once
     };
 
-    // Asset cache (loaded during initialize)
-    this.sprites = {};
+    // Animation clock (game time, set every render) and playing death animations
+    this.time = 0;
+    this.deaths = [];
+
     this.colors = {
       defaultEnemy: '#8B4513',
       healthBarBackground: '#333333',
       healthBarFill: '#00ff00',
       healthBarLow: '#ffff00',
       healthBarCritical: '#ff0000',
+      shieldBar: '#87CEFA',
+      bossAura: '#FF4500',
+      flyingShadow: '#000000',
+      abilities: {
+        healer: '#7CFC00',
+        shield: '#87CEFA',
+        splitter: '#ADFF2F',
+        summoner: '#BA55D3',
+        sprinter: '#FFA500',
+        attacker: '#FF6347',
+      },
       selected: '#00ff00',
       statusEffects: {
         slow: '#6495ED',
         stun: '#FFD700',
         burn: '#FF4500',
         freeze: '#87CEEB',
+        poison: '#32CD32',
+        shock: '#FFFF00',
       },
     };
 
+    // Special ability icons (drawn next to the enemy)
+    this.abilityIcons = {
+      healer: '✚',
+      shield: '◈',
+      splitter: '✂',
+      summoner: '☠',
+      sprinter: '»',
+      attacker: '⚔',
+    };
+
     console.log('✅ EnemyRenderer created');
   }
 
@@ -64,8 +99,7 @@ class EnemyRenderer {
    */
   async initialize() {
     try {
-      // Load enemy sprites here if using images
-      // For now, we'll use colored shapes
+      // Sprites are loaded by the engine's AssetManager before this runs
       console.log('✅ EnemyRenderer initialized');
     } catch (error) {
       console.error('❌ Failed to initialize EnemyRenderer:', error);
@@ -76,13 +110,19 @@ class EnemyRenderer {
   /**
    * Render all enemies
    * @param {Array<Enemy>} enemies - Array of enemy objects
+   * @param {number} time - Game time in seconds (animations)
    */
-  render(enemies) {
+  render(enemies, time = 0) {
+    this.time = time;
+
+    // The dead lie below the living
+    this.renderDeaths();
+
     if (!enemies || enemies.length === 0) return;
 
-    // Sort by path progress (render closest first, furthest last)
+    // Sort ground before flying, then by path progress (render closest first, furthest last)
     const sortedEnemies = [...enemies].sort((a, b) => {
-      return a.getPathProgress() - b.getPathProgress();
+      return (a.isFlying - b.isFlying) || (a.getPathProgress() - b.getPathProgress());
     });
 
     // Render each enemy
@@ -90,6 +130,9 @@ class EnemyRenderer {
       // Skip if off-screen (optimization)
       if (!this.isEnemyVisible(enemy)) continue;
 
+      // Killed this step: its death animation has taken over
+      if (enemy.isDead && this.assets?.hasAnimation(enemy.image, 'death')) continue;
+
       this.renderEnemy(enemy);
     }
   }
@@ -129,6 +172,11 @@ class EnemyRenderer {
         this.renderStatusEffects(enemy);
       }
 
+      // Render special ability cues
+      if (this.config.renderAbilities) {
+        this.renderAbilityCues(enemy);
+      }
+
       // Render selection highlight (if selected)
       if (enemy.isSelected) {
         this.renderSelectionHighlight(enemy);
@@ -157,16 +205,30 @@ class EnemyRenderer {
       displayOpacity = 0.7; // Freeze makes semi-transparent
     }
 
-    // Get color based on enemy type
-    const color = this.getEnemyColor(type);
+    // Get color from the enemy config, else based on enemy type
+    const color = enemy.color || this.getEnemyColor(type);
 
-    // For now, render as rectangle with rotation
-    // TODO: Replace with sprite images when available
     this.surface.save();
     this.surface.setAlpha(displayOpacity);
 
-    // Draw enemy as circle or rect based on type
-    if (type === 'Goblin' || type === 'Hobbit') {
+    // Flying enemies cast a shadow on the ground below them
+    if (enemy.isFlying) {
+      this.surface.drawCircle(
+        x + width / 2,
+        y + height + 4,
+        width / 3,
+        this.colors.flyingShadow,
+        { opacity: 0.3 }
+      );
+    }
+
+    // Sprite frame if the enemy's image is loaded, else a shape based on type
+    const animation = this.getAnimation(enemy);
+    const frame = this.assets?.getFrame(enemy.image, animation.name, animation.time, enemy.direction);
+
+    if (frame) {
+      this.drawSprite(frame, x + width / 2, y + height / 2, width, height);
+    } else if (type === 'Goblin' || type === 'Hobbit') {
       // Small and quick - render as smaller circle
       this.surface.drawCircle(
         x + width / 2,
@@ -186,14 +248,115 @@ class EnemyRenderer {
       this.surface.drawRect(x, y, width, height, color);
     }
 
-    // Draw rotation indicator (direction of movement)
-    if (enemy.direction.x !== 0 || enemy.direction.y !== 0) {
+    // Bosses: aura ring, brighter in later phases
+    if (enemy.isBoss) {
+      this.surface.drawCircle(
+        x + width / 2,
+        y + height / 2,
+        width / 2 + 4,
+        'transparent',
+        { stroke: true, strokeColor: this.colors.bossAura, strokeWidth: 2 + Math.max(0, enemy.phaseIndex), opacity: 0.8 }
+      );
+    }
+
+    // Draw rotation indicator (direction of movement; sprites face it already)
+    if (!frame && (enemy.direction.x !== 0 || enemy.direction.y !== 0)) {
       this.renderDirectionIndicator(enemy);
     }
 
     this.surface.restore();
   }
 
+  /**
+   * Pick the animation an enemy plays
+   * @private
+   * @param {Enemy} enemy - Living enemy
+   * @returns {Object} { name, time } - animation and seconds into it
+   */
+  getAnimation(enemy) {
+    // Attack from the hit on, held on its last frame until the shot fades
+    const attack = enemy.abilityState?.attacker;
+    if (attack?.pulse > 0 && this.assets?.hasAnimation(enemy.image, 'attack')) {
+      return { name: 'attack', time: ABILITY_PULSE_DURATION - attack.pulse };
+    }
+
+    // Stunned or frozen: standing still
+    if (enemy.statusEffects.stun.active || enemy.statusEffects.freeze.active) {
+      return { name: 'walk', time: 0 };
+    }
+
+    return { name: 'walk', time: this.time };
+  }
+
+  /**
+   * Draw a sprite frame centered on a point, scaled from the hit box
+   * @private
+   */
+  drawSprite(frame, centerX, centerY, width, height, rotation = 0) {
+    const spriteWidth = width * this.config.spriteScale;
+    const spriteHeight = height * this.config.spriteScale;
+
+    this.surface.drawImage(
+      frame.image,
+      centerX - spriteWidth / 2,
+      centerY - spriteHeight / 2,
+      spriteWidth,
+      spriteHeight,
+      { source: frame.source, rotation: frame.rotate ? rotation : 0, align: 'center', verticalAlign: 'center' }
+    );
+  }
+
+  /**
+   * Start the death animation of a killed enemy (if its sprite has one)
+   * Copies what it needs: the enemy goes back to the pool right after
+   * @param {Enemy} enemy - Enemy that was just killed, where it died
+   * @param {number} time - Game time of the kill
+   */
+  addDeath(enemy, time) {
+    if (!this.assets?.hasAnimation(enemy.image, 'death')) return;
+
+    this.deaths.push({
+      image: enemy.image,
+      x: enemy.x + enemy.width / 2,
+      y: enemy.y + enemy.height / 2,
+      width: enemy.width,
+      height: enemy.height,
+      direction: { ...enemy.direction },
+      startTime: time,
+    });
+
+    if (this.deaths.length > this.config.maxDeaths) {
+      this.deaths.shift();
+    }
+  }
+
+  /**
+   * Drop all death animations (game reset)
+   */
+  clearDeaths() {
+    this.deaths = [];
+  }
+
+  /**
+   * Render death animations, dropping finished ones
+   * @private
+   */
+  renderDeaths() {
+    this.deaths = this.deaths.filter(death => {
+      const elapsed = this.time - death.startTime;
+      const duration = this.assets.getAnimationDuration(death.image, 'death');
+      return elapsed >= 0 && elapsed < duration + this.config.deathLinger;
+    });
+
+    for (const death of this.deaths) {
+      const elapsed = this.time - death.startTime;
+      const frame = this.assets.getFrame(death.image, 'death', elapsed, death.direction);
+      if (frame) {
+        this.drawSprite(frame, death.x, death.y, death.width, death.height);
+      }
+    }
+  }
+
   /**
    * Render a direction indicator (arrow showing movement direction)
    * @private
@@ -251,6 +414,18 @@ class EnemyRenderer {
       fillColor
     );
 
+    // Shield (absorbs damage before health), over the top half of the bar
+    if (enemy.shield > 0 && enemy.maxShield > 0) {
+      const shieldPercent = Math.min(1, enemy.shield / enemy.maxShield);
+      this.surface.drawRect(
+        barX,
+        barY,
+        barWidth * shieldPercent,
+        Math.ceil(barHeight / 2),
+        this.colors.shieldBar
+      );
+    }
+
     // Optional: render health text for debugging
     if (health < maxHealth) {
       const healthText = `${Math.ceil(health)}/${maxHealth}`;
@@ -328,6 +503,26 @@ class EnemyRenderer {
       );
       effectCount++;
     }
+
+    if (statusEffects.poison.active) {
+      this.surface.drawCircle(
+        startX + effectCount * effectSpacing,
+        startY,
+        this.config.statusEffectSize / 2,
+        this.colors.statusEffects.poison
+      );
+      effectCount++;
+    }
+
+    if (statusEffects.shock.active) {
+      this.surface.drawCircle(
+        startX + effectCount * effectSpacing,
+        startY,
+        this.config.statusEffectSize / 2,
+        this.colors.statusEffects.shock
+      );
+      effectCount++;
+    }
   }
 
   /**
@@ -414,6 +609,83 @@ class EnemyRenderer {
     });
   }
 
+  /**
+   * Render special ability cues: an icon per ability, plus
+   * a pulse when a healer heals or a summoner summons, a ring while a
+   * shield holds, a trail while a sprinter sprints and a shot when an
+   * attacker hits a tower
+   * @private
+   */
+  renderAbilityCues(enemy) {
+    const names = Object.keys(enemy.specialAbilities);
+    if (names.length === 0) return;
+
+    const { x, y, width, height } = enemy;
+    const centerX = x + width / 2;
+    const centerY = y + height / 2;
+    const colors = this.colors.abilities;
+    const icons = this.abilityIcons;
+
+    names.forEach((name, index) => {
+      const state = enemy.abilityState[name] || {};
+      const settings = enemy.specialAbilities[name];
+      const color = colors[name] || '#FFFFFF';
+
+      // Icon, right of the body
+      this.surface.drawText(icons[name] || '?', x + width + 3, y + index * 9, {
+        font: 'bold 9px Arial',
+        color,
+        align: 'left',
+        baseline: 'top',
+      });
+
+      // Attack: a fading shot at the tower that was hit
+      if (name === 'attacker') {
+        if (state.pulse > 0) {
+          this.surface.drawLine(centerX, centerY, state.targetX, state.targetY, color, 2, {
+            opacity: state.pulse / ABILITY_PULSE_DURATION,
+          });
+        }
+        return;
+      }
+
+      // Heal / summon pulse, expanding to the ability's radius
+      if (state.pulse > 0) {
+        const progress = 1 - state.pulse / ABILITY_PULSE_DURATION;
+        const radius = name === 'healer' ? settings.radius * progress : width * (1 + progress);
+        this.surface.drawCircle(centerX, centerY, radius, 'transparent', {
+          stroke: true,
+          strokeColor: color,
+          strokeWidth: 2,
+          opacity: 1 - progress,
+        });
+      }
+
+      // Shield ring while the shield holds
+      if (name === 'shield' && enemy.shield > 0) {
+        this.surface.drawCircle(centerX, centerY, width / 2 + 3, 'transparent', {
+          stroke: true,
+          strokeColor: color,
+          strokeWidth: 2,
+          opacity: 0.8,
+        });
+      }
+
+      // Sprint trail behind the enemy
+      if (name === 'sprinter' && state.remaining > 0) {
+        const { direction } = enemy;
+        this.surface.drawLine(
+          centerX - direction.x * width,
+          centerY - direction.y * height,
+          centerX - direction.x * width * 2,
+          centerY - direction.y * height * 2,
+          color,
+          2
+        );
+      }
+    });
+  }
+
   /**
    * Get color for enemy type
    * @private
@@ -456,6 +728,7 @@ class EnemyRenderer {
     return {
       config: this.config,
       colors: this.colors,
+      deaths: this.deaths.length,
     };
   }
 }
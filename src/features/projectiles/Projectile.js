@@ -4,6 +4,9 @@
  * Handles movement, collision detection, and lifespan.
  */
 
+import { DEFAULT_PIERCE_COUNT } from './projectileConfig.js';
+import { canTargetEnemy } from '../towers/towerConfig.js';
+
 class Projectile {
   /**
    * Create a projectile
@@ -20,6 +23,14 @@ class Projectile {
    * @param {number} config.size - Projectile size (width/height)
    * @param {number} config.maxDistance - Max travel distance before disappearing
    * @param {Object} config.target - Target enemy object (optional, for tracking)
+   * @param {boolean} config.piercing - Keeps flying after a hit
+   * @param {number} config.pierceCount - Max enemies a piercing projectile hits
+   * @param {number} config.areaOfEffect - Splash radius (0 = single target)
+   * @param {number} config.splashFalloff - Splash damage lost at the edge of the radius (0-1)
+   * @param {Object} config.effects - On-hit effects (slow, poison, chain) from the firing tower
+   * @param {boolean} config.canTargetAir - Hits flying enemies (from the firing tower, default: true)
+   * @param {boolean} config.canTargetGround - Hits ground enemies (from the firing tower, default: true)
+   * @param {string} config.sourceTowerId - Id of the tower that fired it
    * @param {string} config.color - Color for rendering
    * @param {string} config.image - Image path for rendering
    */
@@ -52,6 +63,14 @@ class Projectile {
     this.damage = config.damage || 10;
     this.damageType = config.damageType || 'normal';
     this.piercing = config.piercing || false; // Can hit multiple enemies?
+    this.pierceCount = config.pierceCount || DEFAULT_PIERCE_COUNT;
+    this.areaOfEffect = config.areaOfEffect || 0; // Splash radius
+    this.splashFalloff = config.splashFalloff || 0;
+    this.hitEnemyIds = []; // Enemies already hit (each at most once)
+    this.effects = config.effects || null; // On-hit effects (see onHitEffects.js)
+    this.canTargetAir = config.canTargetAir ?? true; // Firing tower's air/ground rules
+    this.canTargetGround = config.canTargetGround ?? true;
+    this.sourceTowerId = config.sourceTowerId ?? null;
 
     // State
     this.hasHit = false;
@@ -82,8 +101,13 @@ class Projectile {
       return;
     }
 
+    // Stop tracking targets that died or went back to the enemy pool
+    if (this.target && (this.target.isDead || this.target.isActive === false)) {
+      this.target = null;
+    }
+
     // Update target position if tracking
-    if (this.target && !this.target.isDead) {
+    if (this.target) {
       this.targetX = this.target.x + this.target.width / 2;
       this.targetY = this.target.y + this.target.height / 2;
       this.updateDirection();
@@ -144,16 +168,41 @@ class Projectile {
     }
   }
 
+  /**
+   * Can this projectile still hit an enemy?
+   * @param {Enemy} enemy - Enemy to check
+   * @returns {boolean} False once spent, or if it already hit this enemy
+   */
+  canHit(enemy) {
+    return !this.hasHit && !this.isDead && !this.hitEnemyIds.includes(enemy.id) && this.canAffect(enemy);
+  }
+
+  /**
+   * Can this projectile's damage reach an enemy (splash, chains included)?
+   * @param {Enemy} enemy - Enemy to check
+   * @returns {boolean} False for flying enemies when fired by a ground-only tower, and vice versa
+   */
+  canAffect(enemy) {
+    return canTargetEnemy(this, enemy);
+  }
+
   /**
    * Mark projectile as hit
+   * @param {Enemy} enemy - Enemy that was hit
    */
-  hit() {
-    this.hasHit = true;
-    
-    // If piercing, don't disappear immediately
-    if (!this.piercing) {
-      this.isDead = true;
+  hit(enemy = null) {
+    if (enemy) {
+      this.hitEnemyIds.push(enemy.id);
+    }
+
+    // Piercing projectiles fly on (in a straight line) until they run out of pierces
+    if (this.piercing && this.hitEnemyIds.length < this.pierceCount) {
+      this.target = null;
+      return;
     }
+
+    this.hasHit = true;
+    this.isDead = true;
   }
 
   /**
@@ -218,6 +267,76 @@ class Projectile {
     };
   }
 
+  /**
+   * Get persistent state for save games
+   * @returns {Object} Serializable projectile state
+   */
+  serialize() {
+    return {
+      id: this.id,
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      targetX: this.targetX,
+      targetY: this.targetY,
+      targetId: this.target ? this.target.id : null,
+      direction: { ...this.direction },
+      speed: this.speed,
+      damage: this.damage,
+      damageType: this.damageType,
+      piercing: this.piercing,
+      pierceCount: this.pierceCount,
+      areaOfEffect: this.areaOfEffect,
+      splashFalloff: this.splashFalloff,
+      hitEnemyIds: [...this.hitEnemyIds],
+      effects: this.effects,
+      canTargetAir: this.canTargetAir,
+      canTargetGround: this.canTargetGround,
+      distanceTraveled: this.distanceTraveled,
+      maxDistance: this.maxDistance,
+      age: this.age,
+      lifetime: this.lifetime,
+      hasHit: this.hasHit,
+      sourceTowerId: this.sourceTowerId ?? null,
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * The tracking target is re-linked by ProjectileManager
+   * @param {Object} data - Saved projectile state
+   */
+  restore(data) {
+    this.id = data.id;
+    this.x = data.x;
+    this.y = data.y;
+    this.targetX = data.targetX;
+    this.targetY = data.targetY;
+    this.speed = data.speed;
+    this.damage = data.damage;
+    this.damageType = data.damageType;
+    this.piercing = data.piercing;
+    this.pierceCount = data.pierceCount ?? DEFAULT_PIERCE_COUNT;
+    this.areaOfEffect = data.areaOfEffect ?? 0;
+    this.splashFalloff = data.splashFalloff ?? 0;
+    this.hitEnemyIds = [...(data.hitEnemyIds || [])];
+    this.effects = data.effects || null;
+    this.canTargetAir = data.canTargetAir ?? true;
+    this.canTargetGround = data.canTargetGround ?? true;
+    this.distanceTraveled = data.distanceTraveled;
+    this.maxDistance = data.maxDistance;
+    this.age = data.age;
+    this.lifetime = data.lifetime;
+    this.hasHit = data.hasHit;
+    this.sourceTowerId = data.sourceTowerId;
+
+    if (data.direction) {
+      this.direction = { ...data.direction };
+    } else {
+      this.updateDirection();
+    }
+  }
+
   /**
    * Reset projectile for pooling
    */
@@ -231,6 +350,15 @@ class Projectile {
     this.opacity = 1;
     this.trail = [];
     this.target = null;
+    this.hitEnemyIds = [];
+    this.piercing = false;
+    this.pierceCount = DEFAULT_PIERCE_COUNT;
+    this.areaOfEffect = 0;
+    this.splashFalloff = 0;
+    this.effects = null;
+    this.canTargetAir = true;
+    this.canTargetGround = true;
+    this.sourceTowerId = null;
   }
 }
 
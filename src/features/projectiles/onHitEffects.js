@@ -0,0 +1,143 @@
+/**
+ * On-Hit Effects
+ * Special effects a projectile applies to the enemy it hits.
+ *
+ * Towers declare effects in towerConfig (slowEffect, poisonEffect,
+ * chainEffect). The tower copies them onto every projectile it fires, and
+ * the engine runs them through applyOnHitEffects() after the hit's damage.
+ *
+ * Effects:
+ * - slow:   { factor, duration } — factor is the speed removed (0.4 = 40% slower)
+ * - poison: { damagePerSecond, duration } — damage over time
+ * - chain:  { maxChains, chainRange, damageMultiplier } — jumps to nearby enemies,
+ *           each jump dealing damageMultiplier × the previous jump
+ *
+ * Any effect with `ground: true` acts on the ground and is skipped for flying enemies.
+ *
+ * Adding an effect: add a handler below and map its towerConfig key.
+ */
+
+// How long a chain-lightning jump stays visible on an enemy (seconds)
+export const CHAIN_SHOCK_DURATION = 0.3;
+
+/**
+ * towerConfig key → effect name
+ */
+export const ON_HIT_EFFECT_KEYS = {
+  slowEffect: 'slow',
+  poisonEffect: 'poison',
+  chainEffect: 'chain',
+};
+
+/**
+ * Effect handlers
+ * Each receives (enemy, effect, context) where context is:
+ * { damage, damageType, sourceTowerId, queryEnemies(x, y, radius), dealDamage(enemy, amount, damageType) }
+ * queryEnemies is a broadphase lookup: handlers do their own exact distance check;
+ * dealDamage credits the projectile's tower
+ */
+export const ON_HIT_EFFECTS = {
+  slow(enemy, effect) {
+    enemy.applySlow(1 - effect.factor, effect.duration);
+  },
+
+  poison(enemy, effect, context) {
+    enemy.applyPoison(effect.damagePerSecond, effect.duration, context.sourceTowerId ?? null);
+  },
+
+  chain(enemy, effect, context) {
+    const hitEnemies = new Set([enemy]);
+    let current = enemy;
+    let damage = context.damage;
+
+    enemy.applyShock(CHAIN_SHOCK_DURATION);
+
+    for (let i = 0; i < effect.maxChains; i++) {
+      const next = findChainTarget(current, context, effect.chainRange, hitEnemies);
+      if (!next) break;
+
+      damage *= effect.damageMultiplier;
+      context.dealDamage(next, damage, context.damageType);
+      next.applyShock(CHAIN_SHOCK_DURATION);
+
+      hitEnemies.add(next);
+      current = next;
+    }
+  },
+};
+
+/**
+ * Collect the on-hit effects a tower config declares
+ * @param {Object} towerConfig - Tower configuration
+ * @returns {Object|null} { slow, poison, chain } (only those present) or null
+ */
+export function getOnHitEffects(towerConfig) {
+  let effects = null;
+
+  Object.entries(ON_HIT_EFFECT_KEYS).forEach(([configKey, effectName]) => {
+    if (towerConfig[configKey]) {
+      effects = effects || {};
+      effects[effectName] = { ...towerConfig[configKey] };
+    }
+  });
+
+  return effects;
+}
+
+/**
+ * Run every effect carried by a projectile against the enemy it hit
+ * @param {Object} effects - Effects from getOnHitEffects()
+ * @param {Enemy} enemy - Enemy that was hit
+ * @param {Object} context - { damage, damageType, sourceTowerId, queryEnemies, dealDamage }
+ */
+export function applyOnHitEffects(effects, enemy, context) {
+  if (!effects) return;
+
+  Object.entries(effects).forEach(([effectName, effect]) => {
+    const handler = ON_HIT_EFFECTS[effectName];
+
+    if (!handler) {
+      console.warn(`⚠️ Unknown on-hit effect: ${effectName}`);
+      return;
+    }
+
+    // Ground effects (ice, tar, traps) don't reach flying enemies
+    if (effect.ground && enemy.isFlying) return;
+
+    handler(enemy, effect, context);
+  });
+}
+
+/**
+ * Find the closest living enemy within range that the chain has not hit yet
+ * @private
+ */
+function findChainTarget(from, context, range, exclude) {
+  const fromX = from.x + from.width / 2;
+  const fromY = from.y + from.height / 2;
+  let closest = null;
+  let closestDistance = range;
+
+  for (const enemy of context.queryEnemies(fromX, fromY, range)) {
+    if (enemy.isDead || exclude.has(enemy)) continue;
+
+    const dx = enemy.x + enemy.width / 2 - fromX;
+    const dy = enemy.y + enemy.height / 2 - fromY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance <= closestDistance) {
+      closest = enemy;
+      closestDistance = distance;
+    }
+  }
+
+  return closest;
+}
+
+export default {
+  CHAIN_SHOCK_DURATION,
+  ON_HIT_EFFECT_KEYS,
+  ON_HIT_EFFECTS,
+  getOnHitEffects,
+  applyOnHitEffects,
+};
@@ -9,6 +9,11 @@
  * - Configure special effects
  */
 
+/**
+ * Enemies a piercing projectile hits when its config sets no pierceCount
+ */
+export const DEFAULT_PIERCE_COUNT = 3;
+
 /**
  * Base projectile type configurations
  */
@@ -68,6 +73,7 @@ const PROJECTILE_TYPES = {
     maxDistance: 1200,
     lifetime: 8,
     piercing: true, // Can hit multiple enemies
+    pierceCount: 3, // Each enemy at most once, up to this many
     color: '#2F4F4F',
     image: 'cannonball.png',
     trailEnabled: false,
@@ -105,6 +111,22 @@ const PROJECTILE_TYPES = {
     description: 'Magic projectile with tracking ability',
     homing: true, // Follows target
   },
+
+  Poison: {
+    name: 'Poison',
+    speed: 220,
+    damage: 10,
+    damageType: 'poison',
+    size: 6,
+    maxDistance: 900,
+    lifetime: 5,
+    piercing: false,
+    color: '#32CD32',
+    image: 'poison.png',
+    trailEnabled: true,
+    trailColor: 'rgba(50, 205, 50, 0.4)',
+    description: 'Toxic vial that poisons enemies over time',
+  },
 };
 
 /**
@@ -154,9 +176,10 @@ export function getProjectilesByDamageType() {
  * @param {string} projectileType - Projectile type
  * @param {number} towerLevel - Tower upgrade level
  * @param {number} critChance - Critical hit chance (0-1)
+ * @param {SeededRandom} rng - Engine RNG (falls back to Math.random outside the engine)
  * @returns {number} Calculated damage
  */
-export function calculateProjectileDamage(projectileType, towerLevel = 1, critChance = 0) {
+export function calculateProjectileDamage(projectileType, towerLevel = 1, critChance = 0, rng = null) {
   const config = getProjectileConfig(projectileType);
   if (!config) return 0;
 
@@ -166,13 +189,31 @@ export function calculateProjectileDamage(projectileType, towerLevel = 1, critCh
   damage *= (1 + (towerLevel - 1) * 0.15); // +15% per level
 
   // Apply critical chance
-  if (Math.random() < critChance) {
+  const roll = rng ? rng.next() : Math.random();
+  if (roll < critChance) {
     damage *= 1.5; // 50% damage boost on crit
   }
 
   return Math.ceil(damage);
 }
 
+/**
+ * Calculate splash damage at a distance from the impact
+ * Falloff scales damage linearly from full at the center down to
+ * (1 - falloff) at the edge of the radius; 0 means no falloff.
+ * @param {number} damage - Damage at the center
+ * @param {number} distance - Distance from the impact point
+ * @param {number} radius - Splash radius
+ * @param {number} falloff - Damage lost at the edge (0-1)
+ * @returns {number} Splash damage (0 outside the radius)
+ */
+export function calculateSplashDamage(damage, distance, radius, falloff = 0) {
+  if (radius <= 0 || distance > radius) return 0;
+
+  const edgeRatio = distance / radius;
+  return damage * (1 - Math.max(0, Math.min(1, falloff)) * edgeRatio);
+}
+
 /**
  * Get projectile cost (for economy)
  * @param {string} projectileType - Projectile type
@@ -209,11 +250,13 @@ export function logProjectileReport() {
 }
 
 export default {
+  DEFAULT_PIERCE_COUNT,
   PROJECTILE_TYPES,
   getProjectileConfig,
   getProjectileTypes,
   getProjectilesByDamageType,
   calculateProjectileDamage,
+  calculateSplashDamage,
   getProjectileCost,
   logProjectileReport,
 };
\ No newline at end of file
@@ -58,6 +58,9 @@ class ProjectileManager {
       let projectile;
       if (this.config.usePooling && this.projectilePool.length > 0) {
         projectile = this.projectilePool.pop();
+
+        // Reset first so it doesn't wipe the new position and target
+        projectile.reset();
         Object.assign(projectile, {
           id: `projectile_${this.nextProjectileId++}`,
           type: projectileType,
@@ -70,11 +73,16 @@ class ProjectileManager {
           speed: config.speed,
           maxDistance: config.maxDistance,
           lifetime: config.lifetime,
+          piercing: config.piercing,
+          pierceCount: config.pierceCount,
           color: config.color,
+          image: config.image,
+          width: config.size,
+          height: config.size,
           trailEnabled: config.trailEnabled,
           ...options,
         });
-        projectile.reset();
+        projectile.updateDirection();
       } else {
         projectile = new Projectile({
           id: `projectile_${this.nextProjectileId++}`,
@@ -88,7 +96,10 @@ class ProjectileManager {
           speed: config.speed,
           maxDistance: config.maxDistance,
           lifetime: config.lifetime,
+          piercing: config.piercing,
+          pierceCount: config.pierceCount,
           color: config.color,
+          image: config.image,
           size: config.size,
           trailEnabled: config.trailEnabled,
           ...options,
@@ -196,6 +207,47 @@ class ProjectileManager {
     return this.projectiles.length;
   }
 
+  /**
+   * Get persistent state for save games
+   * @returns {Object} Serializable manager state
+   */
+  serialize() {
+    return {
+      nextProjectileId: this.nextProjectileId,
+      projectiles: this.projectiles.map(p => p.serialize()),
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * @param {Object} data - Saved manager state
+   * @param {EnemyManager} enemyManager - To re-link tracking targets (optional)
+   */
+  restore(data, enemyManager = null) {
+    this.clear();
+
+    for (const projectileData of data.projectiles) {
+      const projectile = this.createProjectile(
+        projectileData.type,
+        projectileData.x,
+        projectileData.y,
+        projectileData.targetX,
+        projectileData.targetY,
+        projectileData.damage
+      );
+
+      if (!projectile) continue;
+
+      projectile.restore(projectileData);
+
+      if (enemyManager && projectileData.targetId) {
+        projectile.target = enemyManager.getEnemyById(projectileData.targetId);
+      }
+    }
+
+    this.nextProjectileId = data.nextProjectileId;
+  }
+
   /**
    * Get manager statistics
    * @returns {Object} Statistics
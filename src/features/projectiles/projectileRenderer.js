@@ -3,7 +3,8 @@
  * Renders all projectiles to the RenderSurface.
  * 
  * Responsibilities:
- * - Render projectile sprites/shapes
+ * - Render projectile sprites (looping, turned to the heading) when the
+ *   projectile's image is loaded, shapes otherwise
  * - Render trail effects
  * - Optimize rendering (bounds culling)
  */
@@ -14,13 +15,16 @@ class ProjectileRenderer {
   /**
    * Create projectile renderer
    * @param {RenderSurface} renderSurface - Rendering surface (injected)
+   * @param {AssetManager} assets - Loaded sprites (optional, shapes without it)
    */
-  constructor(renderSurface) {
+  constructor(renderSurface, assets = null) {
     if (!renderSurface) {
       throw new Error('❌ ProjectileRenderer requires a RenderSurface instance');
     }
 
     this.surface = renderSurface;
+    this.assets = assets;
+    this.time = 0; // Game time in seconds (set every render)
 
     // Configuration
     this.config = {
@@ -42,8 +46,11 @@ class ProjectileRenderer {
   /**
    * Render all projectiles
    * @param {Array<Projectile>} projectiles - Array of projectiles
+   * @param {number} time - Game time in seconds (animations)
    */
-  render(projectiles) {
+  render(projectiles, time = 0) {
+    this.time = time;
+
     if (!projectiles || projectiles.length === 0) return;
 
     for (const projectile of projectiles) {
@@ -136,6 +143,18 @@ class ProjectileRenderer {
 
     this.surface.setAlpha(opacity);
 
+    // Sprite if the projectile's image is loaded
+    const frame = this.assets?.getFrame(projectile.image, 'fly', this.time);
+    if (frame) {
+      this.surface.drawImage(frame.image, x, y, width, height, {
+        source: frame.source,
+        rotation: frame.rotate ? rotation : 0,
+        align: 'center',
+        verticalAlign: 'center',
+      });
+      return;
+    }
+
     // Render based on type
     switch (projectile.type) {
       case 'Arrow':
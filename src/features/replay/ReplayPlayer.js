@@ -0,0 +1,324 @@
+/**
+ * Replay Player
+ * Feeds a recorded replay back into a fresh engine to reproduce the match.
+ *
+ * Responsibilities:
+ * - Validate and parse replay files (see ReplayRecorder for the format)
+ * - Build a fresh GameEngine with the replay's seed, map and timestep
+ * - Apply each action at its recorded tick, stepping the simulation between
+ * - Report desyncs (actions that failed, or a different final result)
+ *
+ * Runs headless by default. Pass a RenderSurface to watch the replay, and
+ * call advance(seconds) from your own frame loop.
+ *
+ * @example
+ * const player = new ReplayPlayer(replayJson);
+ * await player.initialize();
+ * player.playToEnd();
+ * console.log(player.verify()); // { matches, expected, actual, desyncs }
+ */
+
+import GameEngine from '../../core/GameEngine.js';
+import HeadlessSurface from '../../rendering/HeadlessSurface.js';
+import { handleTowerUpgrade, handleTowerSell } from '../ui/eventHandlers.js';
+import { REPLAY_VERSION, getReplayResult } from './ReplayRecorder.js';
+import { CANVAS_CONFIG } from '../../utils/constants.js';
+
+class ReplayPlayer {
+  /**
+   * @param {Object|string} replay - Replay object or its JSON string
+   * @param {Object} options - Player options
+   * @param {RenderSurface} options.renderSurface - Surface to render into (default: HeadlessSurface)
+   * @param {boolean} options.render - Render after every step (default: only with a custom surface)
+   * @param {number} options.maxTicks - Safety limit for playToEnd (default: replay length + 1 hour)
+   */
+  constructor(replay, options = {}) {
+    this.replay = ReplayPlayer.parse(replay);
+
+    this.renderSurface = options.renderSurface || new HeadlessSurface({
+      width: CANVAS_CONFIG.width,
+      height: CANVAS_CONFIG.height,
+      recordCalls: false,
+    });
+
+    this.options = {
+      render: options.render ?? Boolean(options.renderSurface),
+      maxTicks: options.maxTicks ?? this.replay.ticks + Math.round(3600 / this.replay.fixedTimeStep),
+    };
+
+    this.engine = null;
+
+    // Playback state
+    this.actionIndex = 0;
+    this.desyncs = [];
+    this.timeAccumulator = 0;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Parse and validate a replay
+   * @param {Object|string} replay - Replay object or JSON string
+   * @returns {Object} Validated replay
+   */
+  static parse(replay) {
+    const data = typeof replay === 'string' ? JSON.parse(replay) : replay;
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('❌ Replay is empty or not an object');
+    }
+
+    if (data.version !== REPLAY_VERSION) {
+      throw new Error(`❌ Unsupported replay version: ${data.version} (expected ${REPLAY_VERSION})`);
+    }
+
+    if (typeof data.seed !== 'number' || !Array.isArray(data.actions)) {
+      throw new Error('❌ Replay is missing its seed or actions');
+    }
+
+    if (!data.fixedTimeStep) {
+      throw new Error('❌ Replay was not recorded with a fixed timestep and cannot be reproduced');
+    }
+
+    return data;
+  }
+
+  /**
+   * Build the engine the replay runs in
+   */
+  async initialize() {
+    this.engine = new GameEngine(this.renderSurface, {
+      useAnimationFrame: false,
+      fixedTimeStep: this.replay.fixedTimeStep,
+      seed: this.replay.seed,
+      mode: this.replay.mode,
+      difficulty: this.replay.difficulty,
+      mutators: this.replay.mutators,
+    });
+
+    // Map must be chosen before the engine reads its path
+    if (this.replay.map && !this.engine.getManager('map').selectMap(this.replay.map)) {
+      throw new Error(`❌ Replay map not found: ${this.replay.map}`);
+    }
+
+    await this.engine.initialize();
+
+    this.actionIndex = 0;
+    this.desyncs = [];
+    this.isInitialized = true;
+
+    console.log(`▶️ Replay loaded: ${this.replay.actions.length} actions, ${this.replay.ticks} ticks`);
+  }
+
+  /**
+   * Apply due actions, then run one simulation step
+   */
+  stepTick() {
+    this.applyDueActions();
+    this.engine.step(1, this.options.render);
+  }
+
+  /**
+   * Play for an amount of game time (for watching at real speed)
+   * @param {number} seconds - Game time to play
+   */
+  advance(seconds) {
+    this.timeAccumulator += seconds;
+
+    while (this.timeAccumulator >= this.replay.fixedTimeStep && !this.isFinished()) {
+      this.stepTick();
+      this.timeAccumulator -= this.replay.fixedTimeStep;
+    }
+  }
+
+  /**
+   * Play until a tick is reached (or the replay ends)
+   * @param {number} tick - Target tick
+   */
+  playUntil(tick) {
+    while (this.engine.getTick() < tick && !this.isFinished()) {
+      this.stepTick();
+    }
+  }
+
+  /**
+   * Play the whole replay
+   * @returns {Object} Verification result (see verify)
+   */
+  playToEnd() {
+    while (!this.isFinished() && this.engine.getTick() < this.options.maxTicks) {
+      this.stepTick();
+    }
+
+    // Actions recorded on the final tick (e.g. a last sell)
+    this.applyDueActions();
+
+    return this.verify();
+  }
+
+  /**
+   * Has playback reached the end of the replay?
+   * @returns {boolean}
+   */
+  isFinished() {
+    const gameState = this.engine.getGameState();
+
+    if (gameState.getGameOver() || gameState.getGameWon()) return true;
+
+    const actionsLeft = this.actionIndex < this.replay.actions.length;
+
+    // Nothing can advance a game that is not running
+    if (!gameState.getGameRunning() && !actionsLeft) return true;
+
+    return !actionsLeft && this.engine.getTick() >= this.replay.ticks;
+  }
+
+  /**
+   * Apply every action recorded at or before the current tick
+   * @private
+   */
+  applyDueActions() {
+    const tick = this.engine.getTick();
+    const actions = this.replay.actions;
+
+    while (this.actionIndex < actions.length && actions[this.actionIndex][0] <= tick) {
+      const action = actions[this.actionIndex];
+      this.actionIndex++;
+
+      if (!this.applyAction(action)) {
+        this.desyncs.push({ tick, action });
+        console.warn(`⚠️ Replay desync at tick ${tick}:`, action);
+      }
+    }
+  }
+
+  /**
+   * Feed one action into the engine (same calls the UI makes)
+   * @private
+   * @param {Array} action - [tick, type, ...args]
+   * @returns {boolean} True if the action could be applied
+   */
+  applyAction([, type, ...args]) {
+    const gameState = this.engine.getGameState();
+    const towerManager = this.engine.getManager('tower');
+    const waveManager = this.engine.getManager('wave');
+    const tileSize = CANVAS_CONFIG.tileSize;
+
+    switch (type) {
+      case 'start':
+        this.engine.start();
+        return true;
+
+      case 'wave': {
+        const [waveNumber] = args;
+
+        // Waves the simulation already started just confirm we are in sync
+        if (waveManager.getCurrentWave() === waveNumber && waveManager.isCurrentWaveActive()) {
+          return true;
+        }
+
+        // Otherwise the player called it early
+        return this.engine.callNextWave() && waveManager.getCurrentWave() === waveNumber;
+      }
+
+      case 'place': {
+        const [towerType, gridX, gridY] = args;
+        const tower = towerManager.placeTower(
+          towerType,
+          gridX * tileSize + tileSize / 2,
+          gridY * tileSize + tileSize / 2,
+          gameState
+        );
+        return tower !== null;
+      }
+
+      case 'upgrade': {
+        const tower = towerManager.getTowerAt(args[0], args[1]);
+        return tower ? handleTowerUpgrade(tower, this.engine, args[2] ?? null) : false;
+      }
+
+      case 'repair': {
+        const tower = towerManager.getTowerAt(args[0], args[1]);
+        return tower ? towerManager.repairTower(tower, args[2], gameState) : false;
+      }
+
+      case 'rebuild': {
+        const tower = towerManager.getTowerAt(args[0], args[1]);
+        return tower ? towerManager.rebuildTower(tower, gameState) : false;
+      }
+
+      case 'sell': {
+        const tower = towerManager.getTowerAt(args[0], args[1]);
+        if (!tower) return false;
+        handleTowerSell(tower, this.engine);
+        return true;
+      }
+
+      case 'target': {
+        const tower = towerManager.getTowerAt(args[0], args[1]);
+        return tower ? towerManager.setTargetingMode(tower, args[2], gameState) : false;
+      }
+
+      case 'focus': {
+        const tower = towerManager.getTowerAt(args[0], args[1]);
+        const enemy = args[2] === null ? null : this.engine.getManager('enemy').getEnemyById(args[2]);
+        if (!tower || (args[2] !== null && !enemy)) return false;
+        return towerManager.focusTower(tower, enemy, gameState);
+      }
+
+      case 'pause':
+        gameState.setGamePaused(args[0]);
+        return true;
+
+      default:
+        console.warn(`⚠️ Unknown replay action: ${type}`);
+        return false;
+    }
+  }
+
+  /**
+   * Compare the reproduced match with the recorded result
+   * @returns {Object} { matches, expected, actual, desyncs }
+   */
+  verify() {
+    const expected = this.replay.result;
+    const actual = getReplayResult(this.engine);
+
+    const resultMatches = !expected || Object.keys(expected).every(
+      key => expected[key] === actual[key]
+    );
+
+    return {
+      matches: resultMatches && this.desyncs.length === 0,
+      expected,
+      actual,
+      desyncs: [...this.desyncs],
+    };
+  }
+
+  /**
+   * Get the engine the replay runs in
+   * @returns {GameEngine}
+   */
+  getEngine() {
+    return this.engine;
+  }
+
+  /**
+   * Get the parsed replay
+   * @returns {Object}
+   */
+  getReplay() {
+    return this.replay;
+  }
+
+  /**
+   * Get playback progress (0-1)
+   * @returns {number}
+   */
+  getProgress() {
+    if (!this.engine || this.replay.ticks === 0) return 0;
+    return Math.min(1, this.engine.getTick() / this.replay.ticks);
+  }
+}
+
+export default ReplayPlayer;
@@ -0,0 +1,257 @@
+/**
+ * Replay Recorder
+ * Records every player action of a match into a compact replay file.
+ *
+ * Responsibilities:
+ * - Listen to GameState for player actions (place, upgrade, repair, rebuild,
+ *   sell, targeting mode, focus fire, pause, game start, wave starts)
+ * - Timestamp each action with the engine tick (game time, not wall time)
+ * - Store the seed, map and timestep needed to rebuild the match
+ * - Store the final result so a replay can be checked for desyncs
+ *
+ * Because the simulation is deterministic (fixed timestep + seeded RNG),
+ * the actions alone are enough to reproduce the whole match.
+ *
+ * Replay format (version 6):
+ * {
+ *   version: 6,
+ *   seed: 1234,
+ *   mode: 'classic', // or 'endless'
+ *   difficulty: 'normal',
+ *   mutators: [], // e.g. ['armored', 'swift']
+ *   map: 'map1',
+ *   fixedTimeStep: 0.0166,
+ *   recordedAt: '2024-01-01T00:00:00.000Z',
+ *   ticks: 5400, // game time covered by the replay
+ *   actions: [[tick, action, ...args], ...],
+ *   result: { tick, lives, money, score, wave, enemiesKilled, won } | null
+ * }
+ *
+ * Actions:
+ * - [tick, 'start']
+ * - [tick, 'wave', waveNumber] (started by the countdown, or called early)
+ * - [tick, 'place', towerType, gridX, gridY]
+ * - [tick, 'upgrade', gridX, gridY, specialization] (upgrade tree node taken, or null)
+ * - [tick, 'repair', gridX, gridY, amount]
+ * - [tick, 'rebuild', gridX, gridY]
+ * - [tick, 'sell', gridX, gridY]
+ * - [tick, 'target', gridX, gridY, mode]
+ * - [tick, 'focus', gridX, gridY, enemyId] (enemyId null = unpinned)
+ * - [tick, 'pause', isPaused]
+ */
+
+// Version 2: waves start after a build phase and can be called early
+// Version 3: enemies attack towers; destroyed towers are rebuilt
+// Version 4: towers change targeting mode and focus fire
+// Version 5: upgrade trees (upgrades record the specialization taken)
+// Version 6: towers gain experience from kills and level up on their own
+export const REPLAY_VERSION = 6;
+
+class ReplayRecorder {
+  /**
+   * @param {GameEngine} engine - Engine to record
+   */
+  constructor(engine) {
+    this.engine = engine;
+
+    // Recording state
+    this.actions = [];
+    this.result = null;
+    this.recordedAt = null;
+    this.isRecording = false;
+
+    // GameState unsubscribe function
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start (or restart) recording
+   */
+  start() {
+    this.clear();
+
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.engine.getGameState().subscribe(
+        (eventType, data) => this.handleEvent(eventType, data)
+      );
+    }
+
+    this.isRecording = true;
+    console.log(`🎥 Recording replay (seed ${this.engine.getSeed()})`);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object} The finished replay
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    this.isRecording = false;
+    console.log(`⏹️ Replay recording stopped (${this.actions.length} actions)`);
+
+    return this.getReplay();
+  }
+
+  /**
+   * Drop everything recorded so far
+   */
+  clear() {
+    this.actions = [];
+    this.result = null;
+    this.recordedAt = new Date().toISOString();
+  }
+
+  /**
+   * Map GameState events to replay actions
+   * @private
+   * @param {string} eventType - GameState event type
+   * @param {*} data - Event data
+   */
+  handleEvent(eventType, data) {
+    if (!this.isRecording) return;
+
+    switch (eventType) {
+      case 'stateReset':
+        // New match on the same engine
+        this.clear();
+        break;
+
+      case 'stateRestored':
+        // A loaded save cannot be rebuilt from seed + actions
+        console.warn('⚠️ Replay recording stopped: game was loaded from a save');
+        this.stop();
+        break;
+
+      case 'gameRunningChanged':
+        if (data) this.record('start');
+        break;
+
+      case 'waveStarted':
+        this.record('wave', data);
+        break;
+
+      case 'towerPlaced':
+        this.record('place', data.type, data.gridX, data.gridY);
+        break;
+
+      case 'towerUpgraded':
+        this.record('upgrade', data.gridX, data.gridY, data.specialization);
+        break;
+
+      case 'towerRepaired':
+        this.record('repair', data.gridX, data.gridY, data.amount);
+        break;
+
+      case 'towerRebuilt':
+        this.record('rebuild', data.gridX, data.gridY);
+        break;
+
+      case 'towerSold':
+        this.record('sell', data.gridX, data.gridY);
+        break;
+
+      case 'towerTargetingChanged':
+        this.record('target', data.gridX, data.gridY, data.mode);
+        break;
+
+      case 'towerFocused':
+        this.record('focus', data.gridX, data.gridY, data.enemyId);
+        break;
+
+      case 'gamePausedChanged':
+        this.record('pause', data);
+        break;
+
+      case 'gameOverChanged':
+      case 'gameWonChanged':
+        if (data) this.result = this.captureResult();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Append an action stamped with the current tick
+   * @private
+   */
+  record(action, ...args) {
+    this.actions.push([this.engine.getTick(), action, ...args]);
+  }
+
+  /**
+   * Capture the end-of-match result (used to detect desyncs)
+   * @private
+   * @returns {Object}
+   */
+  captureResult() {
+    return getReplayResult(this.engine);
+  }
+
+  /**
+   * Get the replay recorded so far
+   * @returns {Object}
+   */
+  getReplay() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.engine.getSeed(),
+      mode: this.engine.getMode(),
+      difficulty: this.engine.getDifficulty(),
+      mutators: this.engine.getMutators(),
+      map: this.engine.getManager('map').currentMapId,
+      fixedTimeStep: this.engine.getGameLoop().fixedTimeStep,
+      recordedAt: this.recordedAt,
+      ticks: this.result ? this.result.tick : this.engine.getTick(),
+      actions: this.actions.map(action => [...action]),
+      result: this.result ? { ...this.result } : null,
+    };
+  }
+
+  /**
+   * Serialize the replay to a JSON string (for files and bug reports)
+   * @returns {string}
+   */
+  serialize() {
+    return JSON.stringify(this.getReplay());
+  }
+
+  /**
+   * Get recorder snapshot for debugging
+   * @returns {Object}
+   */
+  getSnapshot() {
+    return {
+      isRecording: this.isRecording,
+      actions: this.actions.length,
+      lastAction: this.actions[this.actions.length - 1] || null,
+      hasResult: this.result !== null,
+    };
+  }
+}
+
+/**
+ * Summarize the current match outcome (same shape as replay.result)
+ * @param {GameEngine} engine
+ * @returns {Object}
+ */
+export function getReplayResult(engine) {
+  const gameState = engine.getGameState();
+
+  return {
+    tick: engine.getTick(),
+    lives: gameState.getLives(),
+    money: gameState.getMoney(),
+    score: gameState.getScore(),
+    wave: engine.getManager('wave').getCurrentWave(),
+    enemiesKilled: gameState.getStatistics().totalEnemiesKilled,
+    won: gameState.getGameWon(),
+  };
+}
+
+export default ReplayRecorder;
@@ -0,0 +1,345 @@
+/**
+ * Save Manager
+ * Saves and loads complete in-progress games.
+ *
+ * Responsibilities:
+ * - Collect state from GameState and every manager (serialize)
+ * - Write saves to localStorage slots (in-memory when headless)
+ * - Validate, migrate and apply saves (restore)
+ * - JSON export/import for moving saves between browsers
+ *
+ * A save holds: money, lives, score, wave and spawn progress, every tower
+ * (type, cell, level, XP, health), live enemies (path progress, status
+ * effects), in-flight projectiles, plus the tick and RNG state so the run
+ * continues exactly where it stopped.
+ */
+
+import { SAVE_CONFIG, getSaveSlots, isValidSaveSlot, migrateSave } from './saveConfig.js';
+
+class SaveManager {
+  /**
+   * @param {GameEngine} engine - Engine to save and restore
+   */
+  constructor(engine) {
+    this.engine = engine;
+
+    // localStorage in the browser, a plain in-memory store when headless
+    this.storage = typeof localStorage !== 'undefined' ? localStorage : createMemoryStorage();
+
+    // True while a save is applied (route changes don't reroute the restored enemies)
+    this.isApplying = false;
+  }
+
+  // ============================================
+  // CAPTURE / APPLY
+  // ============================================
+
+  /**
+   * Capture the current game as a save object
+   * @param {string} name - Display name (default: current wave)
+   * @returns {Object} Save data
+   */
+  createSave(name = null) {
+    const engine = this.engine;
+    const managers = engine.managers;
+    const gameState = engine.getGameState();
+
+    return {
+      version: SAVE_CONFIG.version,
+      name: name || `Wave ${managers.wave.getCurrentWave()}`,
+      savedAt: new Date().toISOString(),
+      map: managers.map.currentMapId,
+      seed: engine.getSeed(),
+      rngState: engine.getRandom().getState(),
+      tick: engine.getTick(),
+      gameState: gameState.serialize(),
+      money: managers.money.serialize(),
+      waves: managers.wave.serialize(),
+      enemies: managers.enemy.serialize(),
+      towers: managers.tower.serialize(),
+      projectiles: managers.projectile.serialize(),
+    };
+  }
+
+  /**
+   * Replace the running game with a save
+   * The game comes back paused so the player can get their bearings
+   * @param {Object} save - Save data (any supported version)
+   */
+  applySave(save) {
+    const data = this.validate(save);
+    const engine = this.engine;
+    const gameState = engine.getGameState();
+
+    this.isApplying = true;
+    try {
+      this.restoreManagers(data);
+    } finally {
+      this.isApplying = false;
+    }
+
+    // Resume as a running, paused game
+    gameState.setGameRunning(true);
+    gameState.setGamePaused(true);
+    if (!engine.getGameLoop().isRunning) {
+      engine.getGameLoop().start();
+    }
+
+    console.log(`📂 Save loaded: ${data.name} (wave ${data.waves.currentWave})`);
+  }
+
+  /**
+   * Restore the map, RNG, game state and every manager from a save
+   * @private
+   * @param {Object} data - Validated save data
+   */
+  restoreManagers(data) {
+    const engine = this.engine;
+    const managers = engine.managers;
+    const gameState = engine.getGameState();
+
+    // Map first: enemies need its path
+    if (data.map && data.map !== managers.map.currentMapId) {
+      if (!managers.map.selectMap(data.map)) {
+        throw new Error(`❌ Saved map not found: ${data.map}`);
+      }
+      engine.applyMapPath();
+    }
+
+    // Open fields: the saved towers shape the routes enemies spawn on
+    managers.map.setTowerCells(data.towers.towers.map(tower => ({ x: tower.gridX, y: tower.gridY })));
+
+    engine.setSeed(data.seed);
+    engine.getRandom().setState(data.rngState);
+    engine.tick = data.tick;
+    engine.getGameLoop().resetSimulation();
+
+    gameState.restore(data.gameState);
+    managers.money.restore(data.money);
+    managers.wave.restore(data.waves);
+    managers.enemy.restore(data.enemies);
+    managers.tower.restore(data.towers, managers.enemy);
+    managers.projectile.restore(data.projectiles, managers.enemy);
+
+    // The selection and notifications belong to the game being replaced
+    managers.ui.reset();
+  }
+
+  /**
+   * Check and migrate a save
+   * @param {Object} save - Save data
+   * @returns {Object} Save at the current schema version
+   */
+  validate(save) {
+    if (!save || typeof save !== 'object') {
+      throw new Error('❌ Save is empty or not an object');
+    }
+
+    if (typeof save.version !== 'number') {
+      throw new Error('❌ Save has no schema version');
+    }
+
+    if (save.version > SAVE_CONFIG.version) {
+      throw new Error(`❌ Save version ${save.version} is newer than supported (${SAVE_CONFIG.version})`);
+    }
+
+    const data = migrateSave(save);
+    const sections = ['gameState', 'money', 'waves', 'enemies', 'towers', 'projectiles'];
+    const missing = sections.filter(section => !data[section]);
+
+    if (missing.length > 0) {
+      throw new Error(`❌ Save is missing: ${missing.join(', ')}`);
+    }
+
+    return data;
+  }
+
+  // ============================================
+  // SLOTS
+  // ============================================
+
+  /**
+   * Save the current game into a slot
+   * @param {string|number} slot - Slot id ('autosave', 'quicksave', '1'..maxSlots)
+   * @param {string} name - Display name (optional)
+   * @returns {boolean} Success
+   */
+  save(slot, name = null) {
+    if (!isValidSaveSlot(slot)) {
+      console.warn(`⚠️ Invalid save slot: ${slot}`);
+      return false;
+    }
+
+    try {
+      this.storage.setItem(this.getStorageKey(slot), JSON.stringify(this.createSave(name)));
+      console.log(`💾 Game saved to slot ${slot}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to save to slot ${slot}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Load a slot into the running game
+   * @param {string|number} slot - Slot id
+   * @returns {boolean} Success
+   */
+  load(slot) {
+    const save = this.readSlot(slot);
+
+    if (!save) {
+      console.warn(`⚠️ No save in slot ${slot}`);
+      return false;
+    }
+
+    try {
+      this.applySave(save);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to load slot ${slot}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a slot
+   * @param {string|number} slot - Slot id
+   */
+  deleteSlot(slot) {
+    if (!isValidSaveSlot(slot)) return;
+    this.storage.removeItem(this.getStorageKey(slot));
+  }
+
+  /**
+   * Does a slot hold a save?
+   * @param {string|number} slot - Slot id
+   * @returns {boolean}
+   */
+  hasSave(slot) {
+    return this.readSlot(slot) !== null;
+  }
+
+  /**
+   * List every slot with a summary of what it holds
+   * @returns {Array<Object>} [{ slot, empty, name, savedAt, wave, money, lives }]
+   */
+  listSlots() {
+    return getSaveSlots().map(slot => {
+      const save = this.readSlot(slot);
+
+      if (!save) {
+        return { slot, empty: true };
+      }
+
+      return {
+        slot,
+        empty: false,
+        name: save.name,
+        savedAt: save.savedAt,
+        version: save.version,
+        wave: save.waves?.currentWave,
+        money: save.gameState?.money,
+        lives: save.gameState?.lives,
+      };
+    });
+  }
+
+  /**
+   * Get the most recently written slot
+   * @returns {string|null} Slot id
+   */
+  getLatestSlot() {
+    const saves = this.listSlots().filter(entry => !entry.empty);
+    if (saves.length === 0) return null;
+
+    saves.sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+    return saves[0].slot;
+  }
+
+  /**
+   * Read and parse a slot
+   * @private
+   * @param {string|number} slot - Slot id
+   * @returns {Object|null} Save data
+   */
+  readSlot(slot) {
+    if (!isValidSaveSlot(slot)) return null;
+
+    try {
+      const raw = this.storage.getItem(this.getStorageKey(slot));
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn(`⚠️ Could not read save slot ${slot}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Storage key for a slot
+   * @private
+   */
+  getStorageKey(slot) {
+    return `${SAVE_CONFIG.storageKeyPrefix}${slot}`;
+  }
+
+  // ============================================
+  // JSON EXPORT / IMPORT
+  // ============================================
+
+  /**
+   * Export a save as a JSON string
+   * @param {string|number} slot - Slot to export (default: the current game)
+   * @returns {string|null} JSON or null if the slot is empty
+   */
+  exportJSON(slot = null) {
+    const save = slot === null ? this.createSave() : this.readSlot(slot);
+    return save ? JSON.stringify(save) : null;
+  }
+
+  /**
+   * Import a save from a JSON string
+   * @param {string} json - Exported save
+   * @param {string|number} slot - Store into this slot instead of loading it (optional)
+   * @returns {boolean} Success
+   */
+  importJSON(json, slot = null) {
+    try {
+      const save = this.validate(JSON.parse(json));
+
+      if (slot === null) {
+        this.applySave(save);
+        return true;
+      }
+
+      if (!isValidSaveSlot(slot)) {
+        console.warn(`⚠️ Invalid save slot: ${slot}`);
+        return false;
+      }
+
+      this.storage.setItem(this.getStorageKey(slot), JSON.stringify(save));
+      console.log(`📥 Save imported into slot ${slot}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to import save:', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Minimal localStorage stand-in for headless runs
+ * @private
+ * @returns {Object} Storage with getItem/setItem/removeItem
+ */
+function createMemoryStorage() {
+  const items = new Map();
+
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+export default SaveManager;
@@ -0,0 +1,138 @@
+/**
+ * Save Configuration
+ * Save game schema version, storage keys, slots and migrations.
+ *
+ * Save System:
+ * - Numbered manual slots plus a quicksave and an autosave slot
+ * - Autosave after every completed wave
+ * - Every save carries a schema version; older saves are migrated on load
+ */
+
+export const SAVE_CONFIG = {
+  // Current save schema version (bump when the save shape changes)
+  version: 4,
+
+  // localStorage key prefix, one key per slot
+  storageKeyPrefix: 'towerDefenseSave:',
+
+  // Manual slots are '1'..maxSlots
+  maxSlots: 5,
+
+  // Special slots
+  quicksaveSlot: 'quicksave',
+  autosaveSlot: 'autosave',
+
+  // Autosave after each completed wave
+  autosaveOnWaveComplete: true,
+};
+
+/**
+ * Migrations from older schema versions
+ * Each entry upgrades a save from version N to N + 1
+ * e.g. 1: (save) => ({ ...save, version: 2, newField: defaultValue })
+ */
+export const SAVE_MIGRATIONS = {
+  // v2: MoneyManager is the only wallet. v1 kept spending in GameState, so
+  // its balance is the one the player saw; per-type totals start from the old stats
+  1: (save) => {
+    const { totalBounties, totalWaveRewards, totalUpgradeCosts, totalRepairCosts, ...stats } = save.money.stats || {};
+
+    return {
+      ...save,
+      version: 2,
+      money: {
+        ...save.money,
+        currentMoney: save.gameState.money,
+        stats: {
+          ...stats,
+          totals: {
+            bounty: totalBounties || 0,
+            waveReward: totalWaveRewards || 0,
+            upgrade: totalUpgradeCosts || 0,
+            repair: totalRepairCosts || 0,
+          },
+        },
+      },
+    };
+  },
+
+  // v3: waves run spawn groups side by side. v2 ran them one after another,
+  // so groups before the current one are done and the current one is spawning
+  2: (save) => {
+    const { currentSpawnIndex = 0, currentSpawnCount = 0, nextSpawnTime = 0, ...waves } = save.waves;
+    const groupStates = [];
+
+    for (let i = 0; i < currentSpawnIndex; i++) {
+      groupStates.push({ status: 'done', countdown: 0, spawned: 0 });
+    }
+    groupStates.push({ status: 'spawning', countdown: nextSpawnTime, spawned: currentSpawnCount });
+
+    return {
+      ...save,
+      version: 3,
+      waves: { ...waves, groupStates },
+    };
+  },
+
+  // v4: spawn points became lanes; an enemy keeps the lane it spawned on
+  3: (save) => ({
+    ...save,
+    version: 4,
+    enemies: {
+      ...save.enemies,
+      enemies: save.enemies.enemies.map(({ spawnPoint = 'main', ...enemy }) => ({ ...enemy, lane: spawnPoint })),
+    },
+  }),
+};
+
+/**
+ * Get every valid slot id
+ * @returns {Array<string>} Slot ids
+ */
+export function getSaveSlots() {
+  const slots = [SAVE_CONFIG.autosaveSlot, SAVE_CONFIG.quicksaveSlot];
+
+  for (let i = 1; i <= SAVE_CONFIG.maxSlots; i++) {
+    slots.push(String(i));
+  }
+
+  return slots;
+}
+
+/**
+ * Check a slot id
+ * @param {string|number} slot - Slot id
+ * @returns {boolean} True if the slot exists
+ */
+export function isValidSaveSlot(slot) {
+  return getSaveSlots().includes(String(slot));
+}
+
+/**
+ * Bring a save up to the current schema version
+ * @param {Object} save - Parsed save data
+ * @returns {Object} Migrated save
+ */
+export function migrateSave(save) {
+  let migrated = save;
+
+  while (migrated.version < SAVE_CONFIG.version) {
+    const migrate = SAVE_MIGRATIONS[migrated.version];
+
+    if (!migrate) {
+      throw new Error(`❌ No migration from save version ${migrated.version}`);
+    }
+
+    migrated = migrate(migrated);
+  }
+
+  return migrated;
+}
+
+export default {
+  SAVE_CONFIG,
+  SAVE_MIGRATIONS,
+  getSaveSlots,
+  isValidSaveSlot,
+  migrateSave,
+};
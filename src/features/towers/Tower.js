@@ -3,14 +3,23 @@
  * Represents a single tower instance on the map.
  * 
  * Features:
- * - Position and targeting
+ * - Position and targeting (air and/or ground, see towerConfig)
+ * - Targeting mode (changeable in game) and a pinned focus-fire target
  * - Range and rotation
  * - Cooldown and shooting
- * - Health and upgrades
+ * - Health and upgrades (a destroyed tower stays as a ruin until rebuilt or sold)
+ * - Experience from kills (automatic level ups) and damage/kill statistics
+ * - Specializations from its upgrade tree (upgradeTreeConfig)
  * - Status effects immunity
  */
 
-import { TOWER_CONFIG } from './towerConfig.js';
+import { TOWER_CONFIG, canTargetEnemy, getTargetingMode, getTargetingModeIds } from './towerConfig.js';
+import { getOnHitEffects } from '../projectiles/onHitEffects.js';
+import { DEFAULT_PIERCE_COUNT } from '../projectiles/projectileConfig.js';
+import { getUpgradeOptions, getSpecializedConfig, applyUpgradeNode } from './upgradeTreeConfig.js';
+
+// Damage multiplier of a critical hit (towers with critChance)
+const DEFAULT_CRIT_MULTIPLIER = 1.5;
 
 class Tower {
   /**
@@ -44,7 +53,9 @@ class Tower {
     this.targetEnemy = null;
     this.targetX = null;
     this.targetY = null;
-    this.targetingStrategy = this.config.targetingStrategy || 'closest';
+    this.targetingMode = this.config.targetingStrategy || 'closest';
+    this.focusTarget = null; // Enemy pinned by the player (shot whenever in range)
+    this.focusTargetId = null;
     this.rotation = 0; // Angle in radians
 
     // Shooting
@@ -56,12 +67,15 @@ class Tower {
     this.level = 1;
     this.experiencePoints = 0;
     this.experienceToNextLevel = 100;
+    this.specializations = []; // Upgrade tree nodes taken, in order (this.config includes them)
+    this.goldInvested = 0; // Gold paid for placement and upgrades (set by TowerManager, prices sell and rebuild)
 
     // Health and status
     this.health = this.config.health;
     this.maxHealth = this.config.health;
     this.isSelected = false;
     this.isDead = false;
+    this.disabledTime = 0; // Seconds left without firing (boss fire breath)
 
     // Statistics
     this.totalDamageDealt = 0;
@@ -71,25 +85,48 @@ class Tower {
     // State tracking
     this.hasShot = false;
     this.isActive = true;
+
+    // Engine RNG (set by TowerManager)
+    this.rng = null;
   }
 
   /**
    * Update tower logic (targeting, cooldown, etc.)
    * @param {number} deltaTime - Time since last update in seconds
    * @param {Array} enemies - Array of enemy objects to target
+   * @param {SpatialHash} enemyIndex - Spatial index of enemies (optional, narrows the range search)
    * @returns {Object|null} Projectile data if tower should fire, null otherwise
    */
-  update(deltaTime, enemies) {
+  update(deltaTime, enemies, enemyIndex = null) {
     if (this.isDead || !this.isActive) return null;
 
+    // Disabled towers drop their target and hold fire
+    if (this.disabledTime > 0) {
+      this.disabledTime = Math.max(0, this.disabledTime - deltaTime);
+      this.targetEnemy = null;
+      this.hasShot = false;
+      return null;
+    }
+
     // Update cooldown
     if (this.shotCooldown > 0) {
       this.shotCooldown -= deltaTime;
     }
 
-    // Find target if none exists
-    if (!this.targetEnemy || this.targetEnemy.isDead) {
-      this.targetEnemy = this.findTarget(enemies);
+    // A pinned focus target takes over as soon as it is in range
+    if (this.focusTarget) {
+      if (!this.isFocusTargetAlive()) {
+        this.focusTarget = null;
+        this.focusTargetId = null;
+      } else if (this.targetEnemy !== this.focusTarget && this.canTarget(this.focusTarget)) {
+        this.targetEnemy = this.focusTarget;
+        this.hasShot = false;
+      }
+    }
+
+    // Find target if none exists (escaped enemies go back to the pool inactive)
+    if (!this.targetEnemy || this.targetEnemy.isDead || this.targetEnemy.isActive === false) {
+      this.targetEnemy = this.findTarget(enemyIndex ? enemyIndex.queryRadius(this.x, this.y, this.range) : enemies);
       this.hasShot = false;
     }
 
@@ -118,7 +155,7 @@ class Tower {
   }
 
   /**
-   * Find target enemy based on targeting strategy
+   * Find target enemy based on the targeting mode
    * @private
    * @param {Array} enemies - Array of enemy objects
    * @returns {Object|null} Target enemy or null
@@ -126,20 +163,15 @@ class Tower {
   findTarget(enemies) {
     if (enemies.length === 0) return null;
 
-    const validTargets = enemies.filter(enemy => {
-      if (enemy.isDead) return false;
-
-      // Check if in range
-      const dx = enemy.x - this.x;
-      const dy = enemy.y - this.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      return distance <= this.range;
-    });
+    const validTargets = enemies.filter(enemy => this.canTarget(enemy));
 
     if (validTargets.length === 0) return null;
 
-    switch (this.targetingStrategy) {
+    switch (this.targetingMode) {
+      case 'first':
+        return this.getFurthestAlongPath(validTargets);
+      case 'last':
+        return this.getLeastAlongPath(validTargets);
       case 'closest':
         return this.getClosestEnemy(validTargets);
       case 'furthest':
@@ -148,13 +180,28 @@ class Tower {
         return this.getWeakestEnemy(validTargets);
       case 'strongest':
         return this.getStrongestEnemy(validTargets);
-      case 'pathProgress':
-        return this.getFurthestAlongPath(validTargets);
+      case 'mostArmored':
+        return this.getMostArmoredEnemy(validTargets);
       default:
         return validTargets[0];
     }
   }
 
+  /**
+   * Check if an enemy is alive, in range and on a layer this tower hits
+   * @private
+   * @param {Enemy} enemy - Enemy to check
+   * @returns {boolean}
+   */
+  canTarget(enemy) {
+    if (enemy.isDead) return false;
+
+    // Flying enemies need a tower that hits air (and walkers one that hits ground)
+    if (!canTargetEnemy(this.config, enemy)) return false;
+
+    return this.getDistanceToEnemy(enemy) <= this.range;
+  }
+
   /**
    * Get closest enemy to tower
    * @private
@@ -250,6 +297,91 @@ class Tower {
     return furthest;
   }
 
+  /**
+   * Get enemy least far along path
+   * @private
+   */
+  getLeastAlongPath(enemies) {
+    let last = enemies[0];
+    let minProgress = last.getPathProgress?.() || 0;
+
+    for (let i = 1; i < enemies.length; i++) {
+      const progress = enemies[i].getPathProgress?.() || 0;
+      if (progress < minProgress) {
+        last = enemies[i];
+        minProgress = progress;
+      }
+    }
+
+    return last;
+  }
+
+  /**
+   * Get most armored enemy (ties go to the one furthest along path)
+   * @private
+   */
+  getMostArmoredEnemy(enemies) {
+    const maxArmor = Math.max(...enemies.map(enemy => enemy.armor || 0));
+    return this.getFurthestAlongPath(enemies.filter(enemy => (enemy.armor || 0) === maxArmor));
+  }
+
+  /**
+   * Change the targeting mode (the current target is dropped)
+   * @param {string} mode - TARGETING_MODES key
+   * @returns {boolean} False if the mode is unknown
+   */
+  setTargetingMode(mode) {
+    if (!getTargetingMode(mode)) {
+      console.warn(`⚠️ Unknown targeting mode: ${mode}`);
+      return false;
+    }
+
+    this.targetingMode = mode;
+    this.targetEnemy = null;
+    this.hasShot = false;
+    return true;
+  }
+
+  /**
+   * Get the targeting mode a step away in the cycle order
+   * @param {number} step - 1 for the next mode, -1 for the previous one
+   * @returns {string} TARGETING_MODES key
+   */
+  getNextTargetingMode(step = 1) {
+    const modes = getTargetingModeIds();
+    const index = Math.max(0, modes.indexOf(this.targetingMode));
+    return modes[(index + step + modes.length) % modes.length];
+  }
+
+  /**
+   * Pin an enemy to shoot whenever it is in range (null to unpin)
+   * The pin is dropped when the enemy dies or leaves the map.
+   * @param {Enemy|null} enemy - Enemy to focus
+   * @returns {boolean} False if this tower can't hit the enemy's layer
+   */
+  setFocusTarget(enemy) {
+    if (enemy && !canTargetEnemy(this.config, enemy)) return false;
+
+    this.focusTarget = enemy;
+    this.focusTargetId = enemy ? enemy.id : null;
+    if (!enemy) {
+      this.targetEnemy = null;
+      this.hasShot = false;
+    }
+    return true;
+  }
+
+  /**
+   * Check if the focus target is still in the game
+   * Pooled enemies come back with a new id, so the id is checked too
+   * @private
+   * @returns {boolean}
+   */
+  isFocusTargetAlive() {
+    const enemy = this.focusTarget;
+    return !enemy.isDead && enemy.isActive !== false && enemy.id === this.focusTargetId;
+  }
+
   /**
    * Get distance to enemy
    * @private
@@ -269,7 +401,7 @@ class Tower {
     if (!this.targetEnemy) return null;
 
     const projectileType = this.config.projectileType;
-    const damageWithUpgrades = this.calculateDamage();
+    const damageWithUpgrades = this.calculateDamage(this.rng);
 
     return {
       type: projectileType,
@@ -281,24 +413,38 @@ class Tower {
       damage: damageWithUpgrades,
       damageType: this.config.damageType,
       piercing: this.config.piercing,
+      pierceCount: this.config.pierceCount ?? DEFAULT_PIERCE_COUNT,
       areaOfEffect: this.config.areaOfEffect,
+      splashFalloff: this.config.splashFalloff ?? 0,
+      effects: getOnHitEffects(this.config),
+      canTargetAir: this.config.canTargetAir !== false,
+      canTargetGround: this.config.canTargetGround !== false,
       towerId: this.id,
     };
   }
 
   /**
    * Calculate tower damage with upgrades applied
+   * Random variance is only rolled when an RNG is passed, so display code
+   * (panels, snapshots) never consumes gameplay randomness.
+   * @param {SeededRandom} rng - Engine RNG (optional)
    * @returns {number} Calculated damage
    */
-  calculateDamage() {
+  calculateDamage(rng = null) {
     let baseDamage = this.config.damage;
 
     // Apply level multiplier
     baseDamage *= (1 + (this.level - 1) * 0.15); // 15% per level
 
     // Apply random variance (±10%)
-    const variance = 0.9 + Math.random() * 0.2;
-    baseDamage *= variance;
+    if (rng) {
+      baseDamage *= rng.range(0.9, 1.1);
+
+      // Critical hits (only rolled by towers that can crit)
+      if (this.config.critChance > 0 && rng.chance(this.config.critChance)) {
+        baseDamage *= this.config.critMultiplier ?? DEFAULT_CRIT_MULTIPLIER;
+      }
+    }
 
     return Math.round(baseDamage);
   }
@@ -322,6 +468,22 @@ class Tower {
     return true;
   }
 
+  /**
+   * Stop the tower from firing for a while (longest disable wins)
+   * @param {number} duration - Seconds
+   */
+  disable(duration) {
+    this.disabledTime = Math.max(this.disabledTime, duration);
+  }
+
+  /**
+   * Check if the tower is disabled
+   * @returns {boolean}
+   */
+  isDisabled() {
+    return this.disabledTime > 0;
+  }
+
   /**
    * Repair tower
    * @param {number} amount - Amount to repair
@@ -340,16 +502,56 @@ class Tower {
     this.isDead = false;
   }
 
+  /**
+   * Rebuild a destroyed tower (ruin): full health, same type and level
+   */
+  rebuild() {
+    this.healFull();
+    this.targetEnemy = null;
+    this.shotCooldown = 0;
+    this.disabledTime = 0;
+    this.hasShot = false;
+  }
+
+  /**
+   * Get the upgrade tree nodes open at the next level
+   * @returns {Array<Object>} Nodes to pick from (empty for a plain upgrade or at max level)
+   */
+  getUpgradeOptions() {
+    if (this.level >= this.config.maxLevel) return [];
+    return getUpgradeOptions(this.type, this.level + 1, this.specializations);
+  }
+
+  /**
+   * Check if the next upgrade needs the player to pick a specialization
+   * @param {string|null} specialization - Node id picked (optional)
+   * @returns {boolean} True if several nodes are open and none of them was picked
+   */
+  needsSpecialization(specialization = null) {
+    const options = this.getUpgradeOptions();
+    return options.length > 1 && !options.some(node => node.id === specialization);
+  }
+
   /**
    * Upgrade tower to next level
+   * At a split of the upgrade tree a specialization must be picked; a
+   * single open node is taken automatically.
+   * @param {string|null} specialization - Upgrade tree node id (optional)
    * @returns {boolean} Success
    */
-  upgrade() {
+  upgrade(specialization = null) {
     if (this.level >= this.config.maxLevel) {
       console.warn(`Tower ${this.id} is already max level`);
       return false;
     }
 
+    const options = this.getUpgradeOptions();
+    const node = options.length === 1 ? options[0] : options.find(option => option.id === specialization);
+    if (options.length > 1 && !node) {
+      console.warn(`⚠️ Tower ${this.id} needs a specialization for level ${this.level + 1}: ${options.map(option => option.id).join(', ')}`);
+      return false;
+    }
+
     this.level++;
     this.experiencePoints = 0;
     this.experienceToNextLevel = Math.floor(this.experienceToNextLevel * 1.5);
@@ -359,13 +561,34 @@ class Tower {
     this.health = this.maxHealth;
     this.range *= 1.05;
 
+    if (node) {
+      this.specialize(node);
+    }
+
     console.log(`🔥 Tower ${this.id} upgraded to level ${this.level}`);
 
     return true;
   }
 
   /**
-   * Add experience points
+   * Take an upgrade tree node: new config, plus range and health changes
+   * @private
+   * @param {Object} node - Upgrade tree node (with its id)
+   */
+  specialize(node) {
+    this.specializations.push(node.id);
+    this.config = applyUpgradeNode(this.config, node);
+
+    const { range = 1, health = 1 } = node.multiply || {};
+    this.range *= range;
+    this.maxHealth = Math.floor(this.maxHealth * health);
+    this.health = this.maxHealth;
+
+    console.log(`🌳 Tower ${this.id} specialized: ${node.name}`);
+  }
+
+  /**
+   * Add experience points, levelling up as far as they reach
    * @param {number} amount - Experience to add
    * @returns {number} New level if upgraded, 0 otherwise
    */
@@ -373,19 +596,38 @@ class Tower {
     this.experiencePoints += amount;
 
     let newLevel = 0;
-    while (
-      this.experiencePoints >= this.experienceToNextLevel &&
-      this.level < this.config.maxLevel
-    ) {
-      this.experiencePoints -= this.experienceToNextLevel;
-      if (this.upgrade()) {
-        newLevel = this.level;
-      }
+    // Splits of the upgrade tree wait for the player's pick
+    while (this.hasLevelUpReady() && !this.needsSpecialization()) {
+      if (!this.levelUp()) break;
+      newLevel = this.level;
     }
 
     return newLevel;
   }
 
+  /**
+   * Check if the tower has the experience for its next level
+   * @returns {boolean} True if a level up is ready (possibly waiting for a specialization)
+   */
+  hasLevelUpReady() {
+    return this.level < this.config.maxLevel && this.experiencePoints >= this.experienceToNextLevel;
+  }
+
+  /**
+   * Level up with earned experience (the experience left over is kept)
+   * @param {string|null} specialization - Upgrade tree node id (optional)
+   * @returns {boolean} Success
+   */
+  levelUp(specialization = null) {
+    if (!this.hasLevelUpReady()) return false;
+
+    const leftover = this.experiencePoints - this.experienceToNextLevel;
+    if (!this.upgrade(specialization)) return false;
+
+    this.experiencePoints = leftover;
+    return true;
+  }
+
   /**
    * Get health percentage (0-1)
    * @returns {number} Health percentage
@@ -432,7 +674,16 @@ class Tower {
    * Used by object pool
    */
   reset() {
+    // Re-read base stats (pooled towers can come back as a different type)
+    this.width = this.config.width;
+    this.height = this.config.height;
+    this.range = this.config.range;
+    this.targetingMode = this.config.targetingStrategy || 'closest';
+    this.maxHealth = this.config.health;
+
     this.targetEnemy = null;
+    this.focusTarget = null;
+    this.focusTargetId = null;
     this.targetX = null;
     this.targetY = null;
     this.rotation = 0;
@@ -440,9 +691,12 @@ class Tower {
     this.level = 1;
     this.experiencePoints = 0;
     this.experienceToNextLevel = 100;
+    this.specializations = [];
+    this.goldInvested = 0;
     this.health = this.maxHealth;
     this.isDead = false;
     this.isSelected = false;
+    this.disabledTime = 0;
     this.hasShot = false;
     this.isActive = true;
     this.totalDamageDealt = 0;
@@ -463,10 +717,15 @@ class Tower {
       gridX: this.gridX,
       gridY: this.gridY,
       level: this.level,
+      specializations: [...this.specializations],
+      goldInvested: this.goldInvested,
       health: `${this.health}/${this.maxHealth}`,
       range: this.range,
       cooldown: this.shotCooldown.toFixed(2),
+      disabled: this.disabledTime.toFixed(2),
       target: this.targetEnemy ? this.targetEnemy.id : null,
+      targetingMode: this.targetingMode,
+      focus: this.focusTargetId,
       rotation: (this.rotation * 180 / Math.PI).toFixed(1),
       damage: this.calculateDamage(),
       stats: {
@@ -476,6 +735,64 @@ class Tower {
       },
     };
   }
+
+  /**
+   * Get persistent state for save games
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      id: this.id,
+      type: this.type,
+      gridX: this.gridX,
+      gridY: this.gridY,
+      level: this.level,
+      experiencePoints: this.experiencePoints,
+      experienceToNextLevel: this.experienceToNextLevel,
+      specializations: [...this.specializations],
+      goldInvested: this.goldInvested,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      range: this.range,
+      shotCooldown: this.shotCooldown,
+      disabledTime: this.disabledTime,
+      rotation: this.rotation,
+      targetId: this.targetEnemy ? this.targetEnemy.id : null,
+      targetingMode: this.targetingMode,
+      focusId: this.focusTargetId,
+      totalDamageDealt: this.totalDamageDealt,
+      enemiesKilled: this.enemiesKilled,
+      totalMoneyGenerated: this.totalMoneyGenerated,
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * Position, type, target, focus target and (for older saves) the gold
+   * invested are handled by TowerManager
+   * @param {Object} data - Saved tower state
+   */
+  restore(data) {
+    this.level = data.level;
+    this.experiencePoints = data.experiencePoints;
+    this.experienceToNextLevel = data.experienceToNextLevel;
+    this.specializations = [...(data.specializations || [])];
+    this.config = getSpecializedConfig(this.type, this.specializations);
+    this.goldInvested = data.goldInvested ?? null;
+    this.maxHealth = data.maxHealth;
+    this.health = data.health;
+    this.isDead = data.health <= 0;
+    this.range = data.range;
+    this.shotCooldown = data.shotCooldown;
+    this.disabledTime = data.disabledTime || 0;
+    this.rotation = data.rotation || 0;
+    if (getTargetingMode(data.targetingMode)) {
+      this.targetingMode = data.targetingMode;
+    }
+    this.totalDamageDealt = data.totalDamageDealt || 0;
+    this.enemiesKilled = data.enemiesKilled || 0;
+    this.totalMoneyGenerated = data.totalMoneyGenerated || 0;
+  }
 }
 
 export default Tower;
\ No newline at end of file
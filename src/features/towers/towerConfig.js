@@ -9,12 +9,21 @@
  * - Frost: Slow tower with ice damage
  * - Alchemist: Poison damage over time
  * - Tesla: Chain lightning tower
+ *
+ * Every tower declares which enemies it can shoot: canTargetAir (flying
+ * enemies) and canTargetGround. Cannon and Alchemist only hit the ground.
+ * An on-hit effect with `ground: true` acts on the ground (ice, tar, traps)
+ * and leaves flying enemies alone.
+ *
+ * `targetingStrategy` is the targeting mode a new tower starts with
+ * (TARGETING_MODES); the player can switch it per tower during the game.
  */
 
 export const TOWER_CONFIG = {
   archer: {
     name: 'Archer Tower',
     emoji: '🏹',
+    image: 'archer_tower.png', // Sprite (assetManifest.js), shapes without it
     cost: 100,
     upgradeCost: 50,
     width: 24,
@@ -24,10 +33,12 @@ export const TOWER_CONFIG = {
     fireRate: 0.5, // Shots per second
     damage: 15,
     damageType: 'normal',
-    projectileType: 'arrow',
+    projectileType: 'Arrow',
     piercing: false,
     areaOfEffect: 0,
     targetingStrategy: 'closest',
+    canTargetAir: true,
+    canTargetGround: true,
     maxLevel: 10,
     description: 'Fast, cheap tower. Good for beginners.',
     color: '#8B4513', // Brown
@@ -37,6 +48,7 @@ export const TOWER_CONFIG = {
   mage: {
     name: 'Mage Tower',
     emoji: '✨',
+    image: 'mage_tower.png',
     cost: 150,
     upgradeCost: 75,
     width: 24,
@@ -46,10 +58,13 @@ export const TOWER_CONFIG = {
     fireRate: 0.75,
     damage: 25,
     damageType: 'magic',
-    projectileType: 'magicMissile',
+    projectileType: 'MagicMissile',
     piercing: false,
     areaOfEffect: 40, // AOE radius
-    targetingStrategy: 'pathProgress', // Targets furthest along path
+    splashFalloff: 0.25, // Splash deals 75% at the edge of the radius
+    targetingStrategy: 'first', // Targets furthest along path
+    canTargetAir: true,
+    canTargetGround: true,
     maxLevel: 10,
     description: 'Magic damage with AOE. Hits multiple enemies.',
     color: '#9932CC', // Purple
@@ -59,6 +74,7 @@ export const TOWER_CONFIG = {
   cannon: {
     name: 'Cannon Tower',
     emoji: '🔫',
+    image: 'cannon_tower.png',
     cost: 200,
     upgradeCost: 100,
     width: 24,
@@ -68,10 +84,14 @@ export const TOWER_CONFIG = {
     fireRate: 1.5, // Slower but harder hitting
     damage: 50,
     damageType: 'normal',
-    projectileType: 'cannonball',
+    projectileType: 'Cannonball',
     piercing: true,
+    pierceCount: 3, // Enemies hit before the ball stops
     areaOfEffect: 50, // Large explosion
+    splashFalloff: 0.5, // Splash deals 50% at the edge of the radius
     targetingStrategy: 'strongest', // Targets highest health
+    canTargetAir: false,
+    canTargetGround: true,
     maxLevel: 10,
     description: 'Heavy hitter. Slow but devastating.',
     color: '#556B2F', // Dark olive
@@ -81,6 +101,7 @@ export const TOWER_CONFIG = {
   frost: {
     name: 'Frost Tower',
     emoji: '❄️',
+    image: 'frost_tower.png',
     cost: 120,
     upgradeCost: 60,
     width: 24,
@@ -90,10 +111,12 @@ export const TOWER_CONFIG = {
     fireRate: 0.6,
     damage: 12,
     damageType: 'ice',
-    projectileType: 'iceShard',
+    projectileType: 'IceShard',
     piercing: false,
     areaOfEffect: 30,
     targetingStrategy: 'weakest', // Targets lowest health
+    canTargetAir: true,
+    canTargetGround: true,
     maxLevel: 10,
     description: 'Freezes and slows enemies. Support tower.',
     color: '#00CED1', // Cyan
@@ -101,12 +124,14 @@ export const TOWER_CONFIG = {
     slowEffect: {
       factor: 0.4, // 40% slow
       duration: 2,
+      ground: true, // Ice on the ground: flying enemies are not slowed
     },
   },
 
   alchemist: {
     name: 'Alchemist Tower',
     emoji: '⚗️',
+    image: 'alchemist_tower.png',
     cost: 140,
     upgradeCost: 70,
     width: 24,
@@ -116,10 +141,12 @@ export const TOWER_CONFIG = {
     fireRate: 0.8,
     damage: 20,
     damageType: 'poison',
-    projectileType: 'poison',
+    projectileType: 'Poison',
     piercing: false,
     areaOfEffect: 35,
-    targetingStrategy: 'pathProgress',
+    targetingStrategy: 'first',
+    canTargetAir: false,
+    canTargetGround: true,
     maxLevel: 10,
     description: 'Poison damage over time. Weakens enemies.',
     color: '#006400', // Dark green
@@ -133,6 +160,7 @@ export const TOWER_CONFIG = {
   tesla: {
     name: 'Tesla Tower',
     emoji: '⚡',
+    image: 'tesla_tower.png',
     cost: 180,
     upgradeCost: 90,
     width: 24,
@@ -142,10 +170,13 @@ export const TOWER_CONFIG = {
     fireRate: 1.0,
     damage: 30,
     damageType: 'lightning',
-    projectileType: 'bolt',
+    projectileType: 'Bolt',
     piercing: true,
+    pierceCount: 2,
     areaOfEffect: 0, // Chaining instead
     targetingStrategy: 'closest',
+    canTargetAir: true,
+    canTargetGround: true,
     maxLevel: 10,
     description: 'Chain lightning. Jumps between enemies.',
     color: '#FFD700', // Gold
@@ -158,6 +189,42 @@ export const TOWER_CONFIG = {
   },
 };
 
+/**
+ * Targeting modes, in the order the T key cycles through them
+ */
+export const TARGETING_MODES = {
+  first: { name: 'First', description: 'Furthest along the path' },
+  last: { name: 'Last', description: 'Least far along the path' },
+  closest: { name: 'Closest', description: 'Nearest to the tower' },
+  furthest: { name: 'Furthest', description: 'Furthest from the tower' },
+  strongest: { name: 'Strongest', description: 'Most health' },
+  weakest: { name: 'Weakest', description: 'Least health' },
+  mostArmored: { name: 'Most Armored', description: 'Highest armor, then furthest along the path' },
+};
+
+/**
+ * Get a targeting mode definition
+ * @param {string} mode - TARGETING_MODES key
+ * @returns {Object|null} Targeting mode or null if unknown
+ */
+export function getTargetingMode(mode) {
+  return TARGETING_MODES[mode] || null;
+}
+
+/**
+ * Get all targeting modes
+ * @returns {Array<string>} Targeting mode ids (cycle order)
+ */
+export function getTargetingModeIds() {
+  return Object.keys(TARGETING_MODES);
+}
+
+/**
+ * Experience a tower earns per point of base bounty of an enemy it kills
+ * (the first level takes 100 experience, each next one 1.5× more)
+ */
+export const KILL_EXPERIENCE_PER_BOUNTY = 1;
+
 /**
  * Get tower configuration by type
  * @param {string} towerType - Type of tower
@@ -178,6 +245,18 @@ export function getTowerConfig(towerType, level = 1) {
   return config;
 }
 
+/**
+ * Can a tower (or a projectile it fired) hit an enemy?
+ * @param {Object} targeting - { canTargetAir, canTargetGround } (missing = true)
+ * @param {Enemy} enemy - Enemy to check
+ * @returns {boolean} True if the enemy's layer (air or ground) can be targeted
+ */
+export function canTargetEnemy(targeting, enemy) {
+  return enemy.isFlying
+    ? targeting.canTargetAir !== false
+    : targeting.canTargetGround !== false;
+}
+
 /**
  * Get all available tower types
  * @returns {Array<string>} Array of tower type names
@@ -214,14 +293,16 @@ export function getTowerCost(towerType, level = 1) {
  * @param {string} towerType - Type of tower
  * @param {number} level - Tower level
  * @param {number} critChance - Critical hit chance (0-1)
+ * @param {SeededRandom} rng - Engine RNG (falls back to Math.random outside the engine)
  * @returns {number} Calculated damage
  */
-export function calculateTowerDamage(towerType, level = 1, critChance = 0) {
+export function calculateTowerDamage(towerType, level = 1, critChance = 0, rng = null) {
   const config = getTowerConfig(towerType, level);
   let damage = config.damage;
 
   // Apply critical strike if triggered
-  if (Math.random() < critChance) {
+  const roll = rng ? rng.next() : Math.random();
+  if (roll < critChance) {
     damage *= 1.5; // 50% crit damage
   }
 
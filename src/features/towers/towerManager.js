@@ -8,11 +8,19 @@
  * - Query towers by position or criteria
  * - Object pooling for performance
  * - Handle tower removal and cleanup
+ * - Selection (one tower, or several with shift-click) and per-tower
+ *   targeting mode and focus fire
+ * - Damage from enemies: destroyed towers stay as ruins that can be rebuilt
+ * - Open field maps: tells MapManager which tiles towers (and ruins) take,
+ *   and refuses placements that would wall the enemies in
  */
 
 import Tower from './Tower.js';
-import { TOWER_CONFIG, getTowerConfig, getTowerCost } from './towerConfig.js';
+import { TOWER_CONFIG, getTowerConfig } from './towerConfig.js';
+import MoneyManager from '../economy/MoneyManager.js';
+import { TRANSACTION_TYPES } from '../economy/economyConfig.js';
 import { CANVAS_CONFIG } from '../../utils/constants.js';
+import SpatialHash from '../../utils/spatialHash.js';
 
 class TowerManager {
   constructor() {
@@ -29,15 +37,23 @@ class TowerManager {
 
     // Grid for spatial queries
     this.gridSize = 40; // Cell size for spatial partitioning
-    this.gridCells = new Map(); // Cell key -> array of tower IDs
+    this.spatialIndex = new SpatialHash(this.gridSize);
 
     // Statistics
     this.totalTowersPlaced = 0;
     this.totalMoneySpent = 0;
+    this.retiredTowerStats = []; // Stats of sold towers that dealt damage (end screen ranking)
 
     // Map reference for validation
     this.mapManager = null;
 
+    // Engine RNG (shared, seeded)
+    this.rng = null;
+
+    // Wallet and prices (replaced by the engine's MoneyManager)
+    this.money = new MoneyManager();
+    this.pricing = this.money.getPricing();
+
     // State
     this.isInitialized = false;
   }
@@ -46,11 +62,18 @@ class TowerManager {
    * Initialize tower manager
    * @param {RenderSurface} renderSurface - For dimension queries (optional)
    * @param {MapManager} mapManager - For tower spot validation
+   * @param {SeededRandom} rng - Engine RNG handed to every tower
+   * @param {MoneyManager} moneyManager - Wallet that pays for towers, and their prices
    */
-  async initialize(renderSurface, mapManager = null) {
+  async initialize(renderSurface, mapManager = null, rng = null, moneyManager = null) {
     console.log('🏰 TowerManager initializing...');
 
     this.mapManager = mapManager;
+    this.rng = rng;
+    if (moneyManager) {
+      this.money = moneyManager;
+      this.pricing = moneyManager.getPricing();
+    }
 
     // Pre-pool some tower instances for performance
     // Note: These are placeholder towers - they'll be reconfigured when used
@@ -67,7 +90,7 @@ class TowerManager {
    * @param {string} towerType - Type of tower to place
    * @param {number} x - World X coordinate
    * @param {number} y - World Y coordinate
-   * @param {Object} gameState - Game state for money management
+   * @param {Object} gameState - Game state for stats and events
    * @returns {Tower|null} Created tower or null if placement failed
    */
   placeTower(towerType, x, y, gameState) {
@@ -98,44 +121,62 @@ class TowerManager {
         console.warn(`⚠️ Grid cell (${gridX}, ${gridY}) is blocked`);
         return null;
       }
+      if (this.mapManager.isOccupiedByEnemy(gridX, gridY)) {
+        console.warn(`⚠️ Grid cell (${gridX}, ${gridY}) has an enemy on it`);
+        return null;
+      }
+      if (this.mapManager.wouldBlockRoute(gridX, gridY)) {
+        console.warn(`⚠️ Grid cell (${gridX}, ${gridY}) would block the enemy route`);
+        return null;
+      }
     }
 
     // Check if player can afford the tower
-    const cost = getTowerCost(towerType, 1);
-    if (!gameState.canAfford(cost)) {
-      console.warn(`⚠️ Cannot afford ${towerType} (cost: ${cost}, money: ${gameState.getMoney()})`);
+    const cost = this.pricing.getTowerCost(towerType);
+    if (!this.money.canAfford(cost)) {
+      console.warn(`⚠️ Cannot afford ${towerType} (cost: ${cost}, money: ${this.money.getMoney()})`);
       return null;
     }
 
-    // Deduct money from player
-    gameState.spendMoney(cost);
-
     // Create or reuse tower
     const tower = this.createTower(towerType, x, y, gridX, gridY);
 
     if (!tower) {
-      // Refund money if creation failed
-      gameState.addMoney(cost);
       return null;
     }
 
-    // Add to active towers
-    this.towers.push(tower);
-    this.towerMap.set(gridKey, tower);
+    // Deduct money from player
+    this.money.spendMoney(cost, TRANSACTION_TYPES.PURCHASE, { towerId: tower.id, towerType, gridX, gridY });
+    tower.goldInvested = cost;
 
-    // Add to spatial grid
-    this.addToSpatialGrid(tower);
+    this.addTower(tower);
 
     // Statistics
     this.totalTowersPlaced++;
     this.totalMoneySpent += cost;
     gameState.incrementTowersPlaced(1);
+    gameState.notifyListeners('towerPlaced', { type: towerType, gridX, gridY, cost });
 
     console.log(`✅ Tower placed: ${towerType} at (${gridX}, ${gridY})`);
 
     return tower;
   }
 
+  /**
+   * Register a created tower as active
+   * @private
+   */
+  addTower(tower) {
+    this.towers.push(tower);
+    this.towerMap.set(`${tower.gridX},${tower.gridY}`, tower);
+
+    // Add to spatial grid
+    this.spatialIndex.insert(tower);
+
+    // Open fields route enemies around it
+    this.mapManager?.setTowerCell(tower.gridX, tower.gridY, true);
+  }
+
   /**
    * Create or reuse a tower from pool
    * @private
@@ -159,6 +200,8 @@ class TowerManager {
       tower = new Tower(this.nextTowerId++, towerType, x, y, gridX, gridY);
     }
 
+    tower.rng = this.rng;
+
     return tower;
   }
 
@@ -178,7 +221,13 @@ class TowerManager {
     this.towerMap.delete(gridKey);
 
     // Remove from spatial grid
-    this.removeFromSpatialGrid(tower);
+    this.spatialIndex.remove(tower);
+    this.mapManager?.setTowerCell(tower.gridX, tower.gridY, false);
+
+    // Keep its stats for the end screen (pooling resets them)
+    if (tower.totalDamageDealt > 0) {
+      this.retiredTowerStats.push({ ...getTowerStats(tower), removed: true });
+    }
 
     // Return to pool if space available
     if (this.pool.length < this.maxPoolSize) {
@@ -194,10 +243,11 @@ class TowerManager {
    * @param {number} deltaTime - Time since last update
    * @param {Array} enemies - Array of enemies for targeting
    * @param {ProjectileManager} projectileManager - To spawn projectiles
+   * @param {SpatialHash} enemyIndex - Spatial index of enemies for range queries (optional)
    */
-  update(deltaTime, enemies, projectileManager) {
+  update(deltaTime, enemies, projectileManager, enemyIndex = null) {
     for (const tower of this.towers) {
-      const projectileData = tower.update(deltaTime, enemies);
+      const projectileData = tower.update(deltaTime, enemies, enemyIndex);
 
       // If tower should fire, have projectile manager create projectile
       if (projectileData && projectileManager) {
@@ -210,7 +260,14 @@ class TowerManager {
           projectileData.damage,
           {
             damageType: projectileData.damageType,
-            target: projectileData.target,
+            target: projectileData.targetEnemy,
+            piercing: projectileData.piercing,
+            pierceCount: projectileData.pierceCount,
+            areaOfEffect: projectileData.areaOfEffect,
+            splashFalloff: projectileData.splashFalloff,
+            effects: projectileData.effects,
+            canTargetAir: projectileData.canTargetAir,
+            canTargetGround: projectileData.canTargetGround,
             sourceTowerId: tower.id,
           }
         );
@@ -239,7 +296,7 @@ class TowerManager {
   getTowersInArea(x, y, radius) {
     const result = [];
 
-    for (const tower of this.towers) {
+    for (const tower of this.spatialIndex.queryRadius(x, y, radius)) {
       const dx = tower.x - x;
       const dy = tower.y - y;
       const distance = Math.sqrt(dx * dx + dy * dy);
@@ -281,8 +338,14 @@ class TowerManager {
   /**
    * Select tower (for UI highlighting)
    * @param {Tower} tower - Tower to select
+   * @param {boolean} additive - Toggle the tower in the current selection instead of replacing it
    */
-  selectTower(tower) {
+  selectTower(tower, additive = false) {
+    if (additive) {
+      if (tower) tower.isSelected = !tower.isSelected;
+      return;
+    }
+
     // Deselect previous selection
     for (const t of this.towers) {
       t.isSelected = false;
@@ -295,28 +358,92 @@ class TowerManager {
     }
   }
 
+  /**
+   * Get selected towers
+   * @returns {Array<Tower>}
+   */
+  getSelectedTowers() {
+    return this.towers.filter(tower => tower.isSelected);
+  }
+
+  /**
+   * Change a tower's targeting mode
+   * @param {Tower} tower - Tower to change
+   * @param {string} mode - TARGETING_MODES key
+   * @param {Object} gameState - Game state for events
+   * @returns {boolean} Success
+   */
+  setTargetingMode(tower, mode, gameState) {
+    if (!tower.setTargetingMode(mode)) return false;
+
+    gameState.notifyListeners('towerTargetingChanged', { gridX: tower.gridX, gridY: tower.gridY, mode });
+    return true;
+  }
+
+  /**
+   * Pin a tower's focus fire on an enemy (null to unpin)
+   * @param {Tower} tower - Tower to focus
+   * @param {Enemy|null} enemy - Enemy to focus on
+   * @param {Object} gameState - Game state for events
+   * @returns {boolean} False if the tower can't hit the enemy (air/ground)
+   */
+  focusTower(tower, enemy, gameState) {
+    if (!tower.setFocusTarget(enemy)) return false;
+
+    gameState.notifyListeners('towerFocused', { gridX: tower.gridX, gridY: tower.gridY, enemyId: enemy ? enemy.id : null });
+    return true;
+  }
+
   /**
    * Upgrade tower
+   * Free when the tower already earned the level with experience (it waits
+   * at splits of its upgrade tree for the player's pick)
    * @param {Tower} tower - Tower to upgrade
-   * @param {Object} gameState - Game state for money management
+   * @param {Object} gameState - Game state for events
+   * @param {string|null} specialization - Upgrade tree node to take (needed where the tree splits)
    * @returns {boolean} Success
    */
-  upgradeTower(tower, gameState) {
+  upgradeTower(tower, gameState, specialization = null) {
+    if (tower.isDead) {
+      console.warn(`⚠️ Tower ${tower.id} is in ruins`);
+      return false;
+    }
+
     if (tower.level >= tower.config.maxLevel) {
       console.warn(`⚠️ Tower ${tower.id} is already max level`);
       return false;
     }
 
-    const cost = Math.floor(tower.config.upgradeCost * Math.pow(1.15, tower.level - 1));
+    if (tower.needsSpecialization(specialization)) {
+      console.warn(`⚠️ Tower ${tower.id} needs a specialization to upgrade`);
+      return false;
+    }
+
+    const earned = tower.hasLevelUpReady();
+    const cost = earned ? 0 : this.pricing.getUpgradeCost(tower.type, tower.level);
 
-    if (!gameState.canAfford(cost)) {
-      console.warn(`⚠️ Cannot afford upgrade (cost: ${cost}, money: ${gameState.getMoney()})`);
+    if (!this.money.canAfford(cost)) {
+      console.warn(`⚠️ Cannot afford upgrade (cost: ${cost}, money: ${this.money.getMoney()})`);
       return false;
     }
 
-    gameState.spendMoney(cost);
-    tower.upgrade();
-    this.totalMoneySpent += cost;
+    const taken = tower.specializations.length;
+    if (earned) {
+      tower.levelUp(specialization);
+      tower.addExperience(0); // Leftover experience may reach further levels
+    } else {
+      this.money.spendMoney(cost, TRANSACTION_TYPES.UPGRADE, { towerId: tower.id, towerType: tower.type, level: tower.level + 1 });
+      tower.upgrade(specialization);
+      tower.goldInvested += cost;
+      this.totalMoneySpent += cost;
+    }
+    gameState.notifyListeners('towerUpgraded', {
+      gridX: tower.gridX,
+      gridY: tower.gridY,
+      level: tower.level,
+      cost,
+      specialization: tower.specializations.length > taken ? tower.specializations[taken] : null,
+    });
 
     return true;
   }
@@ -325,59 +452,86 @@ class TowerManager {
    * Repair tower
    * @param {Tower} tower - Tower to repair
    * @param {number} amount - Amount to repair
-   * @param {Object} gameState - Game state for money management
+   * @param {Object} gameState - Game state for events
    * @returns {boolean} Success
    */
   repairTower(tower, amount, gameState) {
-    const cost = amount * 2; // 2 gold per 1 health
+    // Ruins are rebuilt, not repaired
+    if (tower.isDead) {
+      return false;
+    }
+
+    const cost = this.pricing.getRepairCost(amount);
 
-    if (!gameState.canAfford(cost)) {
+    if (!this.money.canAfford(cost)) {
       return false;
     }
 
-    gameState.spendMoney(cost);
+    this.money.spendMoney(cost, TRANSACTION_TYPES.REPAIR, { towerId: tower.id, towerType: tower.type, amount });
     tower.repair(amount);
     this.totalMoneySpent += cost;
+    gameState.notifyListeners('towerRepaired', { gridX: tower.gridX, gridY: tower.gridY, amount, cost });
 
     return true;
   }
 
   /**
-   * Add spatial grid entry for tower
-   * @private
+   * Damage a tower (enemy attacks)
+   * A tower that runs out of health becomes a ruin: it stays on its spot,
+   * stops firing and can be rebuilt (rebuildTower) or sold for nothing
+   * @param {Tower} tower - Tower to damage
+   * @param {number} amount - Damage amount
+   * @param {Object} gameState - Game state for events
+   * @returns {boolean} True if the tower was destroyed by this damage
    */
-  addToSpatialGrid(tower) {
-    const cellX = Math.floor(tower.x / this.gridSize);
-    const cellY = Math.floor(tower.y / this.gridSize);
-    const cellKey = `${cellX},${cellY}`;
+  damageTower(tower, amount, gameState) {
+    if (tower.isDead) return false;
 
-    if (!this.gridCells.has(cellKey)) {
-      this.gridCells.set(cellKey, []);
-    }
+    tower.takeDamage(amount);
+    if (!tower.isDead) return false;
+
+    tower.targetEnemy = null;
+    tower.hasShot = false;
+    gameState.notifyListeners('towerDestroyed', { gridX: tower.gridX, gridY: tower.gridY, type: tower.type });
+
+    console.log(`🏚️ Tower destroyed: ${tower.id} (${tower.type})`);
 
-    this.gridCells.get(cellKey).push(tower.id);
+    return true;
   }
 
   /**
-   * Remove spatial grid entry for tower
-   * @private
+   * Rebuild a ruin at a discount (same type and level)
+   * @param {Tower} tower - Destroyed tower
+   * @param {Object} gameState - Game state for events
+   * @returns {boolean} Success
    */
-  removeFromSpatialGrid(tower) {
-    const cellX = Math.floor(tower.x / this.gridSize);
-    const cellY = Math.floor(tower.y / this.gridSize);
-    const cellKey = `${cellX},${cellY}`;
-
-    if (this.gridCells.has(cellKey)) {
-      const towers = this.gridCells.get(cellKey);
-      const index = towers.indexOf(tower.id);
-      if (index > -1) {
-        towers.splice(index, 1);
-      }
+  rebuildTower(tower, gameState) {
+    if (!tower.isDead) {
+      console.warn(`⚠️ Tower ${tower.id} is not in ruins`);
+      return false;
+    }
 
-      if (towers.length === 0) {
-        this.gridCells.delete(cellKey);
-      }
+    const cost = this.pricing.getRebuildCost(tower);
+
+    if (!this.money.canAfford(cost)) {
+      console.warn(`⚠️ Cannot afford rebuild (cost: ${cost}, money: ${this.money.getMoney()})`);
+      return false;
     }
+
+    this.money.spendMoney(cost, TRANSACTION_TYPES.REBUILD, { towerId: tower.id, towerType: tower.type, level: tower.level });
+    tower.rebuild();
+    this.totalMoneySpent += cost;
+    gameState.notifyListeners('towerRebuilt', { gridX: tower.gridX, gridY: tower.gridY, cost });
+
+    return true;
+  }
+
+  /**
+   * Get destroyed towers (ruins)
+   * @returns {Array<Tower>}
+   */
+  getRuins() {
+    return this.towers.filter(tower => tower.isDead);
   }
 
   /**
@@ -394,10 +548,77 @@ class TowerManager {
   clear() {
     this.towers = [];
     this.towerMap.clear();
-    this.gridCells.clear();
+    this.retiredTowerStats = [];
+    this.spatialIndex.clear();
+    this.mapManager?.setTowerCells([]);
     console.log('🧹 All towers cleared');
   }
 
+  /**
+   * Get persistent state for save games
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      nextTowerId: this.nextTowerId,
+      totalTowersPlaced: this.totalTowersPlaced,
+      totalMoneySpent: this.totalMoneySpent,
+      retiredTowerStats: this.retiredTowerStats.map(stats => ({ ...stats })),
+      towers: this.towers.map(tower => tower.serialize()),
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * Placement rules and costs are skipped; the towers were already paid for
+   * @param {Object} data - Saved manager state
+   * @param {EnemyManager} enemyManager - To re-link tower targets and focus targets (optional)
+   */
+  restore(data, enemyManager = null) {
+    this.clear();
+
+    const tileSize = CANVAS_CONFIG.tileSize;
+
+    for (const towerData of data.towers) {
+      if (!TOWER_CONFIG[towerData.type]) {
+        console.warn(`⚠️ Skipping saved tower with unknown type: ${towerData.type}`);
+        continue;
+      }
+
+      const tower = this.createTower(
+        towerData.type,
+        towerData.gridX * tileSize + tileSize / 2,
+        towerData.gridY * tileSize + tileSize / 2,
+        towerData.gridX,
+        towerData.gridY
+      );
+
+      tower.id = towerData.id;
+      tower.restore(towerData);
+
+      // Saves from before gold was tracked per tower: price every level as paid
+      if (tower.goldInvested === null) {
+        tower.goldInvested = this.pricing.getTotalInvestment(tower.type, tower.level);
+      }
+
+      if (enemyManager && towerData.targetId) {
+        tower.targetEnemy = enemyManager.getEnemyById(towerData.targetId);
+      }
+
+      const focusTarget = enemyManager && towerData.focusId ? enemyManager.getEnemyById(towerData.focusId) : null;
+      if (focusTarget) {
+        tower.setFocusTarget(focusTarget);
+      }
+
+      this.addTower(tower);
+    }
+
+    this.nextTowerId = data.nextTowerId;
+    this.totalTowersPlaced = data.totalTowersPlaced;
+    this.totalMoneySpent = data.totalMoneySpent;
+    this.retiredTowerStats = (data.retiredTowerStats || []).map(stats => ({ ...stats }));
+  }
+
   /**
    * Get manager statistics
    * @returns {Object}
@@ -405,6 +626,7 @@ class TowerManager {
   getStatistics() {
     return {
       activeTowers: this.towers.length,
+      ruins: this.getRuins().length,
       pooledTowers: this.pool.length,
       totalPlaced: this.totalTowersPlaced,
       totalMoneySpent: this.totalMoneySpent,
@@ -415,6 +637,23 @@ class TowerManager {
     };
   }
 
+  /**
+   * Get the towers that dealt the most damage (end screen statistics),
+   * sold ones included
+   * @param {number} limit - How many towers to return
+   * @returns {Array<Object>} { id, type, name, emoji, level, totalDamageDealt, enemiesKilled, totalMoneyGenerated, removed }
+   *   by damage dealt, then kills
+   */
+  getTopTowers(limit = 3) {
+    const standing = this.towers
+      .filter(tower => tower.totalDamageDealt > 0)
+      .map(tower => ({ ...getTowerStats(tower), removed: false }));
+
+    return [...standing, ...this.retiredTowerStats]
+      .sort((a, b) => (b.totalDamageDealt - a.totalDamageDealt) || (b.enemiesKilled - a.enemiesKilled) || (a.id - b.id))
+      .slice(0, limit);
+  }
+
   /**
    * Get manager snapshot for debugging
    * @returns {Object}
@@ -431,4 +670,23 @@ class TowerManager {
   }
 }
 
+/**
+ * Statistics of a tower, kept apart from the (pooled) tower itself
+ * @private
+ * @param {Tower} tower
+ * @returns {Object} { id, type, name, emoji, level, totalDamageDealt, enemiesKilled, totalMoneyGenerated }
+ */
+function getTowerStats(tower) {
+  return {
+    id: tower.id,
+    type: tower.type,
+    name: tower.config.name,
+    emoji: tower.config.emoji,
+    level: tower.level,
+    totalDamageDealt: tower.totalDamageDealt,
+    enemiesKilled: tower.enemiesKilled,
+    totalMoneyGenerated: tower.totalMoneyGenerated,
+  };
+}
+
 export default TowerManager;
\ No newline at end of file
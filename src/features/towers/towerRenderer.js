@@ -3,19 +3,26 @@
  * Renders all towers using RenderSurface for platform independence.
  * 
  * Features:
- * - Type-specific visuals
+ * - Type-specific visuals: sprite animations (idle, attack when firing)
+ *   when the tower's image is loaded, shapes otherwise
  * - Range indicators
  * - Health bars and level display
  * - Selection highlighting
  * - Cooldown indicators
  * - Direction/aiming visual
+ * - Ruins of destroyed towers
  */
 
 import { TOWER_CONFIG } from './towerConfig.js';
 
 class TowerRenderer {
-  constructor(renderSurface) {
+  /**
+   * @param {RenderSurface} renderSurface - Rendering surface
+   * @param {AssetManager} assets - Loaded sprites (optional, shapes without it)
+   */
+  constructor(renderSurface, assets = null) {
     this.renderSurface = renderSurface;
+    this.assets = assets;
     this.isInitialized = false;
 
     // Rendering options
@@ -28,6 +35,7 @@ class TowerRenderer {
     // Animation states
     this.shootPulseTime = 0;
     this.shootPulseDuration = 0.2;
+    this.time = 0; // Game time in seconds (set every render)
   }
 
   /**
@@ -42,10 +50,13 @@ class TowerRenderer {
   /**
    * Render all towers
    * @param {Array} towers - Array of towers to render
+   * @param {number} time - Game time in seconds (animations)
    */
-  render(towers) {
+  render(towers, time = 0) {
     if (!this.isInitialized) return;
 
+    this.time = time;
+
     for (const tower of towers) {
       this.renderTower(tower);
 
@@ -72,11 +83,19 @@ class TowerRenderer {
     // Translate to tower position
     this.renderSurface.translate(tower.x, tower.y);
 
-    // Draw base tower
-    this.drawTowerBase(tower);
+    // Destroyed: rubble until rebuilt or sold
+    if (tower.isDead) {
+      this.drawRuin(tower);
+      this.renderSurface.restore();
+      return;
+    }
+
+    // Draw base tower (sprite frame if loaded)
+    const frame = this.getTowerFrame(tower);
+    this.drawTowerBase(tower, frame);
 
-    // Draw barrel/aiming direction
-    if (this.showAim) {
+    // Draw barrel/aiming direction (sprites face their target already)
+    if (this.showAim && !frame) {
       this.drawTowerAim(tower);
     }
 
@@ -85,6 +104,11 @@ class TowerRenderer {
       this.drawShootPulse(tower);
     }
 
+    // Scorched by a boss: dimmed until it fires again
+    if (tower.isDisabled?.()) {
+      this.drawDisabledOverlay(tower);
+    }
+
     // Restore render state
     this.renderSurface.restore();
 
@@ -92,32 +116,61 @@ class TowerRenderer {
     this.drawTowerUI(tower);
   }
 
+  /**
+   * Get the sprite frame of a tower: attack right after a shot, else idle
+   * @private
+   * @returns {Object|null} Frame (see AssetManager.getFrame), null without a sprite
+   */
+  getTowerFrame(tower) {
+    const config = TOWER_CONFIG[tower.type];
+    if (!this.assets?.has(config.image)) return null;
+
+    const heading = { x: Math.cos(tower.rotation), y: Math.sin(tower.rotation) };
+    const sinceShot = tower.config.fireRate - tower.shotCooldown;
+
+    if (tower.hasShot && sinceShot < this.assets.getAnimationDuration(config.image, 'attack')) {
+      return this.assets.getFrame(config.image, 'attack', sinceShot, heading);
+    }
+    return this.assets.getFrame(config.image, 'idle', this.time, heading);
+  }
+
   /**
    * Draw tower base and body
    * @private
+   * @param {Tower} tower - Tower (drawn at the origin)
+   * @param {Object|null} frame - Sprite frame, null to draw shapes
    */
-  drawTowerBase(tower) {
+  drawTowerBase(tower, frame = null) {
     const config = TOWER_CONFIG[tower.type];
     const size = tower.width;
 
-    // Main tower body
-    this.renderSurface.drawRect(
-      -size / 2,
-      -size / 2,
-      size,
-      size,
-      config.color,
-      { stroke: true, strokeWidth: 2 }
-    );
+    if (frame) {
+      // Sprite
+      this.renderSurface.drawImage(frame.image, -size / 2, -size / 2, size, size, {
+        source: frame.source,
+        align: 'center',
+        verticalAlign: 'center',
+      });
+    } else {
+      // Main tower body
+      this.renderSurface.drawRect(
+        -size / 2,
+        -size / 2,
+        size,
+        size,
+        config.color,
+        { stroke: true, strokeWidth: 2 }
+      );
 
-    // Inner fill (slightly lighter)
-    this.renderSurface.drawRect(
-      -size / 2 + 2,
-      -size / 2 + 2,
-      size - 4,
-      size - 4,
-      config.color
-    );
+      // Inner fill (slightly lighter)
+      this.renderSurface.drawRect(
+        -size / 2 + 2,
+        -size / 2 + 2,
+        size - 4,
+        size - 4,
+        config.color
+      );
+    }
 
     // Selection highlight
     if (tower.isSelected) {
@@ -138,7 +191,9 @@ class TowerRenderer {
       this.renderSurface.drawRect(size / 2 + offset - 4, size / 2 + offset - 4, 4, 4, '#00FF00');
     }
 
-    // Tower type emoji
+    // Tower type emoji (shapes only)
+    if (frame) return;
+
     this.renderSurface.drawText(
       config.emoji,
       0,
@@ -196,6 +251,61 @@ class TowerRenderer {
     );
   }
 
+  /**
+   * Draw the ruin of a destroyed tower
+   * @private
+   */
+  drawRuin(tower) {
+    const size = tower.width;
+
+    // Rubble in the tower's colors
+    this.renderSurface.drawRect(-size / 2, size / 6, size, size / 3, '#4A4A4A');
+    this.renderSurface.drawRect(-size / 3, -size / 6, size / 3, size / 3, TOWER_CONFIG[tower.type].color, { opacity: 0.6 });
+    this.renderSurface.drawRect(size / 12, 0, size / 4, size / 6, '#6A6A6A');
+
+    // Selection highlight
+    if (tower.isSelected) {
+      this.renderSurface.drawRect(
+        -size / 2 - 4,
+        -size / 2 - 4,
+        size + 8,
+        size + 8,
+        '#00FF00',
+        { stroke: true, strokeWidth: 3 }
+      );
+    }
+
+    this.renderSurface.drawText(
+      '🏚️',
+      0,
+      -size / 2 - 8,
+      { font: '12px Arial', color: '#FFFFFF', align: 'center', baseline: 'middle' }
+    );
+  }
+
+  /**
+   * Draw the disabled overlay (burnt tower, seconds left)
+   * @private
+   */
+  drawDisabledOverlay(tower) {
+    const size = tower.width;
+
+    this.renderSurface.drawRect(
+      -size / 2,
+      -size / 2,
+      size,
+      size,
+      'rgba(40, 10, 0, 0.6)'
+    );
+
+    this.renderSurface.drawText(
+      `🔥${Math.ceil(tower.disabledTime)}`,
+      0,
+      -size / 2 - 8,
+      { font: 'bold 10px Arial', color: '#FF6600', align: 'center', baseline: 'middle' }
+    );
+  }
+
   /**
    * Draw tower UI (health bar, level, cooldown)
    * Not translated/rotated
@@ -0,0 +1,288 @@
+/**
+ * upgradeTreeConfig.js
+ * Upgrade trees: the specializations a tower can take as it levels up.
+ *
+ * Each tower type has a tree of nodes keyed by id:
+ * - level: the upgrade that takes the node (upgrading to this level)
+ * - requires: node that must already be taken (omit for the first split)
+ * - name, description: shown in the tower panel
+ * - multiply: stat multipliers (damage, range, fireRate, areaOfEffect, health)
+ *   — fireRate is the time between shots, so below 1 fires faster
+ * - set: config values to replace (projectileType, damageType, piercing,
+ *   pierceCount, critChance, critMultiplier, or an on-hit effect such as
+ *   slowEffect / poisonEffect / chainEffect, see onHitEffects.js)
+ *
+ * When several nodes are open at a level the player has to pick one to
+ * upgrade; a single open node is taken automatically. Levels without open
+ * nodes are plain upgrades (Tower.upgrade stat growth only).
+ */
+
+import { TOWER_CONFIG } from './towerConfig.js';
+
+// Stats that live on the tower instance rather than in its config
+const INSTANCE_STATS = ['range', 'health'];
+
+export const UPGRADE_TREES = {
+  archer: {
+    longbow: {
+      level: 3,
+      name: 'Longbow',
+      description: 'More range, critical hits',
+      multiply: { range: 1.3 },
+      set: { critChance: 0.2 },
+    },
+    marksman: {
+      level: 6,
+      requires: 'longbow',
+      name: 'Marksman',
+      description: 'Harder, more frequent crits',
+      multiply: { damage: 1.4 },
+      set: { critChance: 0.35, critMultiplier: 2 },
+    },
+    crossbow: {
+      level: 3,
+      name: 'Crossbow',
+      description: 'Faster bolts that pierce',
+      multiply: { fireRate: 0.6 },
+      set: { projectileType: 'Bolt', piercing: true, pierceCount: 2 },
+    },
+    repeater: {
+      level: 6,
+      requires: 'crossbow',
+      name: 'Repeater',
+      description: 'Even faster, pierces 3',
+      multiply: { fireRate: 0.7 },
+      set: { pierceCount: 3 },
+    },
+  },
+
+  mage: {
+    pyromancer: {
+      level: 3,
+      name: 'Pyromancer',
+      description: 'Fire damage, wider blasts',
+      multiply: { areaOfEffect: 1.4 },
+      set: { damageType: 'fire', projectileType: 'Fireball' },
+    },
+    inferno: {
+      level: 6,
+      requires: 'pyromancer',
+      name: 'Inferno',
+      description: 'Full damage to the edge',
+      multiply: { damage: 1.2, areaOfEffect: 1.3 },
+      set: { splashFalloff: 0 },
+    },
+    arcanist: {
+      level: 3,
+      name: 'Arcanist',
+      description: 'Focused bolts that arc',
+      multiply: { damage: 1.3, areaOfEffect: 0.5 },
+      set: { chainEffect: { maxChains: 2, chainRange: 70, damageMultiplier: 0.6 } },
+    },
+    archmage: {
+      level: 6,
+      requires: 'arcanist',
+      name: 'Archmage',
+      description: 'Arcs to 4 enemies',
+      multiply: { damage: 1.3 },
+      set: { chainEffect: { maxChains: 4, chainRange: 90, damageMultiplier: 0.75 } },
+    },
+  },
+
+  cannon: {
+    mortar: {
+      level: 3,
+      name: 'Mortar',
+      description: 'Long range, huge blasts',
+      multiply: { range: 1.25, areaOfEffect: 1.5 },
+      set: { piercing: false },
+    },
+    siege: {
+      level: 6,
+      requires: 'mortar',
+      name: 'Siege Mortar',
+      description: 'Crushing, slow shells',
+      multiply: { damage: 1.5, fireRate: 1.2 },
+    },
+    grapeshot: {
+      level: 3,
+      name: 'Grapeshot',
+      description: 'Fast, light, pierces 5',
+      multiply: { damage: 0.6, fireRate: 0.5 },
+      set: { pierceCount: 5 },
+    },
+    bulwark: {
+      level: 6,
+      requires: 'grapeshot',
+      name: 'Bulwark',
+      description: 'Tougher walls, more damage',
+      multiply: { damage: 1.3, health: 1.5 },
+    },
+  },
+
+  frost: {
+    glacier: {
+      level: 3,
+      name: 'Glacier',
+      description: 'Deeper, longer slows',
+      set: { slowEffect: { factor: 0.6, duration: 3, ground: true } },
+    },
+    permafrost: {
+      level: 6,
+      requires: 'glacier',
+      name: 'Permafrost',
+      description: 'Freezes a wide area',
+      multiply: { areaOfEffect: 1.5 },
+      set: { slowEffect: { factor: 0.7, duration: 4, ground: true } },
+    },
+    icicle: {
+      level: 3,
+      name: 'Icicle',
+      description: 'Damage over slowing',
+      multiply: { damage: 1.6 },
+      set: { piercing: true, pierceCount: 2 },
+    },
+    shatter: {
+      level: 6,
+      requires: 'icicle',
+      name: 'Shatter',
+      description: 'Critical shards',
+      multiply: { damage: 1.5 },
+      set: { critChance: 0.25 },
+    },
+  },
+
+  alchemist: {
+    plague: {
+      level: 3,
+      name: 'Plague',
+      description: 'Stronger, longer poison',
+      set: { poisonEffect: { damagePerSecond: 9, duration: 6 } },
+    },
+    pestilence: {
+      level: 6,
+      requires: 'plague',
+      name: 'Pestilence',
+      description: 'Poison clouds spread',
+      multiply: { areaOfEffect: 1.6 },
+    },
+    acid: {
+      level: 3,
+      name: 'Acid',
+      description: 'Burning acid that slows',
+      multiply: { damage: 1.5 },
+      set: { slowEffect: { factor: 0.2, duration: 1.5 } },
+    },
+    corrosion: {
+      level: 6,
+      requires: 'acid',
+      name: 'Corrosion',
+      description: 'Critical corrosive hits',
+      multiply: { damage: 1.4 },
+      set: { critChance: 0.2 },
+    },
+  },
+
+  tesla: {
+    storm: {
+      level: 3,
+      name: 'Storm',
+      description: 'Chains to 6 enemies',
+      set: { chainEffect: { maxChains: 6, chainRange: 100, damageMultiplier: 0.8 } },
+    },
+    tempest: {
+      level: 6,
+      requires: 'storm',
+      name: 'Tempest',
+      description: 'Longer reach, longer chains',
+      multiply: { range: 1.2 },
+      set: { chainEffect: { maxChains: 8, chainRange: 120, damageMultiplier: 0.85 } },
+    },
+    overcharge: {
+      level: 3,
+      name: 'Overcharge',
+      description: 'Big, slower zaps',
+      multiply: { damage: 1.6, fireRate: 1.3 },
+    },
+    dynamo: {
+      level: 6,
+      requires: 'overcharge',
+      name: 'Dynamo',
+      description: 'Zaps pierce 4',
+      multiply: { damage: 1.4 },
+      set: { pierceCount: 4 },
+    },
+  },
+};
+
+/**
+ * Get a node of a tower type's upgrade tree
+ * @param {string} towerType - Tower type
+ * @param {string} nodeId - Node id
+ * @returns {Object|null} Node (with its id) or null if unknown
+ */
+export function getUpgradeNode(towerType, nodeId) {
+  const node = UPGRADE_TREES[towerType]?.[nodeId];
+  return node ? { id: nodeId, ...node } : null;
+}
+
+/**
+ * Get the nodes open to a tower upgrading to a level
+ * @param {string} towerType - Tower type
+ * @param {number} level - Level the tower upgrades to
+ * @param {Array<string>} taken - Node ids the tower already took
+ * @returns {Array<Object>} Open nodes (with their ids), empty for a plain upgrade
+ */
+export function getUpgradeOptions(towerType, level, taken = []) {
+  return Object.entries(UPGRADE_TREES[towerType] || {})
+    .filter(([id, node]) => node.level === level && !taken.includes(id))
+    .filter(([, node]) => !node.requires || taken.includes(node.requires))
+    .map(([id, node]) => ({ id, ...node }));
+}
+
+/**
+ * Apply a node to a tower config
+ * Instance stats (range, health) are left to the tower
+ * @param {Object} config - Tower config
+ * @param {Object} node - Upgrade node
+ * @returns {Object} New config (the given one is not changed)
+ */
+export function applyUpgradeNode(config, node) {
+  const result = { ...config, ...node.set };
+
+  for (const [stat, factor] of Object.entries(node.multiply || {})) {
+    if (INSTANCE_STATS.includes(stat)) continue;
+    result[stat] = (result[stat] || 0) * factor;
+  }
+
+  return result;
+}
+
+/**
+ * Build the config of a tower that took some nodes
+ * @param {string} towerType - Tower type
+ * @param {Array<string>} taken - Node ids, in the order they were taken
+ * @returns {Object} Tower config (the base config when nothing was taken)
+ */
+export function getSpecializedConfig(towerType, taken = []) {
+  let config = TOWER_CONFIG[towerType] || TOWER_CONFIG.archer;
+
+  for (const nodeId of taken) {
+    const node = getUpgradeNode(towerType, nodeId);
+    if (!node) {
+      console.warn(`⚠️ Unknown ${towerType} specialization: ${nodeId}`);
+      continue;
+    }
+    config = applyUpgradeNode(config, node);
+  }
+
+  return config;
+}
+
+export default {
+  UPGRADE_TREES,
+  getUpgradeNode,
+  getUpgradeOptions,
+  applyUpgradeNode,
+  getSpecializedConfig,
+};
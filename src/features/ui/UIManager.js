@@ -4,8 +4,11 @@
  * 
  * Responsibilities:
  * - UI interaction handling
- * - Tower selection state
+ * - Tower selection state (shift-click selects several towers)
+ * - Targeting mode and focus fire requests for the selected towers
  * - Notifications and feedback
+ * - Boss intro banner
+ * - Damage type × armor class chart (toggled)
  * - Game over/win state UI
  * - HUD updates
  */
@@ -15,18 +18,25 @@ import {
   handleTowerSelection,
   handleTowerUpgrade,
   handleTowerRepair,
+  handleTowerRebuild,
   handleTowerSell,
+  handleTargetingModeChange,
+  handleFocusFire,
+  handleFocusClear,
   handleTowerTypeSelection,
   handleTowerDragStart,
   handleTowerDragEnd,
   getTowerInfo,
+  getDamageChart,
 } from './eventHandlers.js';
 
 class UIManager {
   constructor() {
     // UI State
-    this.selectedTower = null;
+    this.selectedTower = null; // Tower shown in the tower panel
+    this.selectedTowers = []; // Every selected tower (selectedTower included)
     this.hoveredTower = null;
+    this.pointer = null; // World position of the mouse (enemy tooltip)
     this.isDraggingTower = false;
     this.draggedTower = null;
 
@@ -35,20 +45,35 @@ class UIManager {
     this.maxNotifications = 5;
     this.notificationDuration = 3; // seconds
 
+    // Boss intro banner (one per boss type and wave)
+    this.bossIntro = null;
+    this.bossIntroDuration = 3; // seconds
+    this.introducedBosses = new Set();
+
+    // Damage type × armor class chart (built the first time it is shown)
+    this.showDamageChart = false;
+    this.damageChart = null;
+
     // Game over/won state
     this.showGameOver = false;
     this.showGameWon = false;
 
+    // Tower prices shown in the tower panel
+    this.pricing = null;
+
     // State
     this.isInitialized = false;
   }
 
   /**
    * Initialize UI manager
+   * @param {PricingService} pricing - Tower prices (from MoneyManager)
    */
-  async initialize() {
+  async initialize(pricing = null) {
     console.log('🎨 UIManager initializing...');
 
+    this.pricing = pricing;
+
     this.isInitialized = true;
     console.log('✅ UIManager initialized');
   }
@@ -62,6 +87,14 @@ class UIManager {
 
     // Update notifications (age and remove expired)
     this.updateNotifications(deltaTime);
+
+    // Age the boss intro banner
+    if (this.bossIntro) {
+      this.bossIntro.age += deltaTime;
+      if (this.bossIntro.age >= this.bossIntroDuration) {
+        this.bossIntro = null;
+      }
+    }
   }
 
   /**
@@ -100,6 +133,34 @@ class UIManager {
     console.log(`[${type.toUpperCase()}] ${message}`);
   }
 
+  /**
+   * Show the intro banner for a boss that just spawned
+   * A boss type is only introduced once per wave (bosses often come in pairs)
+   * @param {Boss} boss - Spawned boss
+   */
+  showBossIntro(boss) {
+    const key = `${boss.waveNumber}:${boss.bossId}`;
+    if (this.introducedBosses.has(key)) return;
+
+    this.introducedBosses.add(key);
+    this.bossIntro = {
+      name: boss.name,
+      title: boss.title,
+      age: 0,
+      duration: this.bossIntroDuration,
+    };
+
+    console.log(`🐉 Boss: ${boss.name} - ${boss.title}`);
+  }
+
+  /**
+   * Get the boss intro banner
+   * @returns {Object|null} { name, title, age, duration } or null if none is showing
+   */
+  getBossIntro() {
+    return this.bossIntro;
+  }
+
   /**
    * Clear all notifications
    */
@@ -107,6 +168,21 @@ class UIManager {
     this.notifications = [];
   }
 
+  /**
+   * Reset UI state for a new game (selection, notifications, boss intros)
+   */
+  reset() {
+    this.setSelectedTower(null);
+    this.hoveredTower = null;
+    this.isDraggingTower = false;
+    this.draggedTower = null;
+    this.clearNotifications();
+    this.bossIntro = null;
+    this.introducedBosses.clear();
+
+    console.log('🔄 UI manager reset');
+  }
+
   /**
    * Get active notifications
    * @returns {Array} Active notifications
@@ -121,6 +197,27 @@ class UIManager {
    */
   setSelectedTower(tower) {
     this.selectedTower = tower;
+    this.selectedTowers = tower ? [tower] : [];
+  }
+
+  /**
+   * Set several selected towers
+   * @param {Array<Tower>} towers - Selected towers
+   * @param {Tower} primary - Tower to show in the tower panel (default: the last one)
+   */
+  setSelectedTowers(towers, primary = null) {
+    this.selectedTowers = [...towers];
+    this.selectedTower = primary && towers.includes(primary)
+      ? primary
+      : towers[towers.length - 1] || null;
+  }
+
+  /**
+   * Get every selected tower
+   * @returns {Array<Tower>}
+   */
+  getSelectedTowers() {
+    return this.selectedTowers;
   }
 
   /**
@@ -147,22 +244,51 @@ class UIManager {
     return this.hoveredTower;
   }
 
+  /**
+   * Set the mouse position (world coordinates), null when it leaves the canvas
+   * @param {Object|null} position - {x, y}
+   */
+  setPointer(position) {
+    this.pointer = position;
+  }
+
+  /**
+   * Get the mouse position in world coordinates
+   * @returns {Object|null} {x, y}
+   */
+  getPointer() {
+    return this.pointer;
+  }
+
   /**
    * Handle click event
+   * With towers selected, clicking an enemy pins their focus fire on it
    * @param {number} worldX - World coordinate X
    * @param {number} worldY - World coordinate Y
    * @param {GameEngine} gameEngine - Game engine instance
+   * @param {boolean} additive - Shift-click: add/remove the tower from the selection
    */
-  handleClick(worldX, worldY, gameEngine) {
+  handleClick(worldX, worldY, gameEngine, additive = false) {
     const gameState = gameEngine.getGameState();
     const selectedType = gameState.getSelectedTowerType();
 
     if (selectedType) {
       // Placing a tower
       handleTowerPlacement(worldX, worldY, gameEngine);
+      return;
+    }
+
+    // Focus fire on the clicked enemy
+    if (this.selectedTowers.length > 0 && this.requestFocusFire(worldX, worldY, gameEngine)) {
+      return;
+    }
+
+    // Selecting a tower
+    const tower = handleTowerSelection(worldX, worldY, gameEngine, additive);
+
+    if (additive) {
+      this.setSelectedTowers(gameEngine.getManager('tower').getSelectedTowers(), tower);
     } else {
-      // Selecting a tower
-      const tower = handleTowerSelection(worldX, worldY, gameEngine);
       this.setSelectedTower(tower);
     }
   }
@@ -190,16 +316,25 @@ class UIManager {
   /**
    * Request tower upgrade
    * @param {GameEngine} gameEngine - Game engine instance
+   * @param {string|null} specialization - Upgrade tree node picked in the tower panel
    */
-  requestTowerUpgrade(gameEngine) {
-    if (!this.selectedTower) {
-      this.showNotification('No tower selected', 'warning');
+  requestTowerUpgrade(gameEngine, specialization = null) {
+    if (!this.hasSelectedTower(gameEngine)) return;
+
+    if (this.selectedTower.needsSpecialization(specialization)) {
+      this.showNotification('Pick a specialization in the tower panel', 'warning');
       return;
     }
 
-    const success = handleTowerUpgrade(this.selectedTower, gameEngine);
+    const taken = this.selectedTower.specializations.length;
+    const success = handleTowerUpgrade(this.selectedTower, gameEngine, specialization);
 
-    if (success) {
+    if (success && this.selectedTower.specializations.length > taken) {
+      this.showNotification(
+        `${this.selectedTower.config.name} specialized: ${this.getSelectedTowerInfo().specialization}`,
+        'success'
+      );
+    } else if (success) {
       this.showNotification(
         `Tower upgraded to level ${this.selectedTower.level}`,
         'success'
@@ -214,8 +349,10 @@ class UIManager {
    * @param {GameEngine} gameEngine - Game engine instance
    */
   requestTowerRepair(gameEngine) {
-    if (!this.selectedTower) {
-      this.showNotification('No tower selected', 'warning');
+    if (!this.hasSelectedTower(gameEngine)) return;
+
+    if (this.selectedTower.isDead) {
+      this.showNotification('Ruins are rebuilt, not repaired', 'warning');
       return;
     }
 
@@ -228,21 +365,112 @@ class UIManager {
     }
   }
 
+  /**
+   * Request tower rebuild (selected tower is a ruin)
+   * @param {GameEngine} gameEngine - Game engine instance
+   */
+  requestTowerRebuild(gameEngine) {
+    if (!this.hasSelectedTower(gameEngine)) return;
+
+    if (!this.selectedTower.isDead) {
+      this.showNotification('Tower is not destroyed', 'warning');
+      return;
+    }
+
+    const success = handleTowerRebuild(this.selectedTower, gameEngine);
+
+    if (success) {
+      this.showNotification('Tower rebuilt', 'success');
+    } else {
+      this.showNotification('Cannot rebuild tower (not enough gold)', 'error');
+    }
+  }
+
   /**
    * Request tower sell
    * @param {GameEngine} gameEngine - Game engine instance
    */
   requestTowerSell(gameEngine) {
+    if (!this.hasSelectedTower(gameEngine)) return;
+
+    const soldTower = this.selectedTower;
+    const wasRuin = soldTower.isDead;
+    handleTowerSell(soldTower, gameEngine);
+
+    this.showNotification(wasRuin ? 'Ruins cleared' : 'Tower sold', 'success');
+    this.setSelectedTowers(this.selectedTowers.filter(tower => tower !== soldTower));
+  }
+
+  /**
+   * Request the next (or previous) targeting mode for the selected towers
+   * Every selected tower switches to the mode after the panel tower's mode
+   * @param {number} step - 1 for the next mode, -1 for the previous one
+   * @param {GameEngine} gameEngine - Game engine instance
+   */
+  requestTargetingModeChange(step, gameEngine) {
+    if (!this.hasSelectedTower(gameEngine)) return;
+
+    const mode = this.selectedTower.getNextTargetingMode(step);
+    const changed = handleTargetingModeChange(this.selectedTowers, mode, gameEngine);
+
+    if (changed > 0) {
+      const info = this.getSelectedTowerInfo();
+      const towers = changed > 1 ? ` (${changed} towers)` : '';
+      this.showNotification(`Targeting: ${info.targeting}${towers}`, 'info', 1.5);
+    }
+  }
+
+  /**
+   * Check that a tower is selected before a tower panel action
+   * Selected towers no longer on the map (sold, or left behind by a loaded
+   * save) are dropped, so gold is never spent on a tower that is gone
+   * @private
+   * @param {GameEngine} gameEngine - Game engine instance
+   * @returns {boolean} True if the panel tower is still on the map
+   */
+  hasSelectedTower(gameEngine) {
+    const towers = gameEngine.getManager('tower').getTowers();
+
+    if (this.selectedTower && !towers.includes(this.selectedTower)) {
+      console.warn('⚠️ Selected tower is no longer on the map');
+      this.setSelectedTower(null);
+    }
+    this.selectedTowers = this.selectedTowers.filter(tower => towers.includes(tower));
+
     if (!this.selectedTower) {
       this.showNotification('No tower selected', 'warning');
-      return;
+      return false;
     }
+    return true;
+  }
 
-    const oldTowerId = this.selectedTower.id;
-    handleTowerSell(this.selectedTower, gameEngine);
+  /**
+   * Pin the selected towers' focus fire on the enemy at a position
+   * @param {number} worldX - World coordinate X
+   * @param {number} worldY - World coordinate Y
+   * @param {GameEngine} gameEngine - Game engine instance
+   * @returns {boolean} True if an enemy was clicked
+   */
+  requestFocusFire(worldX, worldY, gameEngine) {
+    const result = handleFocusFire(worldX, worldY, this.selectedTowers, gameEngine);
+    if (!result) return false;
 
-    this.showNotification('Tower sold', 'success');
-    this.selectedTower = null;
+    if (result.focused > 0) {
+      this.showNotification(`Focus fire: ${result.name}`, 'info', 1.5);
+    } else {
+      this.showNotification('Selected towers can\'t hit that enemy', 'warning', 2);
+    }
+    return true;
+  }
+
+  /**
+   * Release the focus fire of the selected towers
+   * @param {GameEngine} gameEngine - Game engine instance
+   */
+  requestFocusClear(gameEngine) {
+    if (handleFocusClear(this.selectedTowers, gameEngine) > 0) {
+      this.showNotification('Focus fire released', 'info', 1.5);
+    }
   }
 
   /**
@@ -254,12 +482,35 @@ class UIManager {
     handleTowerTypeSelection(towerType, gameEngine);
   }
 
+  /**
+   * Show or hide the damage type × armor class chart
+   * @returns {boolean} Whether the chart is now shown
+   */
+  toggleDamageChart() {
+    this.showDamageChart = !this.showDamageChart;
+    return this.showDamageChart;
+  }
+
+  /**
+   * Get the damage chart for display
+   * @returns {Object|null} Chart (see getDamageChart), null while hidden
+   */
+  getDamageChart() {
+    if (!this.showDamageChart) return null;
+
+    if (!this.damageChart) {
+      this.damageChart = getDamageChart();
+    }
+    return this.damageChart;
+  }
+
   /**
    * Get tower info for display
    * @returns {Object|null} Tower info
    */
   getSelectedTowerInfo() {
-    return getTowerInfo(this.selectedTower);
+    const info = getTowerInfo(this.selectedTower, this.pricing);
+    return info ? { ...info, selectedCount: this.selectedTowers.length } : null;
   }
 
   /**
@@ -270,8 +521,11 @@ class UIManager {
     return {
       initialized: this.isInitialized,
       selectedTower: this.selectedTower ? this.selectedTower.id : null,
+      selectedTowers: this.selectedTowers.map(tower => tower.id),
       hoveredTower: this.hoveredTower ? this.hoveredTower.id : null,
       notifications: this.notifications.length,
+      bossIntro: this.bossIntro ? this.bossIntro.name : null,
+      damageChart: this.showDamageChart,
       isDragging: this.isDraggingTower,
     };
   }
@@ -8,8 +8,22 @@
  * - Tower selection and dragging
  * - UI button interactions
  * - Tower upgrade/sell functionality
+ * - Targeting mode and focus fire of the selected towers
+ * - Display data for the tower panel and the damage chart
  */
 
+import { TRANSACTION_TYPES } from '../economy/economyConfig.js';
+import { TOWER_CONFIG, getTargetingMode } from '../towers/towerConfig.js';
+import { getUpgradeNode } from '../towers/upgradeTreeConfig.js';
+import { getEnemyConfig, getEnemyTypes } from '../enemies/enemyConfig.js';
+import {
+  getDamageType,
+  getDamageTypeIds,
+  getArmorClass,
+  getArmorClassIds,
+  getDamageMultiplier,
+} from '../enemies/armorConfig.js';
+
 /**
  * Setup all event handlers by delegating to managers
  * @param {GameEngine} gameEngine - Game engine instance
@@ -64,6 +78,10 @@ export function handleTowerPlacement(worldX, worldY, gameEngine) {
     console.log(`✅ Placed ${selectedType} tower at grid (${gridX}, ${gridY})`);
     // Deselect tower type after placement
     gameState.deselectTowerType();
+  } else if (gameEngine.getManager('map').isOccupiedByEnemy(gridX, gridY)) {
+    gameEngine.getManager('ui').showNotification('An enemy is in the way', 'warning', 2);
+  } else if (gameEngine.getManager('map').wouldBlockRoute(gridX, gridY)) {
+    gameEngine.getManager('ui').showNotification('That would block the enemy route', 'warning', 2);
   } else {
     console.warn('❌ Failed to place tower');
   }
@@ -74,53 +92,94 @@ export function handleTowerPlacement(worldX, worldY, gameEngine) {
  * @param {number} worldX - World coordinate X
  * @param {number} worldY - World coordinate Y
  * @param {GameEngine} gameEngine - Game engine instance
- * @returns {Tower|null} Selected tower or null
+ * @param {boolean} additive - Toggle the tower in the selection (shift-click) instead of replacing it
+ * @returns {Tower|null} Clicked tower or null
  */
-export function handleTowerSelection(worldX, worldY, gameEngine) {
+export function handleTowerSelection(worldX, worldY, gameEngine, additive = false) {
   const towerManager = gameEngine.getManager('tower');
-  const gameState = gameEngine.getGameState();
-
-  // Find towers near click position (within 20px)
-  const nearbyTowers = towerManager.getTowersInArea(worldX, worldY, 20);
+  const tower = findTowerNear(worldX, worldY, towerManager);
 
-  if (nearbyTowers.length === 0) {
-    // No tower selected, deselect all
-    towerManager.selectTower(null);
+  if (!tower) {
+    // No tower clicked, deselect all (a shift-click on nothing keeps the selection)
+    if (!additive) towerManager.selectTower(null);
     return null;
   }
 
-  // Select closest tower
-  let closestTower = nearbyTowers[0];
-  let closestDistance = Math.hypot(
-    closestTower.x - worldX,
-    closestTower.y - worldY
-  );
+  towerManager.selectTower(tower, additive);
+  console.log(`🎯 Tower selected: ${tower.type} at level ${tower.level}`);
 
-  for (let i = 1; i < nearbyTowers.length; i++) {
-    const distance = Math.hypot(
-      nearbyTowers[i].x - worldX,
-      nearbyTowers[i].y - worldY
-    );
+  return tower;
+}
 
-    if (distance < closestDistance) {
-      closestTower = nearbyTowers[i];
-      closestDistance = distance;
-    }
+/**
+ * Change the targeting mode of towers
+ * @param {Array<Tower>} towers - Towers to change
+ * @param {string} mode - TARGETING_MODES key
+ * @param {GameEngine} gameEngine - Game engine instance
+ * @returns {number} Number of towers changed
+ */
+export function handleTargetingModeChange(towers, mode, gameEngine) {
+  const gameState = gameEngine.getGameState();
+  const towerManager = gameEngine.getManager('tower');
+
+  const changed = towers.filter(tower => towerManager.setTargetingMode(tower, mode, gameState)).length;
+
+  if (changed > 0) {
+    console.log(`🎯 Targeting ${mode} for ${changed} tower(s)`);
   }
 
-  towerManager.selectTower(closestTower);
-  console.log(`🎯 Tower selected: ${closestTower.type} at level ${closestTower.level}`);
+  return changed;
+}
 
-  return closestTower;
+/**
+ * Pin the focus fire of towers on the enemy under a click
+ * @param {number} worldX - World coordinate X
+ * @param {number} worldY - World coordinate Y
+ * @param {Array<Tower>} towers - Towers to focus
+ * @param {GameEngine} gameEngine - Game engine instance
+ * @returns {Object|null} { enemy, name, focused } or null if no enemy was clicked
+ */
+export function handleFocusFire(worldX, worldY, towers, gameEngine) {
+  const enemy = gameEngine.getManager('enemy').getEnemyAt(worldX, worldY);
+  if (!enemy) return null;
+
+  const gameState = gameEngine.getGameState();
+  const towerManager = gameEngine.getManager('tower');
+
+  // Towers that can't hit the enemy's layer (air/ground) keep their own targets
+  const focused = towers.filter(tower => towerManager.focusTower(tower, enemy, gameState)).length;
+
+  console.log(`📌 Focus fire on ${enemy.id} (${focused} tower(s))`);
+
+  return { enemy, name: describeEnemy(enemy), focused };
+}
+
+/**
+ * Unpin the focus fire of towers
+ * @param {Array<Tower>} towers - Towers to release
+ * @param {GameEngine} gameEngine - Game engine instance
+ * @returns {number} Number of towers that had a focus target
+ */
+export function handleFocusClear(towers, gameEngine) {
+  const gameState = gameEngine.getGameState();
+  const towerManager = gameEngine.getManager('tower');
+  const focused = towers.filter(tower => tower.focusTarget);
+
+  for (const tower of focused) {
+    towerManager.focusTower(tower, null, gameState);
+  }
+
+  return focused.length;
 }
 
 /**
  * Handle tower upgrade request
  * @param {Tower} tower - Tower to upgrade
  * @param {GameEngine} gameEngine - Game engine instance
+ * @param {string|null} specialization - Upgrade tree node picked (where the tree splits)
  * @returns {boolean} Success
  */
-export function handleTowerUpgrade(tower, gameEngine) {
+export function handleTowerUpgrade(tower, gameEngine, specialization = null) {
   if (!tower) {
     console.warn('⚠️ No tower selected');
     return false;
@@ -129,7 +188,7 @@ export function handleTowerUpgrade(tower, gameEngine) {
   const gameState = gameEngine.getGameState();
   const towerManager = gameEngine.getManager('tower');
 
-  const success = towerManager.upgradeTower(tower, gameState);
+  const success = towerManager.upgradeTower(tower, gameState, specialization);
 
   if (success) {
     console.log(`🔥 Tower upgraded to level ${tower.level}`);
@@ -153,7 +212,7 @@ export function handleTowerRepair(tower, gameEngine) {
   const gameState = gameEngine.getGameState();
   const towerManager = gameEngine.getManager('tower');
 
-  const repairAmount = Math.ceil(tower.maxHealth * 0.25); // Repair 25% health
+  const repairAmount = getRepairAmount(tower);
   const success = towerManager.repairTower(tower, repairAmount, gameState);
 
   if (success) {
@@ -163,6 +222,30 @@ export function handleTowerRepair(tower, gameEngine) {
   return success;
 }
 
+/**
+ * Handle tower rebuild request (destroyed towers)
+ * @param {Tower} tower - Ruin to rebuild
+ * @param {GameEngine} gameEngine - Game engine instance
+ * @returns {boolean} Success
+ */
+export function handleTowerRebuild(tower, gameEngine) {
+  if (!tower) {
+    console.warn('⚠️ No tower selected');
+    return false;
+  }
+
+  const gameState = gameEngine.getGameState();
+  const towerManager = gameEngine.getManager('tower');
+
+  const success = towerManager.rebuildTower(tower, gameState);
+
+  if (success) {
+    console.log(`🏗️ Tower rebuilt: ${tower.type} level ${tower.level}`);
+  }
+
+  return success;
+}
+
 /**
  * Handle tower sell request
  * @param {Tower} tower - Tower to sell
@@ -177,13 +260,18 @@ export function handleTowerSell(tower, gameEngine) {
   const gameState = gameEngine.getGameState();
   const towerManager = gameEngine.getManager('tower');
 
-  // Calculate sell price (50% of upgrade cost spent)
-  const sellPrice = Math.floor(
-    tower.config.cost * 0.5 + (tower.level - 1) * tower.config.upgradeCost * 0.25
-  );
+  // Refund a share of everything paid for the tower (ruins are only cleared)
+  const sellPrice = gameEngine.getPricing().getSellValue(tower);
 
-  gameState.addMoney(sellPrice);
+  if (sellPrice > 0) {
+    gameEngine.getMoneyManager().addMoney(sellPrice, TRANSACTION_TYPES.SELL, {
+      towerId: tower.id,
+      towerType: tower.type,
+      level: tower.level,
+    });
+  }
   towerManager.removeTower(tower);
+  gameState.notifyListeners('towerSold', { gridX: tower.gridX, gridY: tower.gridY, price: sellPrice });
 
   console.log(`💰 Tower sold for ${sellPrice} gold`);
 }
@@ -216,7 +304,8 @@ export function handleTowerTypeSelection(towerType, gameEngine) {
  */
 export function handleTowerDragStart(worldX, worldY, gameEngine) {
   const gameState = gameEngine.getGameState();
-  const tower = handleTowerSelection(worldX, worldY, gameEngine);
+  // Selection is left to the click that follows (shift-click adds to it)
+  const tower = findTowerNear(worldX, worldY, gameEngine.getManager('tower'));
 
   if (tower) {
     gameState.setTowerDragging(true);
@@ -252,9 +341,10 @@ export function handleTowerDragEnd(worldX, worldY, gameEngine) {
 /**
  * Get tower info for UI display
  * @param {Tower} tower - Tower to get info for
+ * @param {PricingService} pricing - Adds upgradeCost, repairCost, rebuildCost and sellValue when given
  * @returns {Object} Tower info
  */
-export function getTowerInfo(tower) {
+export function getTowerInfo(tower, pricing = null) {
   if (!tower) return null;
 
   return {
@@ -263,17 +353,119 @@ export function getTowerInfo(tower) {
     name: tower.config.name,
     emoji: tower.config.emoji,
     level: tower.level,
+    specialization: tower.specializations.map(id => getUpgradeNode(tower.type, id)?.name || id).join(' → ') || null,
+    upgradeOptions: tower.getUpgradeOptions().map(({ id, name, description }) => ({ id, name, description })),
     health: tower.health,
     maxHealth: tower.maxHealth,
     healthPercent: (tower.getHealthPercentage() * 100).toFixed(1),
     damage: tower.calculateDamage(),
+    damageType: getDamageType(tower.config.damageType)?.name || tower.config.damageType,
     range: Math.floor(tower.range),
     fireRate: tower.config.fireRate,
     experience: tower.experiencePoints,
     nextLevelExp: tower.experienceToNextLevel,
     experiencePercent: (tower.getExperiencePercentage() * 100).toFixed(1),
-    targets: tower.config.targetingStrategy,
-    totalDamageDealt: tower.totalDamageDealt,
+    levelUpReady: tower.hasLevelUpReady(),
+    targetingMode: tower.targetingMode,
+    targeting: getTargetingMode(tower.targetingMode)?.name || tower.targetingMode,
+    focus: tower.focusTarget ? describeEnemy(tower.focusTarget) : null,
+    hits: describeTargetLayers(tower.config),
+    totalDamageDealt: Math.floor(tower.totalDamageDealt),
     enemiesKilled: tower.enemiesKilled,
+    moneyGenerated: tower.totalMoneyGenerated,
+    isMaxLevel: tower.level >= tower.config.maxLevel,
+    isRuin: tower.isDead,
+    upgradeCost: pricing ? pricing.getUpgradeCost(tower.type, tower.level) : null,
+    repairCost: pricing ? pricing.getRepairCost(getRepairAmount(tower)) : null,
+    rebuildCost: pricing ? pricing.getRebuildCost(tower) : null,
+    sellValue: pricing ? pricing.getSellValue(tower) : null,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Get the damage type × armor class chart
+ * @returns {Object} {armorClasses: [{id, name, enemies}], rows: [{id, name, color, towers, multipliers}]}
+ */
+export function getDamageChart() {
+  const armorClasses = getArmorClassIds().map(id => ({
+    id,
+    name: getArmorClass(id).name,
+    enemies: getEnemyTypes().filter(type => getEnemyConfig(type).armorClass === id),
+  }));
+
+  const rows = getDamageTypeIds().map(id => ({
+    id,
+    name: getDamageType(id).name,
+    color: getDamageType(id).color,
+    towers: Object.values(TOWER_CONFIG).filter(config => config.damageType === id).map(config => config.emoji),
+    multipliers: armorClasses.map(armorClass => getDamageMultiplier(id, armorClass.id)),
+  }));
+
+  return { armorClasses, rows };
+}
+
+/**
+ * Find the tower closest to a position (within 20px)
+ * @private
+ * @param {number} worldX - World coordinate X
+ * @param {number} worldY - World coordinate Y
+ * @param {TowerManager} towerManager - Tower manager
+ * @returns {Tower|null}
+ */
+function findTowerNear(worldX, worldY, towerManager) {
+  const nearbyTowers = towerManager.getTowersInArea(worldX, worldY, 20);
+  if (nearbyTowers.length === 0) return null;
+
+  let closestTower = nearbyTowers[0];
+  let closestDistance = Math.hypot(
+    closestTower.x - worldX,
+    closestTower.y - worldY
+  );
+
+  for (let i = 1; i < nearbyTowers.length; i++) {
+    const distance = Math.hypot(
+      nearbyTowers[i].x - worldX,
+      nearbyTowers[i].y - worldY
+    );
+
+    if (distance < closestDistance) {
+      closestTower = nearbyTowers[i];
+      closestDistance = distance;
+    }
+  }
+
+  return closestTower;
+}
+
+/**
+ * Name of an enemy for display (bosses have their own name)
+ * @private
+ * @param {Enemy} enemy - Enemy to describe
+ * @returns {string}
+ */
+function describeEnemy(enemy) {
+  return enemy.name || getEnemyConfig(enemy.type)?.name || enemy.type;
+}
+
+/**
+ * Describe which enemies a tower hits (air, ground or both)
+ * @private
+ * @param {Object} towerConfig - Tower configuration
+ * @returns {string} e.g. 'Air & Ground'
+ */
+function describeTargetLayers(towerConfig) {
+  const layers = [];
+  if (towerConfig.canTargetAir !== false) layers.push('Air');
+  if (towerConfig.canTargetGround !== false) layers.push('Ground');
+  return layers.join(' & ') || 'Nothing';
+}
+
+/**
+ * Health one repair restores (25% of the tower's max health)
+ * @private
+ * @param {Tower} tower - Tower to repair
+ * @returns {number} Health points
+ */
+function getRepairAmount(tower) {
+  return Math.ceil(tower.maxHealth * 0.25);
+}
@@ -3,14 +3,23 @@
  * Renders all UI elements using RenderSurface for platform independence.
  * 
  * Features:
- * - HUD (heads-up display)
- * - Tower information panel
+ * - Asset loading screen
+ * - HUD (heads-up display), warning which lanes the next wave comes down
+ * - Tower information panel, with clickable targeting mode, upgrade and
+ *   specialization controls
+ * - Enemy tooltip (scaled stats)
+ * - Boss health bars and intro banner
+ * - Damage type × armor class chart
  * - Resource indicators (money, lives, wave)
  * - Game over/won overlays
  * - Notifications/feedback messages
  * - FPS and debug info
  */
 
+import { getMutator } from '../enemies/enemyConfig.js';
+import { getArmorClass } from '../enemies/armorConfig.js';
+import { TRANSACTION_LABELS } from '../economy/economyConfig.js';
+
 class UIRenderer {
   constructor(renderSurface) {
     this.renderSurface = renderSurface;
@@ -20,7 +29,7 @@ class UIRenderer {
     this.hudPadding = 10;
     this.hudHeight = 60;
     this.panelWidth = 250;
-    this.panelHeight = 300;
+    this.panelHeight = 376;
 
     // UI colors
     this.colors = {
@@ -33,8 +42,17 @@ class UIRenderer {
       warningText: '#FFFF00',
       errorText: '#FF0000',
       infoText: '#00CCFF',
+      bossBar: '#DC143C',
+      bossBarBackground: '#330000',
+      bossShield: '#87CEFA',
+      bossName: '#FF4500',
+      effective: '#00FF00',
+      resisted: '#FF6347',
     };
 
+    // Clickable rows of the tower panel: { action, value, x, y, width, height } (screen space)
+    this.panelControls = [];
+
     // Animation
     this.animationTime = 0;
   }
@@ -60,7 +78,17 @@ class UIRenderer {
     this.animationTime += 0.016; // Approximate delta time
 
     // Draw HUD
-    this.renderHUD(gameState);
+    this.renderHUD(gameState, managers?.wave, managers?.map);
+
+    // Boss health bars across the top
+    if (managers?.enemy) {
+      this.renderBossBars(managers.enemy.getBosses());
+    }
+
+    // Boss intro banner
+    if (uiManager?.getBossIntro()) {
+      this.renderBossIntro(uiManager.getBossIntro());
+    }
 
     // Draw notifications
     if (uiManager) {
@@ -68,26 +96,87 @@ class UIRenderer {
     }
 
     // Draw tower info panel if tower selected
+    this.panelControls = [];
     if (uiManager && uiManager.getSelectedTower()) {
       this.renderTowerPanel(uiManager.getSelectedTowerInfo());
     }
 
+    // Draw enemy tooltip for the enemy under the mouse
+    const pointer = uiManager?.getPointer();
+    if (pointer && managers?.enemy) {
+      this.renderEnemyTooltip(managers.enemy.getEnemyAt(pointer.x, pointer.y));
+    }
+
+    // Damage type × armor class chart (C key)
+    if (uiManager?.getDamageChart()) {
+      this.renderDamageChart(uiManager.getDamageChart());
+    }
+
+    // Income/expense, kill streak and best tower summary for the end screens
+    const summary = managers?.money
+      ? {
+        breakdown: managers.money.getBreakdown(),
+        streaks: managers.money.getStreakStatistics(),
+        towers: managers.tower?.getTopTowers(3) || [],
+      }
+      : null;
+
     // Draw game over overlay
     if (gameState.getGameOver()) {
-      this.renderGameOver(gameState);
+      this.renderGameOver(gameState, summary);
     }
 
     // Draw game won overlay
     if (gameState.getGameWon()) {
-      this.renderGameWon(gameState);
+      this.renderGameWon(gameState, summary);
     }
   }
 
+  /**
+   * Render the asset loading screen (before the game is initialized)
+   * @param {Object} progress - { loaded, missing, total, progress (0-1) }
+   */
+  renderLoadingScreen(progress) {
+    const dims = this.renderSurface.getDimensions();
+    const barWidth = 300;
+    const barHeight = 16;
+    const x = (dims.width - barWidth) / 2;
+    const y = dims.height / 2;
+
+    this.renderSurface.drawText('Loading sprites...', dims.width / 2, y - 40, {
+      font: 'bold 24px Arial',
+      color: this.colors.hudText,
+      align: 'center',
+      baseline: 'middle',
+    });
+
+    // Progress bar
+    this.renderSurface.drawRect(x, y, barWidth, barHeight, this.colors.hudBackground, {
+      stroke: true,
+      strokeColor: this.colors.panelBorder,
+      strokeWidth: 1,
+    });
+    this.renderSurface.drawRect(x, y, barWidth * progress.progress, barHeight, this.colors.hudAccent);
+
+    // Missing sprites are drawn as shapes
+    const done = progress.loaded + progress.missing;
+    const detail = progress.missing > 0 ? ` (${progress.missing} missing, shapes instead)` : '';
+    this.renderSurface.drawText(`${done} / ${progress.total}${detail}`, dims.width / 2, y + barHeight + 20, {
+      font: '14px Arial',
+      color: this.colors.infoText,
+      align: 'center',
+      baseline: 'middle',
+    });
+  }
+
   /**
    * Render HUD (heads-up display)
    * @private
+   * @param {GameState} gameState - Game state
+   * @param {WaveManager} waveManager - For the build phase countdown (optional)
+   * @param {MapManager} mapManager - For the names of the lanes the next wave comes down (optional)
    */
-  renderHUD(gameState) {
+  renderHUD(gameState, waveManager = null, mapManager = null) {
     const dims = this.renderSurface.getDimensions();
     const hudY = dims.height - this.hudHeight - this.hudPadding;
 
@@ -127,8 +216,11 @@ class UIRenderer {
       }
     );
 
-    // Wave display (center)
-    const waveText = `Wave ${gameState.getCurrentWave()}/${gameState.getTotalWaves()}`;
+    // Wave display (center), no total in endless mode
+    const totalWaves = gameState.getTotalWaves();
+    const waveText = totalWaves > 0
+      ? `Wave ${gameState.getCurrentWave()}/${totalWaves}`
+      : `Wave ${gameState.getCurrentWave()} ∞`;
     this.renderSurface.drawText(
       waveText,
       dims.width / 2,
@@ -141,6 +233,28 @@ class UIRenderer {
       }
     );
 
+    // Build phase countdown / early call hint and the next wave's lanes (under the wave)
+    if (waveManager?.canCallNextWave()) {
+      const bonus = waveManager.getEarlyCallBonus();
+      const lanes = mapManager ? mapManager.getLaneNames(waveManager.getUpcomingLanes()) : [];
+      const laneText = lanes.length > 0 ? ` · ⚠️ ${lanes.join(' + ')}` : '';
+      const buildText = waveManager.isInBuildPhase()
+        ? `Next wave in ${Math.ceil(waveManager.getBuildTimeRemaining())}s${laneText} · N: call early (+💰${bonus})`
+        : `N: call next wave${laneText} (+💰${bonus})`;
+
+      this.renderSurface.drawText(
+        buildText,
+        dims.width / 2,
+        hudY + 42,
+        {
+          font: '12px Arial',
+          color: this.colors.hudText,
+          align: 'center',
+          baseline: 'middle',
+        }
+      );
+    }
+
     // Score display (right)
     this.renderSurface.drawText(
       `Score: ${gameState.getScore()}`,
@@ -168,6 +282,268 @@ class UIRenderer {
     );
   }
 
+  /**
+   * Render a screen-wide health bar per boss (top), with phase thresholds
+   * marked on the bar and the shield over it
+   * @private
+   * @param {Array<Boss>} bosses - Bosses on the field
+   */
+  renderBossBars(bosses) {
+    if (bosses.length === 0) return;
+
+    const dims = this.renderSurface.getDimensions();
+    const x = this.hudPadding;
+    const width = dims.width - this.hudPadding * 2;
+    const barHeight = 12;
+    let y = this.hudPadding;
+
+    for (const boss of bosses.slice(0, 3)) {
+      const healthPercent = Math.max(0, Math.min(1, boss.getHealthPercentage()));
+
+      // Name (left), phase (right)
+      this.renderSurface.drawText(
+        `🐉 ${boss.name}`,
+        x,
+        y,
+        { font: 'bold 14px Arial', color: this.colors.bossName, align: 'left', baseline: 'top' }
+      );
+      this.renderSurface.drawText(
+        `${boss.getPhase().name} · ${Math.ceil(boss.health)}/${boss.maxHealth}`,
+        x + width,
+        y + 2,
+        { font: '12px Arial', color: this.colors.hudText, align: 'right', baseline: 'top' }
+      );
+
+      const barY = y + 18;
+
+      // Bar
+      this.renderSurface.drawRect(
+        x,
+        barY,
+        width,
+        barHeight,
+        this.colors.bossBarBackground,
+        { stroke: true, strokeColor: '#FFFFFF', strokeWidth: 1 }
+      );
+      this.renderSurface.drawRect(x, barY, width * healthPercent, barHeight, this.colors.bossBar);
+
+      // Shield
+      if (boss.shield > 0 && boss.maxShield > 0) {
+        this.renderSurface.drawRect(
+          x,
+          barY,
+          width * Math.min(1, boss.shield / boss.maxShield),
+          barHeight / 2,
+          this.colors.bossShield
+        );
+      }
+
+      // Phase thresholds
+      boss.phases.slice(1).forEach(phase => {
+        const tickX = x + width * phase.threshold;
+        this.renderSurface.drawLine(tickX, barY - 2, tickX, barY + barHeight + 2, '#FFFFFF', 2);
+      });
+
+      y += barHeight + 26;
+    }
+  }
+
+  /**
+   * Render the boss intro banner (center), fading in and out
+   * @private
+   * @param {Object} intro - { name, title, age, duration }
+   */
+  renderBossIntro(intro) {
+    const dims = this.renderSurface.getDimensions();
+    const fade = 0.4; // seconds
+    const alpha = Math.min(1, intro.age / fade, (intro.duration - intro.age) / fade);
+    const bannerHeight = 90;
+    const bannerY = dims.height / 3 - bannerHeight / 2;
+
+    this.renderSurface.save();
+    this.renderSurface.setAlpha(Math.max(0, alpha));
+
+    this.renderSurface.drawRect(
+      0,
+      bannerY,
+      dims.width,
+      bannerHeight,
+      'rgba(60, 0, 0, 0.85)',
+      { stroke: true, strokeColor: this.colors.bossName, strokeWidth: 2 }
+    );
+
+    this.renderSurface.drawText(
+      intro.name.toUpperCase(),
+      dims.width / 2,
+      bannerY + 35,
+      { font: 'bold 32px Arial', color: this.colors.bossName, align: 'center', baseline: 'middle' }
+    );
+
+    this.renderSurface.drawText(
+      intro.title,
+      dims.width / 2,
+      bannerY + 68,
+      { font: 'italic 16px Arial', color: this.colors.hudText, align: 'center', baseline: 'middle' }
+    );
+
+    this.renderSurface.restore();
+  }
+
+  /**
+   * Render enemy tooltip (top right): scaled stats and what scaled them
+   * @private
+   * @param {Enemy|null} enemy - Hovered enemy
+   */
+  renderEnemyTooltip(enemy) {
+    if (!enemy) return;
+
+    const dims = this.renderSurface.getDimensions();
+    const scaling = enemy.scaling;
+    const lines = [
+      `HP: ${Math.ceil(enemy.health)}/${enemy.maxHealth}`,
+      `Speed: ${Math.round(enemy.speed)}`,
+      `Armor: ${enemy.armor} · ${getArmorClass(enemy.armorClass)?.name || enemy.armorClass}`,
+      `Bounty: 💰${enemy.bounty}`,
+    ];
+
+    if (enemy.isBoss) {
+      lines.push(`Boss phase: ${enemy.getPhase().name}`);
+    }
+
+    if (scaling) {
+      lines.push(
+        `Wave ${scaling.waveNumber} · ${scaling.difficulty}`,
+        `x${scaling.health.toFixed(2)} HP · x${scaling.speed.toFixed(2)} speed · x${scaling.bounty.toFixed(2)} gold`
+      );
+
+      if (scaling.mutators.length > 0) {
+        lines.push(`Mutators: ${scaling.mutators.map(id => getMutator(id)?.name || id).join(', ')}`);
+      }
+    }
+
+    const width = 230;
+    const height = 35 + lines.length * 16;
+    const x = dims.width - width - this.hudPadding;
+    const y = this.hudPadding;
+
+    this.renderSurface.drawRect(
+      x,
+      y,
+      width,
+      height,
+      this.colors.panelBackground,
+      { stroke: true, strokeColor: this.colors.panelBorder, strokeWidth: 1 }
+    );
+
+    this.renderSurface.drawText(
+      enemy.isBoss ? `${enemy.name} (${enemy.type})` : enemy.type,
+      x + 10,
+      y + 10,
+      {
+        font: 'bold 14px Arial',
+        color: this.colors.hudAccent,
+        align: 'left',
+        baseline: 'top',
+      }
+    );
+
+    lines.forEach((line, index) => {
+      this.renderSurface.drawText(
+        line,
+        x + 10,
+        y + 32 + index * 16,
+        {
+          font: '12px Arial',
+          color: this.colors.hudText,
+          align: 'left',
+          baseline: 'top',
+        }
+      );
+    });
+  }
+
+  /**
+   * Render the damage type × armor class chart (centered)
+   * One row per damage type (with the towers dealing it), one column per
+   * armor class (with the enemies wearing it below the table)
+   * @private
+   * @param {Object} chart - See getDamageChart in eventHandlers.js
+   */
+  renderDamageChart(chart) {
+    const dims = this.renderSurface.getDimensions();
+    const labelWidth = 150;
+    const columnWidth = 80;
+    const rowHeight = 24;
+    const width = labelWidth + chart.armorClasses.length * columnWidth + 20;
+    const height = 70 + (chart.rows.length + chart.armorClasses.length) * rowHeight;
+    const x = (dims.width - width) / 2;
+    const y = (dims.height - height) / 2;
+
+    this.renderSurface.drawRect(
+      x,
+      y,
+      width,
+      height,
+      this.colors.panelBackground,
+      { stroke: true, strokeColor: this.colors.panelBorder, strokeWidth: 2 }
+    );
+
+    this.renderSurface.drawText('Damage vs armor (C to close)', x + 10, y + 10, {
+      font: 'bold 14px Arial',
+      color: this.colors.hudAccent,
+      align: 'left',
+      baseline: 'top',
+    });
+
+    // Column headers: armor classes
+    let rowY = y + 40;
+    chart.armorClasses.forEach((armorClass, column) => {
+      this.renderSurface.drawText(armorClass.name, x + 10 + labelWidth + (column + 0.5) * columnWidth, rowY, {
+        font: 'bold 12px Arial',
+        color: this.colors.hudText,
+        align: 'center',
+        baseline: 'top',
+      });
+    });
+
+    // Rows: damage types, multiplier per armor class
+    chart.rows.forEach(row => {
+      rowY += rowHeight;
+
+      this.renderSurface.drawText(`${row.name} ${row.towers.join('')}`, x + 10, rowY, {
+        font: '12px Arial',
+        color: row.color,
+        align: 'left',
+        baseline: 'top',
+      });
+
+      row.multipliers.forEach((multiplier, column) => {
+        let color = this.colors.hudText;
+        if (multiplier > 1) color = this.colors.effective;
+        if (multiplier < 1) color = this.colors.resisted;
+
+        this.renderSurface.drawText(`x${multiplier.toFixed(2)}`, x + 10 + labelWidth + (column + 0.5) * columnWidth, rowY, {
+          font: '12px Arial',
+          color,
+          align: 'center',
+          baseline: 'top',
+        });
+      });
+    });
+
+    // Who wears what
+    rowY += rowHeight + 6;
+    chart.armorClasses.forEach(armorClass => {
+      this.renderSurface.drawText(`${armorClass.name}: ${armorClass.enemies.join(', ') || '-'}`, x + 10, rowY, {
+        font: '11px Arial',
+        color: this.colors.infoText,
+        align: 'left',
+        baseline: 'top',
+      });
+      rowY += rowHeight;
+    });
+  }
+
   /**
    * Render tower info panel
    * @private
@@ -191,9 +567,10 @@ class UIRenderer {
 
     let y = panelY + 10;
 
-    // Tower name and type
+    // Tower name and type (+N other selected towers)
+    const others = towerInfo.selectedCount > 1 ? ` +${towerInfo.selectedCount - 1}` : '';
     this.renderSurface.drawText(
-      `${towerInfo.emoji} ${towerInfo.name}`,
+      `${towerInfo.emoji} ${towerInfo.name}${others}`,
       panelX + 10,
       y,
       {
@@ -206,6 +583,21 @@ class UIRenderer {
 
     y += 25;
 
+    // Specializations taken so far
+    if (towerInfo.specialization) {
+      this.renderSurface.drawText(
+        `🌳 ${towerInfo.specialization}`,
+        panelX + 10,
+        y,
+        {
+          font: '12px Arial',
+          color: this.colors.infoText,
+        }
+      );
+
+      y += 18;
+    }
+
     // Level
     this.renderSurface.drawText(
       `Level: ${towerInfo.level}`,
@@ -227,7 +619,7 @@ class UIRenderer {
 
     // Stats
     this.renderSurface.drawText(
-      `Damage: ${towerInfo.damage}`,
+      `Damage: ${towerInfo.damage} (${towerInfo.damageType})`,
       panelX + 10,
       y,
       {
@@ -260,11 +652,53 @@ class UIRenderer {
       }
     );
 
+    y += 18;
+
+    this.renderSurface.drawText(
+      `Hits: ${towerInfo.hits}`,
+      panelX + 10,
+      y,
+      {
+        font: '12px Arial',
+        color: this.colors.hudText,
+      }
+    );
+
+    y += 18;
+
+    // Targeting mode: click the left/right half (or press T / shift+T) to cycle
+    this.renderSurface.drawText(
+      `🎯 Targeting: ◀ ${towerInfo.targeting} ▶ (T)`,
+      panelX + 10,
+      y,
+      {
+        font: '12px Arial',
+        color: this.colors.hudAccent,
+      }
+    );
+    const halfWidth = (this.panelWidth - 20) / 2;
+    this.addPanelControl('targeting', -1, panelX + 10, y, halfWidth);
+    this.addPanelControl('targeting', 1, panelX + 10 + halfWidth, y, halfWidth);
+
+    if (towerInfo.focus) {
+      y += 18;
+
+      this.renderSurface.drawText(
+        `📌 Focus: ${towerInfo.focus} (F releases)`,
+        panelX + 10,
+        y,
+        {
+          font: '12px Arial',
+          color: this.colors.warningText,
+        }
+      );
+    }
+
     y += 25;
 
-    // Stats
+    // Stats (credited by the engine: splash, chains and poison included)
     this.renderSurface.drawText(
-      `Kills: ${towerInfo.enemiesKilled}`,
+      `Kills: ${towerInfo.enemiesKilled} (💰${towerInfo.moneyGenerated})`,
       panelX + 10,
       y,
       {
@@ -284,6 +718,137 @@ class UIRenderer {
         color: this.colors.infoText,
       }
     );
+
+    y += 16;
+
+    // Experience from kills (levels up on its own, waits at splits)
+    let experience = `⭐ XP: ${Math.floor(towerInfo.experience)}/${towerInfo.nextLevelExp}`;
+    if (towerInfo.isMaxLevel) experience = '⭐ XP: MAX';
+    else if (towerInfo.levelUpReady) experience = '⭐ Level up ready: pick a specialization';
+
+    this.renderSurface.drawText(
+      experience,
+      panelX + 10,
+      y,
+      {
+        font: '11px Arial',
+        color: towerInfo.levelUpReady ? this.colors.successText : this.colors.infoText,
+      }
+    );
+
+    // Prices (same values the tower manager charges)
+    if (towerInfo.upgradeCost === null) return;
+
+    y += 25;
+
+    // Ruins can only be rebuilt or cleared
+    if (towerInfo.isRuin) {
+      this.renderSurface.drawText(
+        `🏚️ Rebuild: 💰${towerInfo.rebuildCost} (U)`,
+        panelX + 10,
+        y,
+        {
+          font: '12px Arial',
+          color: this.colors.hudAccent,
+        }
+      );
+      this.addPanelControl('rebuild', null, panelX + 10, y, this.panelWidth - 20);
+
+      y += 18;
+
+      this.renderSurface.drawText(
+        'Sell: clears the ruins (X)',
+        panelX + 10,
+        y,
+        {
+          font: '12px Arial',
+          color: this.colors.hudText,
+        }
+      );
+      this.addPanelControl('sell', null, panelX + 10, y, this.panelWidth - 20);
+      return;
+    }
+
+    y = this.renderUpgradeOptions(panelX + 10, y, towerInfo);
+
+    this.renderSurface.drawText(
+      `🔧 Repair: 💰${towerInfo.repairCost} (E)`,
+      panelX + 10,
+      y,
+      {
+        font: '12px Arial',
+        color: this.colors.hudAccent,
+      }
+    );
+    this.addPanelControl('repair', null, panelX + 10, y, this.panelWidth - 20);
+
+    y += 18;
+
+    this.renderSurface.drawText(
+      `Sell: 💰${towerInfo.sellValue} (X)`,
+      panelX + 10,
+      y,
+      {
+        font: '12px Arial',
+        color: this.colors.hudText,
+      }
+    );
+    this.addPanelControl('sell', null, panelX + 10, y, this.panelWidth - 20);
+  }
+
+  /**
+   * Render the upgrade row, or the specializations to pick from where the
+   * upgrade tree splits (each one a clickable row)
+   * @private
+   * @param {number} x - Left of the rows
+   * @param {number} y - Top of the first row
+   * @param {Object} towerInfo - Tower info
+   * @returns {number} Top of the next row
+   */
+  renderUpgradeOptions(x, y, towerInfo) {
+    const options = towerInfo.upgradeOptions;
+
+    // Levels earned with experience are free
+    const price = towerInfo.levelUpReady ? 'free' : `💰${towerInfo.upgradeCost}`;
+
+    if (towerInfo.isMaxLevel || options.length <= 1) {
+      let label = towerInfo.isMaxLevel ? 'Upgrade: MAX' : `Upgrade: ${price} (U)`;
+      if (options.length === 1) label += ` → ${options[0].name}`;
+
+      this.renderSurface.drawText(label, x, y, {
+        font: '12px Arial',
+        color: this.colors.hudAccent,
+      });
+      if (!towerInfo.isMaxLevel) {
+        this.addPanelControl('upgrade', null, x, y, this.panelWidth - 20);
+      }
+      return y + 18;
+    }
+
+    this.renderSurface.drawText(`Level ${towerInfo.level + 1}, pick one (${price}):`, x, y, {
+      font: '12px Arial',
+      color: this.colors.hudAccent,
+    });
+    y += 18;
+
+    for (const option of options) {
+      this.renderSurface.drawText(`▶ ${option.name}: ${option.description}`, x, y, {
+        font: '12px Arial',
+        color: this.colors.warningText,
+      });
+      this.addPanelControl('upgrade', option.id, x, y, this.panelWidth - 20);
+      y += 18;
+    }
+
+    return y;
+  }
+
+  /**
+   * Register a clickable panel row
+   * @private
+   */
+  addPanelControl(action, value, x, y, width) {
+    this.panelControls.push({ action, value, x, y: y - 2, width, height: 16 });
   }
 
   /**
@@ -397,7 +962,7 @@ class UIRenderer {
    * Render game over overlay
    * @private
    */
-  renderGameOver(gameState) {
+  renderGameOver(gameState, summary = null) {
     const dims = this.renderSurface.getDimensions();
 
     // Semi-transparent overlay
@@ -454,13 +1019,15 @@ class UIRenderer {
         baseline: 'middle',
       }
     );
+
+    this.renderEconomySummary(summary, dims.height / 2 + 130);
   }
 
   /**
    * Render game won overlay
    * @private
    */
-  renderGameWon(gameState) {
+  renderGameWon(gameState, summary = null) {
     const dims = this.renderSurface.getDimensions();
 
     // Semi-transparent overlay
@@ -533,6 +1100,67 @@ class UIRenderer {
         baseline: 'middle',
       }
     );
+
+    this.renderEconomySummary(summary, dims.height / 2 + 150);
+  }
+
+  /**
+   * Render income and expenses per type, kill streaks and the towers that dealt the most damage (end screens)
+   * @private
+   * @param {Object|null} summary - { breakdown: MoneyManager.getBreakdown(), streaks: MoneyManager.getStreakStatistics(), towers: TowerManager.getTopTowers() }
+   * @param {number} y - Top line Y
+   */
+  renderEconomySummary(summary, y) {
+    if (!summary) return;
+
+    const { breakdown, streaks, towers = [] } = summary;
+
+    const dims = this.renderSurface.getDimensions();
+    const describe = (amounts) => Object.entries(amounts)
+      .filter(([, amount]) => amount > 0)
+      .map(([type, amount]) => `${TRANSACTION_LABELS[type] || type} ${amount}`)
+      .join(', ');
+
+    const lines = [
+      { text: `Income: 💰${breakdown.totalIncome} (${describe(breakdown.income) || 'none'})`, color: this.colors.successText },
+      { text: `Expenses: 💰${breakdown.totalExpenses} (${describe(breakdown.expenses) || 'none'})`, color: this.colors.warningText },
+      { text: `Net: 💰${breakdown.net}`, color: this.colors.hudText },
+      { text: `Best streak: x${streaks.best} · Streaks: ${streaks.reached} · Streak bonus: 💰${streaks.bonusEarned}`, color: this.colors.infoText },
+      ...towers.map((tower, index) => ({
+        text: `${index === 0 ? '🏆' : `#${index + 1}`} ${tower.emoji} ${tower.name} Lv${tower.level}${tower.removed ? ' (sold)' : ''}: ` +
+          `${Math.floor(tower.totalDamageDealt)} damage · ${tower.enemiesKilled} kills · 💰${tower.totalMoneyGenerated}`,
+        color: this.colors.hudAccent,
+      })),
+    ];
+
+    lines.forEach((line, index) => {
+      this.renderSurface.drawText(
+        line.text,
+        dims.width / 2,
+        y + index * 22,
+        {
+          font: '14px Arial',
+          color: line.color,
+          align: 'center',
+          baseline: 'middle',
+        }
+      );
+    });
+  }
+
+  /**
+   * Find the panel control at a screen position
+   * @param {number} x - Screen X
+   * @param {number} y - Screen Y
+   * @returns {Object|null} { action, value }: ('targeting', -1 | 1), ('upgrade', specialization | null),
+   *   ('rebuild' | 'repair' | 'sell', null)
+   */
+  getControlAt(x, y) {
+    const control = this.panelControls.find(area =>
+      x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height
+    );
+
+    return control ? { action: control.action, value: control.value } : null;
   }
 
   /**
@@ -0,0 +1,200 @@
+/**
+ * Endless Wave Generator
+ * Builds waves past the scripted ones for endless mode.
+ *
+ * Every wave gets a budget that grows with the wave number (ENDLESS_CONFIG).
+ * The budget is spent on random enemies: each pick is one of the unlocked
+ * types still affordable, cheaper types being proportionally more likely.
+ * Every bossInterval waves, bosses join the wave on top of the budget.
+ *
+ * A wave only depends on the seed and its number (each wave has its own RNG
+ * stream), so the same seed always generates the same waves, no matter when
+ * or how often they are asked for - replays and saves stay in sync.
+ *
+ * Generated waves are wave scripts like WAVE_CONFIG.waves entries (one
+ * group per run of the same type, each after the previous one), so
+ * WaveManager plays them like scripted ones.
+ */
+
+import SeededRandom from '../../utils/random.js';
+import { getEnemyConfig, getEnemyTypes } from '../enemies/enemyConfig.js';
+import { ENDLESS_CONFIG, getSpawnInterval } from './waveConfig.js';
+
+class EndlessWaveGenerator {
+  /**
+   * @param {number} seed - Game seed
+   * @param {Object} config - Generation settings (default: ENDLESS_CONFIG)
+   */
+  constructor(seed = 0, config = ENDLESS_CONFIG) {
+    this.seed = seed;
+    this.config = config;
+
+    // Wave number -> generated wave
+    this.cache = new Map();
+  }
+
+  /**
+   * Change the seed (drops every generated wave)
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.cache.clear();
+  }
+
+  /**
+   * Get a generated wave
+   * @param {number} waveNumber - Wave number
+   * @returns {Object} Wave definition (WAVE_CONFIG.waves shape plus budget, reward, generated)
+   */
+  getWave(waveNumber) {
+    if (!this.cache.has(waveNumber)) {
+      this.cache.set(waveNumber, this.generate(waveNumber));
+    }
+
+    return this.cache.get(waveNumber);
+  }
+
+  /**
+   * Budget for a wave
+   * @param {number} waveNumber
+   * @returns {number}
+   */
+  getBudget(waveNumber) {
+    return Math.floor(this.config.baseBudget * Math.pow(waveNumber, this.config.budgetExponent));
+  }
+
+  /**
+   * Check if a wave has bosses
+   * @param {number} waveNumber
+   * @returns {boolean}
+   */
+  isBossWave(waveNumber) {
+    return waveNumber % this.config.bossInterval === 0;
+  }
+
+  /**
+   * Budget cost of an enemy type, from its stats:
+   * tougher (health, armor) and faster enemies cost more
+   * @param {string} enemyType
+   * @returns {number}
+   */
+  getEnemyCost(enemyType) {
+    const config = getEnemyConfig(enemyType);
+    if (!config) return Infinity;
+
+    return Math.ceil((config.health * config.speed / 100) * (1 + config.armor * 0.1));
+  }
+
+  /**
+   * Enemy types that can be bought in a wave
+   * @param {number} waveNumber
+   * @returns {Array<string>}
+   */
+  getAvailableTypes(waveNumber) {
+    const unlockWaves = this.config.enemyUnlockWave;
+    return getEnemyTypes().filter(type => (unlockWaves[type] ?? 1) <= waveNumber);
+  }
+
+  /**
+   * Generate a wave
+   * @private
+   * @param {number} waveNumber
+   * @returns {Object} Wave definition
+   */
+  generate(waveNumber) {
+    const config = this.config;
+    const rng = new SeededRandom(this.getWaveSeed(waveNumber));
+    const budget = this.getBudget(waveNumber);
+    const isBoss = this.isBossWave(waveNumber);
+    const interval = Math.max(config.minSpawnInterval, getSpawnInterval(waveNumber));
+
+    const costs = new Map(
+      this.getAvailableTypes(waveNumber).map(type => [type, this.getEnemyCost(type)])
+    );
+
+    // Spend the budget
+    const picks = [];
+    let remaining = budget;
+
+    while (picks.length < config.maxEnemiesPerWave) {
+      const affordable = [...costs.keys()].filter(type => costs.get(type) <= remaining);
+      if (affordable.length === 0) break;
+
+      const type = rng.weightedPick(affordable, candidate => 1 / costs.get(candidate));
+      picks.push(type);
+      remaining -= costs.get(type);
+    }
+
+    // Runs of the same type become one spawn group
+    const runs = [];
+    for (const type of picks) {
+      const last = runs[runs.length - 1];
+
+      if (last && last.type === type) {
+        last.count++;
+      } else {
+        runs.push({ type, count: 1, interval });
+      }
+    }
+
+    // Bosses arrive halfway through their escort
+    if (isBoss) {
+      runs.splice(Math.ceil(runs.length / 2), 0, {
+        type: config.bossType,
+        count: config.bossCount(waveNumber),
+        interval: config.bossSpawnDelay,
+        boss: config.bossId,
+      });
+    }
+
+    // Each group follows the previous one, one interval after its last spawn
+    const groups = runs.map((run, index) => {
+      const group = { id: `group${index + 1}`, ...run };
+      if (index > 0) {
+        group.after = `group${index}`;
+        group.offset = runs[index - 1].interval;
+      }
+      return group;
+    });
+
+    const reward = Math.floor((budget - remaining) * config.rewardPerBudget) + (isBoss ? config.bossReward : 0);
+
+    return {
+      waveNumber,
+      name: isBoss ? `Endless Wave ${waveNumber}: Boss` : `Endless Wave ${waveNumber}`,
+      description: this.describe(groups),
+      groups,
+      isBoss,
+      baseReward: reward,
+      reward,
+      budget,
+      spent: budget - remaining,
+      generated: true,
+    };
+  }
+
+  /**
+   * Per-wave seed, so waves do not depend on each other
+   * @private
+   */
+  getWaveSeed(waveNumber) {
+    return (this.seed ^ Math.imul(waveNumber, 0x9E3779B1)) >>> 0;
+  }
+
+  /**
+   * Summarize spawn groups ("12 Goblin, 3 Dwarve")
+   * @private
+   */
+  describe(groups) {
+    const counts = new Map();
+
+    for (const group of groups) {
+      counts.set(group.type, (counts.get(group.type) || 0) + group.count);
+    }
+
+    return [...counts].map(([type, count]) => `${count} ${type}`).join(', ');
+  }
+}
+
+export default EndlessWaveGenerator;
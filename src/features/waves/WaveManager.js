@@ -4,15 +4,42 @@
  * 
  * Responsibilities:
  * - Track current wave and progress
- * - Spawn enemies according to wave pattern
+ * - Run wave scripts: spawn groups in parallel or in sequence, with
+ *   offsets, lanes, formations, modifiers and triggers
  * - Handle wave completion and transitions
  * - Manage spawn timing and intervals
+ * - Endless mode: generated waves after the scripted ones
+ * - Build phase countdown between waves, calling the next wave early
+ *
+ * Waves can overlap: a wave called early starts spawning while the previous
+ * wave's enemies are still on the field. Every started wave stays "open"
+ * until all its enemies are spawned and gone (enemies carry their waveNumber).
+ *
+ * Spawn groups of the current wave each have a state:
+ *   waiting  - start condition (after / trigger) not met yet
+ *   spawning - counting down to its next spawn
+ *   done     - every enemy of the group spawned
  */
 
-import { WAVE_CONFIG, getWaveConfig, getSpawnInterval, getWaveReward } from './waveConfig.js';
+import {
+  WAVE_CONFIG,
+  WAVE_FORMATIONS,
+  GAME_MODES,
+  BUILD_PHASE_CONFIG,
+  countWaveEnemies,
+  getWaveConfig,
+  getSpawnInterval,
+  getWaveReward,
+} from './waveConfig.js';
+import EndlessWaveGenerator from './EndlessWaveGenerator.js';
+import { validateWaves, formatWaveError } from './waveValidator.js';
 
 class WaveManager {
   constructor() {
+    // Game mode (classic: scripted waves only, endless: generated waves after them)
+    this.mode = GAME_MODES.CLASSIC;
+    this.generator = new EndlessWaveGenerator();
+
     // Wave state
     this.currentWave = 0;
     this.totalWaves = WAVE_CONFIG.totalWaves;
@@ -20,16 +47,22 @@ class WaveManager {
     this.waveStartTime = 0;
     this.waveElapsedTime = 0;
 
-    // Spawn management
-    this.nextSpawnTime = 0;
-    this.currentSpawnIndex = 0; // Which spawn group in wave
-    this.currentSpawnCount = 0; // How many enemies spawned in current group
+    // Spawn management (one state per spawn group of the current wave)
+    this.groupStates = [];
     this.allEnemiesSpawned = false;
 
+    // Started waves not completed yet (oldest first)
+    this.openWaves = [];
+
+    // Build phase (countdown before currentWave starts)
+    this.isBuildPhase = false;
+    this.buildTimeRemaining = 0;
+
     // Statistics
     this.enemiesSpawnedThisWave = 0;
     this.waveStartedCount = 0;
     this.waveCompletedCount = 0;
+    this.firstSpawnWave = {}; // Enemy type -> wave it first appeared in
 
     // State
     this.isInitialized = false;
@@ -37,14 +70,87 @@ class WaveManager {
 
   /**
    * Initialize wave manager
+   * @param {Object} options
+   * @param {string} options.mode - GAME_MODES value (default: classic)
+   * @param {number} options.seed - Game seed for generated waves
+   * @param {Array<string>} options.lanes - Lane ids of the map (checked in the wave script)
    */
-  async initialize() {
+  async initialize({ mode = GAME_MODES.CLASSIC, seed = 0, lanes = null } = {}) {
     console.log('🌊 WaveManager initializing...');
 
+    const errors = validateWaves(WAVE_CONFIG.waves, { lanes });
+    if (errors.length > 0) {
+      throw new Error(`❌ Invalid wave script:\n${errors.map(formatWaveError).join('\n')}`);
+    }
+
+    this.setMode(mode);
+    this.setSeed(seed);
     this.currentWave = 1;
     this.isInitialized = true;
 
-    console.log('✅ WaveManager initialized');
+    console.log(`✅ WaveManager initialized (${this.mode} mode)`);
+  }
+
+  /**
+   * Set the game mode
+   * @param {string} mode - GAME_MODES value
+   */
+  setMode(mode) {
+    if (!Object.values(GAME_MODES).includes(mode)) {
+      throw new Error(`❌ Unknown game mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.totalWaves = mode === GAME_MODES.ENDLESS ? Infinity : WAVE_CONFIG.totalWaves;
+  }
+
+  /**
+   * Get the game mode
+   * @returns {string}
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Check if waves go on forever
+   * @returns {boolean}
+   */
+  isEndless() {
+    return this.mode === GAME_MODES.ENDLESS;
+  }
+
+  /**
+   * Seed the endless wave generator
+   * @param {number} seed - Game seed
+   */
+  setSeed(seed) {
+    this.generator.setSeed(seed);
+  }
+
+  /**
+   * Get a wave's definition: scripted, or generated past the scripted waves in endless mode
+   * @param {number} waveNumber
+   * @returns {Object|null} Wave definition
+   */
+  getWaveDefinition(waveNumber) {
+    if (waveNumber > WAVE_CONFIG.totalWaves && this.isEndless()) {
+      return this.generator.getWave(waveNumber);
+    }
+
+    return getWaveConfig(waveNumber);
+  }
+
+  /**
+   * Get the reward for completing a wave
+   * @param {number} waveNumber
+   * @returns {number}
+   */
+  getWaveReward(waveNumber) {
+    const definition = this.getWaveDefinition(waveNumber);
+    if (definition?.generated) return definition.reward;
+
+    return getWaveReward(waveNumber);
   }
 
   /**
@@ -59,19 +165,27 @@ class WaveManager {
     }
 
     this.isWaveActive = true;
+    this.isBuildPhase = false;
+    this.buildTimeRemaining = 0;
+    this.openWaves.push(this.currentWave);
     this.waveStartTime = 0;
     this.waveElapsedTime = 0;
-    this.nextSpawnTime = 0;
-    this.currentSpawnIndex = 0;
-    this.currentSpawnCount = 0;
     this.allEnemiesSpawned = false;
     this.enemiesSpawnedThisWave = 0;
     this.waveStartedCount++;
 
+    // Groups without a start condition begin with the wave
+    const waveConfig = this.getWaveDefinition(this.currentWave);
+    this.groupStates = waveConfig.groups.map(group =>
+      group.after === undefined && !group.trigger
+        ? { status: 'spawning', countdown: group.offset || 0, spawned: 0 }
+        : { status: 'waiting', countdown: 0, spawned: 0 }
+    );
+
+    gameState.setTotalWaves(this.isEndless() ? 0 : this.totalWaves);
     gameState.setCurrentWave(this.currentWave);
     gameState.startWave();
 
-    const waveConfig = getWaveConfig(this.currentWave);
     console.log(`🌊 Wave ${this.currentWave} started: ${waveConfig.name}`);
   }
 
@@ -83,56 +197,63 @@ class WaveManager {
    * @returns {Array} Spawned enemies
    */
   update(deltaTime, enemyManager, gameState) {
-    if (!this.isInitialized || !this.isWaveActive) {
+    if (!this.isInitialized) {
+      return [];
+    }
+
+    // Build phase countdown, then the next wave starts on its own
+    if (this.isBuildPhase) {
+      this.buildTimeRemaining -= deltaTime;
+
+      if (this.buildTimeRemaining <= 0) {
+        this.startWave(enemyManager, gameState);
+      }
+    }
+
+    if (!this.isWaveActive) {
       return [];
     }
 
     this.waveElapsedTime += deltaTime;
-    this.nextSpawnTime -= deltaTime;
 
     const spawnedEnemies = [];
-    const waveConfig = getWaveConfig(this.currentWave);
+    const waveConfig = this.getWaveDefinition(this.currentWave);
 
     if (!waveConfig) {
       console.error('❌ Invalid wave config');
       return [];
     }
 
-    // Process spawning
-    while (
-      this.nextSpawnTime <= 0 &&
-      this.currentSpawnIndex < waveConfig.spawnPattern.length &&
-      !this.allEnemiesSpawned
-    ) {
-      const spawnGroup = waveConfig.spawnPattern[this.currentSpawnIndex];
+    // Process spawning, group by group (groups run in parallel)
+    waveConfig.groups.forEach((group, groupIndex) => {
+      const state = this.groupStates[groupIndex];
 
-      // Spawn one enemy from current group
-      if (this.currentSpawnCount < spawnGroup.count) {
-        const enemy = enemyManager.spawnEnemy(spawnGroup.type);
+      if (state.status === 'waiting') {
+        if (!this.canGroupStart(waveConfig, group, enemyManager)) return;
+
+        // The offset counts down from the next update
+        state.status = 'spawning';
+        state.countdown = group.offset || 0;
+      } else if (state.status === 'spawning') {
+        state.countdown -= deltaTime;
+      } else {
+        return;
+      }
 
-        if (enemy) {
-          spawnedEnemies.push(enemy);
-          this.enemiesSpawnedThisWave++;
-          this.currentSpawnCount++;
+      while (state.status === 'spawning' && state.countdown <= 0) {
+        spawnedEnemies.push(...this.spawnFormation(group, groupIndex, enemyManager));
 
+        if (state.spawned >= group.count) {
+          state.status = 'done';
+        } else {
           // Reset timer for next spawn
-          const spawnInterval = spawnGroup.interval;
-          this.nextSpawnTime = spawnInterval;
+          state.countdown = group.interval ?? WAVE_CONFIG.baseSpawnInterval;
         }
       }
-
-      // Move to next spawn group if current is complete
-      if (this.currentSpawnCount >= spawnGroup.count) {
-        this.currentSpawnIndex++;
-        this.currentSpawnCount = 0;
-      }
-    }
+    });
 
     // All enemies spawned
-    if (
-      this.currentSpawnIndex >= waveConfig.spawnPattern.length &&
-      !this.allEnemiesSpawned
-    ) {
+    if (!this.allEnemiesSpawned && this.groupStates.every(state => state.status === 'done')) {
       this.allEnemiesSpawned = true;
       console.log(`✓ All enemies spawned for wave ${this.currentWave}`);
     }
@@ -141,34 +262,235 @@ class WaveManager {
   }
 
   /**
-   * Complete current wave
+   * Spawn the next enemies of a group (one, or a whole formation)
+   * @private
+   * @returns {Array<Enemy>} Spawned enemies
+   */
+  spawnFormation(group, groupIndex, enemyManager) {
+    const state = this.groupStates[groupIndex];
+    const formation = WAVE_FORMATIONS[group.formation || 'single'];
+    const size = Math.min(formation.size, group.count - state.spawned);
+    const spawned = [];
+
+    for (let i = 0; i < size; i++) {
+      // Counted even if the spawn fails, so a bad group cannot stall the wave
+      state.spawned++;
+
+      const enemy = enemyManager.spawnEnemy(group.type, this.currentWave, {
+        lane: group.lane,
+        modifiers: group.modifiers,
+        boss: group.boss,
+      });
+      if (!enemy) continue;
+
+      enemy.waveNumber = this.currentWave;
+      enemy.spawnGroup = groupIndex;
+
+      // The first enemy of a formation leads, the others follow behind it
+      const lead = (size - 1 - i) * formation.spacing;
+      if (lead > 0) {
+        enemy.moveAlongPath(lead, 1);
+      }
+
+      spawned.push(enemy);
+      this.enemiesSpawnedThisWave++;
+
+      if (!(group.type in this.firstSpawnWave)) {
+        this.firstSpawnWave[group.type] = this.currentWave;
+      }
+    }
+
+    return spawned;
+  }
+
+  /**
+   * Check a waiting group's start condition (after and trigger)
+   * @private
+   */
+  canGroupStart(waveConfig, group, enemyManager) {
+    if (group.after !== undefined) {
+      const afterIndex = waveConfig.groups.findIndex(other => other.id === group.after);
+      if (this.groupStates[afterIndex]?.status !== 'done') return false;
+    }
+
+    if (group.trigger) {
+      return this.getClearedShare(waveConfig, group.trigger, enemyManager) >= group.trigger.cleared;
+    }
+
+    return true;
+  }
+
+  /**
+   * Share of a trigger's enemies killed or through: the enemies of
+   * trigger.group, or of every group without a trigger
+   * @private
+   * @returns {number} 0-1
+   */
+  getClearedShare(waveConfig, trigger, enemyManager) {
+    const groupIndexes = [];
+    waveConfig.groups.forEach((group, index) => {
+      const watched = trigger.group !== undefined ? group.id === trigger.group : !group.trigger;
+      if (watched) groupIndexes.push(index);
+    });
+
+    let total = 0;
+    let spawned = 0;
+    groupIndexes.forEach(index => {
+      total += waveConfig.groups[index].count;
+      spawned += this.groupStates[index].spawned;
+    });
+
+    if (total === 0) return 1;
+
+    const onField = enemyManager.countEnemiesFromWave(this.currentWave, groupIndexes);
+    return (spawned - onField) / total;
+  }
+
+  /**
+   * Complete a wave (all its enemies spawned and gone)
+   * Completing the current wave starts the build phase for the next one.
+   * The reward is returned for the engine to pay through MoneyManager
    * @param {GameState} gameState - For state updates
+   * @param {number} waveNumber - Wave to complete (default: current wave)
    * @returns {number} Reward money
    */
-  completeWave(gameState) {
-    if (!this.isWaveActive) {
+  completeWave(gameState, waveNumber = this.currentWave) {
+    const index = this.openWaves.indexOf(waveNumber);
+    if (index === -1) {
       return 0;
     }
 
-    this.isWaveActive = false;
+    this.openWaves.splice(index, 1);
     this.waveCompletedCount++;
 
-    const reward = getWaveReward(this.currentWave);
+    const reward = this.getWaveReward(waveNumber);
 
-    gameState.addMoney(reward);
-    gameState.completeWave();
+    gameState.completeWave(waveNumber);
 
-    console.log(`🎉 Wave ${this.currentWave} completed! Earned ${reward} gold`);
+    console.log(`🎉 Wave ${waveNumber} completed! Earned ${reward} gold`);
 
-    // Move to next wave
-    if (this.currentWave < this.totalWaves) {
-      this.currentWave++;
+    // An older, overlapped wave finishing does not move the wave counter
+    if (waveNumber !== this.currentWave) {
       return reward;
+    }
+
+    this.isWaveActive = false;
+    this.groupStates = [];
+    this.currentWave++;
+
+    if (this.currentWave <= this.totalWaves) {
+      this.startBuildPhase();
     } else {
-      // All waves completed
       console.log('✨ All waves completed! You win!');
-      return reward;
     }
+
+    return reward;
+  }
+
+  /**
+   * Start the countdown to the next wave
+   */
+  startBuildPhase() {
+    this.isBuildPhase = true;
+    this.buildTimeRemaining = BUILD_PHASE_CONFIG.duration;
+    console.log(`🔨 Build phase: wave ${this.currentWave} in ${BUILD_PHASE_CONFIG.duration}s`);
+  }
+
+  /**
+   * Check if the next wave can be called now: during the build phase, or
+   * (with allowOverlap) once the current wave has spawned all its enemies
+   * @returns {boolean}
+   */
+  canCallNextWave() {
+    if (this.isBuildPhase) return true;
+
+    return (
+      BUILD_PHASE_CONFIG.allowOverlap &&
+      this.isWaveActive &&
+      this.allEnemiesSpawned &&
+      this.currentWave < this.totalWaves
+    );
+  }
+
+  /**
+   * Bonus for calling the next wave now (the whole countdown when overlapping)
+   * @returns {number} Gold
+   */
+  getEarlyCallBonus() {
+    if (!this.canCallNextWave()) return 0;
+
+    const secondsSaved = this.isBuildPhase ? this.buildTimeRemaining : BUILD_PHASE_CONFIG.duration;
+    return Math.ceil(Math.max(0, secondsSaved) * BUILD_PHASE_CONFIG.earlyCallBonusPerSecond);
+  }
+
+  /**
+   * Start the next wave now
+   * The bonus is returned for the engine to pay through MoneyManager
+   * @param {EnemyManager} enemyManager - To spawn enemies
+   * @param {GameState} gameState - For state updates
+   * @returns {number|null} Early call bonus, or null if no wave can be called
+   */
+  callNextWave(enemyManager, gameState) {
+    if (!this.canCallNextWave()) {
+      return null;
+    }
+
+    const bonus = this.getEarlyCallBonus();
+
+    // Overlap: the current wave stays open until its enemies are gone
+    if (!this.isBuildPhase) {
+      this.currentWave++;
+    }
+
+    this.startWave(enemyManager, gameState);
+    console.log(`⏩ Wave ${this.currentWave} called early (+${bonus} gold)`);
+
+    return bonus;
+  }
+
+  /**
+   * Get the lanes the next wave comes down (warned about in the HUD)
+   * @returns {Array<string>} Lane ids in script order, empty if no wave is coming
+   */
+  getUpcomingLanes() {
+    const waveNumber = this.isBuildPhase ? this.currentWave : this.currentWave + 1;
+    if (waveNumber > this.totalWaves) return [];
+
+    const groups = this.getWaveDefinition(waveNumber)?.groups || [];
+    return [...new Set(groups.map(group => group.lane || 'main'))];
+  }
+
+  /**
+   * Check if a wave has spawned all its enemies
+   * @param {number} waveNumber
+   * @returns {boolean}
+   */
+  isWaveFinishedSpawning(waveNumber) {
+    return waveNumber < this.currentWave || (waveNumber === this.currentWave && this.allEnemiesSpawned);
+  }
+
+  /**
+   * Get the started waves that are not completed yet
+   * @returns {Array<number>} Wave numbers, oldest first
+   */
+  getOpenWaves() {
+    return [...this.openWaves];
+  }
+
+  /**
+   * Check if the build phase countdown is running
+   * @returns {boolean}
+   */
+  isInBuildPhase() {
+    return this.isBuildPhase;
+  }
+
+  /**
+   * Get seconds left before the next wave starts
+   * @returns {number}
+   */
+  getBuildTimeRemaining() {
+    return this.isBuildPhase ? Math.max(0, this.buildTimeRemaining) : 0;
   }
 
   /**
@@ -181,7 +503,7 @@ class WaveManager {
       this.completeWave(gameState);
     }
 
-    if (this.currentWave < this.totalWaves) {
+    if (this.currentWave <= this.totalWaves) {
       this.startWave(enemyManager, gameState);
     }
   }
@@ -191,7 +513,7 @@ class WaveManager {
    * @returns {Object} Wave configuration
    */
   getCurrentWaveConfig() {
-    return getWaveConfig(this.currentWave);
+    return this.getWaveDefinition(this.currentWave);
   }
 
   /**
@@ -207,7 +529,7 @@ class WaveManager {
    * @returns {boolean}
    */
   isAllWavesComplete() {
-    return this.currentWave > this.totalWaves && !this.isWaveActive;
+    return this.currentWave > this.totalWaves && !this.isWaveActive && this.openWaves.length === 0;
   }
 
   /**
@@ -233,13 +555,10 @@ class WaveManager {
   getWaveProgress() {
     if (!this.isWaveActive) return 0;
 
-    const waveConfig = getWaveConfig(this.currentWave);
+    const waveConfig = this.getWaveDefinition(this.currentWave);
     if (!waveConfig) return 0;
 
-    const totalSpawns = waveConfig.spawnPattern.reduce(
-      (sum, group) => sum + group.count,
-      0
-    );
+    const totalSpawns = countWaveEnemies(waveConfig);
 
     return Math.min(1, this.enemiesSpawnedThisWave / totalSpawns);
   }
@@ -259,25 +578,93 @@ class WaveManager {
     this.currentWave = 1;
     this.isWaveActive = false;
     this.waveElapsedTime = 0;
-    this.nextSpawnTime = 0;
-    this.currentSpawnIndex = 0;
-    this.currentSpawnCount = 0;
+    this.groupStates = [];
     this.allEnemiesSpawned = false;
     this.enemiesSpawnedThisWave = 0;
+    this.firstSpawnWave = {};
+    this.openWaves = [];
+    this.isBuildPhase = false;
+    this.buildTimeRemaining = 0;
 
     console.log('🔄 Wave manager reset');
   }
 
+  /**
+   * Get persistent state for save games (wave + spawn progress)
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      mode: this.mode,
+      currentWave: this.currentWave,
+      isWaveActive: this.isWaveActive,
+      waveElapsedTime: this.waveElapsedTime,
+      groupStates: this.groupStates.map(state => ({ ...state })),
+      allEnemiesSpawned: this.allEnemiesSpawned,
+      enemiesSpawnedThisWave: this.enemiesSpawnedThisWave,
+      waveStartedCount: this.waveStartedCount,
+      waveCompletedCount: this.waveCompletedCount,
+      firstSpawnWave: { ...this.firstSpawnWave },
+      openWaves: [...this.openWaves],
+      isBuildPhase: this.isBuildPhase,
+      buildTimeRemaining: this.buildTimeRemaining,
+    };
+  }
+
+  /**
+   * Restore state saved with serialize()
+   * Generated waves are rebuilt from the seed (restore the engine seed first)
+   * @param {Object} data - Saved wave state
+   */
+  restore(data) {
+    this.setMode(data.mode || GAME_MODES.CLASSIC);
+
+    Object.assign(this, {
+      currentWave: data.currentWave,
+      isWaveActive: data.isWaveActive,
+      waveElapsedTime: data.waveElapsedTime,
+      groupStates: data.isWaveActive ? this.restoreGroupStates(data.currentWave, data.groupStates || []) : [],
+      allEnemiesSpawned: data.allEnemiesSpawned,
+      enemiesSpawnedThisWave: data.enemiesSpawnedThisWave,
+      waveStartedCount: data.waveStartedCount,
+      waveCompletedCount: data.waveCompletedCount,
+      firstSpawnWave: { ...data.firstSpawnWave },
+      // Saves from before build phases: only the active wave was open
+      openWaves: data.openWaves ? [...data.openWaves] : (data.isWaveActive ? [data.currentWave] : []),
+      isBuildPhase: data.isBuildPhase || false,
+      buildTimeRemaining: data.buildTimeRemaining || 0,
+    });
+  }
+
+  /**
+   * Match saved group states to the wave's groups (missing ones wait)
+   * @private
+   */
+  restoreGroupStates(waveNumber, savedStates) {
+    const waveConfig = this.getWaveDefinition(waveNumber);
+    if (!waveConfig) return [];
+
+    return waveConfig.groups.map((group, index) => {
+      const state = { status: 'waiting', countdown: 0, spawned: 0, ...savedStates[index] };
+      if (state.status === 'done') state.spawned = group.count;
+      return state;
+    });
+  }
+
   /**
    * Get manager statistics
    * @returns {Object}
    */
   getStatistics() {
     return {
+      mode: this.mode,
       currentWave: this.currentWave,
       totalWaves: this.totalWaves,
       isActive: this.isWaveActive,
+      isBuildPhase: this.isBuildPhase,
+      openWaves: [...this.openWaves],
       enemiesSpawned: this.enemiesSpawnedThisWave,
+      firstSpawnWave: { ...this.firstSpawnWave },
       wavesCompleted: this.waveCompletedCount,
       wavesStarted: this.waveStartedCount,
     };
@@ -4,26 +4,56 @@
  * 
  * Wave System:
  * - 10 waves total
- * - Each wave has multiple enemy spawns
+ * - Each wave has multiple enemy spawn groups
  * - Scaling: health +15%, speed +8%, bounty +20% per wave
  * - Boss waves at wave 5 and 10
+ * - Endless mode: after the scripted waves, waves are generated from a
+ *   growing budget (ENDLESS_CONFIG, see EndlessWaveGenerator)
+ *
+ * Wave script - every wave (scripted or generated) is one JSON-compatible object:
+ * {
+ *   waveNumber: 1, name: 'Goblin Rush', description: '...', isBoss: false, baseReward: 50,
+ *   groups: [{
+ *     id: 'escort',          // Optional, for `after` and triggers
+ *     type: 'Goblin',        // Enemy type
+ *     count: 8,              // Enemies in the group
+ *     interval: 0.3,         // Seconds between spawns (default: baseSpawnInterval)
+ *     offset: 0,             // Seconds to wait once the group may start (default: 0)
+ *     after: 'scouts',       // Start when that group has spawned everything
+ *     trigger: { cleared: 0.5, group: 'escort' },
+ *                            // Start once this share of the group (default: of every group
+ *                            // without a trigger) has been killed or got through
+ *     lane: 'north',         // Map lane (default: 'main'), enemies keep to its path
+ *     formation: 'column',   // WAVE_FORMATIONS key (default: 'single')
+ *     modifiers: ['elite'],  // ENEMY_MODIFIERS keys (default: none)
+ *     boss: 'emberWyrm',     // BOSS_CONFIG key: spawn bosses (default: none)
+ *   }]
+ * }
+ *
+ * Groups without `after` or `trigger` start together (in parallel) with the
+ * wave. validateWaves (waveValidator.js) checks a script.
  */
 
+export const GAME_MODES = {
+  CLASSIC: 'classic', // The scripted waves, then victory
+  ENDLESS: 'endless', // The scripted waves, then generated waves until you lose
+};
+
 export const WAVE_CONFIG = {
   // Total number of waves
   totalWaves: 10,
 
-  // Base spawn interval (seconds between enemy spawns)
+  // Default seconds between spawns of a group
   baseSpawnInterval: 0.5,
 
-  // Waves array - each defines enemies to spawn
+  // Wave script (see the header for the group schema, validateWaves for the rules)
   waves: [
     {
       waveNumber: 1,
       name: 'Goblin Rush',
       description: 'A swarm of weak goblins',
-      spawnPattern: [
-        { type: 'Goblin', count: 8, interval: 0.3 },
+      groups: [
+        { id: 'goblins', type: 'Goblin', count: 8, interval: 0.3 },
       ],
       isBoss: false,
       baseReward: 50,
@@ -33,9 +63,9 @@ export const WAVE_CONFIG = {
       waveNumber: 2,
       name: 'Mixed Forces',
       description: 'Goblins and Dwarves',
-      spawnPattern: [
-        { type: 'Goblin', count: 6, interval: 0.4 },
-        { type: 'Dwarve', count: 3, interval: 0.5 },
+      groups: [
+        { id: 'goblins', type: 'Goblin', count: 6, interval: 0.4 },
+        { id: 'dwarves', type: 'Dwarve', count: 3, interval: 0.5, after: 'goblins', offset: 0.4 },
       ],
       isBoss: false,
       baseReward: 80,
@@ -45,9 +75,9 @@ export const WAVE_CONFIG = {
       waveNumber: 3,
       name: 'Elven Archers',
       description: 'Fast and deadly elves',
-      spawnPattern: [
-        { type: 'Elve', count: 7, interval: 0.3 },
-        { type: 'Goblin', count: 4, interval: 0.4 },
+      groups: [
+        { id: 'elves', type: 'Elve', count: 7, interval: 0.3 },
+        { id: 'goblins', type: 'Goblin', count: 4, interval: 0.4, after: 'elves', offset: 0.3 },
       ],
       isBoss: false,
       baseReward: 100,
@@ -56,10 +86,11 @@ export const WAVE_CONFIG = {
     {
       waveNumber: 4,
       name: 'Hobbits Invasion',
-      description: 'Fastest enemies yet',
-      spawnPattern: [
-        { type: 'Hobbit', count: 10, interval: 0.2 },
-        { type: 'Elve', count: 4, interval: 0.5 },
+      description: 'Fastest enemies yet, in packs, with harpies overhead',
+      groups: [
+        { id: 'hobbits', type: 'Hobbit', count: 10, interval: 1.0, formation: 'pack' },
+        { id: 'harpies', type: 'Harpy', count: 3, interval: 0.8, offset: 2.0 },
+        { id: 'elves', type: 'Elve', count: 4, interval: 0.5, after: 'hobbits', offset: 1.0 },
       ],
       isBoss: false,
       baseReward: 120,
@@ -68,11 +99,11 @@ export const WAVE_CONFIG = {
     {
       waveNumber: 5,
       name: 'Dragon Awakens!',
-      description: 'A powerful boss dragon',
-      spawnPattern: [
-        { type: 'Hobbit', count: 5, interval: 0.3 },
-        { type: 'Dragon', count: 1, interval: 2.0 },
-        { type: 'Dwarve', count: 3, interval: 0.5 },
+      description: 'The Ember Wyrm, a boss dragon that breathes fire',
+      groups: [
+        { id: 'hobbits', type: 'Hobbit', count: 5, interval: 0.3 },
+        { id: 'dragon', type: 'Dragon', count: 1, interval: 2.0, after: 'hobbits', offset: 0.3, boss: 'emberWyrm' },
+        { id: 'dwarves', type: 'Dwarve', count: 3, interval: 0.5, after: 'dragon', offset: 2.0 },
       ],
       isBoss: true,
       baseReward: 250,
@@ -81,11 +112,12 @@ export const WAVE_CONFIG = {
     {
       waveNumber: 6,
       name: 'Veteran Mix',
-      description: 'Stronger versions of previous enemies',
-      spawnPattern: [
-        { type: 'Dwarve', count: 8, interval: 0.4 },
-        { type: 'Elve', count: 6, interval: 0.3 },
-        { type: 'Goblin', count: 4, interval: 0.5 },
+      description: 'Elves flank from the north, shamans heal the dwarves',
+      groups: [
+        { id: 'dwarves', type: 'Dwarve', count: 8, interval: 0.4 },
+        { id: 'shamans', type: 'Shaman', count: 2, interval: 1.2, offset: 1.0 },
+        { id: 'elves', type: 'Elve', count: 6, interval: 0.3, offset: 2.0, lane: 'north' },
+        { id: 'goblins', type: 'Goblin', count: 4, interval: 0.5, after: 'dwarves', offset: 0.4 },
       ],
       isBoss: false,
       baseReward: 150,
@@ -94,10 +126,11 @@ export const WAVE_CONFIG = {
     {
       waveNumber: 7,
       name: 'Speedster Wave',
-      description: 'All fast enemies',
-      spawnPattern: [
-        { type: 'Hobbit', count: 15, interval: 0.2 },
-        { type: 'Elve', count: 8, interval: 0.3 },
+      description: 'All fast enemies, from both sides',
+      groups: [
+        { id: 'hobbits', type: 'Hobbit', count: 15, interval: 0.2 },
+        { id: 'elves', type: 'Elve', count: 8, interval: 0.3, offset: 1.5, lane: 'north', modifiers: ['hasted'] },
+        { id: 'wargs', type: 'Warg', count: 6, interval: 0.6, after: 'hobbits', offset: 0.2 },
       ],
       isBoss: false,
       baseReward: 180,
@@ -106,11 +139,12 @@ export const WAVE_CONFIG = {
     {
       waveNumber: 8,
       name: 'Tanker Formation',
-      description: 'Heavy hitters',
-      spawnPattern: [
-        { type: 'Dragon', count: 1, interval: 1.5 },
-        { type: 'Dwarve', count: 12, interval: 0.3 },
-        { type: 'Goblin', count: 8, interval: 0.4 },
+      description: 'Shielded dwarves march in columns behind a dragon',
+      groups: [
+        { id: 'dragon', type: 'Dragon', count: 1, interval: 1.5 },
+        { id: 'dwarves', type: 'Dwarve', count: 12, interval: 0.9, after: 'dragon', offset: 1.5, formation: 'column', modifiers: ['shielded'] },
+        { id: 'goblins', type: 'Goblin', count: 8, interval: 0.4, after: 'dwarves', offset: 0.3 },
+        { id: 'trolls', type: 'Troll', count: 3, interval: 1.5, after: 'goblins', offset: 0.4 },
       ],
       isBoss: false,
       baseReward: 200,
@@ -119,12 +153,14 @@ export const WAVE_CONFIG = {
     {
       waveNumber: 9,
       name: 'Chaos Storm',
-      description: 'Everything at once',
-      spawnPattern: [
-        { type: 'Hobbit', count: 12, interval: 0.2 },
-        { type: 'Elve', count: 10, interval: 0.3 },
-        { type: 'Dwarve', count: 6, interval: 0.4 },
-        { type: 'Goblin', count: 8, interval: 0.5 },
+      description: 'Everything at once, down every lane',
+      groups: [
+        { id: 'hobbits', type: 'Hobbit', count: 12, interval: 0.2 },
+        { id: 'elves', type: 'Elve', count: 10, interval: 0.3, lane: 'north' },
+        { id: 'dwarves', type: 'Dwarve', count: 6, interval: 0.4, offset: 2.0 },
+        { id: 'goblins', type: 'Goblin', count: 8, interval: 0.5, offset: 3.0, lane: 'south' },
+        { id: 'knights', type: 'Knight', count: 4, interval: 0.8, after: 'dwarves', offset: 0.4 },
+        { id: 'necromancers', type: 'Necromancer', count: 2, interval: 2.0, offset: 4.0 },
       ],
       isBoss: false,
       baseReward: 220,
@@ -133,12 +169,12 @@ export const WAVE_CONFIG = {
     {
       waveNumber: 10,
       name: 'Final Boss: Two Dragons',
-      description: 'The ultimate challenge',
-      spawnPattern: [
-        { type: 'Dragon', count: 2, interval: 3.0 },
-        { type: 'Dwarve', count: 15, interval: 0.3 },
-        { type: 'Elve', count: 12, interval: 0.3 },
-        { type: 'Hobbit', count: 20, interval: 0.2 },
+      description: 'The dragons arrive once half the army has fallen',
+      groups: [
+        { id: 'dwarves', type: 'Dwarve', count: 15, interval: 0.3 },
+        { id: 'elves', type: 'Elve', count: 12, interval: 0.3, offset: 1.0, lane: 'north' },
+        { id: 'hobbits', type: 'Hobbit', count: 20, interval: 0.2, after: 'dwarves', offset: 0.3 },
+        { id: 'dragons', type: 'Dragon', count: 2, interval: 3.0, trigger: { cleared: 0.5 }, boss: 'elderDragon' },
       ],
       isBoss: true,
       baseReward: 500,
@@ -146,6 +182,65 @@ export const WAVE_CONFIG = {
   ],
 };
 
+/**
+ * Spawn formations
+ * A group spawns `size` enemies at a time (every interval), each one
+ * `spacing` pixels behind the previous along the path
+ */
+export const WAVE_FORMATIONS = {
+  single: { size: 1, spacing: 0 },  // One at a time
+  column: { size: 3, spacing: 22 }, // Three in a tight column
+  pack: { size: 5, spacing: 10 },   // Five bunched together
+};
+
+/**
+ * Build phase between waves
+ * After a wave is cleared the next one starts when the countdown runs out;
+ * the player can call it early for a bonus
+ */
+export const BUILD_PHASE_CONFIG = {
+  duration: 15,                 // Countdown in seconds (game time)
+  earlyCallBonusPerSecond: 3,   // Gold per second left on the countdown
+  allowOverlap: true,           // Call the next wave once the current one has spawned, enemies still on the field
+};
+
+/**
+ * Endless mode wave generation
+ * Each generated wave gets a budget and buys random enemies with it;
+ * an enemy's cost comes from its stats (see EndlessWaveGenerator.getEnemyCost)
+ */
+export const ENDLESS_CONFIG = {
+  // Budget curve: baseBudget * waveNumber ^ budgetExponent
+  baseBudget: 30,
+  budgetExponent: 1.6,
+
+  // First wave each enemy type may be bought in (types not listed: wave 1)
+  enemyUnlockWave: {
+    Warg: 11,
+    Knight: 11,
+    Harpy: 11,
+    Shaman: 12,
+    Troll: 13,
+    Dragon: 15,
+    Necromancer: 16,
+  },
+
+  // Boss every N waves (matches the scripted boss waves 5 and 10)
+  bossInterval: 5,
+  bossType: 'Dragon',
+  bossId: 'elderDragon', // BOSS_CONFIG key
+  bossCount: (waveNumber) => 1 + Math.floor(waveNumber / 20),
+  bossSpawnDelay: 2.0, // Seconds after a boss before the next spawn
+
+  // Spawning
+  minSpawnInterval: 0.15,
+  maxEnemiesPerWave: 300,
+
+  // Rewards
+  rewardPerBudget: 0.25,
+  bossReward: 300,
+};
+
 /**
  * Get wave configuration by wave number
  * @param {number} waveNumber - Wave number (1-10)
@@ -170,6 +265,15 @@ export function getSpawnInterval(waveNumber) {
   return Math.max(0.1, WAVE_CONFIG.baseSpawnInterval * speedMultiplier);
 }
 
+/**
+ * Count the enemies a wave definition spawns
+ * @param {Object} wave - Wave definition (scripted or generated)
+ * @returns {number}
+ */
+export function countWaveEnemies(wave) {
+  return wave.groups.reduce((total, group) => total + group.count, 0);
+}
+
 /**
  * Get total enemy count for wave
  * @param {number} waveNumber - Wave number
@@ -179,7 +283,7 @@ export function getWaveEnemyCount(waveNumber) {
   const config = getWaveConfig(waveNumber);
   if (!config) return 0;
 
-  return config.spawnPattern.reduce((total, spawn) => total + spawn.count, 0);
+  return countWaveEnemies(config);
 }
 
 /**
@@ -207,7 +311,7 @@ export function getWaveDifficulty(waveNumber) {
   // Simple difficulty: increases with wave number and complexity
   const baseScore = waveNumber * 10;
   const config = getWaveConfig(waveNumber);
-  const spawnCount = config.spawnPattern.length;
+  const spawnCount = config.groups.length;
 
   return baseScore + spawnCount * 5;
 }
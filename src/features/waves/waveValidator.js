@@ -0,0 +1,254 @@
+/**
+ * Wave Validator
+ * Checks wave scripts (the schema is documented in waveConfig.js).
+ *
+ * Every problem is reported with the index of its wave and group, so a
+ * broken script points straight at the line to fix:
+ *   { waveIndex: 9, groupIndex: 3, message: 'unknown enemy type "Dragn"' }
+ * groupIndex is null for problems with the wave itself.
+ *
+ * WaveManager validates the scripted waves on initialize and refuses to
+ * start with an invalid script.
+ */
+
+import { WAVE_FORMATIONS } from './waveConfig.js';
+import { getEnemyTypes, getModifier } from '../enemies/enemyConfig.js';
+import { getBossConfig } from '../enemies/bossConfig.js';
+
+const WAVE_KEYS = ['waveNumber', 'name', 'description', 'groups', 'isBoss', 'baseReward'];
+const GROUP_KEYS = ['id', 'type', 'count', 'interval', 'offset', 'after', 'trigger', 'lane', 'formation', 'modifiers', 'boss'];
+const TRIGGER_KEYS = ['cleared', 'group'];
+
+/**
+ * Validate a list of waves
+ * @param {Array<Object>} waves - Wave definitions
+ * @param {Object} context - What the waves may reference (optional)
+ * @param {Array<string>} context.enemyTypes - Known enemy types (default: every enemy type)
+ * @param {Array<string>} context.lanes - Lane ids of the map (default: not checked)
+ * @returns {Array<Object>} Errors [{ waveIndex, groupIndex, message }], empty if valid
+ */
+export function validateWaves(waves, context = {}) {
+  if (!Array.isArray(waves)) {
+    return [{ waveIndex: null, groupIndex: null, message: 'waves must be an array' }];
+  }
+
+  return waves.flatMap((wave, waveIndex) => validateWave(wave, waveIndex, context));
+}
+
+/**
+ * Validate one wave
+ * @param {Object} wave - Wave definition
+ * @param {number} waveIndex - Index reported with errors
+ * @param {Object} context - See validateWaves
+ * @returns {Array<Object>} Errors
+ */
+export function validateWave(wave, waveIndex, { enemyTypes = getEnemyTypes(), lanes = null } = {}) {
+  const errors = [];
+  const report = (groupIndex, message) => errors.push({ waveIndex, groupIndex, message });
+
+  if (!isObject(wave)) {
+    report(null, 'wave must be an object');
+    return errors;
+  }
+
+  reportUnknownKeys(wave, WAVE_KEYS, message => report(null, message));
+
+  if (wave.waveNumber !== undefined && wave.waveNumber !== waveIndex + 1) {
+    report(null, `waveNumber is ${wave.waveNumber}, expected ${waveIndex + 1}`);
+  }
+
+  if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+    report(null, 'groups must be a non-empty array');
+    return errors;
+  }
+
+  // Group ids (for after / trigger references)
+  const ids = new Map();
+  wave.groups.forEach((group, groupIndex) => {
+    if (!isObject(group) || group.id === undefined) return;
+
+    if (typeof group.id !== 'string' || group.id === '') {
+      report(groupIndex, 'id must be a non-empty string');
+    } else if (ids.has(group.id)) {
+      report(groupIndex, `duplicate id "${group.id}" (also group ${ids.get(group.id)})`);
+    } else {
+      ids.set(group.id, groupIndex);
+    }
+  });
+
+  wave.groups.forEach((group, groupIndex) => {
+    const groupReport = message => report(groupIndex, message);
+
+    if (!isObject(group)) {
+      groupReport('group must be an object');
+      return;
+    }
+
+    reportUnknownKeys(group, GROUP_KEYS, groupReport);
+
+    if (!enemyTypes.includes(group.type)) {
+      groupReport(`unknown enemy type "${group.type}"`);
+    }
+
+    if (!Number.isInteger(group.count) || group.count < 1) {
+      groupReport('count must be a positive integer');
+    }
+
+    if (group.interval !== undefined && !isNonNegativeNumber(group.interval)) {
+      groupReport('interval must be a number >= 0');
+    }
+
+    if (group.offset !== undefined && !isNonNegativeNumber(group.offset)) {
+      groupReport('offset must be a number >= 0');
+    }
+
+    if (group.after !== undefined) {
+      checkReference(group.after, 'after', group, ids, groupReport);
+    }
+
+    if (group.trigger !== undefined) {
+      if (!isObject(group.trigger)) {
+        groupReport('trigger must be an object');
+      } else {
+        reportUnknownKeys(group.trigger, TRIGGER_KEYS, message => groupReport(`trigger: ${message}`));
+
+        const { cleared } = group.trigger;
+        if (typeof cleared !== 'number' || cleared <= 0 || cleared > 1) {
+          groupReport('trigger.cleared must be a share between 0 (excluded) and 1');
+        }
+
+        if (group.trigger.group !== undefined) {
+          checkReference(group.trigger.group, 'trigger.group', group, ids, groupReport);
+        }
+      }
+    }
+
+    if (group.lane !== undefined && lanes && !lanes.includes(group.lane)) {
+      groupReport(`unknown lane "${group.lane}" (map has: ${lanes.join(', ')})`);
+    }
+
+    if (group.formation !== undefined && !WAVE_FORMATIONS[group.formation]) {
+      groupReport(`unknown formation "${group.formation}"`);
+    }
+
+    if (group.modifiers !== undefined) {
+      if (!Array.isArray(group.modifiers)) {
+        groupReport('modifiers must be an array');
+      } else {
+        group.modifiers
+          .filter(modifierId => !getModifier(modifierId))
+          .forEach(modifierId => groupReport(`unknown modifier "${modifierId}"`));
+      }
+    }
+
+    if (group.boss !== undefined && !getBossConfig(group.boss)) {
+      groupReport(`unknown boss "${group.boss}"`);
+    }
+  });
+
+  // Something has to start the wave
+  const startsAtOnce = wave.groups.some(group => isObject(group) && group.after === undefined && group.trigger === undefined);
+  if (!startsAtOnce) {
+    report(null, 'at least one group must start with the wave (no after or trigger)');
+  }
+
+  // Groups waiting on each other would never spawn
+  const cycle = findDependencyCycle(wave.groups, ids);
+  if (cycle) {
+    report(cycle[0], `groups wait on each other: ${cycle.join(' -> ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Format an error for logs
+ * @param {Object} error - { waveIndex, groupIndex, message }
+ * @returns {string} e.g. 'wave 10 (#9), group 3: unknown enemy type "Dragn"'
+ */
+export function formatWaveError({ waveIndex, groupIndex, message }) {
+  if (waveIndex === null) return message;
+
+  const where = `wave ${waveIndex + 1} (#${waveIndex})`;
+  return groupIndex === null ? `${where}: ${message}` : `${where}, group ${groupIndex}: ${message}`;
+}
+
+/**
+ * Check an id reference (after, trigger.group)
+ * @private
+ */
+function checkReference(id, field, group, ids, report) {
+  if (!ids.has(id)) {
+    report(`${field} references unknown group "${id}"`);
+  } else if (id === group.id) {
+    report(`${field} references the group itself`);
+  }
+}
+
+/**
+ * Report keys that are not part of the schema (usually typos)
+ * @private
+ */
+function reportUnknownKeys(object, knownKeys, report) {
+  Object.keys(object)
+    .filter(key => !knownKeys.includes(key))
+    .forEach(key => report(`unknown key "${key}"`));
+}
+
+/**
+ * Find groups that wait on each other (after / trigger.group)
+ * @private
+ * @returns {Array<number>|null} Group indexes of the cycle
+ */
+function findDependencyCycle(groups, ids) {
+  const dependencies = groups.map(group => {
+    if (!isObject(group)) return [];
+
+    return [group.after, group.trigger?.group]
+      .filter(id => id !== undefined && id !== group.id && ids.has(id))
+      .map(id => ids.get(id));
+  });
+
+  const state = groups.map(() => 'new');
+  const stack = [];
+
+  const visit = (index) => {
+    if (state[index] === 'done') return null;
+    if (state[index] === 'visiting') return [...stack.slice(stack.indexOf(index)), index];
+
+    state[index] = 'visiting';
+    stack.push(index);
+
+    for (const dependency of dependencies[index]) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+
+    stack.pop();
+    state[index] = 'done';
+    return null;
+  };
+
+  for (let index = 0; index < groups.length; index++) {
+    const cycle = visit(index);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/** @private */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** @private */
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+export default {
+  validateWaves,
+  validateWave,
+  formatWaveError,
+};
@@ -15,8 +15,11 @@
 
 import GameEngine from './core/GameEngine.js';
 import WebSurface from './rendering/WebSurface.js';
-import { CANVAS_CONFIG } from './utils/constants.js';
-import { handleTowerPlacement } from './features/ui/eventHandlers.js';
+import { CANVAS_CONFIG, DIFFICULTY_PRESETS } from './utils/constants.js';
+import { SAVE_CONFIG } from './features/save/saveConfig.js';
+import { GAME_MODES } from './features/waves/waveConfig.js';
+import { getMutator } from './features/enemies/enemyConfig.js';
+import { getMapConfig } from './maps/mapConfig.js';
 
 
 // ============================================
@@ -53,20 +56,32 @@ async function initializeGame() {
     console.log('✅ RenderSurface created');
 
     // Create GameEngine and inject RenderSurface
-    gameEngine = new GameEngine(renderSurface);
+    gameEngine = new GameEngine(renderSurface, {
+      mode: getRequestedMode(),
+      map: getRequestedMap(),
+      ...getRequestedScaling(),
+    });
 
     // Initialize all systems
     await gameEngine.initialize();
 
+    // Record every match so it can be shared as a replay
+    gameEngine.startRecording();
+
     // Setup event listeners
     setupKeyboardShortcuts();
     setupUIEventListeners();
     setupCanvasEventListeners();
     setupWindowEventListeners();
+    updateTowerCardPrices();
 
     console.log('✅ Game ready to start!');
     console.log('💡 Press SPACE or click START to begin');
 
+    if (gameEngine.getSaveManager().getLatestSlot()) {
+      console.log('💾 Saved game found - press L to continue');
+    }
+
   } catch (error) {
     console.error('❌ Failed to initialize game:', error);
     showErrorDialog('Failed to initialize game. Check console for details.');
@@ -110,6 +125,51 @@ function setupKeyboardShortcuts() {
         handleDebugKey();
         break;
 
+      case 'KeyS':
+        event.preventDefault();
+        handleQuickSaveKey();
+        break;
+
+      case 'KeyL':
+        event.preventDefault();
+        handleLoadKey();
+        break;
+
+      case 'KeyN':
+        event.preventDefault();
+        handleNextWaveKey();
+        break;
+
+      case 'KeyC':
+        event.preventDefault();
+        handleDamageChartKey();
+        break;
+
+      case 'KeyT':
+        event.preventDefault();
+        handleTargetingKey(event.shiftKey ? -1 : 1);
+        break;
+
+      case 'KeyF':
+        event.preventDefault();
+        handleFocusClearKey();
+        break;
+
+      case 'KeyU':
+        event.preventDefault();
+        handleUpgradeKey();
+        break;
+
+      case 'KeyE':
+        event.preventDefault();
+        handleRepairKey();
+        break;
+
+      case 'KeyX':
+        event.preventDefault();
+        handleSellKey();
+        break;
+
       // Number keys for tower selection (1-9)
       case 'Digit1':
       case 'Digit2':
@@ -216,6 +276,144 @@ function handleDebugKey() {
   console.log('==================');
 }
 
+/**
+ * Handle S key - Quicksave
+ */
+function handleQuickSaveKey() {
+  if (!gameEngine) return;
+
+  const gameState = gameEngine.getGameState();
+  if (!gameState.getGameRunning()) {
+    console.warn('⚠️ Nothing to save - game is not running');
+    return;
+  }
+
+  gameEngine.saveGame(SAVE_CONFIG.quicksaveSlot);
+}
+
+/**
+ * Handle L key - Load the most recent save (quicksave or autosave)
+ */
+function handleLoadKey() {
+  if (!gameEngine) return;
+
+  const slot = gameEngine.getSaveManager().getLatestSlot();
+  if (!slot) {
+    console.warn('⚠️ No saved game found');
+    return;
+  }
+
+  if (gameEngine.loadGame(slot)) {
+    console.log('▶️ Press SPACE to resume');
+  }
+}
+
+/**
+ * Handle N key - Call the next wave early (build phase bonus)
+ */
+function handleNextWaveKey() {
+  if (!gameEngine) return;
+
+  if (!gameEngine.callNextWave()) {
+    console.log('⏳ No wave can be called right now');
+  }
+}
+
+/**
+ * Handle C key - Show/hide the damage type × armor class chart
+ */
+function handleDamageChartKey() {
+  if (!gameEngine) return;
+
+  gameEngine.getManager('ui').toggleDamageChart();
+}
+
+/**
+ * Handle T key - Next targeting mode for the selected towers (shift+T: previous)
+ * @param {number} step - 1 or -1
+ */
+function handleTargetingKey(step) {
+  if (!gameEngine) return;
+
+  gameEngine.getManager('ui').requestTargetingModeChange(step, gameEngine);
+}
+
+/**
+ * Handle F key - Release the focus fire of the selected towers
+ */
+function handleFocusClearKey() {
+  if (!gameEngine) return;
+
+  gameEngine.getManager('ui').requestFocusClear(gameEngine);
+}
+
+/**
+ * Handle U key - Upgrade the selected tower (specializations are picked in the panel),
+ * or rebuild it if it is in ruins
+ */
+function handleUpgradeKey() {
+  if (!gameEngine) return;
+
+  const uiManager = gameEngine.getManager('ui');
+
+  if (uiManager.getSelectedTower()?.isDead) {
+    uiManager.requestTowerRebuild(gameEngine);
+  } else {
+    uiManager.requestTowerUpgrade(gameEngine);
+  }
+}
+
+/**
+ * Handle E key - Repair the selected tower
+ */
+function handleRepairKey() {
+  if (!gameEngine) return;
+
+  gameEngine.getManager('ui').requestTowerRepair(gameEngine);
+}
+
+/**
+ * Handle X key - Sell the selected tower (or clear its ruins)
+ */
+function handleSellKey() {
+  if (!gameEngine) return;
+
+  gameEngine.getManager('ui').requestTowerSell(gameEngine);
+}
+
+/**
+ * Handle a click on a tower panel row
+ * @param {Object} control - { action, value } from UIRenderer.getControlAt
+ */
+function handlePanelControl({ action, value }) {
+  const uiManager = gameEngine.getManager('ui');
+
+  switch (action) {
+    case 'targeting':
+      uiManager.requestTargetingModeChange(value, gameEngine);
+      break;
+
+    case 'upgrade':
+      uiManager.requestTowerUpgrade(gameEngine, value);
+      break;
+
+    case 'rebuild':
+      uiManager.requestTowerRebuild(gameEngine);
+      break;
+
+    case 'repair':
+      uiManager.requestTowerRepair(gameEngine);
+      break;
+
+    case 'sell':
+      uiManager.requestTowerSell(gameEngine);
+      break;
+
+    default:
+      break;
+  }
+}
+
 /**
  * Handle tower selection keys (1-9)
  * @param {string} keyCode - The key code pressed
@@ -245,6 +443,8 @@ function setupUIEventListeners() {
   const startButton = document.getElementById('start');
   const pauseButton = document.getElementById('pause');
   const resetButton = document.getElementById('reset');
+  const nextWaveButton = document.getElementById('nextWave');
+  const damageChartButton = document.getElementById('damageChart');
 
   // Start button
   if (startButton) {
@@ -273,6 +473,16 @@ function setupUIEventListeners() {
     });
   }
 
+  // Next wave button
+  if (nextWaveButton) {
+    nextWaveButton.addEventListener('click', handleNextWaveKey);
+  }
+
+  // Damage chart button
+  if (damageChartButton) {
+    damageChartButton.addEventListener('click', handleDamageChartKey);
+  }
+
   // Reset button
   if (resetButton) {
     resetButton.addEventListener('click', () => {
@@ -284,6 +494,55 @@ function setupUIEventListeners() {
   console.log('🎮 UI event listeners configured');
 }
 
+/**
+ * Game mode from the page URL (?mode=endless), classic by default
+ * @returns {string} GAME_MODES value
+ */
+function getRequestedMode() {
+  const mode = new URLSearchParams(window.location.search).get('mode');
+  return Object.values(GAME_MODES).includes(mode) ? mode : GAME_MODES.CLASSIC;
+}
+
+/**
+ * Map from the page URL (?map=field), the first map by default
+ * @returns {string|undefined} MAP_CONFIGS id
+ */
+function getRequestedMap() {
+  const mapId = new URLSearchParams(window.location.search).get('map');
+  return getMapConfig(mapId) ? mapId : undefined;
+}
+
+/**
+ * Difficulty and mutators from the page URL (?difficulty=hard&mutators=armored,swift)
+ * Unknown values are dropped
+ * @returns {Object} {difficulty, mutators}
+ */
+function getRequestedScaling() {
+  const params = new URLSearchParams(window.location.search);
+  const difficulty = params.get('difficulty');
+  const mutators = (params.get('mutators') || '').split(',').filter(id => getMutator(id));
+
+  return {
+    difficulty: DIFFICULTY_PRESETS[difficulty] ? difficulty : 'normal',
+    mutators,
+  };
+}
+
+/**
+ * Show the real (difficulty-adjusted) price on each tower card
+ * Cards name their tower with data-tower-type
+ */
+function updateTowerCardPrices() {
+  const pricing = gameEngine.getPricing();
+
+  document.querySelectorAll('.towerCard[data-tower-type]').forEach(card => {
+    const priceLabel = card.querySelector('.price');
+    if (priceLabel) {
+      priceLabel.textContent = `${pricing.getTowerCost(card.dataset.towerType)}💰`;
+    }
+  });
+}
+
 // ============================================
 // CANVAS EVENT LISTENERS
 // ============================================
@@ -335,7 +594,7 @@ function setupCanvasEventListeners() {
 }
 
 /**
- * Handle canvas click - Tower placement
+ * Handle canvas click - Tower placement, selection (shift-click adds) and focus fire
  */
 function handleCanvasClick(event) {
   const gameState = gameEngine.getGameState();
@@ -348,11 +607,18 @@ function handleCanvasClick(event) {
   const screenX = event.clientX - rect.left;
   const screenY = event.clientY - rect.top;
 
+  // Tower panel controls are drawn in screen space
+  const control = gameEngine.renderers.ui.getControlAt(screenX, screenY);
+  if (control) {
+    handlePanelControl(control);
+    return;
+  }
+
   // Convert screen coordinates to world coordinates
   const { x: worldX, y: worldY } = renderSurface.screenToWorld(screenX, screenY);
 
-  // Delegate to event handler for tower placement
-  handleTowerPlacement(worldX, worldY, gameEngine);
+  // Delegate to UI manager (placing, selecting or focusing)
+  gameEngine.getManager('ui').handleClick(worldX, worldY, gameEngine, event.shiftKey);
 }
 
 /**
@@ -370,6 +636,9 @@ function handleCanvasMouseMove(event) {
     Math.floor(worldX / CANVAS_CONFIG.tileSize),
     Math.floor(worldY / CANVAS_CONFIG.tileSize)
   );
+
+  // Enemy tooltip follows the pointer
+  gameEngine.getManager('ui').setPointer({ x: worldX, y: worldY });
 }
 
 /**
@@ -414,6 +683,7 @@ function handleCanvasMouseUp(event) {
  */
 function handleCanvasMouseLeave(event) {
   gameEngine.getGameState().clearHoveredGridCell();
+  gameEngine.getManager('ui').setPointer(null);
 }
 
 /**
@@ -456,6 +726,16 @@ function setupWindowEventListeners() {
     }
   });
 
+  // Keep long runs across page reloads
+  window.addEventListener('beforeunload', () => {
+    if (!gameEngine) return;
+
+    const gameState = gameEngine.getGameState();
+    if (gameState.getGameRunning() && !gameState.getGameOver() && !gameState.getGameWon()) {
+      gameEngine.saveGame(SAVE_CONFIG.autosaveSlot);
+    }
+  });
+
   // Handle window resize
   window.addEventListener('resize', () => {
     if (!gameEngine) return;
@@ -505,6 +785,52 @@ function showErrorDialog(message) {
   }, 5000);
 }
 
+/**
+ * Download the current match as a replay file (for bug reports)
+ */
+function downloadReplay() {
+  if (!gameEngine || !gameEngine.recorder) return;
+
+  const json = gameEngine.recorder.serialize();
+  const blob = new Blob([json], { type: 'application/json' });
+  const link = document.createElement('a');
+
+  link.href = URL.createObjectURL(blob);
+  link.download = `replay-${gameEngine.getSeed()}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+
+  console.log('🎥 Replay downloaded');
+}
+
+/**
+ * Download the current game as a JSON save file
+ */
+function exportSave() {
+  if (!gameEngine) return;
+
+  const json = gameEngine.getSaveManager().exportJSON();
+  const blob = new Blob([json], { type: 'application/json' });
+  const link = document.createElement('a');
+
+  link.href = URL.createObjectURL(blob);
+  link.download = `tower-defense-save-wave-${gameEngine.getManager('wave').getCurrentWave()}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+
+  console.log('💾 Save exported');
+}
+
+/**
+ * Load a JSON save file exported with exportSave()
+ * @param {string} json - Save file contents
+ * @returns {boolean} Success
+ */
+function importSave(json) {
+  if (!gameEngine) return false;
+  return gameEngine.getSaveManager().importJSON(json);
+}
+
 /**
  * Get game engine instance (for console debugging)
  * @returns {GameEngine} The game engine instance
@@ -537,5 +863,8 @@ window.gameEngine = gameEngine;
 window.renderSurface = renderSurface;
 window.getGameEngine = getGameEngine;
 window.getRenderSurface = getRenderSurface;
+window.downloadReplay = downloadReplay;
+window.exportSave = exportSave;
+window.importSave = importSave;
 
 console.log('📄 main.js loaded (Platform → RenderSurface → GameEngine)');
\ No newline at end of file
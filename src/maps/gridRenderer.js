@@ -1,6 +1,7 @@
 /**
  * gridRenderer.js
  * Renders the map grid, blocked tiles, and tower spots using RenderSurface.
+ * Open field maps have no tower spots: any free tile takes a tower.
  * Platform-agnostic: uses RenderSurface, not Canvas directly.
  */
 
@@ -24,7 +25,7 @@ class GridRenderer {
    * @param {Object} mapConfig
    */
   render(mapConfig) {
-    const { cols, rows, tileSize, gridColor, blocked, blockedColor, towerSpots, towerSpotColor, background } = mapConfig;
+    const { cols, rows, tileSize, gridColor, blocked, blockedColor, towerSpots = [], towerSpotColor, background } = mapConfig;
 
     // Draw background
     this.renderSurface.drawRect(0, 0, cols * tileSize, rows * tileSize, background || '#222244');
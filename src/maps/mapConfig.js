@@ -2,6 +2,14 @@
  * mapConfig.js
  * Defines map layouts, paths, and tile types for tower defense levels.
  * Supports multiple maps, spawn/end points, and pathfinding.
+ *
+ * Lanes: the main lane runs from `spawn` along `path` to `end` (shown as
+ * `mainLaneName`); `lanes` adds named lanes, each entering and leaving the
+ * map where its own path starts and ends. Wave groups pick a lane by id.
+ *
+ * Maps either declare their enemy paths (`path`, and `path` on every lane)
+ * or are open fields (`openField: true`): enemies then find their route on
+ * the grid from `spawn` to `end` (lanes: their own `spawn` and `end`).
  */
 
 export const MAP_CONFIGS = [
@@ -17,6 +25,32 @@ export const MAP_CONFIGS = [
       { x: 0, y: 7 }, { x: 5, y: 7 }, { x: 5, y: 3 }, { x: 10, y: 3 },
       { x: 10, y: 11 }, { x: 15, y: 11 }, { x: 15, y: 7 }, { x: 19, y: 7 }
     ],
+    // Flying enemies ignore the path: they fly airPath, or straight from spawn to end without one
+    airPath: [
+      { x: 0, y: 7 }, { x: 7, y: 1 }, { x: 13, y: 1 }, { x: 19, y: 7 }
+    ],
+    mainLaneName: 'West',
+    // Named lanes besides the main one, chosen per group in wave scripts
+    // Each may have its own airPath (default: straight from its first to its last waypoint)
+    lanes: [
+      {
+        id: 'north',
+        name: 'North',
+        path: [
+          { x: 10, y: 0 }, { x: 10, y: 3 },
+          { x: 10, y: 11 }, { x: 15, y: 11 }, { x: 15, y: 7 }, { x: 19, y: 7 }
+        ],
+      },
+      {
+        // Leaves through its own exit at the bottom
+        id: 'south',
+        name: 'South',
+        path: [
+          { x: 0, y: 13 }, { x: 6, y: 13 }, { x: 6, y: 11 },
+          { x: 10, y: 11 }, { x: 15, y: 11 }, { x: 15, y: 14 }
+        ],
+      },
+    ],
     blocked: [
       // Example: Blocked tiles for obstacles
       { x: 8, y: 5 }, { x: 8, y: 6 }, { x: 8, y: 7 }, { x: 8, y: 8 },
@@ -25,14 +59,43 @@ export const MAP_CONFIGS = [
     towerSpots: [
       // Example: Valid tower placement spots
       { x: 3, y: 5 }, { x: 6, y: 2 }, { x: 9, y: 12 }, { x: 14, y: 8 },
-      { x: 17, y: 10 }
+      { x: 17, y: 10 }, { x: 7, y: 12 }
     ],
     background: '#222244',
     gridColor: '#444466',
     pathColor: '#00FF00',
+    airPathColor: '#87CEEB',
     blockedColor: '#FF3333',
     towerSpotColor: '#FFD700'
   },
+  {
+    id: 'field',
+    name: 'Open Field',
+    cols: 20,
+    rows: 15,
+    tileSize: 40,
+    // No fixed path: enemies find the shortest route around blocked tiles and
+    // towers (see pathfinding.js), and a tower may go on any free tile that
+    // leaves every lane a way to its exit
+    openField: true,
+    spawn: { x: 0, y: 7 },
+    end: { x: 19, y: 7 },
+    mainLaneName: 'West',
+    lanes: [
+      { id: 'north', name: 'North', spawn: { x: 10, y: 0 } },
+      { id: 'south', name: 'South', spawn: { x: 0, y: 13 }, end: { x: 10, y: 14 } },
+    ],
+    blocked: [
+      { x: 4, y: 2 }, { x: 4, y: 3 }, { x: 4, y: 11 }, { x: 4, y: 12 },
+      { x: 9, y: 6 }, { x: 9, y: 7 }, { x: 9, y: 8 },
+      { x: 14, y: 3 }, { x: 15, y: 3 }, { x: 14, y: 11 }, { x: 15, y: 11 }
+    ],
+    background: '#1E3320',
+    gridColor: '#3A5A3C',
+    pathColor: '#00FF00',
+    airPathColor: '#87CEEB',
+    blockedColor: '#8B8B83'
+  },
   // Add more maps here as needed
 ];
 
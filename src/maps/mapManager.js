@@ -2,15 +2,37 @@
  * mapManager.js
  * Handles map selection, grid queries, pathfinding, and tile validation.
  * Provides API for game logic to interact with map data.
+ *
+ * Lanes: the map's own path ('main', spawn to end) plus its named `lanes`,
+ * each with its own waypoints and exit. Enemies stay on the lane they
+ * spawned on (wave groups pick it with `lane`).
+ *
+ * On open field maps the lane routes are found on the grid: TowerManager
+ * reports the cells its towers stand on, placements on a ground enemy or
+ * that would cut a lane (or an enemy on the field) off from its exit are
+ * refused, and every change of the routes is
+ * announced to subscribers ('routeChanged'). getCurrentMap() then returns
+ * the map with its current routes as `path`, like a map with a fixed path.
  */
 
 import { MAP_CONFIGS, getMapConfig } from './mapConfig.js';
+import { findRoute } from './pathfinding.js';
 
 class MapManager {
   constructor() {
     this.maps = MAP_CONFIGS;
     this.currentMapId = this.maps[0]?.id || null;
-    this.currentMap = getMapConfig(this.currentMapId);
+
+    // Open field state: cells towers stand on ("x,y")
+    this.towerCells = new Set();
+
+    // Open field state: ground enemies on the field (see setWalkerSource)
+    this.getWalkers = () => [];
+
+    // Event subscribers (see subscribe)
+    this.listeners = [];
+
+    this.setMap(getMapConfig(this.currentMapId));
   }
 
   /**
@@ -28,12 +50,39 @@ class MapManager {
     const map = getMapConfig(mapId);
     if (map) {
       this.currentMapId = mapId;
-      this.currentMap = map;
+      this.towerCells.clear();
+      this.setMap(map);
       return true;
     }
     return false;
   }
 
+  /**
+   * Make a map config current (open fields get their routes)
+   * @private
+   */
+  setMap(map) {
+    this.baseMap = map;
+    this.currentMap = map;
+
+    if (this.isOpenField()) {
+      const routes = this.findRoutes();
+      const unreachable = Object.keys(routes).filter(id => !routes[id]);
+      if (unreachable.length > 0) {
+        throw new Error(`❌ Map ${map.id}: no route to the end from ${unreachable.join(', ')}`);
+      }
+      this.applyRoutes(routes);
+    }
+  }
+
+  /**
+   * Is the current map an open field (routes found on the grid)?
+   * @returns {boolean}
+   */
+  isOpenField() {
+    return this.baseMap?.openField === true;
+  }
+
   /**
    * Get current map config
    * @returns {Object}
@@ -67,7 +116,113 @@ class MapManager {
    * @returns {boolean}
    */
   isTowerSpot(x, y) {
-    return this.currentMap.towerSpots.some(spot => spot.x === x && spot.y === y);
+    if (this.isOpenField()) {
+      return this.isInBounds(x, y) && !this.isBlocked(x, y) && !this.isRouteEnd(x, y);
+    }
+
+    return (this.currentMap.towerSpots || []).some(spot => spot.x === x && spot.y === y);
+  }
+
+  /**
+   * Can enemies walk through a tile? (open fields: not blocked, no tower)
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  isWalkable(x, y) {
+    return this.isInBounds(x, y) && !this.isBlocked(x, y) && !this.towerCells.has(`${x},${y}`);
+  }
+
+  /**
+   * Would a tower on this tile leave a lane, or a ground enemy on the field,
+   * with no route to its exit?
+   * Always false on maps with a fixed path
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  wouldBlockRoute(x, y) {
+    if (!this.isOpenField() || this.towerCells.has(`${x},${y}`)) return false;
+
+    const tower = { x, y };
+    const routes = this.findRoutes(tower);
+    if (Object.values(routes).some(route => !route)) return true;
+
+    // Enemies sharing a tile and lane share a route: check each one once
+    const checked = new Set();
+    return this.getWalkerCells().some(cell => {
+      const key = `${cell.x},${cell.y},${cell.lane}`;
+      if (checked.has(key)) return false;
+      checked.add(key);
+
+      // Walled in by this tower (not by the towers already there)
+      return !this.findRouteFrom(cell, cell.lane, tower) && this.findRouteFrom(cell, cell.lane) !== null;
+    });
+  }
+
+  /**
+   * Is a ground enemy standing on this tile? (open fields, no tower there)
+   * Always false on maps with a fixed path
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  isOccupiedByEnemy(x, y) {
+    if (!this.isOpenField()) return false;
+
+    return this.getWalkerCells().some(cell => cell.x === x && cell.y === y);
+  }
+
+  /**
+   * Tell the map where the ground enemies on the field are (open fields:
+   * towers can't be placed on them or wall them in)
+   * @param {Function} getWalkers - () => ground enemies, each {x, y, lane} (world coordinates)
+   */
+  setWalkerSource(getWalkers) {
+    this.getWalkers = getWalkers;
+  }
+
+  /**
+   * Mark a tile as taken by a tower, or free again
+   * Open fields find their routes again and notify 'routeChanged'
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} occupied
+   */
+  setTowerCell(x, y, occupied) {
+    const key = `${x},${y}`;
+    if (occupied === this.towerCells.has(key)) return;
+
+    if (occupied) {
+      this.towerCells.add(key);
+    } else {
+      this.towerCells.delete(key);
+    }
+
+    this.updateRoutes();
+  }
+
+  /**
+   * Replace every tower tile at once (loading a save)
+   * @param {Array<Object>} cells - Tiles {x, y}
+   */
+  setTowerCells(cells) {
+    this.towerCells = new Set(cells.map(({ x, y }) => `${x},${y}`));
+    this.updateRoutes();
+  }
+
+  /**
+   * Find the route from a tile to a lane's exit around the current towers
+   * @param {Object} cell - Start tile {x, y}
+   * @param {string} laneId - Lane whose exit to reach (default: 'main')
+   * @param {Object} extraTower - Tile to treat as a tower too (optional)
+   * @returns {Array<Object>|null} Route waypoints (grid coordinates) or null if walled in
+   */
+  findRouteFrom(cell, laneId = 'main', extraTower = null) {
+    const exit = this.getLaneEnds()[laneId]?.exit || this.baseMap.end;
+    return findRoute(this.baseMap, cell, exit, (x, y) =>
+      this.isWalkable(x, y) && !(extraTower && extraTower.x === x && extraTower.y === y)
+    );
   }
 
   /**
@@ -86,6 +241,67 @@ class MapManager {
     return this.currentMap.spawn;
   }
 
+  /**
+   * Get lane ids: 'main' (spawn + path) and the map's named lanes
+   * @returns {Array<string>}
+   */
+  getLaneIds() {
+    return ['main', ...(this.currentMap.lanes || []).map(lane => lane.id)];
+  }
+
+  /**
+   * Get every lane with its ground path and the path flying enemies take
+   * A lane without an airPath flies straight from its start to its exit
+   * @returns {Object} Lane id -> { id, name, path, airPath } (grid coordinates)
+   */
+  getLanes() {
+    const { spawn, end, path, airPath, mainLaneName } = this.currentMap;
+    const lanes = {
+      main: { id: 'main', name: mainLaneName || 'Main', path, airPath: airPath || [spawn, end] },
+    };
+
+    (this.currentMap.lanes || []).forEach(lane => {
+      const ends = this.getLaneEnds()[lane.id];
+
+      lanes[lane.id] = {
+        id: lane.id,
+        name: lane.name || lane.id,
+        path: lane.path,
+        airPath: lane.airPath || [ends.start, ends.exit],
+      };
+    });
+
+    return lanes;
+  }
+
+  /**
+   * Get the names of lanes
+   * @param {Array<string>} laneIds - Lane ids
+   * @returns {Array<string>} Lane names (ids the map doesn't have are left out)
+   */
+  getLaneNames(laneIds) {
+    const lanes = this.getLanes();
+    return laneIds.filter(id => lanes[id]).map(id => lanes[id].name);
+  }
+
+  /**
+   * Get the first and last tile of every lane
+   * Open field lanes declare them (`spawn`, `end`, default: the map's end),
+   * other lanes start and end where their path does
+   * @returns {Object} Lane id ('main' included) -> { start, exit } tiles {x, y}
+   */
+  getLaneEnds() {
+    const ends = { main: { start: this.baseMap.spawn, exit: this.baseMap.end } };
+
+    (this.baseMap.lanes || []).forEach(lane => {
+      ends[lane.id] = lane.path
+        ? { start: lane.path[0], exit: lane.path[lane.path.length - 1] }
+        : { start: lane.spawn, exit: lane.end || this.baseMap.end };
+    });
+
+    return ends;
+  }
+
   /**
    * Get end point
    * @returns {Object}
@@ -123,7 +339,7 @@ class MapManager {
   findNearestTowerSpot(x, y) {
     let minDist = Infinity;
     let nearest = null;
-    this.currentMap.towerSpots.forEach(spot => {
+    (this.currentMap.towerSpots || []).forEach(spot => {
       const dx = spot.x - x;
       const dy = spot.y - y;
       const dist = Math.sqrt(dx * dx + dy * dy);
@@ -135,6 +351,108 @@ class MapManager {
     return nearest;
   }
 
+  /**
+   * Subscribe to map events
+   * Events: 'routeChanged' (open fields, data: the map with its new routes)
+   * @param {Function} callback - (eventType, data) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  /**
+   * Notify all listeners of a map event
+   * @private
+   */
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        console.error('❌ Error in map listener callback', error);
+      }
+    });
+  }
+
+  /**
+   * Find the routes again after the towers changed (open fields)
+   * @private
+   */
+  updateRoutes() {
+    if (!this.isOpenField()) return;
+
+    const routes = this.findRoutes();
+    const unreachable = Object.keys(routes).filter(id => !routes[id]);
+    if (unreachable.length > 0) {
+      // Only a save with towers placed by other rules can get here: keep the old routes
+      console.warn(`⚠️ Towers wall in ${unreachable.join(', ')}, enemies keep their route`);
+      return;
+    }
+
+    this.applyRoutes(routes);
+    this.notifyListeners('routeChanged', this.currentMap);
+  }
+
+  /**
+   * Get the tiles the ground enemies on the field stand on
+   * @private
+   * @returns {Array<Object>} Tiles {x, y, lane}
+   */
+  getWalkerCells() {
+    const { tileSize } = this.getGridSize();
+
+    return this.getWalkers().map(({ x, y, lane }) => ({
+      x: Math.floor(x / tileSize),
+      y: Math.floor(y / tileSize),
+      lane,
+    }));
+  }
+
+  /**
+   * Find the route of every lane
+   * @private
+   * @param {Object} extraTower - Tile to treat as a tower too (optional)
+   * @returns {Object} Lane id -> route waypoints, or null if cut off
+   */
+  findRoutes(extraTower = null) {
+    const isWalkable = (x, y) =>
+      this.isWalkable(x, y) && !(extraTower && extraTower.x === x && extraTower.y === y);
+    const routes = {};
+
+    Object.entries(this.getLaneEnds()).forEach(([id, { start, exit }]) => {
+      routes[id] = findRoute(this.baseMap, start, exit, isWalkable);
+    });
+
+    return routes;
+  }
+
+  /**
+   * Make routes the current map's paths
+   * @private
+   */
+  applyRoutes(routes) {
+    this.currentMap = {
+      ...this.baseMap,
+      path: routes.main,
+      lanes: (this.baseMap.lanes || []).map(lane => ({ ...lane, path: routes[lane.id] })),
+    };
+  }
+
+  /**
+   * Is a tile the start or exit of a lane? (no towers there)
+   * @private
+   */
+  isRouteEnd(x, y) {
+    return Object.values(this.getLaneEnds()).some(({ start, exit }) =>
+      (start.x === x && start.y === y) || (exit.x === x && exit.y === y)
+    );
+  }
+
   /**
    * Get a snapshot of current map state (for debugging)
    * @returns {Object}
@@ -142,6 +460,8 @@ class MapManager {
   getSnapshot() {
     return {
       id: this.currentMapId,
+      openField: this.isOpenField(),
+      towerCells: [...this.towerCells],
       config: this.currentMap
     };
   }
@@ -2,6 +2,11 @@
  * pathRenderer.js
  * Renders the enemy path for the current map using RenderSurface.
  * Draws lines and waypoints for visual clarity.
+ * Every lane is drawn with its entrance; entrances of the lanes the next
+ * wave comes down are marked. Air paths the map declares are drawn faintly
+ * (flying enemies without one fly straight from their lane's start to its exit).
+ * On open field maps the path is the current route (MapManager finds it
+ * again whenever towers change), so the drawing follows the towers.
  */
 
 class PathRenderer {
@@ -22,12 +27,20 @@ class PathRenderer {
   /**
    * Render the path for the current map
    * @param {Object} mapConfig
+   * @param {Array<string>} upcomingLanes - Lanes the next wave comes down (marked, optional)
    */
-  render(mapConfig) {
-    const { path, tileSize, pathColor, spawn, end } = mapConfig;
+  render(mapConfig, upcomingLanes = []) {
+    const { path, tileSize, pathColor, spawn, end, lanes = [] } = mapConfig;
 
     if (!path || path.length < 2) return;
 
+    // Draw air paths (below everything else)
+    [mapConfig.airPath, ...lanes.map(lane => lane.airPath)]
+      .forEach(airPath => this.renderAirPath(airPath, tileSize, mapConfig.airPathColor));
+
+    // Draw the other lanes (below the main path)
+    lanes.forEach(lane => this.renderLanePath(lane.path, tileSize, pathColor));
+
     // Draw path lines
     for (let i = 0; i < path.length - 1; i++) {
       const a = path[i];
@@ -67,6 +80,85 @@ class PathRenderer {
         '#FF3333', { opacity: 0.8 }
       );
     }
+
+    // Mark where the next wave comes in
+    upcomingLanes.forEach(laneId => {
+      const start = laneId === 'main' ? spawn : lanes.find(lane => lane.id === laneId)?.path?.[0];
+      if (start) {
+        this.renderLaneWarning(start, tileSize);
+      }
+    });
+  }
+
+  /**
+   * Mark a lane entrance the next wave comes down
+   * @private
+   */
+  renderLaneWarning({ x, y }, tileSize) {
+    this.renderSurface.drawCircle(
+      x * tileSize + tileSize / 2,
+      y * tileSize + tileSize / 2,
+      tileSize * 0.55,
+      'rgba(255, 165, 0, 0.25)',
+      { stroke: true, strokeColor: '#FFA500', strokeWidth: 3 }
+    );
+    this.renderSurface.drawText('⚠', x * tileSize + tileSize / 2, y * tileSize + tileSize / 2, {
+      font: 'bold 16px Arial',
+      color: '#FFA500',
+      align: 'center',
+      baseline: 'middle',
+    });
+  }
+
+  /**
+   * Render an air path as a thin, faint line
+   * @private
+   */
+  renderAirPath(path, tileSize, airPathColor) {
+    if (!path || path.length < 2) return;
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const a = path[i];
+      const b = path[i + 1];
+      this.renderSurface.drawLine(
+        a.x * tileSize + tileSize / 2, a.y * tileSize + tileSize / 2,
+        b.x * tileSize + tileSize / 2, b.y * tileSize + tileSize / 2,
+        airPathColor || '#87CEEB', 2, { opacity: 0.35 }
+      );
+    }
+  }
+
+  /**
+   * Render a lane's path, its entrance and its exit
+   * @private
+   */
+  renderLanePath(path, tileSize, pathColor) {
+    if (!path || path.length < 2) return;
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const a = path[i];
+      const b = path[i + 1];
+      this.renderSurface.drawLine(
+        a.x * tileSize + tileSize / 2, a.y * tileSize + tileSize / 2,
+        b.x * tileSize + tileSize / 2, b.y * tileSize + tileSize / 2,
+        pathColor || '#00FF00', 4
+      );
+    }
+
+    this.renderSurface.drawRect(
+      path[0].x * tileSize + tileSize * 0.2,
+      path[0].y * tileSize + tileSize * 0.2,
+      tileSize * 0.6, tileSize * 0.6,
+      '#00CCFF', { opacity: 0.8 }
+    );
+
+    const exit = path[path.length - 1];
+    this.renderSurface.drawRect(
+      exit.x * tileSize + tileSize * 0.2,
+      exit.y * tileSize + tileSize * 0.2,
+      tileSize * 0.6, tileSize * 0.6,
+      '#FF3333', { opacity: 0.8 }
+    );
   }
 }
 
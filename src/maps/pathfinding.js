@@ -0,0 +1,140 @@
+/**
+ * pathfinding.js
+ * Grid routes for open field maps (A*, 4 directions, grid coordinates).
+ *
+ * Routes are deterministic: ties between equally good cells always break
+ * the same way, so the same towers give the same route in replays.
+ */
+
+// Neighbour order (also the tie-break order): right, down, left, up
+const NEIGHBOURS = [
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+  { x: 0, y: -1 },
+];
+
+/**
+ * Find the shortest route between two cells
+ * The start cell is always walkable (an enemy standing on a new tower can
+ * still walk off it).
+ * @param {Object} grid - { cols, rows }
+ * @param {Object} start - Start cell {x, y}
+ * @param {Object} end - End cell {x, y}
+ * @param {Function} isWalkable - (x, y) => boolean
+ * @returns {Array<Object>|null} Every cell of the route, start and end included, or null if there is none
+ */
+export function findPath({ cols, rows }, start, end, isWalkable) {
+  const index = (x, y) => y * cols + x;
+  const heuristic = (x, y) => Math.abs(x - end.x) + Math.abs(y - end.y);
+
+  const cost = new Map([[index(start.x, start.y), 0]]);
+  const cameFrom = new Map();
+  const closed = new Set();
+  const open = [{ x: start.x, y: start.y, f: heuristic(start.x, start.y), order: 0 }];
+  let order = 1;
+
+  while (open.length > 0) {
+    // Lowest f, then lowest heuristic, then oldest
+    let best = 0;
+    for (let i = 1; i < open.length; i++) {
+      if (compareNodes(open[i], open[best], heuristic) < 0) best = i;
+    }
+    const current = open.splice(best, 1)[0];
+    const currentIndex = index(current.x, current.y);
+
+    if (closed.has(currentIndex)) continue;
+    closed.add(currentIndex);
+
+    if (current.x === end.x && current.y === end.y) {
+      return buildPath(cameFrom, current, index);
+    }
+
+    for (const step of NEIGHBOURS) {
+      const x = current.x + step.x;
+      const y = current.y + step.y;
+      if (x < 0 || x >= cols || y < 0 || y >= rows) continue;
+
+      const nextIndex = index(x, y);
+      if (closed.has(nextIndex) || !isWalkable(x, y)) continue;
+
+      const nextCost = cost.get(currentIndex) + 1;
+      if (nextCost >= (cost.get(nextIndex) ?? Infinity)) continue;
+
+      cost.set(nextIndex, nextCost);
+      cameFrom.set(nextIndex, current);
+      open.push({ x, y, f: nextCost + heuristic(x, y), order: order++ });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reduce a route to its corners (the waypoints enemies walk between)
+ * @param {Array<Object>} cells - Every cell of a route
+ * @returns {Array<Object>} Start, every cell where the route turns, and end
+ */
+export function simplifyPath(cells) {
+  if (cells.length <= 2) return cells.map(({ x, y }) => ({ x, y }));
+
+  const waypoints = [{ x: cells[0].x, y: cells[0].y }];
+
+  for (let i = 1; i < cells.length - 1; i++) {
+    const prev = cells[i - 1];
+    const cell = cells[i];
+    const next = cells[i + 1];
+    const turns = (cell.x - prev.x) !== (next.x - cell.x) || (cell.y - prev.y) !== (next.y - cell.y);
+
+    if (turns) {
+      waypoints.push({ x: cell.x, y: cell.y });
+    }
+  }
+
+  const last = cells[cells.length - 1];
+  waypoints.push({ x: last.x, y: last.y });
+  return waypoints;
+}
+
+/**
+ * Find a route and reduce it to waypoints
+ * @param {Object} grid - { cols, rows }
+ * @param {Object} start - Start cell {x, y}
+ * @param {Object} end - End cell {x, y}
+ * @param {Function} isWalkable - (x, y) => boolean
+ * @returns {Array<Object>|null} Route waypoints or null if there is none
+ */
+export function findRoute(grid, start, end, isWalkable) {
+  const cells = findPath(grid, start, end, isWalkable);
+  return cells ? simplifyPath(cells) : null;
+}
+
+/**
+ * Order of two open nodes
+ * @private
+ */
+function compareNodes(a, b, heuristic) {
+  return (a.f - b.f) || (heuristic(a.x, a.y) - heuristic(b.x, b.y)) || (a.order - b.order);
+}
+
+/**
+ * Walk back from the end cell to the start
+ * @private
+ */
+function buildPath(cameFrom, endNode, index) {
+  const path = [];
+  let node = endNode;
+
+  while (node) {
+    path.push({ x: node.x, y: node.y });
+    node = cameFrom.get(index(node.x, node.y));
+  }
+
+  return path.reverse();
+}
+
+export default {
+  findPath,
+  simplifyPath,
+  findRoute,
+};
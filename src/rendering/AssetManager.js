@@ -0,0 +1,178 @@
+/**
+ * AssetManager
+ * Loads the sprites of the asset manifest (assetManifest.js) and cuts
+ * sprite sheets into animation frames.
+ *
+ * Images are loaded through the RenderSurface (loadImage), so the manager
+ * itself has no DOM code. A sprite that fails to load is simply missing:
+ * getFrame() returns null and the renderers draw their shapes instead.
+ *
+ * Animation time is passed in by the caller (the engine's game time), so
+ * animations stop while the game is paused.
+ */
+
+import { ASSET_MANIFEST } from './assetManifest.js';
+
+class AssetManager {
+  /**
+   * Create an asset manager
+   * @param {RenderSurface} renderSurface - Surface that loads the images
+   * @param {Object} manifest - Sprites to load (default: ASSET_MANIFEST)
+   */
+  constructor(renderSurface, manifest = ASSET_MANIFEST) {
+    this.renderSurface = renderSurface;
+    this.manifest = manifest;
+
+    // Loaded sprites: name -> { image, sheet }
+    this.sprites = {};
+
+    // Loading progress
+    this.total = Object.keys(manifest.sprites).length;
+    this.loaded = 0;
+    this.missing = [];
+    this.isLoaded = false;
+  }
+
+  /**
+   * Load every sprite of the manifest (missing ones don't fail the load)
+   * @param {Function} onProgress - Called after each sprite: ({ loaded, missing, total, progress }) => void
+   * @returns {Promise<Object>} Final progress
+   */
+  async load(onProgress = null) {
+    const entries = Object.entries(this.manifest.sprites);
+
+    await Promise.all(entries.map(async ([name, sheet]) => {
+      try {
+        const image = await this.renderSurface.loadImage(this.manifest.basePath + name);
+        this.sprites[name] = { image, sheet };
+        this.loaded++;
+      } catch (error) {
+        this.missing.push(name);
+      }
+
+      onProgress?.(this.getProgress());
+    }));
+
+    if (this.missing.length > 0) {
+      console.warn(`⚠️ ${this.missing.length} of ${this.total} sprites missing, drawing shapes instead: ${this.missing.join(', ')}`);
+    }
+
+    this.isLoaded = true;
+    console.log(`🖼️ Sprites loaded: ${this.loaded}/${this.total}`);
+    return this.getProgress();
+  }
+
+  /**
+   * Check if a sprite is loaded
+   * @param {string} name - Sprite name (image file name)
+   * @returns {boolean}
+   */
+  has(name) {
+    return Boolean(name && this.sprites[name]);
+  }
+
+  /**
+   * Check if a loaded sprite has an animation
+   * @param {string} name - Sprite name
+   * @param {string} animation - Animation name
+   * @returns {boolean}
+   */
+  hasAnimation(name, animation) {
+    return Boolean(this.sprites[name]?.sheet.animations?.[animation]);
+  }
+
+  /**
+   * Get how long one run of an animation lasts
+   * @param {string} name - Sprite name
+   * @param {string} animation - Animation name
+   * @returns {number} Seconds (0 if the sprite or animation is missing)
+   */
+  getAnimationDuration(name, animation) {
+    const clip = this.sprites[name]?.sheet.animations?.[animation];
+    return clip ? clip.frames / clip.fps : 0;
+  }
+
+  /**
+   * Get the frame of an animation to draw
+   * Falls back to the sprite's first animation if it doesn't have this one,
+   * and to the whole image for sprites without animations.
+   * @param {string} name - Sprite name
+   * @param {string} animation - Animation name (walk, attack, death, idle, fly)
+   * @param {number} time - Seconds into the animation
+   * @param {Object} heading - Facing {x, y} (picks the direction row; optional)
+   * @returns {Object|null} { image, source: {x, y, width, height}, rotate } or null if not loaded
+   */
+  getFrame(name, animation, time, heading = null) {
+    const sprite = this.sprites[name];
+    if (!sprite) return null;
+
+    const { image, sheet } = sprite;
+    const frameWidth = sheet.frameWidth ?? image.width;
+    const frameHeight = sheet.frameHeight ?? image.height;
+    const animations = sheet.animations || {};
+    const clip = animations[animation] || Object.values(animations)[0];
+
+    if (!clip) {
+      return { image, source: { x: 0, y: 0, width: frameWidth, height: frameHeight }, rotate: sheet.rotate === true };
+    }
+
+    // Looping clips wrap around, others hold their last frame
+    const frameCount = Math.max(1, clip.frames);
+    let frame = Math.floor(Math.max(0, time) * clip.fps);
+    frame = clip.loop === false ? Math.min(frame, frameCount - 1) : frame % frameCount;
+
+    let row = clip.row ?? 0;
+    if (sheet.directions && heading) {
+      row += Math.max(0, sheet.directions.indexOf(getFacing(heading)));
+    }
+
+    return {
+      image,
+      source: { x: frame * frameWidth, y: row * frameHeight, width: frameWidth, height: frameHeight },
+      rotate: sheet.rotate === true,
+    };
+  }
+
+  /**
+   * Get loading progress
+   * @returns {Object} { loaded, missing, total, progress (0-1) }
+   */
+  getProgress() {
+    const done = this.loaded + this.missing.length;
+
+    return {
+      loaded: this.loaded,
+      missing: this.missing.length,
+      total: this.total,
+      progress: this.total > 0 ? done / this.total : 1,
+    };
+  }
+
+  /**
+   * Get manager snapshot for debugging
+   * @returns {Object}
+   */
+  getSnapshot() {
+    return {
+      ...this.getProgress(),
+      isLoaded: this.isLoaded,
+      sprites: Object.keys(this.sprites),
+      missingSprites: [...this.missing],
+    };
+  }
+}
+
+/**
+ * Facing of a heading: the dominant axis wins
+ * @private
+ * @param {Object} heading - {x, y}
+ * @returns {string} 'down' | 'left' | 'right' | 'up'
+ */
+function getFacing({ x, y }) {
+  if (Math.abs(x) >= Math.abs(y)) {
+    return x < 0 ? 'left' : 'right';
+  }
+  return y < 0 ? 'up' : 'down';
+}
+
+export default AssetManager;
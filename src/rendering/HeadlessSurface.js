@@ -0,0 +1,242 @@
+/**
+ * HeadlessSurface
+ * Concrete implementation of RenderSurface with no platform behind it.
+ *
+ * Nothing is drawn. Every draw call is recorded instead, so the full game
+ * can run under Node (CI, simulations, balance scripts) and tests can
+ * assert on what would have been rendered.
+ *
+ * Handles:
+ * - Draw call recording (method + arguments)
+ * - Transform/alpha state stack (same semantics as WebSurface)
+ * - Fixed dimensions (no window, no resize listener)
+ * - Images: nothing is loaded; only images listed in options.images exist
+ */
+
+import RenderSurface from "./RenderSurface.js";
+
+class HeadlessSurface extends RenderSurface {
+  /**
+   * Create a new HeadlessSurface
+   * @param {Object} options - Configuration options
+   * @param {number} options.width - Surface width in pixels (default: 800)
+   * @param {number} options.height - Surface height in pixels (default: 600)
+   * @param {boolean} options.recordCalls - Keep a log of draw calls (default: true)
+   * @param {number} options.maxRecordedCalls - Log size cap, oldest calls dropped first (default: 10000)
+   * @param {Object} options.images - Images loadImage() finds: src -> {width, height} (default: none)
+   */
+  constructor(options = {}) {
+    super();
+
+    //configuration
+    this.options = {
+      width: options.width ?? 800,
+      height: options.height ?? 600,
+      recordCalls: options.recordCalls ?? true,
+      maxRecordedCalls: options.maxRecordedCalls ?? 10000,
+      images: options.images ?? {},
+    };
+
+    //surface dimensions
+    this.width = this.options.width;
+    this.height = this.options.height;
+
+    //rendering state
+    this.globalAlpha = 1;
+    this.smoothing = true;
+    this.transformStack = [];
+
+    //recorded draw calls [{ method, args }]
+    this.drawCalls = [];
+
+    //performance tracking (same shape as WebSurface)
+    this.stats = {
+      drawCalls: 0,
+      textDrawn: 0,
+      imagesDrawn: 0,
+    };
+  }
+
+  /**
+   * Record a draw call
+   * @private
+   */
+  record(method, args) {
+    this.stats.drawCalls++;
+
+    if (!this.options.recordCalls) return;
+
+    this.drawCalls.push({ method, args });
+
+    if (this.drawCalls.length > this.options.maxRecordedCalls) {
+      this.drawCalls.shift();
+    }
+  }
+
+
+  //CORE RENDERING METHODS
+
+  clear(color = '#222') {
+    this.record('clear', [color]);
+  }
+
+  drawRect(x, y, width, height, color, options = {}) {
+    this.record('drawRect', [x, y, width, height, color, options]);
+  }
+
+  drawCircle(x, y, radius, color, options = {}) {
+    this.record('drawCircle', [x, y, radius, color, options]);
+  }
+
+  drawImage(image, x, y, width, height, options = {}) {
+    this.record('drawImage', [image, x, y, width, height, options]);
+    this.stats.imagesDrawn++;
+  }
+
+  /**
+   * Load an image: a stand-in {src, width, height} for images listed in
+   * options.images, anything else fails like a missing file
+   */
+  loadImage(src) {
+    const image = this.options.images[src];
+    if (!image) {
+      return Promise.reject(new Error(`❌ No image headless: ${src}`));
+    }
+    return Promise.resolve({ src, ...image });
+  }
+
+  drawText(text, x, y, style = {}) {
+    this.record('drawText', [text, x, y, style]);
+    this.stats.textDrawn++;
+  }
+
+  drawLine(x1, y1, x2, y2, color, width = 1, options = {}) {
+    this.record('drawLine', [x1, y1, x2, y2, color, width, options]);
+  }
+
+  drawPolygon(points, color, options = {}) {
+    if (!points || points.length < 3) return;
+    this.record('drawPolygon', [points, color, options]);
+  }
+
+
+  //TRANSFORMATION AND STATE METHODS
+
+  save() {
+    this.transformStack.push({
+      alpha: this.globalAlpha,
+      smoothing: this.smoothing,
+    });
+  }
+
+  restore() {
+    const state = this.transformStack.pop();
+
+    if (state) {
+      this.globalAlpha = state.alpha;
+      this.smoothing = state.smoothing;
+    }
+  }
+
+  translate(x, y) {}
+
+  rotate(angle, originX, originY) {}
+
+  scale(scaleX, scaleY = scaleX) {}
+
+  setAlpha(alpha) {
+    this.globalAlpha = Math.max(0, Math.min(1, alpha));
+  }
+
+  getAlpha() {
+    return this.globalAlpha;
+  }
+
+  setSmoothing(smooth) {
+    this.smoothing = smooth;
+  }
+
+
+  //DIMENSION AND COORDINATE SYSTEM
+
+  getDimensions() {
+    return {
+      width: this.width,
+      height: this.height,
+    };
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getDevicePixelRatio() {
+    return 1;
+  }
+
+
+  //DEBUGGING AND INTROSPECTION
+
+  /**
+   * Get recorded draw calls
+   * @param {string} method - Only return calls to this method (optional)
+   * @returns {Array<{method: string, args: Array}>}
+   */
+  getDrawCalls(method = null) {
+    if (!method) return this.drawCalls;
+    return this.drawCalls.filter(call => call.method === method);
+  }
+
+  /**
+   * Get all text drawn since the log was last cleared
+   * @returns {Array<string>}
+   */
+  getDrawnText() {
+    return this.getDrawCalls('drawText').map(call => call.args[0]);
+  }
+
+  /**
+   * Clear the draw call log
+   */
+  clearDrawCalls() {
+    this.drawCalls = [];
+  }
+
+  /**
+   * Reset performance counters
+   */
+  resetStats() {
+    this.stats.drawCalls = 0;
+    this.stats.textDrawn = 0;
+    this.stats.imagesDrawn = 0;
+  }
+
+  getSnapshot() {
+    return {
+      ...super.getSnapshot(),
+      drawCalls: this.stats.drawCalls,
+      textDrawn: this.stats.textDrawn,
+      imagesDrawn: this.stats.imagesDrawn,
+      recordedCalls: this.drawCalls.length,
+    };
+  }
+
+  getPerformanceMetrics() {
+    return {
+      drawCalls: this.stats.drawCalls,
+      textDrawn: this.stats.textDrawn,
+      imagesDrawn: this.stats.imagesDrawn,
+    };
+  }
+
+  drawDebugGrid(cellSize = 40, color = 'rgba(255, 255, 255, 0.1)') {
+    this.record('drawDebugGrid', [cellSize, color]);
+  }
+
+  drawDebugInfo() {
+    this.record('drawDebugInfo', []);
+  }
+}
+
+export default HeadlessSurface;
@@ -84,13 +84,26 @@ class RenderSurface {
    * @param {number} options.opacity - Alpha value (0-1)
    * @param {string} options.align - 'left' | 'center' (default: 'left')
    * @param {string} options.verticalAlign - 'top' | 'center' (default: 'top')
+   * @param {Object} options.source - Part of the image to draw {x, y, width, height} (sprite sheet frame; default: all of it)
    * @example
    * surface.drawImage(enemyImage, 100, 100, 32, 32, { rotation: Math.PI / 4 });
+   * surface.drawImage(sheet, 100, 100, 32, 32, { source: { x: 64, y: 0, width: 32, height: 32 } });
    */
   drawImage(image, x, y, width, height, options = {}) {
     throw new Error('drawImage() must be implemented by subclass');
   }
 
+  /**
+   * Load an image that drawImage() can draw
+   * @param {string} src - Image URL or path
+   * @returns {Promise<Object>} The image (with width and height); rejects if it can't be loaded
+   * @example
+   * const goblin = await surface.loadImage('assets/sprites/goblin.png');
+   */
+  loadImage(src) {
+    throw new Error('loadImage() must be implemented by subclass');
+  }
+
   /**
    * Draw text
    * @param {string} text - Text content to render
@@ -120,6 +133,7 @@ class RenderSurface {
    * @param {Object} options - Optional parameters
    * @param {string} options.lineCap - 'butt' | 'round' | 'square'
    * @param {string} options.lineJoin - 'bevel' | 'round' | 'miter'
+   * @param {number} options.opacity - Line opacity (0-1)
    */
   drawLine(x1, y1, x2, y2, color, width = 1, options = {}) {
     throw new Error('drawLine() must be implemented by subclass');
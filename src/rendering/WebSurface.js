@@ -173,7 +173,7 @@ class WebSurface extends RenderSurface {
   }
 
   drawImage(image, x, y, width, height, options = {}){
-    const { rotation = 0, opacity = 1, align = 'left', verticalAlign = 'top', } = options;
+    const { rotation = 0, opacity = 1, align = 'left', verticalAlign = 'top', source = null } = options;
 
     this.ctx.save();
     this.ctx.globalAlpha = opacity * this.globalAlpha;
@@ -192,14 +192,27 @@ class WebSurface extends RenderSurface {
         this.ctx.rotate(rotation);
     }
 
-    //draw immage centered on origin (if aligned)
-    this.ctx.drawImage(image, -offsetX, -offsetY, width, height);
+    //draw immage centered on origin (if aligned), or one frame of a sprite sheet
+    if (source) {
+        this.ctx.drawImage(image, source.x, source.y, source.width, source.height, -offsetX, -offsetY, width, height);
+    } else {
+        this.ctx.drawImage(image, -offsetX, -offsetY, width, height);
+    }
 
     this.ctx.restore();
     this.stats.drawCalls++;
     this.stats.imagesDrawn++;
   }
 
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`❌ Failed to load image: ${src}`));
+        image.src = src;
+    });
+  }
+
   drawText(text, x, y, style = {}){
     const {font = '16px Arial', color = '#fff', align = 'left', baseline = 'top', opacity = 1} = style;
 
@@ -0,0 +1,107 @@
+/**
+ * assetManifest.js
+ * Every sprite the renderers can draw, keyed by the image name the configs
+ * already use (`image` in enemyConfig, projectileConfig and towerConfig).
+ *
+ * A sprite is a single image or a sprite sheet cut into a grid of frames:
+ * - frameWidth, frameHeight: size of one frame (default: the whole image)
+ * - animations: name -> { row, frames, fps, loop } — frames are read left
+ *   to right from `row`; loop defaults to true
+ * - directions: rows per facing, e.g. ['down', 'left', 'right', 'up'] —
+ *   an animation then takes one row per direction, starting at its row
+ * - rotate: the sprite faces right and is rotated to its heading instead
+ *
+ * Animations the renderers play: enemies walk, attack (the attacker
+ * ability) and death; towers idle and attack (when firing); projectiles fly.
+ *
+ * Sprites that fail to load (or aren't listed) are drawn as shapes.
+ */
+
+// Facing rows of character sheets
+const DIRECTIONS = ['down', 'left', 'right', 'up'];
+
+/**
+ * Enemy sheet: walk, attack and death, four directions each
+ * @private
+ */
+function characterSheet(frameSize) {
+  return {
+    frameWidth: frameSize,
+    frameHeight: frameSize,
+    directions: DIRECTIONS,
+    animations: {
+      walk: { row: 0, frames: 4, fps: 8 },
+      attack: { row: 4, frames: 4, fps: 12, loop: false },
+      death: { row: 8, frames: 6, fps: 12, loop: false },
+    },
+  };
+}
+
+/**
+ * Tower sheet: idle and attack, four directions each
+ * @private
+ */
+function towerSheet(frameSize) {
+  return {
+    frameWidth: frameSize,
+    frameHeight: frameSize,
+    directions: DIRECTIONS,
+    animations: {
+      idle: { row: 0, frames: 1, fps: 1 },
+      attack: { row: 4, frames: 4, fps: 16, loop: false },
+    },
+  };
+}
+
+/**
+ * Projectile sheet: one looping row, rotated to the heading
+ * @private
+ */
+function projectileSheet(frameSize) {
+  return {
+    frameWidth: frameSize,
+    frameHeight: frameSize,
+    rotate: true,
+    animations: {
+      fly: { row: 0, frames: 4, fps: 12 },
+    },
+  };
+}
+
+export const ASSET_MANIFEST = {
+  basePath: 'assets/sprites/',
+
+  sprites: {
+    // Enemies
+    'goblin.png': characterSheet(32),
+    'dwarve.png': characterSheet(32),
+    'elve.png': characterSheet(32),
+    'hobbit.png': characterSheet(32),
+    'dragon.png': characterSheet(64),
+    'shaman.png': characterSheet(32),
+    'knight.png': characterSheet(32),
+    'troll.png': characterSheet(48),
+    'necromancer.png': characterSheet(32),
+    'warg.png': characterSheet(32),
+    'harpy.png': characterSheet(32),
+
+    // Towers
+    'archer_tower.png': towerSheet(40),
+    'mage_tower.png': towerSheet(40),
+    'cannon_tower.png': towerSheet(40),
+    'frost_tower.png': towerSheet(40),
+    'alchemist_tower.png': towerSheet(40),
+    'tesla_tower.png': towerSheet(40),
+
+    // Projectiles
+    'arrow.png': projectileSheet(16),
+    'fireball.png': projectileSheet(16),
+    'ice_shard.png': projectileSheet(16),
+    'cannonball.png': projectileSheet(16),
+    'bolt.png': projectileSheet(16),
+    'magic_missile.png': projectileSheet(16),
+    'poison.png': projectileSheet(16),
+  },
+};
+
+export default ASSET_MANIFEST;
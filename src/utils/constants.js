@@ -59,6 +59,9 @@ export const GAME_CONFIG = {
   // Performance
   targetFPS: 60,
   maxDeltaTime: 0.1, // Cap delta time to prevent spiral of death
+  fixedTimeStep: 1 / 60, // Simulation step in seconds (null = variable delta)
+  maxStepsPerFrame: 5, // Max fixed steps per rendered frame
+  spatialCellSize: 64, // Spatial hash cell size for collision/range queries (pixels)
 };
 
 // ============================================
@@ -248,7 +251,10 @@ export const PERFORMANCE_CONFIG = {
 // EXPORT CANVAS AND CTX FOR LEGACY CODE
 // ============================================
 
-export const canvas = document.getElementById(CANVAS_CONFIG.canvasId);
+// document does not exist under Node (HeadlessSurface), so guard the lookup
+export const canvas = typeof document !== 'undefined'
+  ? document.getElementById(CANVAS_CONFIG.canvasId)
+  : null;
 export const ctx = canvas ? canvas.getContext('2d') : null;
 
 // Aliases for common values
@@ -0,0 +1,124 @@
+/**
+ * SeededRandom
+ * Small deterministic pseudo-random generator (mulberry32).
+ *
+ * The GameEngine owns one instance and hands it to every system that needs
+ * randomness, so the same seed and the same inputs always replay the same game.
+ * Never use Math.random() for gameplay.
+ */
+
+class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit integer seed (default: current time)
+   */
+  constructor(seed = Date.now()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reseed the generator
+   * @param {number} seed - 32-bit integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the seed this generator was created with
+   * @returns {number}
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Get internal state (for saving a game mid-run)
+   * @returns {number}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore internal state saved with getState()
+   * @param {number} state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1) — drop-in replacement for Math.random()
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] (inclusive)
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * True with the given probability
+   * @param {number} probability - 0-1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} array
+   * @returns {*} Element or undefined if empty
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Random element, each chosen with probability proportional to its weight
+   * @param {Array} array - Elements to choose from
+   * @param {Function} getWeight - Element => weight (> 0)
+   * @returns {*} Element or undefined if empty
+   */
+  weightedPick(array, getWeight) {
+    if (!array || array.length === 0) return undefined;
+
+    const weights = array.map(getWeight);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = this.next() * total;
+
+    for (let i = 0; i < array.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return array[i];
+    }
+
+    return array[array.length - 1];
+  }
+}
+
+export default SeededRandom;
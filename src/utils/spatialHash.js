@@ -0,0 +1,187 @@
+/**
+ * SpatialHash
+ * Uniform grid that buckets entities by their bounding box, so "who is near
+ * here?" only looks at a few cells instead of every entity.
+ *
+ * Used for:
+ * - Projectile → enemy collision broadphase
+ * - Tower range queries (targeting)
+ * - AOE / chain lookups
+ *
+ * Entities need x, y, width, height. Queries are broadphase: they return
+ * every entity in the touched cells, and callers do their exact distance or
+ * overlap check. Results keep insertion order, so swapping a plain array
+ * scan for a query never changes which entity wins a tie (determinism).
+ */
+
+class SpatialHash {
+  /**
+   * @param {number} cellSize - Cell size in pixels (should be >= typical entity size)
+   */
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+
+    this.cells = new Map(); // Cell key -> array of entities
+    this.entityCells = new Map(); // Entity -> cell keys it occupies
+    this.insertOrder = new Map(); // Entity -> insertion sequence
+    this.nextOrder = 0;
+  }
+
+  /**
+   * Remove every entity
+   */
+  clear() {
+    this.cells.clear();
+    this.entityCells.clear();
+    this.insertOrder.clear();
+    this.nextOrder = 0;
+  }
+
+  /**
+   * Clear and re-insert a list of entities (once per frame for moving entities)
+   * @param {Array<Object>} entities - Entities to index
+   */
+  rebuild(entities) {
+    this.clear();
+
+    for (const entity of entities) {
+      this.insert(entity);
+    }
+  }
+
+  /**
+   * Add an entity to every cell its bounding box touches
+   * @param {Object} entity - Entity with x, y, width, height
+   */
+  insert(entity) {
+    if (this.entityCells.has(entity)) {
+      this.remove(entity);
+    }
+
+    const keys = [];
+
+    this.forEachCell(entity.x, entity.y, entity.width || 0, entity.height || 0, key => {
+      if (!this.cells.has(key)) {
+        this.cells.set(key, []);
+      }
+
+      this.cells.get(key).push(entity);
+      keys.push(key);
+    });
+
+    this.entityCells.set(entity, keys);
+    this.insertOrder.set(entity, this.nextOrder++);
+  }
+
+  /**
+   * Remove an entity
+   * @param {Object} entity - Entity to remove
+   */
+  remove(entity) {
+    const keys = this.entityCells.get(entity);
+    if (!keys) return;
+
+    for (const key of keys) {
+      const bucket = this.cells.get(key);
+      const index = bucket.indexOf(entity);
+
+      if (index > -1) {
+        bucket.splice(index, 1);
+      }
+
+      if (bucket.length === 0) {
+        this.cells.delete(key);
+      }
+    }
+
+    this.entityCells.delete(entity);
+    this.insertOrder.delete(entity);
+  }
+
+  /**
+   * Get entities whose cells overlap a rectangle
+   * @param {number} x - Left
+   * @param {number} y - Top
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @returns {Array<Object>} Candidate entities, in insertion order
+   */
+  queryRect(x, y, width, height) {
+    const found = new Set();
+
+    this.forEachCell(x, y, width, height, key => {
+      const bucket = this.cells.get(key);
+      if (!bucket) return;
+
+      for (const entity of bucket) {
+        found.add(entity);
+      }
+    });
+
+    return this.sortByInsertOrder(found);
+  }
+
+  /**
+   * Get entities whose cells overlap a circle's bounding box
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} radius - Radius
+   * @returns {Array<Object>} Candidate entities, in insertion order
+   */
+  queryRadius(x, y, radius) {
+    return this.queryRect(x - radius, y - radius, radius * 2, radius * 2);
+  }
+
+  /**
+   * Number of indexed entities
+   * @returns {number}
+   */
+  size() {
+    return this.entityCells.size;
+  }
+
+  /**
+   * Call back with the key of every cell a rectangle touches
+   * @private
+   */
+  forEachCell(x, y, width, height, callback) {
+    const minX = Math.floor(x / this.cellSize);
+    const minY = Math.floor(y / this.cellSize);
+    const maxX = Math.floor((x + width) / this.cellSize);
+    const maxY = Math.floor((y + height) / this.cellSize);
+
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        callback(`${cellX},${cellY}`);
+      }
+    }
+  }
+
+  /**
+   * Order query results the way they were inserted
+   * @private
+   */
+  sortByInsertOrder(entities) {
+    const result = [...entities];
+
+    if (result.length > 1) {
+      result.sort((a, b) => this.insertOrder.get(a) - this.insertOrder.get(b));
+    }
+
+    return result;
+  }
+
+  /**
+   * Get index statistics for debugging
+   * @returns {Object}
+   */
+  getStatistics() {
+    return {
+      cellSize: this.cellSize,
+      entities: this.entityCells.size,
+      cells: this.cells.size,
+    };
+  }
+}
+
+export default SpatialHash;